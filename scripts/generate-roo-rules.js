@@ -15,15 +15,17 @@ import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { RooIntegration } from '../dist/roo-integration.js';
+import { loadConfig } from '../dist/config-loader.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Parse command line arguments
+// Parse command line arguments; the project configuration provides the defaults
 const args = process.argv.slice(2);
-const memoryBankDir = args[0] || path.join(process.cwd(), 'memory-bank');
-const rulesDir = args[1] || path.join(process.cwd(), '.roo', 'rules');
+const { config } = loadConfig();
+const memoryBankDir = args[0] || config.memoryBankDir || path.join(process.cwd(), 'memory-bank');
+const rulesDir = args[1] || config.rooRulesDir || path.join(process.cwd(), '.roo', 'rules');
 
 /**
  * Main function to generate Roo-Code rules
@@ -50,18 +50,10 @@ async function setupRooIntegration() {
       const rooDir = path.join(workspacePath, '.roo');
       await fs.ensureDir(rooDir);
       
-      // Create rules directory
-      const rulesDir = path.join(rooDir, 'rules');
-      await fs.ensureDir(rulesDir);
-      
-      // Create memory bank directory
-      const memoryBankDir = path.join(workspacePath, 'memory-bank');
-      
-      // Create new integration with the configured paths
+      // Create new integration; the memory bank and rules directories come from the
+      // project configuration and are created by initialize()
       const manualIntegration = new RooIntegration({
-        workspaceDir: workspacePath,
-        memoryBankDir,
-        rooRulesDir: rulesDir
+        workspaceDir: workspacePath
       });
       
       // Initialize the integration
@@ -2,76 +2,1814 @@
 
 /**
  * UMB (Update Memory Bank) Command Line Tool
- * 
- * This script allows you to run UMB commands from the command line.
- * It's a wrapper around the update-memory-bank.js script.
- * 
+ *
+ * This script routes UMB subcommands to the MemoryBank library.
+ * Running it without arguments gathers information automatically through
+ * the update-memory-bank.js script.
+ *
  * Usage:
- *   node scripts/umb.js [command]
- * 
+ *   node scripts/umb.js [command] [arguments]
+ *
  * Examples:
  *   node scripts/umb.js
  *   node scripts/umb.js help
  *   node scripts/umb.js update activeContext currentFocus='New feature development'
+ *   node scripts/umb.js add decision title='Use JWT' rationale='Stateless auth' status='Pending'
+ *   node scripts/umb.js decision update D-004 status=Implemented reason='Shipped in 1.2'
+ *   node scripts/umb.js decision export
+ *   node scripts/umb.js task done T-004
+ *   node scripts/umb.js milestone add title='Beta release' target=2026-11-01
+ *   node scripts/umb.js reconstruct 60
+ *   node scripts/umb.js doctor --fix
+ *   node scripts/umb.js diff 2024-05-07 2024-05-14
+ *   node scripts/umb.js restore 3f2a9c
+ *   node scripts/umb.js search jwt --file decisionLog
+ *   node scripts/umb.js report --period week --by author --format csv
+ *   node scripts/umb.js watch
+ *   node scripts/umb.js config
+ *   node scripts/umb.js hooks install
+ *   node scripts/umb.js branch merge feature/login
+ *   node scripts/umb.js mcp
+ *   node scripts/umb.js export --to cursor --to agents
+ *   node scripts/umb.js session start 'Login flow'
  */
 
 const { spawn } = require('child_process');
 const path = require('path');
 
-// Get command line arguments
-const args = process.argv.slice(2);
-
-// If no arguments are provided, run the update-memory-bank.js script
-if (args.length === 0) {
-  console.log('UMB command received. Updating memory bank...');
-  
-  // Run the update-memory-bank.js script
-  const updateScript = path.join(__dirname, 'update-memory-bank.js');
-  const child = spawn('node', [updateScript], { stdio: 'inherit' });
-  
-  child.on('close', (code) => {
-    if (code === 0) {
-      console.log('\nMemory bank updated successfully.');
-      console.log('You can view the updated files in the memory-bank directory.');
+/** Exit code for a command that ran but failed */
+const EXIT_FAILURE = 1;
+/** Exit code for invalid command line usage */
+const EXIT_USAGE = 2;
+/** Column at which the help text is wrapped */
+const HELP_WIDTH = 80;
+
+/**
+ * Error raised for invalid command line usage.
+ * The router prints the message with the command's help and exits with EXIT_USAGE.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Fields accepted by `umb update <file>`, keyed by memory bank file.
+ * Array fields collect a list of items instead of a single block of text.
+ */
+const UPDATE_FIELDS = {
+  activeContext: {
+    text: ['currentFocus', 'recentChanges', 'openQuestions'],
+    array: []
+  },
+  productContext: {
+    text: ['projectOverview', 'goalsAndObjectives', 'coreFeatures', 'architectureOverview'],
+    array: []
+  },
+  systemPatterns: {
+    text: ['architecturalPatterns', 'designPatterns', 'technicalDecisions'],
+    array: []
+  },
+  progress: {
+    text: [],
+    array: ['currentTasks', 'completedTasks', 'upcomingTasks', 'milestones']
+  }
+};
+
+/** Valid values for a decision's status */
+const DECISION_STATUSES = ['Pending', 'Implemented', 'Revised', 'Superseded', 'Deprecated', 'Rejected'];
+
+/** Valid values for a task's state */
+const TASK_STATES = ['upcoming', 'current', 'done'];
+
+/**
+ * Loads the compiled library lazily so that `umb help` works before a build.
+ *
+ * @returns {object} The exports of dist/index.js.
+ */
+function loadLibrary() {
+  try {
+    return require('../dist/index');
+  } catch (error) {
+    // Other errors, such as an invalid project configuration, explain themselves
+    if (error.code !== 'MODULE_NOT_FOUND') {
+      throw error;
+    }
+    throw new Error(`Could not load the memory bank library (${error.message}). Run 'npm run build' first.`);
+  }
+}
+
+/**
+ * Removes one pair of matching surrounding quotes from a value.
+ *
+ * @param {string} value - The raw value.
+ * @returns {string} The unquoted value.
+ */
+function stripQuotes(value) {
+  const trimmed = value.trim();
+  if (trimmed.length >= 2) {
+    const first = trimmed[0];
+    const last = trimmed[trimmed.length - 1];
+    if ((first === "'" || first === '"') && first === last) {
+      return trimmed.slice(1, -1);
+    }
+  }
+  return trimmed;
+}
+
+/**
+ * Parses `key='value'` arguments into an object.
+ *
+ * The shell usually strips the quotes and splits unquoted values on spaces,
+ * so any argument that does not start with `key=` is joined onto the previous value.
+ * Literal `\n` sequences are turned into newlines.
+ *
+ * @param {string[]} args - Arguments after the command and file name.
+ * @returns {Object<string, string>} Parsed values keyed by field name.
+ * @throws {UsageError} If a value appears before any key.
+ */
+function parseKeyValueArgs(args) {
+  const values = {};
+  let currentKey = null;
+
+  for (const arg of args) {
+    const match = arg.match(/^([A-Za-z][\w-]*)=([\s\S]*)$/);
+    if (match) {
+      currentKey = match[1];
+      values[currentKey] = match[2];
+    } else if (currentKey) {
+      values[currentKey] += ` ${arg}`;
     } else {
-      console.error(`\nError updating memory bank. Exit code: ${code}`);
+      throw new UsageError(`Expected key='value' but got: ${arg}`);
+    }
+  }
+
+  for (const key of Object.keys(values)) {
+    values[key] = stripQuotes(values[key]).replace(/\\n/g, '\n');
+  }
+
+  return values;
+}
+
+/**
+ * Parses a list value given as `['a', 'b']`, as `- a\n- b` lines, or as a single item.
+ *
+ * @param {string} value - The parsed value of an array field.
+ * @returns {string[]} The list items.
+ */
+function parseArrayValue(value) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+    return trimmed
+      .slice(1, -1)
+      .split(',')
+      .map(item => stripQuotes(item))
+      .filter(item => item !== '');
+  }
+
+  return trimmed
+    .split('\n')
+    .map(line => line.replace(/^\s*[-*]\s*/, '').trim())
+    .filter(line => line !== '');
+}
+
+/**
+ * Turns `Title: description` items into milestone objects.
+ *
+ * @param {string[]} items - Milestone items.
+ * @returns {{title: string, description?: string}[]} Milestone objects.
+ */
+function parseMilestones(items) {
+  return items.map(item => {
+    const separator = item.indexOf(':');
+    if (separator === -1) {
+      return { title: item };
+    }
+    return {
+      title: item.slice(0, separator).trim(),
+      description: item.slice(separator + 1).trim()
+    };
+  });
+}
+
+/**
+ * Splits a comma-separated value into its items.
+ *
+ * @param {string|undefined} value - The parsed value, if given.
+ * @returns {string[]} The items without surrounding whitespace.
+ */
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(item => item !== '');
+}
+
+/**
+ * Checks a decision status given on the command line, ignoring case.
+ *
+ * @param {string} value - The status.
+ * @returns {string} The status as the memory bank writes it.
+ * @throws {UsageError} If it is not a status a decision can be given.
+ */
+function parseDecisionStatus(value) {
+  const statuses = DECISION_STATUSES.filter(status => status !== 'Superseded');
+  const status = statuses.find(candidate => candidate.toLowerCase() === value.trim().toLowerCase());
+  if (!status) {
+    throw new UsageError(`Invalid status '${value}'. Expected one of: ${statuses.join(', ')}`);
+  }
+  return status;
+}
+
+/**
+ * Checks a task state given on the command line, ignoring case.
+ *
+ * @param {string} value - The state.
+ * @returns {string} The state as the memory bank writes it.
+ * @throws {UsageError} If it is not a task state.
+ */
+function parseTaskState(value) {
+  const state = TASK_STATES.find(candidate => candidate === value.trim().toLowerCase());
+  if (!state) {
+    throw new UsageError(`Invalid state '${value}'. Expected one of: ${TASK_STATES.join(', ')}`);
+  }
+  return state;
+}
+
+/**
+ * Checks that a date given on the command line is in YYYY-MM-DD format.
+ *
+ * @param {string} value - The date.
+ * @param {string} name - Name of the field, for the error message.
+ * @returns {string} The date.
+ * @throws {UsageError} If it is not a YYYY-MM-DD date.
+ */
+function parseDate(value, name) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    throw new UsageError(`${name} must be a date in YYYY-MM-DD format, got: ${value}`);
+  }
+  return value.trim();
+}
+
+/**
+ * Checks the fields given to a task or milestone command.
+ *
+ * @param {string[]} args - `key='value'` arguments.
+ * @param {string[]} allowed - Field names the command accepts.
+ * @returns {Object<string, string>} Parsed values keyed by field name.
+ * @throws {UsageError} If a field is unknown or none was given.
+ */
+function parseFields(args, allowed) {
+  const values = parseKeyValueArgs(args);
+  const unknown = Object.keys(values).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown field: ${unknown.join(', ')}. Fields are ${allowed.join(', ')}`);
+  }
+  if (Object.keys(values).length === 0) {
+    throw new UsageError(`No fields given. Fields are ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+/**
+ * Formats a task as a line of the task list.
+ *
+ * @param {object} task - Task record from the memory bank.
+ * @returns {string} The task with its ID, milestone and dates.
+ */
+function formatTask(task) {
+  const details = [
+    task.milestone,
+    task.source ? `from ${task.source}` : null,
+    task.state === 'done' && task.completed ? `completed ${task.completed}` : task.started ? `started ${task.started}` : null
+  ].filter(Boolean);
+  return `${(task.id || '-').padEnd(6)} ${task.title}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+/**
+ * Formats a milestone as a line of the milestone list.
+ *
+ * @param {object} milestone - Milestone from the memory bank, with the progress of its tasks.
+ * @returns {string} The milestone with its progress and dates.
+ */
+function formatMilestone(milestone) {
+  const details = [
+    milestone.percent === null ? null : `${milestone.done}/${milestone.total} tasks done, ${milestone.percent}%`,
+    milestone.target ? `target ${milestone.target}` : null,
+    milestone.reached ? `reached ${milestone.reached}` : null
+  ].filter(Boolean);
+  return `${(milestone.id || '-').padEnd(6)} ${milestone.title}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+/**
+ * Prints a decision with its links and history.
+ *
+ * @param {object} decision - Decision record from the memory bank.
+ */
+function printDecision(decision) {
+  console.log(`${decision.id} ${decision.title}`);
+  console.log(`  Status:        ${decision.status}`);
+  console.log(`  Date:          ${decision.date}`);
+  if (decision.supersedes.length > 0) {
+    console.log(`  Supersedes:    ${decision.supersedes.join(', ')}`);
+  }
+  if (decision.supersededBy) {
+    console.log(`  Superseded by: ${decision.supersededBy}`);
+  }
+  if (decision.commits.length > 0) {
+    console.log(`  Commits:       ${decision.commits.join(', ')}`);
+  }
+  if (decision.files.length > 0) {
+    console.log(`  Files:         ${decision.files.join(', ')}`);
+  }
+  console.log(`\nRationale:\n${decision.rationale}\n\nImplications:\n${decision.implications}`);
+  if (decision.history.length > 0) {
+    console.log('\nHistory:');
+    for (const entry of decision.history) {
+      console.log(`  [${entry.timestamp}] ${entry.change}${entry.reason ? `: ${entry.reason}` : ''}`);
+      if (entry.previous !== undefined) {
+        console.log(`    Previous: ${entry.previous.split('\n').join('\n              ')}`);
+      }
+    }
+  }
+}
+
+/**
+ * Parses `--option value` pairs.
+ *
+ * @param {string[]} args - Arguments after the command name.
+ * @param {string[]} allowed - Option names the command accepts.
+ * @returns {Object<string, string>} Option values keyed by option name.
+ * @throws {UsageError} If an option is unknown or has no value.
+ */
+function parseOptions(args, allowed) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const option = args[i];
+    if (!allowed.includes(option)) {
+      throw new UsageError(`Unknown option: ${option}`);
     }
+    if (i + 1 >= args.length) {
+      throw new UsageError(`Missing value for ${option}`);
+    }
+    options[option] = args[++i];
+  }
+  return options;
+}
+
+/**
+ * Runs the update-memory-bank.js script and resolves with its exit code.
+ *
+ * @returns {Promise<number>} The exit code of the child process.
+ */
+function runAutoUpdate() {
+  return new Promise(resolve => {
+    const updateScript = path.join(__dirname, 'update-memory-bank.js');
+    const child = spawn(process.execPath, [updateScript], { stdio: 'inherit' });
+
+    child.on('error', error => {
+      console.error(`Error running ${updateScript}:`, error.message);
+      resolve(EXIT_FAILURE);
+    });
+
+    child.on('close', code => {
+      // On success the script has already said what it updated, or that nothing changed
+      if (code !== 0) {
+        console.error(`\nError updating memory bank. Exit code: ${code}`);
+      }
+      resolve(code === 0 ? 0 : EXIT_FAILURE);
+    });
   });
-} else if (args[0] === 'help') {
-  // Display help information
+}
+
+/**
+ * Prints the result of handleUMBCommand and converts it to an exit code.
+ *
+ * @param {{success: boolean, message: string}} result - Result from handleUMBCommand.
+ * @returns {number} The exit code.
+ */
+function reportResult(result) {
+  if (result.success) {
+    console.log(result.message);
+    return 0;
+  }
+  console.error(result.message);
+  return EXIT_FAILURE;
+}
+
+/**
+ * Formats minutes the way the memory bank files show time spent.
+ *
+ * @param {number} minutes - Number of minutes.
+ * @returns {string} Time in "Xh Ym" format.
+ */
+function formatMinutes(minutes) {
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Gets the first line of a list section without its list marker.
+ *
+ * @param {string} text - Section content.
+ * @returns {string} The first line.
+ */
+function firstLine(text) {
+  return text.split('\n')[0].replace(/^\s*[-*]\s*/, '');
+}
+
+/**
+ * Creates and initializes a MemoryBank in the current working directory.
+ *
+ * @returns {Promise<object>} The initialized MemoryBank instance.
+ * @throws {Error} If the memory bank cannot be initialized.
+ */
+async function openMemoryBank() {
+  const { MemoryBank } = loadLibrary();
+  const memoryBank = new MemoryBank();
+  if (!await memoryBank.initialize()) {
+    throw new Error('Failed to initialize memory bank.');
+  }
+  return memoryBank;
+}
+
+/**
+ * Subcommands of the UMB tool, keyed by name.
+ * Each command has a usage line, a description, optional details for
+ * per-command help and a `run` function that resolves with an exit code.
+ */
+const commands = {
+  help: {
+    usage: 'umb help [command]',
+    description: 'Show general help or help for a single command',
+    run: async args => {
+      if (args.length > 0) {
+        return printCommandHelp(args[0]);
+      }
+      printHelp();
+      return 0;
+    }
+  },
+
+  init: {
+    usage: 'umb init',
+    description: 'Create the memory bank directories and master files',
+    run: async () => {
+      console.log('Initializing memory bank...');
+      await openMemoryBank();
+      console.log('Memory bank initialized successfully.');
+      return 0;
+    }
+  },
+
+  update: {
+    usage: "umb update <file> <field>='<content>' [<field>='<content>' ...] [--mode replace|append|prepend]",
+    description: 'Update sections of a memory bank file',
+    details: `Files and fields:
+  activeContext   currentFocus, recentChanges, openQuestions
+  productContext  projectOverview, goalsAndObjectives, coreFeatures, architectureOverview
+  systemPatterns  architecturalPatterns, designPatterns, technicalDecisions
+  progress        currentTasks, completedTasks, upcomingTasks, milestones
+
+Progress fields take a list: ['Task 1', 'Task 2'] or '- Task 1\\n- Task 2'.
+Tasks may be given by title or by ID (T-004).
+Milestones may be written as 'Title: description'.
+
+Master files defined in memory-bank.config.json are updated the same way; their
+fields are the section headings, written as threatModel or threat-model.
+
+Options:
+  --mode <mode>  Replace the sections, or append or prepend to them (default: replace).
+                 With a mode, the fields of built-in files are section headings too.
+
+Examples:
+  umb update activeContext currentFocus='Implementing new authentication flow'
+  umb update productContext coreFeatures='- Feature 1\\n- Feature 2'
+  umb update progress completedTasks=['Task 1', 'Task 2']
+  umb update securityNotes openIssues='- Rotate the API keys' --mode append`,
+    run: async args => {
+      let mode;
+      const modeIndex = args.indexOf('--mode');
+      if (modeIndex !== -1) {
+        mode = args[modeIndex + 1];
+        if (!['replace', 'append', 'prepend'].includes(mode)) {
+          throw new UsageError(`--mode must be one of: replace, append, prepend, got: ${mode === undefined ? 'nothing' : mode}`);
+        }
+        args = [...args.slice(0, modeIndex), ...args.slice(modeIndex + 2)];
+      }
+
+      const [file, ...fieldArgs] = args;
+      if (!file) {
+        throw new UsageError('Missing file name');
+      }
+
+      const values = parseKeyValueArgs(fieldArgs);
+      if (Object.keys(values).length === 0) {
+        throw new UsageError(`No fields given for ${file}`);
+      }
+
+      // Known fields of built-in files go through their typed updates; everything else,
+      // and every field when a mode is given, is a plain section update
+      const fields = UPDATE_FIELDS[file];
+      const update = {};
+      const sections = {};
+      for (const [key, value] of Object.entries(values)) {
+        if (mode && fields && fields.array.includes(key)) {
+          sections[key] = { content: parseArrayValue(value).map(item => `- ${item}`).join('\n'), mode };
+        } else if (mode || !fields) {
+          sections[key] = { content: value, mode };
+        } else if (fields.text.includes(key)) {
+          update[key] = value;
+        } else if (fields.array.includes(key)) {
+          const items = parseArrayValue(value);
+          update[key] = key === 'milestones' ? parseMilestones(items) : items;
+        } else {
+          sections[key] = { content: value };
+        }
+      }
+
+      const memoryBank = await openMemoryBank();
+      const updates = {};
+      if (Object.keys(update).length > 0) {
+        updates[file] = update;
+      }
+      if (Object.keys(sections).length > 0) {
+        const masterFiles = memoryBank.getMasterFiles().map(masterFile => masterFile.name);
+        if (!masterFiles.includes(file.replace(/\.md$/, ''))) {
+          throw new UsageError(`Unknown file: ${file}. Master files: ${masterFiles.join(', ')}`);
+        }
+        updates.files = { [file]: sections };
+      }
+      return reportResult(await memoryBank.handleUMBCommand(updates));
+    }
+  },
+
+  add: {
+    usage: "umb add decision title='<title>' rationale='<rationale>' [implications='<implications>'] [status='<status>'] [supersedes='<id>,...'] [commits='<hash>,...'] [files='<path>,...']",
+    description: 'Add a new decision to the decision log',
+    details: `Status is one of ${DECISION_STATUSES.filter(status => status !== 'Superseded').join(', ')} (default: Pending).
+The decisions listed in supersedes are marked Superseded by the new one. Commits and
+files link the decision to the code it concerns; commits whose message mentions the
+decision ID are linked by the git hooks.
+
+Example:
+  umb add decision title='Switch to TypeScript' rationale='Better type safety' implications='Need to refactor existing code' status='Implemented'
+  umb add decision title='Use PostgreSQL' rationale='We need transactions' supersedes='D-002'`,
+    run: async args => {
+      const [kind, ...fieldArgs] = args;
+      if (kind !== 'decision') {
+        throw new UsageError(kind ? `Cannot add '${kind}'. Only 'decision' is supported` : 'Missing item type');
+      }
+
+      const values = parseKeyValueArgs(fieldArgs);
+      const allowed = ['title', 'rationale', 'implications', 'status', 'supersedes', 'commits', 'files'];
+      const unknown = Object.keys(values).filter(key => !allowed.includes(key));
+      if (unknown.length > 0) {
+        throw new UsageError(`Unknown field for decision: ${unknown.join(', ')}`);
+      }
+      if (!values.title || !values.rationale) {
+        throw new UsageError('A decision needs both a title and a rationale');
+      }
+
+      const status = parseDecisionStatus(values.status || 'Pending');
+      const memoryBank = await openMemoryBank();
+      return reportResult(await memoryBank.handleUMBCommand({
+        decision: {
+          title: values.title,
+          rationale: values.rationale,
+          implications: values.implications || '',
+          status,
+          supersedes: splitList(values.supersedes),
+          commits: splitList(values.commits),
+          files: splitList(values.files)
+        }
+      }));
+    }
+  },
+
+  decision: {
+    usage: "umb decision [list|show <id>|update <id> <field>='<value>' ...|export [--dir <dir>]|import [--dir <dir>]]",
+    description: 'List, show and update decisions, and export or import them as ADR files',
+    details: `Commands:
+  list                   List the decisions with their status (default)
+  show <id>              Show a decision with its links and history
+  update <id> <fields>   Change a decision; fields are status, rationale, implications,
+                         reason (why it changed, kept in the history), commits and files
+  export [--dir <dir>]   Write the decisions as ADR files, NNNN-title.md (default: docs/adr)
+  import [--dir <dir>]   Read ADR files into the decision log (default: docs/adr)
+
+Status changes and revisions are kept in the decision's history with their time and
+reason, and a revised rationale or implications keeps the text it replaced. To supersede
+a decision, add the one that replaces it with 'umb add decision ... supersedes=<id>'.
+
+Examples:
+  umb decision update D-004 status=Implemented reason='Shipped in 1.2' commits=3f2a1c9
+  umb decision show D-004
+  umb decision export`,
+    run: async args => {
+      const [action = 'list', ...rest] = args;
+
+      if (action === 'export' || action === 'import') {
+        const options = parseOptions(rest, ['--dir']);
+        const dir = path.resolve(options['--dir'] || path.join('docs', 'adr'));
+        const memoryBank = await openMemoryBank();
+        if (action === 'export') {
+          const written = await memoryBank.exportDecisions(dir);
+          if (!written) {
+            console.error('Failed to export the decisions.');
+            return EXIT_FAILURE;
+          }
+          console.log(written.length > 0
+            ? `Wrote ${written.map(file => path.relative(process.cwd(), file)).join(', ')}`
+            : `The ADRs in ${path.relative(process.cwd(), dir) || '.'} are up to date.`);
+          return 0;
+        }
+
+        const result = await memoryBank.importDecisions(dir);
+        if (!result) {
+          console.error('Failed to import the decisions.');
+          return EXIT_FAILURE;
+        }
+        await memoryBank.createSnapshot(`Imported decisions from ${path.relative(process.cwd(), dir) || '.'}`);
+        console.log(`Added ${result.added.length} decision(s)${result.added.length > 0 ? ` (${result.added.join(', ')})` : ''}, ` +
+          `updated ${result.updated.length}${result.updated.length > 0 ? ` (${result.updated.join(', ')})` : ''}.`);
+        return 0;
+      }
+
+      if (action === 'list') {
+        if (rest.length > 0) {
+          throw new UsageError(`Unexpected argument: ${rest[0]}`);
+        }
+        const memoryBank = await openMemoryBank();
+        const decisions = await memoryBank.listDecisions();
+        if (decisions.length === 0) {
+          console.log('No decisions recorded.');
+          return 0;
+        }
+        for (const decision of decisions) {
+          const relation = decision.supersededBy ? ` (superseded by ${decision.supersededBy})` : '';
+          console.log(`${(decision.id || '-').padEnd(6)} ${decision.status.padEnd(11)} ${decision.title}${relation}`);
+        }
+        return 0;
+      }
+
+      const [id, ...fieldArgs] = rest;
+      if (action !== 'show' && action !== 'update') {
+        throw new UsageError(`Unknown decision command: ${action}`);
+      }
+      if (!id) {
+        throw new UsageError('Missing decision ID');
+      }
+
+      if (action === 'show') {
+        if (fieldArgs.length > 0) {
+          throw new UsageError(`Unexpected argument: ${fieldArgs[0]}`);
+        }
+        const memoryBank = await openMemoryBank();
+        const decision = await memoryBank.getDecision(id);
+        if (!decision) {
+          console.error(`Decision ${id} does not exist.`);
+          return EXIT_FAILURE;
+        }
+        printDecision(decision);
+        return 0;
+      }
+
+      const values = parseKeyValueArgs(fieldArgs);
+      const allowed = ['status', 'rationale', 'implications', 'reason', 'commits', 'files'];
+      const unknown = Object.keys(values).filter(key => !allowed.includes(key));
+      if (unknown.length > 0) {
+        throw new UsageError(`Unknown field for decision: ${unknown.join(', ')}`);
+      }
+      if (Object.keys(values).filter(key => key !== 'reason').length === 0) {
+        throw new UsageError('Nothing to update. Give status, rationale, implications, commits or files');
+      }
+
+      const memoryBank = await openMemoryBank();
+      const decision = await memoryBank.updateDecision(id, {
+        status: values.status ? parseDecisionStatus(values.status) : undefined,
+        rationale: values.rationale,
+        implications: values.implications,
+        reason: values.reason,
+        commits: splitList(values.commits),
+        files: splitList(values.files)
+      });
+      if (!decision) {
+        console.error(`Failed to update decision ${id}.`);
+        return EXIT_FAILURE;
+      }
+      await memoryBank.createSnapshot(`Updated decision ${decision.id}`);
+      console.log(`Updated decision ${decision.id}; its status is ${decision.status}.`);
+      return 0;
+    }
+  },
+
+  task: {
+    usage: "umb task [list|add <field>='<value>' ...|start <id>|done <id>|update <id> <field>='<value>' ...|sync [--issues <file>]]",
+    description: 'List, add and move tasks, and import them from TODO comments and issues',
+    details: `Commands:
+  list                    List the tasks by state and the milestones with their progress (default)
+  add <fields>            Add a task; fields are title, state and milestone
+  start <id>              Move a task to the current tasks
+  done <id>               Mark a task as done today
+  update <id> <fields>    Change a task; fields are title, state and milestone
+  sync [--issues <file>]  Import TODO and FIXME comments from the tracked files, and the
+                          issues in a JSON file (default: the issuesFile setting)
+
+States are ${TASK_STATES.join(', ')}. A task keeps the date it was started, and the
+date it was done until it is reopened. A milestone is given by its ID or title.
+
+FIXME comments become current tasks and TODO comments upcoming ones; once the comment
+is gone, its task is done. The issues file is a JSON list of issues with a number (or
+id), title, state and milestone, e.g. from 'gh issue list --state all --json
+number,title,state,closedAt,milestone'.
+
+Examples:
+  umb task add title='Add login form' milestone=M-001
+  umb task start T-004
+  umb task done T-004
+  umb task sync --issues issues.json`,
+    run: async args => {
+      const [action = 'list', ...rest] = args;
+
+      if (action === 'list') {
+        if (rest.length > 0) {
+          throw new UsageError(`Unexpected argument: ${rest[0]}`);
+        }
+        const { formatProgressSummary } = loadLibrary();
+        const memoryBank = await openMemoryBank();
+        const { tasks, milestones } = await memoryBank.getProgress();
+        for (const [state, heading] of [['current', 'Current'], ['upcoming', 'Upcoming'], ['done', 'Done']]) {
+          const list = tasks.filter(task => task.state === state);
+          if (list.length > 0) {
+            console.log(`${heading}:\n${list.map(task => `  ${formatTask(task)}`).join('\n')}\n`);
+          }
+        }
+        if (milestones.length > 0) {
+          console.log(`Milestones:\n${milestones.map(milestone => `  ${formatMilestone(milestone)}`).join('\n')}\n`);
+        }
+        console.log(formatProgressSummary(tasks, milestones, memoryBank.getDateString()).join('\n'));
+        return 0;
+      }
+
+      if (action === 'sync') {
+        const options = parseOptions(rest, ['--issues']);
+        const memoryBank = await openMemoryBank();
+        const result = await memoryBank.syncTasks({ issuesFile: options['--issues'] });
+        if (!result) {
+          console.error('Failed to sync the tasks.');
+          return EXIT_FAILURE;
+        }
+        await memoryBank.createSnapshot('Synced tasks');
+        const describe = (verb, ids) => `${verb} ${ids.length}${ids.length > 0 ? ` (${ids.join(', ')})` : ''}`;
+        console.log(`Synced tasks: ${describe('added', result.added)}, ${describe('started', result.started)}, ` +
+          `${describe('completed', result.completed)}, ${describe('reopened', result.reopened)}.`);
+        return 0;
+      }
+
+      if (action === 'add') {
+        const values = parseFields(rest, ['title', 'state', 'milestone']);
+        if (!values.title) {
+          throw new UsageError('A task needs a title');
+        }
+        const memoryBank = await openMemoryBank();
+        const id = await memoryBank.addTask({
+          title: values.title,
+          state: values.state ? parseTaskState(values.state) : undefined,
+          milestone: values.milestone
+        });
+        if (!id) {
+          console.error('Failed to add the task.');
+          return EXIT_FAILURE;
+        }
+        await memoryBank.createSnapshot(`Added task ${id}`);
+        console.log(`Added task ${id}.`);
+        return 0;
+      }
+
+      const [id, ...fieldArgs] = rest;
+      if (!['start', 'done', 'update'].includes(action)) {
+        throw new UsageError(`Unknown task command: ${action}`);
+      }
+      if (!id) {
+        throw new UsageError('Missing task ID');
+      }
+
+      let update;
+      if (action === 'update') {
+        const values = parseFields(fieldArgs, ['title', 'state', 'milestone']);
+        update = {
+          title: values.title,
+          state: values.state ? parseTaskState(values.state) : undefined,
+          // An empty milestone unlinks the task
+          milestone: values.milestone === undefined ? undefined : values.milestone || null
+        };
+      } else if (fieldArgs.length > 0) {
+        throw new UsageError(`Unexpected argument: ${fieldArgs[0]}`);
+      } else {
+        update = { state: action === 'start' ? 'current' : 'done' };
+      }
+
+      const memoryBank = await openMemoryBank();
+      const task = await memoryBank.updateTask(id, update);
+      if (!task) {
+        console.error(`Failed to update task ${id}.`);
+        return EXIT_FAILURE;
+      }
+      await memoryBank.createSnapshot(`Updated task ${task.id}`);
+      console.log(`Updated task: ${formatTask(task)} [${task.state}]`);
+      return 0;
+    }
+  },
+
+  milestone: {
+    usage: "umb milestone [list|add <field>='<value>' ...]",
+    description: 'List milestones with the progress of their tasks, and add milestones',
+    details: `Commands:
+  list          List the milestones with the share of their tasks that is done (default)
+  add <fields>  Add a milestone; fields are title, description and target (YYYY-MM-DD).
+                Adding a milestone with the title of an existing one updates it.
+
+A milestone with a target date is planned, and reached when the last of its tasks is
+done; link tasks to it with 'umb task add ... milestone=<id>'. Without a target date,
+it is recorded as reached today.
+
+Examples:
+  umb milestone add title='Beta release' target=2026-11-01 description='Feature complete'
+  umb milestone`,
+    run: async args => {
+      const [action = 'list', ...rest] = args;
+
+      if (action === 'list') {
+        if (rest.length > 0) {
+          throw new UsageError(`Unexpected argument: ${rest[0]}`);
+        }
+        const memoryBank = await openMemoryBank();
+        const { milestones } = await memoryBank.getProgress();
+        console.log(milestones.length > 0 ? milestones.map(milestone => formatMilestone(milestone)).join('\n') : 'No milestones recorded.');
+        return 0;
+      }
+
+      if (action !== 'add') {
+        throw new UsageError(`Unknown milestone command: ${action}`);
+      }
+      const values = parseFields(rest, ['title', 'description', 'target']);
+      if (!values.title) {
+        throw new UsageError('A milestone needs a title');
+      }
+      const memoryBank = await openMemoryBank();
+      const id = await memoryBank.addMilestone({
+        title: values.title,
+        description: values.description,
+        target: values.target ? parseDate(values.target, 'target') : undefined
+      });
+      if (!id) {
+        console.error('Failed to add the milestone.');
+        return EXIT_FAILURE;
+      }
+      await memoryBank.createSnapshot(`Saved milestone ${id}`);
+      console.log(`Saved milestone ${id}.`);
+      return 0;
+    }
+  },
+
+  archive: {
+    usage: 'umb archive',
+    description: 'Move daily and session files older than the archive threshold into the archive',
+    run: async () => {
+      const memoryBank = await openMemoryBank();
+      if (!await memoryBank.archiveOldFiles()) {
+        console.error('Failed to archive old files.');
+        return EXIT_FAILURE;
+      }
+      console.log('Old files archived successfully.');
+      return 0;
+    }
+  },
+
+  hooks: {
+    usage: 'umb hooks <install|uninstall|status>',
+    description: 'Install or remove the git hooks that record commits, merges and checkouts',
+    details: `Commands:
+  install    Install post-commit, post-merge and post-checkout hooks
+  uninstall  Remove the hooks and restore the hooks they replaced
+  status     Show where the hooks are installed
+
+The hooks add commits (with their line counts), merges and branch switches to today's
+daily file, tagged with the branch. They run in the background and never block or fail
+a git command. Existing hooks keep running: they are renamed to <hook>.pre-memory-bank
+and run first, or in a husky project the memory bank part is appended to .husky/<hook>.
+core.hooksPath is honored.
+
+The hooks call 'umb hooks run <hook> [args]'; you shouldn't need to run it yourself.`,
+    run: async args => {
+      const [action, ...rest] = args;
+      const { GitHooks, GIT_HOOKS } = loadLibrary();
+      const gitHooks = new GitHooks();
+
+      if (action === 'run') {
+        const [hook, ...hookArgs] = rest;
+        if (!GIT_HOOKS.includes(hook)) {
+          throw new UsageError(`Unknown hook: ${hook === undefined ? 'nothing' : hook}. Expected one of: ${GIT_HOOKS.join(', ')}`);
+        }
+        return await gitHooks.record(hook, hookArgs) ? 0 : EXIT_FAILURE;
+      }
+
+      if (rest.length > 0) {
+        throw new UsageError(`Unexpected argument: ${rest[0]}`);
+      }
+      if (action === 'install') {
+        return reportResult(await gitHooks.install());
+      }
+      if (action === 'uninstall') {
+        return reportResult(await gitHooks.uninstall());
+      }
+      if (action === 'status') {
+        const status = await gitHooks.getStatus();
+        if (status.disabled) {
+          console.log(`Git hooks are disabled: core.hooksPath is ${status.hooksDir}, which isn't a directory.`);
+          return 0;
+        }
+        console.log(`Hooks directory: ${status.hooksDir}${status.husky ? ' (husky)' : ''}`);
+        for (const hook of status.hooks) {
+          const state = hook.installed ? (hook.chained ? 'installed, runs the previous hook first' : 'installed') : 'not installed';
+          console.log(`  ${hook.name}: ${state}`);
+        }
+        return 0;
+      }
+      throw new UsageError(action ? `Unknown hooks command: ${action}` : 'Missing hooks command');
+    }
+  },
+
+  branch: {
+    usage: 'umb branch [status|list|merge <branch>]',
+    description: 'Show or merge the memory of git branches',
+    details: `Commands:
+  status          Show which files the current branch uses (default)
+  list            List the branches that have their own files
+  merge <branch>  Fold a branch's decisions and completed tasks into the current branch
+
+With "branchAware": true in the configuration, every branch other than the main branch
+keeps its own active context, progress and decision log in branches/<branch>/, so
+focus and open questions don't carry over between branches. On the main branch,
+merged branches are folded into the master files by the post-merge hook (see
+'umb hooks'); use 'umb branch merge' after a squash merge or without the hooks.
+Merged branch files are moved to archive/branches/.`,
+    run: async args => {
+      const [action = 'status', ...rest] = args;
+      const memoryBank = await openMemoryBank();
+
+      if (action === 'merge') {
+        if (rest.length !== 1) {
+          throw new UsageError(rest.length === 0 ? 'Missing branch name' : `Unexpected argument: ${rest[1]}`);
+        }
+        return reportResult(await memoryBank.mergeBranch(rest[0]));
+      }
+
+      if (rest.length > 0) {
+        throw new UsageError(`Unexpected argument: ${rest[0]}`);
+      }
+      if (action === 'status') {
+        if (!memoryBank.isBranchAware()) {
+          console.log('Branch-aware memory is off; every branch uses the master files.');
+          return 0;
+        }
+        const branch = memoryBank.getBranch();
+        const activeContext = path.relative(memoryBank.getBaseDir(), memoryBank.getFilePath('activeContext'));
+        console.log(branch ? `Branch ${branch} uses ${path.dirname(activeContext)}/` : 'The main branch uses the master files.');
+        return 0;
+      }
+      if (action === 'list') {
+        const branches = await memoryBank.listBranches();
+        if (branches.length === 0) {
+          console.log('No branch has its own files.');
+          return 0;
+        }
+        for (const branch of branches) {
+          console.log(`${branch.name}${branch.merged ? ' (merged)' : ''}`);
+        }
+        return 0;
+      }
+      throw new UsageError(`Unknown branch command: ${action}`);
+    }
+  },
+
+  session: {
+    usage: 'umb session [status|start [focus]|end [summary]|pause|resume|list [--archive]]',
+    description: 'Start, pause, resume and end development sessions',
+    details: `Commands:
+  status           Show the open session (default)
+  start [focus]    Start a session, ending the one that is open; the focus defaults to
+                   the current focus of the active context
+  end [summary]    End the open session and summarize it
+  pause            Pause the open session; the break doesn't count as working time
+  resume           Resume a paused session
+  list [--archive] List the sessions, including archived ones with --archive
+
+'umb update' and the other commands that write to the memory bank continue the open
+session, or start one when there is none. A session that sees no activity for longer
+than the session timeout is closed at its last activity the next time one is started,
+continued or listed. Ending a session writes its final statistics and a summary of the
+changes recorded, commits made and time spent.`,
+    run: async args => {
+      const [action = 'status', ...rest] = args;
+      const memoryBank = await openMemoryBank();
+
+      if (action === 'start' || action === 'end') {
+        const text = rest.join(' ').trim();
+        if (action === 'start') {
+          const session = await memoryBank.startSession(text ? { focus: text } : {});
+          if (!session) {
+            console.error('Failed to start a session.');
+            return EXIT_FAILURE;
+          }
+          console.log(`Started session ${session.id}${session.focus ? `: ${firstLine(session.focus)}` : ''}`);
+          return 0;
+        }
+
+        if (!await memoryBank.getCurrentSession()) {
+          console.error('No session is open.');
+          return EXIT_FAILURE;
+        }
+        const session = await memoryBank.endSession({ summary: text });
+        if (!session) {
+          console.error('Failed to end the session.');
+          return EXIT_FAILURE;
+        }
+        console.log(`Ended session ${session.id} after ${formatMinutes(session.minutes)}.\n\n${session.summary}`);
+        return 0;
+      }
+
+      if (action === 'list') {
+        const unknown = rest.filter(arg => arg !== '--archive');
+        if (unknown.length > 0) {
+          throw new UsageError(`Unexpected argument: ${unknown[0]}`);
+        }
+        const sessions = await memoryBank.listSessions({ includeArchive: rest.includes('--archive') });
+        if (sessions.length === 0) {
+          console.log('No sessions yet.');
+          return 0;
+        }
+        for (const session of sessions) {
+          const end = session.endTime ? `to ${session.endTime}` : `(${session.status})`;
+          console.log(`${session.startTime} ${end}  ${formatMinutes(session.minutes)}${session.focus ? `  ${firstLine(session.focus)}` : ''}`);
+        }
+        return 0;
+      }
+
+      if (rest.length > 0) {
+        throw new UsageError(`Unexpected argument: ${rest[0]}`);
+      }
+      if (action === 'status') {
+        const session = await memoryBank.getCurrentSession();
+        if (!session) {
+          console.log("No session is open. Start one with 'umb session start'.");
+          return 0;
+        }
+        console.log(`Session ${session.id} (${session.status})`);
+        console.log(`  Started:       ${session.startTime}`);
+        console.log(`  Last activity: ${session.lastActivity}`);
+        console.log(`  Time spent:    ${formatMinutes(session.minutes)}`);
+        if (session.focus) {
+          console.log(`  Focus:         ${firstLine(session.focus)}`);
+        }
+        return 0;
+      }
+      if (action === 'pause' || action === 'resume') {
+        const current = await memoryBank.getCurrentSession();
+        const expected = action === 'pause' ? 'active' : 'paused';
+        if (!current || current.status !== expected) {
+          console.error(current ? `The session is already ${current.status}.` : 'No session is open.');
+          return EXIT_FAILURE;
+        }
+        const session = action === 'pause' ? await memoryBank.pauseSession() : await memoryBank.resumeSession();
+        if (!session) {
+          console.error(`Failed to ${action} the session.`);
+          return EXIT_FAILURE;
+        }
+        console.log(`${action === 'pause' ? 'Paused' : 'Resumed'} session ${session.id}.`);
+        return 0;
+      }
+      throw new UsageError(`Unknown session command: ${action}`);
+    }
+  },
+
+  reconstruct: {
+    usage: 'umb reconstruct [days]',
+    description: 'Rebuild the memory bank from git history (default: 30 days)',
+    run: async args => {
+      const days = args.length > 0 ? Number(args[0]) : 30;
+      if (!Number.isInteger(days) || days <= 0) {
+        throw new UsageError(`Days must be a positive whole number, got: ${args[0]}`);
+      }
+
+      // Don't initialize first: missing master files are restored from the archive
+      const { MemoryBank } = loadLibrary();
+      const memoryBank = new MemoryBank();
+      if (!await memoryBank.reconstructMemoryBank(days)) {
+        console.error('Failed to reconstruct memory bank.');
+        return EXIT_FAILURE;
+      }
+      console.log(`Memory bank reconstructed from the last ${days} days of history.`);
+      return 0;
+    }
+  },
+
+  doctor: {
+    usage: 'umb doctor [--fix]',
+    description: 'Check the memory bank files for problems, and repair them with --fix',
+    details: `Checks every master, daily and session file for:
+
+  - duplicate sections, e.g. added by an update after a heading was edited by hand
+  - missing sections and titles
+  - timestamps that aren't in YYYY-MM-DD HH:MM:SS format
+  - sessions that were left open
+  - an activeContext.md that is out of date with the daily files
+
+With --fix, the problems that can be repaired are repaired and a diff of every
+changed file is printed. Exits with 1 if errors remain.`,
+    run: async args => {
+      const fix = args.includes('--fix');
+      const unknown = args.filter(arg => arg !== '--fix');
+      if (unknown.length > 0) {
+        throw new UsageError(`Unknown option: ${unknown[0]}`);
+      }
+
+      // Don't initialize first: that would repair missing master files before they're reported
+      const { MemoryBank } = loadLibrary();
+      const memoryBank = new MemoryBank();
+      const report = await memoryBank.validate({ fix });
+      if (!report) {
+        console.error('Failed to check the memory bank.');
+        return EXIT_FAILURE;
+      }
+
+      if (report.problems.length === 0) {
+        console.log('No problems found.');
+        return 0;
+      }
+      for (const problem of report.problems) {
+        const fixable = problem.fixable && !fix ? ' (fixable)' : '';
+        console.log(`${problem.severity === 'error' ? 'error  ' : 'warning'} ${problem.file}: ${problem.message}${fixable}`);
+      }
+
+      if (fix) {
+        for (const change of report.changes) {
+          console.log(`\n${change.diff}`);
+        }
+        const fixed = report.problems.length - report.remaining.length;
+        console.log(`\nFixed ${fixed} problem(s); ${report.remaining.length} remain.`);
+        for (const problem of report.remaining) {
+          console.log(`  ${problem.file}: ${problem.message}`);
+        }
+      } else if (report.problems.some(problem => problem.fixable)) {
+        console.log('\nRun umb doctor --fix to repair the fixable problems.');
+      }
+      return report.remaining.some(problem => problem.severity === 'error') ? EXIT_FAILURE : 0;
+    }
+  },
+
+  history: {
+    usage: 'umb history [--limit <n>] [--json]',
+    description: 'List the snapshots of the master files, newest first',
+    details: `Every update through umb or the MCP server records a snapshot of the master
+files in memory-bank/.snapshots. A file's content is stored once however many
+snapshots contain it, so the history stays small.
+
+Options:
+  --limit <n>  Only the n most recent snapshots
+  --json       Print the snapshots as JSON
+
+Use a snapshot ID (or its first few characters) or a date with umb show,
+umb diff and umb restore.`,
+    run: async args => {
+      let limit = Infinity;
+      let json = false;
+      for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--json') {
+          json = true;
+        } else if (args[i] === '--limit') {
+          if (i + 1 >= args.length) {
+            throw new UsageError('Missing value for --limit');
+          }
+          limit = Number(args[++i]);
+          if (!Number.isInteger(limit) || limit <= 0) {
+            throw new UsageError(`--limit must be a positive whole number, got: ${args[i]}`);
+          }
+        } else {
+          throw new UsageError(`Unknown option: ${args[i]}`);
+        }
+      }
+
+      const { MemoryBank, SHORT_ID_LENGTH } = loadLibrary();
+      const snapshots = (await new MemoryBank().listSnapshots()).reverse().slice(0, limit);
+      if (json) {
+        console.log(JSON.stringify(snapshots, null, 2));
+        return 0;
+      }
+      if (snapshots.length === 0) {
+        console.log('No snapshots recorded yet.');
+        return 0;
+      }
+      for (const snapshot of snapshots) {
+        console.log(`${snapshot.id.slice(0, SHORT_ID_LENGTH)}  ${snapshot.timestamp}  ${snapshot.message}`);
+      }
+      return 0;
+    }
+  },
+
+  show: {
+    usage: 'umb show <snapshot|date> [file]',
+    description: 'Print the master files as they were in a snapshot',
+    details: `A snapshot is given by its ID (or a unique prefix of at least four characters)
+or by a date, YYYY-MM-DD with an optional HH:MM[:SS] time, which picks the
+latest snapshot at or before it. A date alone means the end of that day.
+Timestamps are in UTC, like the rest of the memory bank.
+
+With a file name (e.g. activeContext), only that file is printed.
+
+Examples:
+  umb show 3f2a9c
+  umb show 2024-05-14 activeContext`,
+    run: async args => {
+      if (args.length === 0 || args.length > 2) {
+        throw new UsageError(args.length === 0 ? 'Missing snapshot' : `Unexpected argument: ${args[2]}`);
+      }
+
+      const { MemoryBank, SHORT_ID_LENGTH } = loadLibrary();
+      const result = await new MemoryBank().getSnapshot(args[0]);
+      if (!result) {
+        console.error(`No snapshot matches ${args[0]}.`);
+        return EXIT_FAILURE;
+      }
+
+      if (args.length === 2) {
+        const name = args[1].endsWith('.md') ? args[1] : `${args[1]}.md`;
+        const file = name in result.files ? name : Object.keys(result.files).find(key => path.posix.basename(key) === name);
+        if (!file) {
+          console.error(`${name} is not in snapshot ${result.snapshot.id.slice(0, SHORT_ID_LENGTH)}.`);
+          return EXIT_FAILURE;
+        }
+        process.stdout.write(result.files[file]);
+        return 0;
+      }
+
+      const { snapshot, files } = result;
+      console.log(`Snapshot ${snapshot.id.slice(0, SHORT_ID_LENGTH)} (${snapshot.timestamp}): ${snapshot.message}`);
+      for (const [file, content] of Object.entries(files)) {
+        console.log(`\n==> ${file} <==\n${content.replace(/\n+$/, '')}`);
+      }
+      return 0;
+    }
+  },
+
+  diff: {
+    usage: 'umb diff <snapshot|date> [<snapshot|date>]',
+    description: 'Show which sections of the master files changed between two snapshots',
+    details: `Compares the first snapshot with the second one, or with the current files if
+only one is given. Snapshots are given as for umb show.
+
+Each changed file lists its sections marked + (added), - (removed) or
+~ (changed), followed by the lines that changed.
+
+Examples:
+  umb diff 2024-05-07 2024-05-14
+  umb diff 3f2a9c`,
+    run: async args => {
+      if (args.length === 0 || args.length > 2) {
+        throw new UsageError(args.length === 0 ? 'Missing snapshot' : `Unexpected argument: ${args[2]}`);
+      }
+
+      const { MemoryBank, formatSnapshotDiff } = loadLibrary();
+      const diffs = await new MemoryBank().diffSnapshots(args[0], args[1]);
+      if (!diffs) {
+        console.error(`No snapshot matches ${args.join(' or ')}.`);
+        return EXIT_FAILURE;
+      }
+      console.log(diffs.length > 0 ? formatSnapshotDiff(diffs) : 'No differences.');
+      return 0;
+    }
+  },
+
+  restore: {
+    usage: 'umb restore <snapshot|date>',
+    description: 'Restore the master files of a snapshot',
+    details: `The current master files are recorded as a snapshot first, so a restore can
+be undone by restoring that snapshot. Snapshots are given as for umb show.
+Master files that didn't exist yet when the snapshot was taken are left as
+they are.`,
+    run: async args => {
+      if (args.length !== 1) {
+        throw new UsageError(args.length === 0 ? 'Missing snapshot' : `Unexpected argument: ${args[1]}`);
+      }
+
+      const { MemoryBank } = loadLibrary();
+      return reportResult(await new MemoryBank().restoreSnapshot(args[0]));
+    }
+  },
+
+  'roo-setup': {
+    usage: 'umb roo-setup [workspace-path]',
+    description: 'Set up the Roo-Code integration for a workspace',
+    run: async args => {
+      const { RooIntegration } = loadLibrary();
+      const workspaceDir = path.resolve(args[0] || process.cwd());
+      // Directories come from the workspace's configuration (default: memory-bank and .roo/rules)
+      const integration = new RooIntegration({ workspaceDir });
+
+      if (!await integration.initialize()) {
+        console.error('Failed to set up Roo-Code integration.');
+        return EXIT_FAILURE;
+      }
+      console.log(`Roo-Code integration set up in ${workspaceDir}`);
+      return 0;
+    }
+  },
+
+  'roo-sync': {
+    usage: 'umb roo-sync [--max-tokens <n>] [--max-chars <n>]',
+    description: 'Regenerate the Roo-Code rules from the memory bank',
+    details: `Options:
+  --max-tokens <n>  Fit all generated rules into about n tokens
+  --max-chars <n>   Fit all generated rules into n characters
+
+When the rules are over budget, older entries are dropped first (completed tasks,
+session history, recent changes); current focus, open questions, recent decisions
+and active tasks are kept longest.`,
+    run: async args => {
+      const options = parseOptions(args, ['--max-tokens', '--max-chars']);
+      const contextBudget = {};
+      for (const [option, key] of [['--max-tokens', 'maxTokens'], ['--max-chars', 'maxCharacters']]) {
+        if (options[option] === undefined) {
+          continue;
+        }
+        const value = Number(options[option]);
+        if (!Number.isInteger(value) || value <= 0) {
+          throw new UsageError(`${option} must be a positive whole number, got: ${options[option]}`);
+        }
+        contextBudget[key] = value;
+      }
+
+      const { RooIntegration } = loadLibrary();
+      const integration = new RooIntegration({ contextBudget });
+      if (!await integration.syncMemoryBankToRoo()) {
+        console.error('Failed to sync memory bank to Roo-Code rules.');
+        return EXIT_FAILURE;
+      }
+
+      const report = integration.getLastPackingReport();
+      console.log('Roo-Code rules synced with the memory bank.');
+      if (report) {
+        console.log(`Rules size: ${report.totalCharacters} characters (~${report.estimatedTokens} tokens)`);
+      }
+      return report && report.overBudget ? EXIT_FAILURE : 0;
+    }
+  },
+
+  export: {
+    usage: 'umb export [--to <assistant>]... [--list]',
+    description: 'Export the memory bank rules to Roo, Cursor, Cline, Copilot or AGENTS.md',
+    details: `Options:
+  --to <assistant>  Export to this assistant (repeatable): roo, cursor, cline,
+                    copilot or agents
+  --list            Show the assistants and which ones the workspace uses
+
+Without --to, the rules go to the assistants listed in "exporters" in the
+configuration, or else to every assistant whose files are in the workspace:
+
+  roo      .roo/ or .roorules         One rule per master file in .roo/rules/
+  cursor   .cursor/ or .cursorrules   One .mdc rule per master file in .cursor/rules/
+  cline    .clinerules                One rule per file in .clinerules/, or a block in
+                                      the .clinerules file
+  copilot  .github/copilot-instructions.md or .github/instructions/
+                                      A block in .github/copilot-instructions.md,
+                                      trimmed to 4,000 characters
+  agents   AGENTS.md                  A block in AGENTS.md, trimmed to 32 KiB
+
+Blocks are marked with <!-- memory-bank:start --> and <!-- memory-bank:end -->;
+the rest of the file is left alone. Exits with 1 if an export fails or the rules
+don't fit an assistant's budget.`,
+    run: async args => {
+      const names = [];
+      let list = false;
+      for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--list') {
+          list = true;
+        } else if (args[i] === '--to') {
+          if (i + 1 >= args.length) {
+            throw new UsageError('Missing value for --to');
+          }
+          names.push(args[++i]);
+        } else {
+          throw new UsageError(`Unknown option: ${args[i]}`);
+        }
+      }
+
+      const { AssistantRules } = loadLibrary();
+      const assistantRules = new AssistantRules();
+      const exporters = assistantRules.getExporters();
+      const unknown = names.filter(name => !exporters.some(exporter => exporter.name === name));
+      if (unknown.length > 0) {
+        throw new UsageError(`Unknown assistant: ${unknown[0]}. Expected one of: ${exporters.map(exporter => exporter.name).join(', ')}`);
+      }
+
+      if (list) {
+        const detected = (await assistantRules.detect()).map(exporter => exporter.name);
+        const width = Math.max(...exporters.map(exporter => exporter.name.length));
+        for (const exporter of exporters) {
+          console.log(`  ${exporter.name.padEnd(width)}  ${detected.includes(exporter.name) ? 'detected    ' : 'not detected'}  ${exporter.target}`);
+        }
+        return 0;
+      }
+
+      const results = await assistantRules.export(names);
+      if (results.length === 0) {
+        console.error('No assistant detected in this workspace. Use --to <assistant> or set "exporters" in the configuration.');
+        return EXIT_FAILURE;
+      }
+
+      let exitCode = 0;
+      for (const result of results) {
+        if (!result.success) {
+          console.error(`${result.exporter}: ${result.message}`);
+          exitCode = EXIT_FAILURE;
+          continue;
+        }
+        console.log(`${result.exporter}: ${result.message} (${result.report.totalCharacters} characters, ~${result.report.estimatedTokens} tokens)`);
+        if (result.report.overBudget) {
+          exitCode = EXIT_FAILURE;
+        }
+      }
+      return exitCode;
+    }
+  },
+
+  config: {
+    usage: 'umb config [--json]',
+    description: 'Check the project configuration and show the effective settings',
+    details: `Settings are read from memory-bank.config.json, or from the "memoryBank" key in
+package.json if there is no such file. These environment variables override them:
+
+  MEMORY_BANK_CONFIG                  Configuration file to use instead
+  MEMORY_BANK_DIR                     memoryBankDir
+  MEMORY_BANK_SESSION_TIMEOUT_HOURS   sessionTimeoutHours
+  MEMORY_BANK_ARCHIVE_THRESHOLD_DAYS  archiveThresholdDays
+  MEMORY_BANK_COMPRESS_AFTER_DAYS     compressAfterDays
+  MEMORY_BANK_HOURLY_RATE             developerHourlyRate
+  MEMORY_BANK_MAX_RECENT_CHANGES      maxRecentChanges
+  MEMORY_BANK_LOCK_TIMEOUT_MS         lockTimeoutMs
+  MEMORY_BANK_BRANCH_AWARE            branchAware
+  MEMORY_BANK_ROO_RULES_DIR           rooRulesDir
+  MEMORY_BANK_MAX_TOKENS              contextBudget.maxTokens
+
+Exits with 1 and lists every problem if the configuration is invalid.`,
+    run: async args => {
+      const json = args.includes('--json');
+      const unknown = args.filter(arg => arg !== '--json');
+      if (unknown.length > 0) {
+        throw new UsageError(`Unknown option: ${unknown[0]}`);
+      }
+
+      const { loadConfig } = loadLibrary();
+      const { source, config } = loadConfig();
+      if (json) {
+        console.log(JSON.stringify({ source, config }, null, 2));
+        return 0;
+      }
+
+      console.log(source ? `Configuration: ${source}` : 'No configuration file found; using defaults.');
+      const entries = Object.entries(config);
+      if (entries.length === 0) {
+        return 0;
+      }
+      console.log('');
+      for (const [key, value] of entries) {
+        console.log(`  ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+      }
+      return 0;
+    }
+  },
+
+  search: {
+    usage: 'umb search <query> [--from <date>] [--to <date>] [--file <name>]... [--tag <tag>]... [--limit <n>] [--json]',
+    description: 'Search the memory bank, including daily, session and archived files',
+    details: `Options:
+  --from <date>    Only entries dated on or after YYYY-MM-DD
+  --to <date>      Only entries dated on or before YYYY-MM-DD
+  --file <name>    Only this file or directory, e.g. decisionLog or daily (repeatable)
+  --tag <tag>      Only entries tagged #tag (repeatable)
+  --limit <n>      Maximum number of results (default: 20)
+  --json           Print the results as JSON
+
+Every word in the query must match. Use "quotes" for exact phrases and #tag to
+filter by tag. Add #tags to any entry in the memory bank to make it easy to find.
+
+Examples:
+  umb search jwt auth
+  umb search '"use postgres"' --file decisionLog
+  umb search '#security' --from 2024-01-01`,
+    run: async args => {
+      const words = [];
+      const options = { files: [], tags: [] };
+      let json = false;
+
+      for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--json') {
+          json = true;
+          continue;
+        }
+        if (!arg.startsWith('--')) {
+          words.push(arg);
+          continue;
+        }
+        if (!['--from', '--to', '--file', '--tag', '--limit'].includes(arg)) {
+          throw new UsageError(`Unknown option: ${arg}`);
+        }
+        if (i + 1 >= args.length) {
+          throw new UsageError(`Missing value for ${arg}`);
+        }
+
+        const value = args[++i];
+        if (arg === '--from' || arg === '--to') {
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            throw new UsageError(`${arg} must be a date in YYYY-MM-DD format, got: ${value}`);
+          }
+          options[arg.slice(2)] = value;
+        } else if (arg === '--file') {
+          options.files.push(value);
+        } else if (arg === '--tag') {
+          options.tags.push(value);
+        } else {
+          options.limit = Number(value);
+          if (!Number.isInteger(options.limit) || options.limit <= 0) {
+            throw new UsageError(`--limit must be a positive whole number, got: ${value}`);
+          }
+        }
+      }
+
+      const query = words.join(' ');
+      if (!query.trim() && options.tags.length === 0) {
+        throw new UsageError('Missing search query');
+      }
+
+      const { MemoryBank } = loadLibrary();
+      const results = await new MemoryBank().search(query, options);
+
+      if (json) {
+        console.log(JSON.stringify(results, null, 2));
+        return 0;
+      }
+
+      if (results.length === 0) {
+        console.log('No matches found.');
+        return 0;
+      }
+
+      results.forEach((result, index) => {
+        const location = [result.file, result.section].filter(Boolean).join(' > ');
+        const text = result.text.replace(/\s*\n\s*/g, ' ');
+        console.log(`${index + 1}. ${location}${result.date ? ` (${result.date})` : ''}`);
+        console.log(`   ${text.length > 200 ? `${text.slice(0, 197)}...` : text}`);
+      });
+      return 0;
+    }
+  },
+
+  report: {
+    usage: 'umb report [--period day|week|month] [--date <date>] [--by total|day|author|directory] [--depth <n>] [--format md|csv|json]',
+    description: 'Report time spent, estimated cost and code churn for a period',
+    details: `Options:
+  --period <period>  day, week (Monday to Sunday) or month (default: week)
+  --date <date>      Any day in the period, YYYY-MM-DD (default: today)
+  --by <grouping>    total, day, author or directory (default: total)
+  --depth <n>        Path segments per directory when grouping by directory (default: 1)
+  --format <format>  md, csv or json (default: md)
+
+Reports are built from memory-bank/statistics.jsonl, which records every commit and
+the active time between memory bank updates. Run 'umb reconstruct' to backfill it
+from git history.
+
+Examples:
+  umb report
+  umb report --period month --by author --format csv > effort.csv
+  umb report --by directory --depth 2`,
+    run: async args => {
+      const options = parseOptions(args, ['--period', '--date', '--by', '--depth', '--format']);
+      const choices = {
+        '--period': ['day', 'week', 'month'],
+        '--by': ['total', 'day', 'author', 'directory'],
+        '--format': ['md', 'csv', 'json']
+      };
+      for (const [option, allowed] of Object.entries(choices)) {
+        if (options[option] !== undefined && !allowed.includes(options[option])) {
+          throw new UsageError(`${option} must be one of: ${allowed.join(', ')}, got: ${options[option]}`);
+        }
+      }
+      if (options['--date'] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(options['--date'])) {
+        throw new UsageError(`--date must be a date in YYYY-MM-DD format, got: ${options['--date']}`);
+      }
+      let depth;
+      if (options['--depth'] !== undefined) {
+        depth = Number(options['--depth']);
+        if (!Number.isInteger(depth) || depth <= 0) {
+          throw new UsageError(`--depth must be a positive whole number, got: ${options['--depth']}`);
+        }
+      }
+
+      const { MemoryBank, StatisticsLedger } = loadLibrary();
+      const report = await new MemoryBank().getStatisticsReport({
+        period: options['--period'],
+        date: options['--date'],
+        by: options['--by'],
+        depth
+      });
+      console.log(StatisticsLedger.format(report, options['--format'] || 'md'));
+      return 0;
+    }
+  },
+
+  watch: {
+    usage: 'umb watch [--debounce <ms>]',
+    description: 'Keep the Roo-Code rules in sync while the memory bank changes',
+    details: `Options:
+  --debounce <ms>  Wait this long after the last change before syncing (default: 500)
+
+Watches the master files in memory-bank/ and the rule templates, regenerates the
+rules after every burst of changes and moves the end time of the current session
+forward. Press Ctrl+C to stop.`,
+    run: async args => {
+      const options = parseOptions(args, ['--debounce']);
+      let debounceMs;
+      if (options['--debounce'] !== undefined) {
+        debounceMs = Number(options['--debounce']);
+        if (!Number.isInteger(debounceMs) || debounceMs < 0) {
+          throw new UsageError(`--debounce must be a whole number of milliseconds, got: ${options['--debounce']}`);
+        }
+      }
+
+      const { MemoryBankWatcher } = loadLibrary();
+      const watcher = new MemoryBankWatcher({
+        debounceMs,
+        onSync: (changedFiles, success) => {
+          const time = new Date().toLocaleTimeString();
+          if (success) {
+            console.log(`[${time}] Synced Roo-Code rules (${changedFiles.join(', ')})`);
+          } else {
+            console.error(`[${time}] Failed to sync Roo-Code rules after changes to ${changedFiles.join(', ')}`);
+          }
+        }
+      });
+
+      if (!await watcher.start()) {
+        console.error('Failed to start watching the memory bank.');
+        return EXIT_FAILURE;
+      }
+      console.log('Watching the memory bank for changes. Press Ctrl+C to stop.');
+
+      await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+      });
+      await watcher.stop();
+      console.log('Stopped watching the memory bank.');
+      return 0;
+    }
+  },
+
+  mcp: {
+    usage: 'umb mcp',
+    description: 'Serve the memory bank to AI agents over the Model Context Protocol',
+    details: `Runs an MCP server on stdin and stdout until the input ends. Register it with
+your agent, e.g. in .roo/mcp.json:
+
+  { "mcpServers": { "memory-bank": { "command": "npx", "args": ["umb", "mcp"] } } }
+
+Resources: memory-bank://<file> for every master file, e.g. memory-bank://activeContext
+Tools:     update_active_context, add_decision, update_decision, update_progress,
+           search_memory, start_session
+
+Messages are newline-delimited JSON-RPC; anything else the memory bank prints goes to
+stderr. To try it by hand:
+
+  echo '{"jsonrpc":"2.0","id":1,"method":"tools/list"}' | umb mcp`,
+    run: async args => {
+      if (args.length > 0) {
+        throw new UsageError(`Unexpected argument: ${args[0]}`);
+      }
+      const { McpServer } = loadLibrary();
+      await new McpServer().listen();
+      return 0;
+    }
+  }
+};
+
+/**
+ * Prints the general help message listing all commands.
+ */
+function printHelp() {
+  const list = Object.values(commands)
+    .map(command => `${wrapText(command.usage, '  ', '    ')}\n${wrapText(command.description, '      ', '      ')}`)
+    .join('\n');
+
   console.log(`
 UMB Command Help:
 ----------------
 UMB commands update the memory bank files in the memory-bank directory.
 
 Usage:
-  UMB - Automatically gather information and update the memory bank
-  UMB help - Show this help message
-  UMB update <file> <section>='<content>' - Update a specific section in a file
-  UMB add decision title='<title>' rationale='<rationale>' implications='<implications>' status='<status>' - Add a new decision
+  umb
+      Automatically gather information and update the memory bank
+${list}
 
-Examples:
-  UMB update activeContext currentFocus='Implementing new authentication flow'
-  UMB update productContext coreFeatures='- Feature 1\\n- Feature 2\\n- Feature 3'
-  UMB add decision title='Switch to TypeScript' rationale='Better type safety' implications='Need to refactor existing code' status='Implemented'
-  UMB update progress completedTasks=['Task 1', 'Task 2']
+Run 'umb <command> --help' for details on a single command.
+`);
+}
+
+/**
+ * Wraps text at spaces so it fits a normal terminal.
+ *
+ * @param {string} text - Text to wrap.
+ * @param {string} indent - Indentation of the first line.
+ * @param {string} continuation - Indentation of the following lines.
+ * @returns {string} The wrapped lines.
+ */
+function wrapText(text, indent, continuation) {
+  const lines = [];
+  let line = indent;
+  for (const word of text.split(' ')) {
+    if (line.trim() && line.length + 1 + word.length > HELP_WIDTH) {
+      lines.push(line);
+      line = continuation;
+    }
+    line += line.trim() ? ` ${word}` : word;
+  }
+  lines.push(line);
+  return lines.join('\n');
+}
+
+/**
+ * Prints the help message for a single command.
+ *
+ * @param {string} name - The command name.
+ * @returns {number} The exit code (EXIT_USAGE for an unknown command).
+ */
+function printCommandHelp(name) {
+  const command = commands[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}`);
+    printHelp();
+    return EXIT_USAGE;
+  }
+
+  console.log(`
+Usage: ${command.usage}
+
+${command.description}${command.details ? `\n\n${command.details}` : ''}
 `);
-} else {
-  // For now, we'll just run the update-memory-bank.js script for all commands
-  // In a future implementation, we could parse the arguments and call the appropriate functions
-  console.log('Advanced UMB commands are not yet implemented.');
-  console.log('Running the default UMB command to update the memory bank...');
-  
-  // Run the update-memory-bank.js script
-  const updateScript = path.join(__dirname, 'update-memory-bank.js');
-  const child = spawn('node', [updateScript], { stdio: 'inherit' });
-  
-  child.on('close', (code) => {
-    if (code === 0) {
-      console.log('\nMemory bank updated successfully.');
-      console.log('You can view the updated files in the memory-bank directory.');
+  return 0;
+}
+
+/**
+ * Parses the command line, runs the matching command and sets the exit code.
+ */
+async function main() {
+  const [name, ...args] = process.argv.slice(2);
+
+  if (!name) {
+    console.log('UMB command received. Updating memory bank...');
+    process.exitCode = await runAutoUpdate();
+    return;
+  }
+
+  if (name === '--help' || name === '-h') {
+    printHelp();
+    return;
+  }
+
+  const command = commands[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}`);
+    printHelp();
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+
+  if (args.includes('--help') || args.includes('-h')) {
+    process.exitCode = printCommandHelp(name);
+    return;
+  }
+
+  try {
+    process.exitCode = await command.run(args);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}`);
+      printCommandHelp(name);
+      process.exitCode = EXIT_USAGE;
     } else {
-      console.error(`\nError updating memory bank. Exit code: ${code}`);
+      console.error(`Error: ${error instanceof Error ? error.message : String(error)}`);
+      process.exitCode = EXIT_FAILURE;
     }
-  });
-}
\ No newline at end of file
+  }
+}
+
+main();
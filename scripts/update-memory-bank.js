@@ -8,142 +8,64 @@
  * by using the MemoryBank class from the src/ library.
  */
 
-const { execSync } = require('child_process');
 // Assuming the compiled output is in 'dist' at the project root
-const { MemoryBank } = require('../dist/index');
+const { MemoryBank, ContextInference, formatProgressSummary } = require('../dist/index');
 
 /**
- * Retrieves commit hashes and messages from the last 7 days, excluding merge commits.
+ * Infers the project context from the repository and updates the memory bank with it.
  *
- * @returns {string[]} An array of recent commit descriptions, or an empty array if unavailable.
- */
-function gatherRecentCommits() {
-  try {
-    // Get recent commits (last 7 days)
-    const recentCommits = execSync('git log --since="7 days ago" --pretty=format:"%h - %s" --no-merges').toString();
-    return recentCommits.split('\n').filter(line => line.trim() !== '');
-  } catch (error) {
-    // console.warn('Warning: Error gathering recent commits (git likely not initialized or no commits):', error.message);
-    return [];
-  }
-}
-
-/**
- * Retrieves a list of recent merged pull requests from the last 7 days using git merge commits.
- *
- * @returns {string[]} An array of strings representing recent merged pull requests, or an empty array if none are found or on error.
- */
-function gatherRecentPRs() {
-  try {
-    // This is a simplified version - in a real implementation, you would use the GitHub API
-    // For now, we'll use git log to get merge commits which likely represent merged PRs
-    const recentPRs = execSync('git log --since="7 days ago" --merges --pretty=format:"%h - %s"').toString();
-    return recentPRs.split('\n').filter(line => line.trim() !== '');
-  } catch (error) {
-    // console.warn('Warning: Error gathering recent PRs (git likely not initialized or no merge commits):', error.message);
-    return [];
-  }
-}
-
-/**
- * Gathers recent project activity and updates the memory bank using the MemoryBank class.
- *
- * Collects recent commits and pull requests from the local git repository, prepares structured update content for product context, active context, system patterns, decisions, and progress, and delegates the update process to the MemoryBank's command handler.
+ * The current focus comes from the directories touched by recent commits, the architecture
+ * overview from package.json, tsconfig.json and the top-level layout, and completed tasks from
+ * feat/fix commits. Only what changed since the last run is written; when nothing changed, the
+ * memory bank is left alone. Tasks are then synced with the TODO and FIXME comments and the
+ * configured issues file, and the progress of the tasks and milestones is reported.
  *
  * @returns {Promise<{success: boolean, message: string}>} The result of the memory bank update operation.
  */
 async function autoUpdateMemoryBank() {
   // Instantiate MemoryBank. By default, it will target './memory-bank' in the current working directory.
   const mb = new MemoryBank();
-  // The initialize method now ensures the directory and master files are created if they don't exist.
-  // It uses the default content defined within the MemoryBank class.
-  await mb.initialize(); 
-  console.log(`Memory bank will be managed at: ${mb.baseDir}`);
+  // The initialize method ensures the directory and master files are created if they don't exist.
+  await mb.initialize();
+  console.log(`Memory bank will be managed at: ${mb.getBaseDir()}`);
 
   try {
-    // Gather information from recent commits and PRs
-    const recentCommits = gatherRecentCommits();
-    const recentPRs = gatherRecentPRs();
-
-    // Extract information from commits and PRs
-    const recentChangesContent = recentPRs.length > 0
-      ? `Recent PRs:\n${recentPRs.map(pr => `- ${pr}`).join('\n')}`
-      : (recentCommits.length > 0 ? `Recent Commits:\n${recentCommits.map(c => `- ${c}`).join('\n')}` : 'No recent PRs or commits found.');
-
-    // Current focus based on recent activity - placeholder
-    const currentFocusContent = "Maintaining and improving the memory bank system for better context retention across development sessions.";
-
-    // Core features based on project structure - placeholder
-    const coreFeaturesContent = `- Daily context tracking
-- Session management
-- Statistics tracking
-- Roo-Code integration
-- Automated documentation updates`;
-
-    // Architecture overview based on project structure - placeholder
-    const architectureOverviewContent = `- Enhanced Memory Bank: Core functionality for context retention
-- Memory Bank: Simplified interface to the enhanced system
-- Roo Integration: Connects memory bank with Roo-Code
-- UMB Command: CLI tool for updating memory bank files`;
+    const inference = new ContextInference(mb);
+    const context = await inference.infer();
+    const updates = await inference.getUpdates(context);
 
-    // System patterns based on project structure - placeholder
-    const architecturalPatternsContent = `- File-based storage for memory bank data
-- Command-line interface for updates
-- Markdown format for human-readable documentation
-- Automated updates based on git history`;
-
-    // Recent decisions based on commits - placeholder
-    const decisionContent = {
-      title: "Refactor UMB script to use MemoryBank library",
-      rationale: "Centralize memory bank logic and improve maintainability.",
-      implications: "UMB script now relies on the compiled MemoryBank class from dist/.",
-      status: "Implemented"
-    };
-
-    // Progress updates based on recent activity - placeholder
-    const progressContent = {
-      currentTasks: [
-        "Verify UMB command behavior with refactored script",
-        "Ensure documentation for MemoryBank class is up-to-date"
-      ],
-      completedTasks: [
-        "Refactored MemoryBank constructor for flexible pathing",
-        "Added SystemPatterns, Decision, Progress update methods to MemoryBank class",
-        "Refactored update-memory-bank.js to use MemoryBank class"
-      ],
-      upcomingTasks: [
-        "Further testing of UMB command scenarios",
-        "Consider adding more automated info gathering to UMB script"
-      ],
-      milestones: [
-        {
-          title: "Memory Bank Library Refactoring",
-          description: "Successfully refactored UMB script to use the MemoryBank library, centralizing logic."
-        }
-      ]
+    let result = {
+      success: true,
+      message: 'Nothing changed since the last update; the memory bank was left as it is.'
     };
-
-    // Create the updates object for handleUMBCommand
-    const updates = {
-      productContext: {
-        coreFeatures: coreFeaturesContent,
-        architectureOverview: architectureOverviewContent
-      },
-      activeContext: {
-        currentFocus: currentFocusContent,
-        recentChanges: recentChangesContent
-      },
-      systemPatterns: {
-        architecturalPatterns: architecturalPatternsContent
-      },
-      decision: decisionContent,
-      progress: progressContent
+    if (updates) {
+      // Call the centralized command handler in MemoryBank
+      result = await mb.handleUMBCommand(updates);
+      if (result.success) {
+        await inference.saveState(context);
+      }
+    }
+
+    const sync = await mb.syncTasks({ comments: context });
+    if (!sync) {
+      return { success: false, message: `${result.message}\nFailed to sync the tasks.` };
+    }
+    const changes = [
+      sync.added.length > 0 ? `added ${sync.added.length}` : null,
+      sync.started.length > 0 ? `started ${sync.started.length}` : null,
+      sync.completed.length > 0 ? `completed ${sync.completed.length}` : null,
+      sync.reopened.length > 0 ? `reopened ${sync.reopened.length}` : null
+    ].filter(Boolean);
+    if (changes.length > 0) {
+      await mb.createSnapshot(`Synced tasks: ${changes.join(', ')}`);
+    }
+    const { tasks, milestones } = await mb.getProgress();
+    const summary = formatProgressSummary(tasks, milestones, mb.getDateString());
+    return {
+      success: result.success,
+      message: [result.message, ...(changes.length > 0 ? [`Synced tasks: ${changes.join(', ')}.`] : []), ...summary].join('\n')
     };
 
-    // Call the centralized command handler in MemoryBank
-    const result = await mb.handleUMBCommand(updates);
-    return result;
-
   } catch (error) {
     console.error('Error automatically updating memory bank:', error);
     return {
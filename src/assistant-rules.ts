@@ -0,0 +1,181 @@
+import { MemoryBank } from './memory-bank';
+import { ContextBudget, PackingReport } from './context-packer';
+import { loadConfig } from './config-loader';
+import { RooIntegration, RooIntegrationConfig } from './roo-integration';
+import { RuleGenerator } from './rule-generator';
+import { AgentsMdExporter, ClineExporter, CopilotExporter, CursorExporter, RuleExporter } from './rule-exporters';
+
+/**
+ * Configuration options for exporting rules to AI assistants
+ */
+export interface AssistantRulesConfig extends RooIntegrationConfig {
+  /** Exporters to use when none are named (defaults to the project configuration, else the ones detected) */
+  exporters?: string[];
+}
+
+/**
+ * Result of exporting the rules to one assistant
+ */
+export interface ExportResult {
+  /** Exporter name */
+  exporter: string;
+  /** Whether the rules were written */
+  success: boolean;
+  /** Files written, relative to the workspace */
+  files: string[];
+  /** Size of the rules and what was dropped to fit the budget, or null if generation failed */
+  report: PackingReport | null;
+  /** Summary for the user */
+  message: string;
+}
+
+/**
+ * Assistant Rules
+ *
+ * Exports the rules generated from the memory bank to every AI assistant a workspace
+ * uses. Roo-Code and the built-in exporters are registered up front; more can be added
+ * with addExporter(). The rules are generated once per exporter, so that each one gets
+ * its assistant's name and fits its size limit.
+ */
+export class AssistantRules {
+  private rooIntegration: RooIntegration;
+  private memoryBank: MemoryBank;
+  private generator: RuleGenerator;
+  private workspaceDir: string;
+  private contextBudget: ContextBudget;
+  private configuredExporters: string[] | undefined;
+  private exporters = new Map<string, RuleExporter>();
+
+  /**
+   * Create a new rule export
+   * Options that aren't given are read from the workspace's project configuration.
+   * @param config Configuration options; Roo integration options are passed on to RooIntegration
+   * @throws ConfigError if the project configuration is invalid
+   */
+  constructor(config: AssistantRulesConfig = {}) {
+    const { exporters, ...integrationConfig } = config;
+    this.rooIntegration = new RooIntegration({ ...integrationConfig, autoGenerateRules: false });
+
+    const effectiveConfig = this.rooIntegration.getConfig();
+    this.workspaceDir = effectiveConfig.workspaceDir;
+    this.contextBudget = effectiveConfig.contextBudget;
+    this.configuredExporters = exporters || loadConfig(this.workspaceDir).config.exporters;
+    this.memoryBank = this.rooIntegration.getMemoryBank();
+    this.generator = new RuleGenerator(this.memoryBank, effectiveConfig.memoryBankDir, effectiveConfig.templatesDir);
+
+    for (const exporter of [this.rooIntegration, new CursorExporter(), new ClineExporter(), new CopilotExporter(), new AgentsMdExporter()]) {
+      this.addExporter(exporter);
+    }
+  }
+
+  /**
+   * Register an exporter, replacing a registered one with the same name
+   * @param exporter Exporter to register
+   */
+  public addExporter(exporter: RuleExporter): void {
+    this.exporters.set(exporter.name, exporter);
+  }
+
+  /**
+   * Get the registered exporters
+   * @returns Exporters in registration order
+   */
+  public getExporters(): RuleExporter[] {
+    return [...this.exporters.values()];
+  }
+
+  /**
+   * Find the exporters for the assistants the workspace uses
+   * @returns Exporters whose assistant's files are present
+   */
+  public async detect(): Promise<RuleExporter[]> {
+    const detected: RuleExporter[] = [];
+    for (const exporter of this.exporters.values()) {
+      if (await exporter.detect(this.workspaceDir)) {
+        detected.push(exporter);
+      }
+    }
+    return detected;
+  }
+
+  /**
+   * Export the rules
+   * @param names Exporters to use (defaults to the configured ones, else the detected ones)
+   * @returns One result per exporter; empty if no exporter was named, configured or detected
+   * @throws Error if a named or configured exporter isn't registered
+   */
+  public async export(names?: string[]): Promise<ExportResult[]> {
+    const selected = names && names.length > 0 ? names : this.configuredExporters;
+    let exporters: RuleExporter[];
+    if (selected) {
+      const unknown = selected.filter(name => !this.exporters.has(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown exporter${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')} (available: ${[...this.exporters.keys()].join(', ')})`);
+      }
+      exporters = selected.map(name => this.exporters.get(name) as RuleExporter);
+    } else {
+      exporters = await this.detect();
+    }
+
+    if (exporters.length > 0 && !await this.memoryBank.initialize()) {
+      return exporters.map(exporter => ({
+        exporter: exporter.name,
+        success: false,
+        files: [],
+        report: null,
+        message: 'Failed to initialize the memory bank'
+      }));
+    }
+
+    const results: ExportResult[] = [];
+    for (const exporter of exporters) {
+      results.push(await this.exportTo(exporter));
+    }
+    return results;
+  }
+
+  /**
+   * Generate the rules for one exporter and write them
+   * @param exporter Exporter to use
+   * @returns Export result
+   */
+  private async exportTo(exporter: RuleExporter): Promise<ExportResult> {
+    try {
+      const { rules, report } = await this.generator.generate(this.getBudget(exporter), { ASSISTANT: exporter.title });
+      this.generator.logPackingReport(report, `${exporter.title} rules`);
+      const files = await exporter.write(rules, this.workspaceDir);
+      return {
+        exporter: exporter.name,
+        success: true,
+        files,
+        report,
+        message: `Exported ${files.length} ${files.length === 1 ? 'file' : 'files'} to ${exporter.target}`
+      };
+    } catch (error) {
+      console.error(`Error exporting rules to ${exporter.title}:`, error);
+      return {
+        exporter: exporter.name,
+        success: false,
+        files: [],
+        report: null,
+        message: `Failed to export to ${exporter.target}: ${error instanceof Error ? error.message : error}`
+      };
+    }
+  }
+
+  /**
+   * Get the budget for an exporter, the stricter of the configured budget and the assistant's limit
+   * @param exporter Exporter
+   * @returns Context budget
+   */
+  private getBudget(exporter: RuleExporter): ContextBudget {
+    const budget: ContextBudget = { ...this.contextBudget };
+    for (const key of ['maxTokens', 'maxCharacters'] as const) {
+      const limit = exporter.budget?.[key];
+      if (limit !== undefined) {
+        budget[key] = budget[key] !== undefined ? Math.min(budget[key] as number, limit) : limit;
+      }
+    }
+    return budget;
+  }
+}
@@ -0,0 +1,34 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { CONFIG_FILE_NAME } from './config-loader';
+
+describe('default instances', () => {
+  let projectDir: string;
+  let cwd: string;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+    await fs.writeJson(path.join(projectDir, CONFIG_FILE_NAME), { sessionTimeoutHours: 'two' });
+    cwd = process.cwd();
+    process.chdir(projectDir);
+  });
+
+  afterEach(async () => {
+    process.chdir(cwd);
+    await fs.remove(projectDir);
+  });
+
+  it('can be imported with an invalid project configuration, and fail on first use', () => {
+    jest.isolateModules(() => {
+      const library = require('./index');
+      const memoryBank = new library.MemoryBank({ baseDir: path.join(projectDir, 'memory-bank'), projectDir: os.tmpdir() });
+
+      expect(memoryBank.getBaseDir()).toBe(path.join(projectDir, 'memory-bank'));
+      expect(library.memoryBank).toBeInstanceOf(library.MemoryBank);
+      expect(() => library.memoryBank.getBaseDir()).toThrow(library.ConfigError);
+      expect(() => library.getTimestamp()).toThrow(library.ConfigError);
+      expect(() => library.rooIntegration.getConfig()).toThrow(library.ConfigError);
+    });
+  });
+});
@@ -0,0 +1,521 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { ContextBudget } from './context-packer';
+import { MarkdownDocument } from './markdown-document';
+
+/**
+ * A master file defined by the project
+ */
+export interface MasterFileDefinition {
+  /** File name in the memory bank, without .md (e.g. "securityNotes") */
+  name: string;
+  /** Title of the file (defaults to the name split into words, e.g. "Security Notes") */
+  title?: string;
+  /** Section headings the file is created with */
+  sections: string[];
+}
+
+/**
+ * Project configuration, read from memory-bank.config.json or the "memoryBank" key in package.json
+ */
+export interface ProjectConfig {
+  /** Memory bank directory, relative to the project directory (defaults to memory-bank) */
+  memoryBankDir?: string;
+  /** Directory name for daily files */
+  dailyDirName?: string;
+  /** Directory name for session files */
+  sessionsDirName?: string;
+  /** Directory name for archived files */
+  archiveDirName?: string;
+  /** Directory name for weekly and monthly rollup files */
+  rollupsDirName?: string;
+  /** Session timeout in hours */
+  sessionTimeoutHours?: number;
+  /** Archive threshold in days */
+  archiveThresholdDays?: number;
+  /** Age in days after which archived months are compressed into a bundle (not compressed when unset) */
+  compressAfterDays?: number;
+  /** Developer hourly rate for cost estimation */
+  developerHourlyRate?: number;
+  /** Maximum number of entries kept in the master Recent Changes section */
+  maxRecentChanges?: number;
+  /** Milliseconds to wait for another process to finish updating the memory bank */
+  lockTimeoutMs?: number;
+  /** Milliseconds after which a lock that hasn't been refreshed is considered stale */
+  staleLockMs?: number;
+  /** Keep a separate active context, progress and decision log for every branch other than the main branch */
+  branchAware?: boolean;
+  /** Branch that uses the master files (defaults to the branch origin/HEAD points to, else main or master) */
+  mainBranch?: string;
+  /** Directory for the generated Roo rules, relative to the project directory (defaults to .roo/rules) */
+  rooRulesDir?: string;
+  /** Directory with rule templates, relative to the project directory */
+  templatesDir?: string;
+  /** Generate the Roo rules when the integration is initialized */
+  autoGenerateRules?: boolean;
+  /** Size budget for all generated rules together */
+  contextBudget?: ContextBudget;
+  /** Assistants to export the rules to, e.g. ["roo", "cursor"] (defaults to the ones detected in the workspace) */
+  exporters?: string[];
+  /** JSON file with the project's issues, relative to the project directory, imported as tasks by syncTasks */
+  issuesFile?: string;
+  /** Additional master files, or additional sections for the built-in ones */
+  masterFiles?: MasterFileDefinition[];
+}
+
+/**
+ * A loaded project configuration
+ */
+export interface LoadedConfig {
+  /** Directory the configuration was looked up in */
+  projectDir: string;
+  /** File the configuration was read from, or null if the project has none */
+  source: string | null;
+  /** Validated settings with environment overrides applied and directories made absolute */
+  config: ProjectConfig;
+}
+
+/**
+ * Error raised for an invalid configuration
+ */
+export class ConfigError extends Error {
+  public readonly problems: string[];
+
+  constructor(source: string, problems: string[]) {
+    super(`Invalid memory bank configuration in ${source}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/** Name of the project configuration file */
+export const CONFIG_FILE_NAME = 'memory-bank.config.json';
+
+/** Key in package.json that holds the configuration when there is no configuration file */
+export const PACKAGE_JSON_KEY = 'memoryBank';
+
+type OptionType = 'positiveNumber' | 'positiveInteger' | 'boolean' | 'path' | 'dirName' | 'branchName';
+
+/** Type of every scalar option */
+const OPTION_TYPES: Record<string, OptionType> = {
+  memoryBankDir: 'path',
+  dailyDirName: 'dirName',
+  sessionsDirName: 'dirName',
+  archiveDirName: 'dirName',
+  rollupsDirName: 'dirName',
+  sessionTimeoutHours: 'positiveNumber',
+  archiveThresholdDays: 'positiveNumber',
+  compressAfterDays: 'positiveNumber',
+  developerHourlyRate: 'positiveNumber',
+  maxRecentChanges: 'positiveInteger',
+  lockTimeoutMs: 'positiveInteger',
+  staleLockMs: 'positiveInteger',
+  branchAware: 'boolean',
+  mainBranch: 'branchName',
+  rooRulesDir: 'path',
+  templatesDir: 'path',
+  autoGenerateRules: 'boolean',
+  issuesFile: 'path'
+};
+
+/** Environment variables that override options */
+const ENV_OVERRIDES: Record<string, string> = {
+  MEMORY_BANK_DIR: 'memoryBankDir',
+  MEMORY_BANK_SESSION_TIMEOUT_HOURS: 'sessionTimeoutHours',
+  MEMORY_BANK_ARCHIVE_THRESHOLD_DAYS: 'archiveThresholdDays',
+  MEMORY_BANK_COMPRESS_AFTER_DAYS: 'compressAfterDays',
+  MEMORY_BANK_HOURLY_RATE: 'developerHourlyRate',
+  MEMORY_BANK_MAX_RECENT_CHANGES: 'maxRecentChanges',
+  MEMORY_BANK_LOCK_TIMEOUT_MS: 'lockTimeoutMs',
+  MEMORY_BANK_BRANCH_AWARE: 'branchAware',
+  MEMORY_BANK_ROO_RULES_DIR: 'rooRulesDir',
+  MEMORY_BANK_MAX_TOKENS: 'contextBudget.maxTokens'
+};
+
+/** Environment variable that points to a configuration file to use instead of the project's */
+const CONFIG_PATH_ENV = 'MEMORY_BANK_CONFIG';
+
+/**
+ * Load the project configuration
+ * The configuration is read from memory-bank.config.json in the project directory, or
+ * from the "memoryBank" key in its package.json, and MEMORY_BANK_* environment variables
+ * override it. A project without either gets an empty configuration.
+ * @param projectDir Project directory (defaults to the current working directory)
+ * @param env Environment variables (defaults to process.env)
+ * @returns Validated configuration and where it was read from
+ * @throws ConfigError if the configuration or an environment override is invalid
+ */
+export function loadConfig(projectDir: string = process.cwd(), env: NodeJS.ProcessEnv = process.env): LoadedConfig {
+  projectDir = path.resolve(projectDir);
+  let source: string | null = null;
+  let raw: unknown = {};
+
+  const configPath = env[CONFIG_PATH_ENV] ? path.resolve(projectDir, env[CONFIG_PATH_ENV] as string) : path.join(projectDir, CONFIG_FILE_NAME);
+  const packagePath = path.join(projectDir, 'package.json');
+
+  if (env[CONFIG_PATH_ENV] || fs.pathExistsSync(configPath)) {
+    source = configPath;
+    raw = readJson(configPath);
+  } else if (fs.pathExistsSync(packagePath)) {
+    let packageJson: unknown = null;
+    try {
+      packageJson = readJson(packagePath);
+    } catch {
+      // A package.json that can't be parsed is left for the package manager to report
+    }
+    if (isObject(packageJson) && packageJson[PACKAGE_JSON_KEY] !== undefined) {
+      source = `${packagePath} ("${PACKAGE_JSON_KEY}")`;
+      raw = packageJson[PACKAGE_JSON_KEY];
+    }
+  }
+
+  const config = validateConfig(raw, source || 'defaults');
+
+  // Environment variables win over the file, so one developer or CI job can differ
+  const problems: string[] = [];
+  for (const [name, key] of Object.entries(ENV_OVERRIDES)) {
+    const value = env[name];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    if (key === 'contextBudget.maxTokens') {
+      const maxTokens = parseValue(name, value, 'positiveInteger', problems);
+      if (maxTokens !== undefined) {
+        config.contextBudget = { ...config.contextBudget, maxTokens: maxTokens as number };
+      }
+      continue;
+    }
+    const parsed = parseValue(name, value, OPTION_TYPES[key], problems);
+    if (parsed !== undefined) {
+      (config as Record<string, unknown>)[key] = parsed;
+    }
+  }
+  if (problems.length > 0) {
+    throw new ConfigError('environment variables', problems);
+  }
+
+  for (const key of ['memoryBankDir', 'rooRulesDir', 'templatesDir', 'issuesFile'] as const) {
+    if (config[key]) {
+      config[key] = path.resolve(projectDir, config[key] as string);
+    }
+  }
+
+  return { projectDir, source, config };
+}
+
+/**
+ * Validate a configuration object
+ * Every problem is collected, so they can all be fixed at once.
+ * @param value Parsed configuration
+ * @param source Where the configuration came from, for error messages
+ * @returns The configuration
+ * @throws ConfigError listing every problem found
+ */
+export function validateConfig(value: unknown, source: string): ProjectConfig {
+  if (!isObject(value)) {
+    throw new ConfigError(source, [`The configuration must be an object, got ${describe(value)}`]);
+  }
+
+  const problems: string[] = [];
+  const config: ProjectConfig = {};
+
+  for (const [key, option] of Object.entries(value)) {
+    if (key === '$schema') {
+      continue;
+    }
+    if (OPTION_TYPES[key]) {
+      if (checkValue(key, option, OPTION_TYPES[key], problems)) {
+        (config as Record<string, unknown>)[key] = option;
+      }
+    } else if (key === 'contextBudget') {
+      const budget = validateContextBudget(option, problems);
+      if (budget) {
+        config.contextBudget = budget;
+      }
+    } else if (key === 'masterFiles') {
+      const masterFiles = validateMasterFiles(option, problems);
+      if (masterFiles) {
+        config.masterFiles = masterFiles;
+      }
+    } else if (key === 'exporters') {
+      const exporters = validateExporters(option, problems);
+      if (exporters) {
+        config.exporters = exporters;
+      }
+    } else {
+      const known = [...Object.keys(OPTION_TYPES), 'contextBudget', 'masterFiles', 'exporters'];
+      const suggestion = known.find(name => name.toLowerCase() === key.toLowerCase());
+      problems.push(`Unknown option "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    }
+  }
+
+  const dirNames = ['dailyDirName', 'sessionsDirName', 'archiveDirName', 'rollupsDirName']
+    .map(key => (config as Record<string, unknown>)[key])
+    .filter(Boolean);
+  if (new Set(dirNames).size !== dirNames.length) {
+    problems.push('dailyDirName, sessionsDirName, archiveDirName and rollupsDirName must be different');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(source, problems);
+  }
+  return config;
+}
+
+/**
+ * Turn a master file name into a title
+ * @param name File name, e.g. "securityNotes" or "api-contracts"
+ * @returns Title, e.g. "Security Notes" or "Api Contracts"
+ */
+export function titleFromName(name: string): string {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Create a default instance the first time it is used
+ * Default instances read the project configuration, so creating them when their module
+ * is imported would make an invalid configuration break every import of the library.
+ * @param prototype Prototype of the instance, so instanceof works before it exists
+ * @param create Creates the instance
+ * @returns Stand-in that creates the instance on first use and forwards to it
+ * @throws ConfigError on first use if the project configuration is invalid
+ */
+export function lazyInstance<T extends object>(prototype: object, create: () => T): T {
+  let instance: T | null = null;
+  const resolve = (): T => instance || (instance = create());
+  return new Proxy(Object.create(prototype), {
+    get: (target, property) => {
+      const value = Reflect.get(resolve(), property);
+      return typeof value === 'function' ? value.bind(resolve()) : value;
+    },
+    set: (target, property, value) => Reflect.set(resolve(), property, value),
+    has: (target, property) => Reflect.has(resolve(), property)
+  }) as T;
+}
+
+/**
+ * Validate the context budget
+ * @param value Configured budget
+ * @param problems Problems found so far
+ * @returns The budget, or undefined if it is invalid
+ */
+function validateContextBudget(value: unknown, problems: string[]): ContextBudget | undefined {
+  if (!isObject(value)) {
+    problems.push(`contextBudget must be an object with maxTokens and/or maxCharacters, got ${describe(value)}`);
+    return undefined;
+  }
+
+  const budget: ContextBudget = {};
+  for (const [key, limit] of Object.entries(value)) {
+    if (key !== 'maxTokens' && key !== 'maxCharacters') {
+      problems.push(`Unknown option "contextBudget.${key}"`);
+    } else if (checkValue(`contextBudget.${key}`, limit, 'positiveInteger', problems)) {
+      budget[key] = limit as number;
+    }
+  }
+  return budget;
+}
+
+/**
+ * Validate the list of rule exporters
+ * Whether the names exist is only known once exporters are registered, so only the
+ * form is checked here.
+ * @param value Configured exporter names
+ * @param problems Problems found so far
+ * @returns The exporter names, or undefined if the list is invalid
+ */
+function validateExporters(value: unknown, problems: string[]): string[] | undefined {
+  if (!Array.isArray(value)) {
+    problems.push(`exporters must be a list of exporter names, got ${describe(value)}`);
+    return undefined;
+  }
+
+  const exporters: string[] = [];
+  value.forEach((name, index) => {
+    if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+      problems.push(`exporters[${index}] must be an exporter name made of lowercase letters, digits and -, got ${describe(name)}`);
+    } else if (!exporters.includes(name)) {
+      exporters.push(name);
+    }
+  });
+  return exporters;
+}
+
+/**
+ * Validate the project-defined master files
+ * @param value Configured master files
+ * @param problems Problems found so far
+ * @returns The master files, or undefined if the list is invalid
+ */
+function validateMasterFiles(value: unknown, problems: string[]): MasterFileDefinition[] | undefined {
+  if (!Array.isArray(value)) {
+    problems.push(`masterFiles must be a list, got ${describe(value)}`);
+    return undefined;
+  }
+
+  const masterFiles: MasterFileDefinition[] = [];
+  const names = new Set<string>();
+
+  value.forEach((file, index) => {
+    const label = `masterFiles[${index}]`;
+    if (!isObject(file)) {
+      problems.push(`${label} must be an object with a name and sections, got ${describe(file)}`);
+      return;
+    }
+
+    for (const key of Object.keys(file)) {
+      if (!['name', 'title', 'sections'].includes(key)) {
+        problems.push(`Unknown option "${label}.${key}"`);
+      }
+    }
+
+    const name = typeof file.name === 'string' ? file.name.replace(/\.md$/, '') : '';
+    if (!/^[A-Za-z0-9][A-Za-z0-9_-]*$/.test(name)) {
+      problems.push(`${label}.name must be a file name made of letters, digits, - and _, got ${describe(file.name)}`);
+    } else if (names.has(name.toLowerCase())) {
+      problems.push(`${label}.name "${name}" is defined more than once`);
+    }
+    names.add(name.toLowerCase());
+
+    if (file.title !== undefined && (typeof file.title !== 'string' || !file.title.trim())) {
+      problems.push(`${label}.title must be a non-empty string, got ${describe(file.title)}`);
+    }
+
+    const sections = file.sections;
+    if (!Array.isArray(sections) || sections.length === 0) {
+      problems.push(`${label}.sections must be a non-empty list of section headings, got ${describe(sections)}`);
+    } else {
+      const ids = new Set<string>();
+      sections.forEach((section, sectionIndex) => {
+        const id = typeof section === 'string' ? MarkdownDocument.sectionId(section) : '';
+        if (!id) {
+          problems.push(`${label}.sections[${sectionIndex}] must be a section heading, got ${describe(section)}`);
+        } else if (ids.has(id)) {
+          problems.push(`${label}.sections[${sectionIndex}] "${section}" is listed more than once`);
+        }
+        ids.add(id);
+      });
+    }
+
+    masterFiles.push({
+      name,
+      ...(typeof file.title === 'string' ? { title: file.title.trim() } : {}),
+      sections: Array.isArray(sections) ? sections.map(section => String(section).replace(/^#+\s*/, '').trim()) : []
+    });
+  });
+
+  return masterFiles;
+}
+
+/**
+ * Check an option value against its type
+ * @param key Option name, for error messages
+ * @param value Option value
+ * @param type Expected type
+ * @param problems Problems found so far
+ * @param raw Value to show in error messages (defaults to value)
+ * @returns True if the value is valid
+ */
+function checkValue(key: string, value: unknown, type: OptionType, problems: string[], raw: unknown = value): boolean {
+  const got = describe(raw);
+  switch (type) {
+    case 'positiveNumber':
+      if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+        return true;
+      }
+      problems.push(`${key} must be a positive number, got ${got}`);
+      return false;
+    case 'positiveInteger':
+      if (typeof value === 'number' && Number.isInteger(value) && value > 0) {
+        return true;
+      }
+      problems.push(`${key} must be a positive whole number, got ${got}`);
+      return false;
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return true;
+      }
+      problems.push(`${key} must be true or false, got ${got}`);
+      return false;
+    case 'path':
+      if (typeof value === 'string' && value.trim()) {
+        return true;
+      }
+      problems.push(`${key} must be a non-empty path, got ${got}`);
+      return false;
+    case 'dirName':
+      if (typeof value === 'string' && /^[^/\\]+$/.test(value) && value !== '.' && value !== '..') {
+        return true;
+      }
+      problems.push(`${key} must be a directory name without slashes, got ${got}`);
+      return false;
+    case 'branchName':
+      if (typeof value === 'string' && /^\S+$/.test(value)) {
+        return true;
+      }
+      problems.push(`${key} must be a branch name without spaces, got ${got}`);
+      return false;
+  }
+}
+
+/**
+ * Parse an environment variable into an option value
+ * @param name Variable name, for error messages
+ * @param value Variable value
+ * @param type Expected type
+ * @param problems Problems found so far
+ * @returns The parsed value, or undefined if it is invalid
+ */
+function parseValue(name: string, value: string, type: OptionType, problems: string[]): unknown {
+  let parsed: unknown = value;
+  if (type === 'positiveNumber' || type === 'positiveInteger') {
+    parsed = value.trim() === '' ? NaN : Number(value);
+  } else if (type === 'boolean') {
+    parsed = value === 'true' || value === '1' ? true : value === 'false' || value === '0' ? false : value;
+  }
+  return checkValue(name, parsed, type, problems, value) ? parsed : undefined;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param filePath Path to the file
+ * @returns Parsed content
+ * @throws ConfigError if the file can't be read or isn't valid JSON
+ */
+function readJson(filePath: string): unknown {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error: any) {
+    throw new ConfigError(filePath, [error.code === 'ENOENT' ? 'The file does not exist' : `The file is not valid JSON: ${error.message}`]);
+  }
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param value Value to check
+ * @returns True for objects that aren't arrays or null
+ */
+function isObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Describe a value for an error message
+ * @param value Value to describe
+ * @returns The value as JSON, or its type
+ */
+function describe(value: unknown): string {
+  if (value === undefined) {
+    return 'nothing';
+  }
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return typeof value;
+  }
+}
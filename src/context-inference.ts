@@ -0,0 +1,391 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { MemoryBank } from './memory-bank';
+import { writeFileAtomic } from './file-lock';
+
+/** Updates accepted by MemoryBank.handleUMBCommand */
+type UMBUpdates = Parameters<MemoryBank['handleUMBCommand']>[0];
+
+/**
+ * Project context read from the repository
+ */
+export interface InferredContext {
+  /** Commit HEAD pointed to, or null without git history */
+  head: string | null;
+  /** Commits since the last update (or the last 7 days), as "<hash> - <subject>" */
+  recentCommits: string[];
+  /** Merge commits since the last update (or the last 7 days), as "<hash> - <subject>" */
+  recentMerges: string[];
+  /** Most active directories in the last 7 days, or null without recent commits */
+  currentFocus: string | null;
+  /** Overview of the package, language and top-level layout, or null if nothing was found */
+  architectureOverview: string | null;
+  /** FIXME comments in tracked files */
+  fixmes: string[];
+  /** TODO comments in tracked files */
+  todos: string[];
+  /** feat and fix commits since the last update, as task names */
+  completedTasks: string[];
+}
+
+/**
+ * What was inferred by the last update that was written
+ */
+interface InferenceState {
+  head: string | null;
+  currentFocus: string | null;
+  architectureOverview: string | null;
+}
+
+/** File in the memory bank that holds the state of the last inferred update */
+const STATE_FILE = '.last_inference.json';
+
+/** How far back recent activity reaches when there was no earlier update */
+const RECENT_PERIOD = '7 days ago';
+
+/** Files that change with every dependency update and say nothing about the work */
+const IGNORED_FILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'npm-shrinkwrap.json'];
+
+/** Number of directories listed in the current focus */
+const MAX_FOCUS_AREAS = 3;
+
+/** Conventional commit subjects: type, optional scope, optional breaking-change mark, description */
+const CONVENTIONAL_COMMIT = /^(feat|fix)(?:\(([^)]+)\))?!?:\s*(.+)$/;
+
+/** TODO and FIXME comments: after a comment token, with an optional (owner) and colon */
+const TASK_COMMENT = /(?:\/\/|\/\*|#|<!--|--|^\s*\*)\s*(TODO|FIXME)\b(?:\([^)]*\))?:?\s*(.*?)\s*(?:\*\/|-->)?\s*$/;
+
+/**
+ * Context Inference
+ *
+ * Fills the memory bank from the repository instead of from placeholder text: the
+ * current focus from the directories touched by recent commits, the architecture
+ * overview from package.json, tsconfig.json and the top-level layout, and completed
+ * tasks from feat and fix commits. What was inferred is kept in the memory bank, so the
+ * next update only writes what changed since. TODO and FIXME comments are found here
+ * too; MemoryBank.syncTasks turns them into tasks.
+ */
+export class ContextInference {
+  private memoryBank: MemoryBank;
+  private projectDir: string;
+  private statePath: string;
+
+  /**
+   * Create a new context inference
+   * @param memoryBank Memory bank to update; the repository is the directory containing it
+   */
+  constructor(memoryBank: MemoryBank) {
+    this.memoryBank = memoryBank;
+    this.projectDir = path.dirname(path.resolve(memoryBank.getBaseDir()));
+    this.statePath = path.join(memoryBank.getBaseDir(), STATE_FILE);
+  }
+
+  /**
+   * Read the project context from the repository
+   * @returns Inferred context
+   */
+  public async infer(): Promise<InferredContext> {
+    const state = await this.readState();
+    const head = this.runGit(['rev-parse', 'HEAD']);
+
+    // Commits since the last update, if that commit is still in the history
+    const since = state?.head && this.runGit(['merge-base', '--is-ancestor', state.head, 'HEAD']) !== null
+      ? [`${state.head}..HEAD`]
+      : [`--since=${RECENT_PERIOD}`];
+    const recentCommits = this.gitLines(['log', ...since, '--no-merges', '--pretty=format:%h - %s']);
+    const recentMerges = this.gitLines(['log', ...since, '--merges', '--pretty=format:%h - %s']);
+
+    const { fixmes, todos } = this.scanTaskComments();
+
+    return {
+      head,
+      recentCommits,
+      recentMerges,
+      currentFocus: this.inferFocus(),
+      architectureOverview: await this.inferArchitecture(),
+      fixmes,
+      todos,
+      completedTasks: this.gitLines(['log', ...since, '--no-merges', '--pretty=format:%s'])
+        .map(subject => this.taskFromCommit(subject))
+        .filter((task): task is string => task !== null)
+        .reverse()
+    };
+  }
+
+  /**
+   * Turn an inferred context into memory bank updates, leaving out what hasn't changed
+   * since the last update that was written
+   * @param context Inferred context
+   * @returns Updates for MemoryBank.handleUMBCommand, or null if nothing changed
+   */
+  public async getUpdates(context: InferredContext): Promise<UMBUpdates | null> {
+    const state = await this.readState();
+    const updates: UMBUpdates = {};
+
+    const activeContext: NonNullable<UMBUpdates['activeContext']> = {};
+    if (context.recentMerges.length > 0) {
+      activeContext.recentChanges = `Recent PRs:\n${context.recentMerges.map(merge => `- ${merge}`).join('\n')}`;
+    } else if (context.recentCommits.length > 0) {
+      activeContext.recentChanges = `Recent Commits:\n${context.recentCommits.map(commit => `- ${commit}`).join('\n')}`;
+    }
+    if (context.currentFocus && context.currentFocus !== state?.currentFocus) {
+      activeContext.currentFocus = context.currentFocus;
+    }
+    if (Object.keys(activeContext).length > 0) {
+      updates.activeContext = activeContext;
+    }
+
+    if (context.architectureOverview && context.architectureOverview !== state?.architectureOverview) {
+      updates.productContext = { architectureOverview: context.architectureOverview };
+    }
+
+    if (context.completedTasks.length > 0) {
+      updates.progress = { completedTasks: context.completedTasks };
+    }
+
+    return Object.keys(updates).length > 0 ? updates : null;
+  }
+
+  /**
+   * Remember an inferred context once its updates have been written
+   * @param context Inferred context
+   */
+  public async saveState(context: InferredContext): Promise<void> {
+    const state: InferenceState = {
+      head: context.head,
+      currentFocus: context.currentFocus,
+      architectureOverview: context.architectureOverview
+    };
+    await writeFileAtomic(this.statePath, `${JSON.stringify(state, null, 2)}\n`);
+  }
+
+  /**
+   * Describe the directories most files were changed in over the last 7 days
+   * @returns Bullet list of directories with their most changed files, or null without recent commits
+   */
+  private inferFocus(): string | null {
+    const files = this.gitLines(['log', `--since=${RECENT_PERIOD}`, '--no-merges', '--name-only', '--pretty=format:'])
+      .filter(file => !this.isIgnored(file));
+    if (files.length === 0) {
+      return null;
+    }
+
+    // Count changes per directory, two levels deep (e.g. src/auth), and per file within it
+    const areas = new Map<string, Map<string, number>>();
+    for (const file of files) {
+      const parts = file.split('/');
+      const area = parts.length > 1 ? parts.slice(0, Math.min(2, parts.length - 1)).join('/') + '/' : '(root)';
+      const counts = areas.get(area) || new Map<string, number>();
+      counts.set(file, (counts.get(file) || 0) + 1);
+      areas.set(area, counts);
+    }
+
+    const total = (counts: Map<string, number>) => [...counts.values()].reduce((sum, count) => sum + count, 0);
+    const ranked = [...areas.entries()]
+      .sort((a, b) => total(b[1]) - total(a[1]) || a[0].localeCompare(b[0]))
+      .slice(0, MAX_FOCUS_AREAS);
+
+    const lines = ranked.map(([area, counts]) => {
+      const topFiles = [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, 3)
+        .map(([file]) => path.posix.basename(file));
+      const changes = total(counts);
+      return `- ${area} (${changes} ${changes === 1 ? 'change' : 'changes'}: ${topFiles.join(', ')})`;
+    });
+    return `Most active areas in the last 7 days:\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Describe the project from package.json, tsconfig.json and its top-level directories
+   * @returns Bullet list, or null if there is nothing to describe
+   */
+  private async inferArchitecture(): Promise<string | null> {
+    const lines: string[] = [];
+
+    const packageJson = await this.readJson(path.join(this.projectDir, 'package.json'));
+    if (packageJson) {
+      const name = [packageJson.name, packageJson.version].filter(Boolean).join(' ');
+      if (name || packageJson.description) {
+        lines.push(`- Package: ${[name, packageJson.description].filter(Boolean).join(' - ')}`);
+      }
+      const entryPoints = [
+        typeof packageJson.main === 'string' ? `main ${packageJson.main}` : null,
+        ...(typeof packageJson.bin === 'string'
+          ? [`bin ${packageJson.bin}`]
+          : Object.entries(packageJson.bin || {}).map(([command, file]) => `bin ${command} (${file})`))
+      ].filter(Boolean);
+      if (entryPoints.length > 0) {
+        lines.push(`- Entry points: ${entryPoints.join(', ')}`);
+      }
+      const dependencies = Object.keys(packageJson.dependencies || {});
+      if (dependencies.length > 0) {
+        lines.push(`- Dependencies: ${dependencies.sort().join(', ')}`);
+      }
+      const scripts = Object.keys(packageJson.scripts || {});
+      if (scripts.length > 0) {
+        lines.push(`- Scripts: ${scripts.join(', ')}`);
+      }
+    }
+
+    const tsconfig = await this.readJson(path.join(this.projectDir, 'tsconfig.json'));
+    if (tsconfig) {
+      const options = tsconfig.compilerOptions || {};
+      const settings = [
+        options.target ? `target ${options.target}` : null,
+        options.module ? `module ${options.module}` : null,
+        options.strict ? 'strict' : null
+      ].filter(Boolean);
+      const output = options.outDir ? `, compiled from ${options.rootDir || '.'} to ${options.outDir}` : '';
+      lines.push(`- Language: TypeScript${settings.length > 0 ? ` (${settings.join(', ')})` : ''}${output}`);
+    } else if (packageJson) {
+      lines.push(`- Language: JavaScript (${packageJson.type === 'module' ? 'ES modules' : 'CommonJS'})`);
+    }
+
+    const layout = await this.describeLayout();
+    if (layout) {
+      lines.push(`- Layout: ${layout}`);
+    }
+
+    return lines.length > 0 ? lines.join('\n') : null;
+  }
+
+  /**
+   * List the top-level directories with the number of tracked files in each
+   * @returns Comma-separated directories, or null if there are none
+   */
+  private async describeLayout(): Promise<string | null> {
+    const counts = new Map<string, number>();
+    const tracked = this.gitLines(['ls-files']);
+    if (tracked.length > 0) {
+      for (const file of tracked) {
+        const [top, ...rest] = file.split('/');
+        if (rest.length > 0 && !this.isIgnored(file)) {
+          counts.set(top, (counts.get(top) || 0) + 1);
+        }
+      }
+    } else {
+      // Without git, list the directories but not their contents
+      for (const entry of await fs.readdir(this.projectDir, { withFileTypes: true })) {
+        if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules' && !this.isIgnored(`${entry.name}/`)) {
+          counts.set(entry.name, 0);
+        }
+      }
+    }
+
+    const dirs = [...counts.keys()].filter(dir => !dir.startsWith('.')).sort();
+    if (dirs.length === 0) {
+      return null;
+    }
+    return dirs.map(dir => {
+      const count = counts.get(dir) || 0;
+      return count > 0 ? `${dir}/ (${count} ${count === 1 ? 'file' : 'files'})` : `${dir}/`;
+    }).join(', ');
+  }
+
+  /**
+   * Find the TODO and FIXME comments in tracked files
+   * @returns Task names, e.g. "Handle expired tokens (src/auth.ts)"
+   */
+  public scanTaskComments(): { fixmes: string[]; todos: string[] } {
+    const fixmes: string[] = [];
+    const todos: string[] = [];
+    const lines = this.gitLines(['grep', '-I', '-n', '-E', '\\b(TODO|FIXME)\\b']);
+
+    for (const line of lines) {
+      const match = line.match(/^(.+?):\d+:(.*)$/);
+      if (!match || this.isIgnored(match[1])) {
+        continue;
+      }
+      const comment = match[2].match(TASK_COMMENT);
+      if (!comment || !comment[2]) {
+        continue;
+      }
+      const task = `${comment[2].charAt(0).toUpperCase()}${comment[2].slice(1)} (${match[1]})`;
+      const list = comment[1] === 'FIXME' ? fixmes : todos;
+      if (!list.includes(task)) {
+        list.push(task);
+      }
+    }
+    return { fixmes, todos };
+  }
+
+  /**
+   * Turn a conventional feat or fix commit into a task name
+   * @param subject Commit subject, e.g. "feat(auth): add login form"
+   * @returns Task name, e.g. "[auth] Add login form", or null for other commits
+   */
+  private taskFromCommit(subject: string): string | null {
+    const match = subject.match(CONVENTIONAL_COMMIT);
+    if (!match) {
+      return null;
+    }
+    const [, type, scope, description] = match;
+    const task = type === 'fix' ? `Fix: ${description}` : `${description.charAt(0).toUpperCase()}${description.slice(1)}`;
+    return scope ? `[${scope}] ${task}` : task;
+  }
+
+  /**
+   * Check whether a file says nothing about the project's work: the memory bank itself and lock files
+   * @param file Path relative to the repository, with forward slashes
+   * @returns True if the file should be left out
+   */
+  private isIgnored(file: string): boolean {
+    const memoryBankDir = path.relative(this.projectDir, path.resolve(this.memoryBank.getBaseDir())).split(path.sep).join('/');
+    return file === memoryBankDir || file.startsWith(`${memoryBankDir}/`) || IGNORED_FILES.includes(path.posix.basename(file));
+  }
+
+  /**
+   * Read the state of the last update
+   * @returns State, or null before the first update or if the file is unreadable
+   */
+  private async readState(): Promise<InferenceState | null> {
+    const state = await this.readJson(this.statePath);
+    if (!state) {
+      return null;
+    }
+    return {
+      head: typeof state.head === 'string' ? state.head : null,
+      currentFocus: typeof state.currentFocus === 'string' ? state.currentFocus : null,
+      architectureOverview: typeof state.architectureOverview === 'string' ? state.architectureOverview : null
+    };
+  }
+
+  /**
+   * Read a JSON file
+   * @param filePath File to read
+   * @returns Parsed content, or null if the file is missing or invalid
+   */
+  private async readJson(filePath: string): Promise<any> {
+    try {
+      return await fs.pathExists(filePath) ? await fs.readJson(filePath) : null;
+    } catch (error) {
+      console.warn(`Ignoring unreadable ${filePath}:`, error instanceof Error ? error.message : error);
+      return null;
+    }
+  }
+
+  /**
+   * Run a git command in the repository and split its output into lines
+   * @param args Git arguments
+   * @returns Non-empty output lines, or an empty list if git failed or isn't available
+   */
+  private gitLines(args: string[]): string[] {
+    const output = this.runGit(args);
+    return output ? output.split('\n').map(line => line.trim()).filter(Boolean) : [];
+  }
+
+  /**
+   * Run a git command in the repository
+   * @param args Git arguments
+   * @returns Trimmed standard output, or null if git failed or isn't available
+   */
+  private runGit(args: string[]): string | null {
+    try {
+      return execFileSync('git', args, { encoding: 'utf8', stdio: 'pipe', cwd: this.projectDir, maxBuffer: 64 * 1024 * 1024 }).trim();
+    } catch {
+      return null;
+    }
+  }
+}
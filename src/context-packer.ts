@@ -0,0 +1,193 @@
+import { MarkdownDocument } from './markdown-document';
+
+/**
+ * Size budget for generated context files
+ * When both limits are set, the stricter one applies.
+ */
+export interface ContextBudget {
+  /** Maximum estimated tokens across all generated files */
+  maxTokens?: number;
+  /** Maximum characters across all generated files */
+  maxCharacters?: number;
+}
+
+/**
+ * A generated file that can be packed into a budget
+ */
+export interface PackableRule {
+  /** File name of the generated file */
+  fileName: string;
+  /** Memory bank file the values come from, or null if there is none */
+  source: string | null;
+  /** Template with ${NAME} placeholders */
+  template: string;
+  /** Placeholder values, keyed by placeholder name */
+  values: Record<string, string>;
+  /** Placeholders filled from memory bank sections; only these are trimmed */
+  sections: string[];
+}
+
+/**
+ * Entries dropped from one section while packing
+ */
+export interface DroppedContent {
+  fileName: string;
+  section: string;
+  entries: number;
+}
+
+/**
+ * Result of packing generated files into a budget
+ */
+export interface PackingReport {
+  /** Character budget that was applied, or null if there is no budget */
+  budgetCharacters: number | null;
+  /** Characters across all files after packing */
+  totalCharacters: number;
+  /** Estimated tokens across all files after packing */
+  estimatedTokens: number;
+  /** Entries that were dropped, per file and section */
+  dropped: DroppedContent[];
+  /** True if the files are still over budget after dropping everything that can be dropped */
+  overBudget: boolean;
+}
+
+/**
+ * How a section is packed
+ */
+interface SectionPolicy {
+  /** Sections with a lower priority are trimmed first */
+  priority: number;
+  /** Which end of the list holds the oldest entries */
+  oldest: 'start' | 'end';
+}
+
+/**
+ * Packing policy per placeholder. Current focus, open questions, recent decisions and
+ * active tasks are kept longest; history and completed work are trimmed first.
+ */
+const SECTION_POLICIES: Record<string, SectionPolicy> = {
+  COMPLETED_TASKS: { priority: 1, oldest: 'start' },
+  MILESTONES: { priority: 1, oldest: 'start' },
+  SESSION_HISTORY: { priority: 1, oldest: 'end' },
+  STATISTICS: { priority: 1, oldest: 'end' },
+  RECENT_CHANGES: { priority: 2, oldest: 'end' },
+  DECISIONS: { priority: 4, oldest: 'start' },
+  UPCOMING_TASKS: { priority: 4, oldest: 'end' },
+  CURRENT_TASKS: { priority: 5, oldest: 'end' },
+  OPEN_QUESTIONS_ISSUES: { priority: 5, oldest: 'end' },
+  CURRENT_FOCUS: { priority: 6, oldest: 'end' }
+};
+
+/** Policy for sections without an entry in SECTION_POLICIES */
+const DEFAULT_POLICY: SectionPolicy = { priority: 3, oldest: 'end' };
+
+/** Rough number of characters per token for English text and markdown */
+const CHARACTERS_PER_TOKEN = 4;
+
+/**
+ * Context Packer
+ *
+ * Fits generated context files into a token or character budget. When the rendered
+ * files are too large, list entries are dropped from the oldest end of the lowest
+ * priority sections first and replaced by a note pointing to the memory bank file.
+ */
+export class ContextPacker {
+  private budgetCharacters: number | null;
+  private render: (rule: PackableRule, values: Record<string, string>) => string;
+
+  /**
+   * Create a new context packer
+   * @param budget Size budget; without limits, files are rendered unchanged
+   * @param render Renders a file from its template and the given values
+   */
+  constructor(
+    budget: ContextBudget,
+    render: (rule: PackableRule, values: Record<string, string>) => string
+  ) {
+    const limits: number[] = [];
+    if (budget.maxCharacters && budget.maxCharacters > 0) limits.push(budget.maxCharacters);
+    if (budget.maxTokens && budget.maxTokens > 0) limits.push(budget.maxTokens * CHARACTERS_PER_TOKEN);
+    this.budgetCharacters = limits.length > 0 ? Math.min(...limits) : null;
+    this.render = render;
+  }
+
+  /**
+   * Estimate the number of tokens in a text
+   * @param text Text to measure
+   * @returns Estimated token count
+   */
+  public static estimateTokens(text: string): number {
+    return Math.ceil(text.length / CHARACTERS_PER_TOKEN);
+  }
+
+  /**
+   * Render the files, trimming sections until they fit the budget
+   * @param rules Files to render
+   * @returns Rendered content per file name and a report of what was dropped
+   */
+  public pack(rules: PackableRule[]): { contents: Map<string, string>; report: PackingReport } {
+    const contents = new Map<string, string>();
+    for (const rule of rules) {
+      contents.set(rule.fileName, this.render(rule, rule.values));
+    }
+
+    const dropped: DroppedContent[] = [];
+    const total = () => Array.from(contents.values()).reduce((sum, content) => sum + content.length, 0);
+
+    if (this.budgetCharacters !== null && total() > this.budgetCharacters) {
+      // Only sections that appear in a template take up space
+      const candidates = rules.flatMap(rule =>
+        this.getPlaceholders(rule.template)
+          .filter(name => rule.sections.includes(name) && rule.values[name])
+          .map(name => ({ rule, name, policy: SECTION_POLICIES[name] || DEFAULT_POLICY }))
+      );
+      candidates.sort((a, b) => a.policy.priority - b.policy.priority);
+
+      for (const { rule, name, policy } of candidates) {
+        if (total() <= this.budgetCharacters) {
+          break;
+        }
+
+        const entries = MarkdownDocument.splitEntries(rule.values[name]);
+        let dropCount = 0;
+        while (dropCount < entries.length && total() > this.budgetCharacters) {
+          dropCount++;
+          const kept = policy.oldest === 'start'
+            ? entries.slice(dropCount)
+            : entries.slice(0, entries.length - dropCount);
+          const note = `- (${dropCount} older ${dropCount === 1 ? 'entry' : 'entries'} omitted${rule.source ? `; see ${rule.source}` : ''})`;
+          const value = policy.oldest === 'start' ? [note, ...kept].join('\n') : [...kept, note].join('\n');
+          rule.values[name] = value;
+          contents.set(rule.fileName, this.render(rule, rule.values));
+        }
+
+        if (dropCount > 0) {
+          dropped.push({ fileName: rule.fileName, section: name, entries: dropCount });
+        }
+      }
+    }
+
+    const totalCharacters = total();
+    return {
+      contents,
+      report: {
+        budgetCharacters: this.budgetCharacters,
+        totalCharacters,
+        estimatedTokens: Math.ceil(totalCharacters / CHARACTERS_PER_TOKEN),
+        dropped,
+        overBudget: this.budgetCharacters !== null && totalCharacters > this.budgetCharacters
+      }
+    };
+  }
+
+  /**
+   * Get the placeholder names used in a template, in order of appearance
+   * @param template Template content
+   * @returns Unique placeholder names
+   */
+  private getPlaceholders(template: string): string[] {
+    const names = Array.from(template.matchAll(/\$\{([A-Z0-9_]+)(?::-[^}]*)?\}/g), match => match[1]);
+    return Array.from(new Set(names));
+  }
+}
@@ -0,0 +1,180 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { DecisionLog, DecisionRecord, adrFileName, formatAdr, parseAdr } from './decision-log';
+import { MemoryBank } from './memory-bank';
+
+const decision = (id: string, title: string, fields: string[] = []) =>
+  [`### [${id}] ${title}`, '- Date: 2024-05-01 09:00:00', '- Status: Pending', '- Rationale: Because', '- Implications: None recorded', ...fields].join('\n');
+
+describe('DecisionLog.append', () => {
+  it('renumbers decisions whose ID is taken, keeping their supersession links together', () => {
+    const main = DecisionLog.parse([decision('D-009', 'Main one'), decision('D-010', 'Main two')].join('\n\n'));
+    const branch = DecisionLog.parse([
+      decision('D-009', 'Use REST', [
+        '- Superseded by: D-010',
+        '- History:',
+        '  - [2024-05-02 09:00:00] Superseded by D-010: Use GraphQL'
+      ]).replace('Status: Pending', 'Status: Superseded'),
+      decision('D-010', 'Use GraphQL', ['- Supersedes: D-009'])
+    ].join('\n\n'));
+
+    const ids = main.append(branch, previousId => `- Merged from: feature/b${previousId ? ` (was ${previousId})` : ''}`);
+
+    expect(Array.from(ids)).toEqual([['D-009', 'D-011'], ['D-010', 'D-012']]);
+    const rest = main.get('D-011');
+    const graphql = main.get('D-012');
+    expect(rest?.title).toBe('Use REST');
+    expect(rest?.supersededBy).toBe('D-012');
+    expect(rest?.history[0].change).toBe('Superseded by D-012');
+    expect(graphql?.supersedes).toEqual(['D-011']);
+    expect(main.get('D-009')?.supersededBy).toBeNull();
+    expect(main.get('D-010')?.supersedes).toEqual([]);
+    expect(main.toString()).toContain('- Merged from: feature/b (was D-010)');
+  });
+
+  it('keeps IDs that are free and points decisions it replaced at the new ID', () => {
+    // The branch replaced D-001, which both logs share, before main took D-002
+    const main = DecisionLog.parse([
+      decision('D-001', 'Shared', ['- Superseded by: D-002', '- History:', '  - [2024-05-02 09:00:00] Superseded by D-002']),
+      decision('D-002', 'Main only')
+    ].join('\n\n'));
+    const branch = DecisionLog.parse([decision('D-002', 'Replacement', ['- Supersedes: D-001']), decision('D-003', 'Other')].join('\n\n'));
+
+    main.append(branch, () => '- Merged from: feature/c');
+
+    expect(main.list().map(record => record.id)).toEqual(['D-001', 'D-002', 'D-004', 'D-003']);
+    expect(main.get('D-004')?.supersedes).toEqual(['D-001']);
+    expect(main.get('D-001')?.supersededBy).toBe('D-004');
+    expect(main.get('D-001')?.history[0].change).toBe('Superseded by D-004');
+    expect(main.get('D-003')?.title).toBe('Other');
+  });
+});
+
+describe('DecisionLog parse and serialize', () => {
+  const content = [
+    'Decisions made while building the billing service.',
+    '',
+    '### [D-001] Use REST',
+    '- Date: 2024-05-01 09:00:00',
+    '- Status: Superseded',
+    '- Rationale: Simple to start with',
+    '  and every client speaks it',
+    '- Implications: None recorded',
+    '- Superseded by: D-002',
+    '- Reviewed by: the platform team',
+    '- History:',
+    '  - [2024-05-02 09:00:00] Superseded by D-002: Use GraphQL',
+    '',
+    '### Legacy entry without an ID',
+    '- Date: 2024-04-01',
+    '- Status: implemented',
+    '- Rationale: Kept from before decisions had IDs'
+  ].join('\n');
+
+  it('writes unchanged decisions back exactly as they were', () => {
+    const log = DecisionLog.parse(content);
+
+    expect(log.isChanged()).toBe(false);
+    expect(log.toString()).toBe(content);
+    expect(log.list().map(record => [record.id, record.title, record.status])).toEqual([
+      ['D-001', 'Use REST', 'Superseded'],
+      ['', 'Legacy entry without an ID', 'Implemented']
+    ]);
+    expect(log.get('d-001')).toMatchObject({
+      rationale: 'Simple to start with\nand every client speaks it',
+      supersededBy: 'D-002',
+      history: [{ timestamp: '2024-05-02 09:00:00', change: 'Superseded by D-002', reason: 'Use GraphQL' }]
+    });
+  });
+
+  it('records changes in the history and reads them back the same', () => {
+    const log = DecisionLog.parse(content);
+    log.update('D-001', { status: 'Deprecated', rationale: 'Clients moved on', reason: 'Review', commits: ['abc1234'] }, '2024-05-03 09:00:00');
+    const record = log.get('D-001') as DecisionRecord;
+
+    expect(record.history.slice(1)).toEqual([
+      { timestamp: '2024-05-03 09:00:00', change: 'Superseded to Deprecated', from: 'Superseded', to: 'Deprecated', reason: 'Review' },
+      { timestamp: '2024-05-03 09:00:00', change: 'Rationale revised', reason: 'Review', previous: 'Simple to start with\nand every client speaks it' }
+    ]);
+
+    const written = log.toString();
+    expect(written).toContain('- Reviewed by: the platform team');
+    expect(DecisionLog.parse(written).get('D-001')).toEqual(record);
+    expect(DecisionLog.parse(written).toString()).toBe(written);
+  });
+
+  it('supersedes a decision once', () => {
+    const log = DecisionLog.parse(decision('D-001', 'Use REST'));
+
+    log.supersede('D-001', 'D-002', '2024-05-02 09:00:00', 'Use GraphQL');
+    log.supersede('D-001', 'D-002', '2024-05-02 10:00:00');
+
+    expect(log.get('D-001')).toMatchObject({ status: 'Superseded', supersededBy: 'D-002' });
+    expect(log.get('D-001')?.history).toHaveLength(1);
+    expect(DecisionLog.parse('-').toString()).toBe('-');
+  });
+});
+
+describe('ADR files', () => {
+  const records = DecisionLog.parse([
+    decision('D-001', 'Use REST', ['- Superseded by: D-004']).replace('Status: Pending', 'Status: Superseded'),
+    decision('D-004', 'Use GraphQL', ['- Supersedes: D-001', '- Commits: abc1234', '- Files: src/api.ts', '- History:', '  - [2024-05-02 09:00:00] Pending to Implemented'])
+      .replace('Status: Pending', 'Status: Implemented')
+  ].join('\n\n')).list();
+
+  it('reads back the decisions it writes', () => {
+    const adr = formatAdr(records[1], records);
+
+    expect(adrFileName(records[1])).toBe('0004-use-graphql.md');
+    expect(adr).toContain('## Status\n\nAccepted\n\nSupersedes [1. Use REST](0001-use-rest.md)');
+    expect(parseAdr(adr, '0004-use-graphql.md')).toEqual({
+      record: { ...records[1], date: '2024-05-01', history: [{ ...records[1].history[0], from: 'Pending', to: 'Implemented' }] },
+      hasId: true
+    });
+  });
+
+  it('reads ADRs written by hand', () => {
+    const adr = '# ADR-7: Queue invoices\n\nStatus: Proposed\n\n## Context\n\nInvoices time out\n\n## Decision\n\nUse a queue\n\n## Consequences\n\nOne more service\n';
+
+    expect(parseAdr(adr, '0007-queue-invoices.md')).toMatchObject({
+      record: { id: 'D-007', title: 'Queue invoices', status: 'Pending', rationale: 'Invoices time out\n\nUse a queue', implications: 'One more service' },
+      hasId: false
+    });
+    expect(parseAdr('Just some notes\n', 'notes.md')).toBeNull();
+  });
+});
+
+describe('MemoryBank ADR export and import', () => {
+  let baseDir: string;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(baseDir);
+  });
+
+  it('exports decisions and imports edited and new ADRs', async () => {
+    const memoryBank = new MemoryBank({ baseDir: path.join(baseDir, 'memory-bank'), projectDir: baseDir });
+    await memoryBank.initialize();
+    const input = { implications: 'None', status: 'Pending' as const };
+    await memoryBank.addDecision({ ...input, title: 'Use REST', rationale: 'Simple' });
+    await memoryBank.addDecision({ ...input, title: 'Use GraphQL', rationale: 'Flexible', supersedes: 'D-001' });
+    const adrDir = path.join(baseDir, 'docs', 'adr');
+
+    const written = await memoryBank.exportDecisions();
+    expect(written?.map(file => path.relative(adrDir, file))).toEqual(['0001-use-rest.md', '0002-use-graphql.md']);
+    expect(await memoryBank.exportDecisions()).toEqual([]);
+
+    const graphqlPath = path.join(adrDir, '0002-use-graphql.md');
+    await fs.writeFile(graphqlPath, (await fs.readFile(graphqlPath, 'utf8')).replace('## Status\n\nProposed', '## Status\n\nAccepted'));
+    await fs.writeFile(path.join(adrDir, '0002-queue-invoices.md'), '# 2. Queue invoices\n\n## Status\n\nProposed\n\n## Context\n\nInvoices time out\n');
+
+    expect(await memoryBank.importDecisions()).toEqual({ added: ['D-003'], updated: ['D-002'] });
+    expect(await memoryBank.getDecision('D-002')).toMatchObject({ status: 'Implemented', supersedes: ['D-001'] });
+    expect(await memoryBank.getDecision('D-003')).toMatchObject({ title: 'Queue invoices', rationale: 'Invoices time out' });
+    expect((await memoryBank.getDecision('D-003'))?.history[0].change).toBe('Imported from docs/adr/0002-queue-invoices.md');
+  });
+});
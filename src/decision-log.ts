@@ -0,0 +1,683 @@
+import { MarkdownDocument } from './markdown-document';
+
+/**
+ * Status of a decision
+ */
+export type DecisionStatus = 'Pending' | 'Implemented' | 'Revised' | 'Superseded' | 'Deprecated' | 'Rejected';
+
+/** Valid values for a decision's status */
+export const DECISION_STATUSES: DecisionStatus[] = ['Pending', 'Implemented', 'Revised', 'Superseded', 'Deprecated', 'Rejected'];
+
+/**
+ * A change in the history of a decision
+ */
+export interface DecisionChange {
+  /** When the change was made (YYYY-MM-DD HH:MM:SS) */
+  timestamp: string;
+  /** What changed, e.g. "Pending to Implemented", "Rationale revised" or "Superseded by D-007" */
+  change: string;
+  /** Status before a status change */
+  from?: DecisionStatus;
+  /** Status after a status change */
+  to?: DecisionStatus;
+  /** Why the change was made */
+  reason?: string;
+  /** Text a revision replaced */
+  previous?: string;
+}
+
+/**
+ * A decision in the decision log
+ */
+export interface DecisionRecord {
+  /** Stable ID (e.g. D-004); empty for entries written before decisions had IDs */
+  id: string;
+  title: string;
+  /** When the decision was recorded (YYYY-MM-DD HH:MM:SS, or YYYY-MM-DD for imported ones) */
+  date: string;
+  status: DecisionStatus;
+  rationale: string;
+  implications: string;
+  /** IDs of the decisions this one replaces */
+  supersedes: string[];
+  /** ID of the decision that replaced this one */
+  supersededBy: string | null;
+  /** Commits that implement the decision */
+  commits: string[];
+  /** Files the decision concerns, relative to the repository */
+  files: string[];
+  /** Status changes and revisions, oldest first */
+  history: DecisionChange[];
+}
+
+/**
+ * Changes to a decision
+ */
+export interface DecisionUpdate {
+  status?: DecisionStatus;
+  rationale?: string;
+  implications?: string;
+  /** Why the decision changed, recorded in its history */
+  reason?: string;
+  /** Commits to link; commits already linked are ignored */
+  commits?: string[];
+  /** Files to link; files already linked are ignored */
+  files?: string[];
+}
+
+/**
+ * A decision read from an ADR file
+ */
+export interface AdrRecord {
+  record: DecisionRecord;
+  /** Whether the file names the decision ID; otherwise the ID comes from the ADR number */
+  hasId: boolean;
+}
+
+/**
+ * A decision as it appears in the log, kept as read so unchanged decisions serialize
+ * back exactly as they were
+ */
+interface DecisionBlock {
+  record: DecisionRecord;
+  raw: string;
+  /** Lines the log doesn't know, such as "- Merged from: <branch>" */
+  extra: string[];
+  changed: boolean;
+}
+
+/** Fields of a decision, keyed by the lowercase name used in the log */
+const FIELDS: { [key: string]: string } = {
+  'date': 'Date',
+  'status': 'Status',
+  'rationale': 'Rationale',
+  'implications': 'Implications',
+  'supersedes': 'Supersedes',
+  'superseded by': 'Superseded by',
+  'commits': 'Commits',
+  'files': 'Files',
+  'history': 'History'
+};
+
+const FIELD_REGEX = /^- ([A-Za-z][A-Za-z ]*?):[ \t]?(.*)$/;
+const HEADING_REGEX = /^###[ \t]+(?:\[(D-\d+)\][ \t]+)?(.+?)[ \t]*$/;
+const HISTORY_REGEX = /^\s*- \[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})\] (.+)$/;
+const TRANSITION_REGEX = /^(\w+) to (\w+)$/;
+
+/** ADR statuses for the decision statuses that have a different name in ADRs */
+const ADR_STATUSES: { [status: string]: string } = {
+  Pending: 'Proposed',
+  Implemented: 'Accepted'
+};
+
+/**
+ * Decision Log
+ *
+ * Parses the Decisions section of the decision log into decision records. Each decision
+ * is a `### [D-NNN] Title` heading followed by `- Field: value` lines and a history of
+ * its status changes and revisions. Decisions that aren't changed, and lines the log
+ * doesn't know, are written back as they were read.
+ */
+export class DecisionLog {
+  private preamble: string[];
+  private blocks: DecisionBlock[];
+
+  private constructor(preamble: string[], blocks: DecisionBlock[]) {
+    this.preamble = preamble;
+    this.blocks = blocks;
+  }
+
+  /**
+   * Parse the content of the Decisions section
+   * @param content Section content
+   * @returns Parsed decision log
+   */
+  public static parse(content: string): DecisionLog {
+    const preamble: string[] = [];
+    const groups: string[][] = [];
+    for (const line of content.split('\n')) {
+      if (HEADING_REGEX.test(line)) {
+        groups.push([line]);
+      } else if (groups.length > 0) {
+        groups[groups.length - 1].push(line);
+      } else {
+        preamble.push(line);
+      }
+    }
+    return new DecisionLog(preamble, groups.map(lines => parseBlock(lines)));
+  }
+
+  /**
+   * Get the decisions in the order they were recorded
+   * @returns Decision records
+   */
+  public list(): DecisionRecord[] {
+    return this.blocks.map(block => block.record);
+  }
+
+  /**
+   * Get a decision
+   * @param id Decision ID (e.g. D-004)
+   * @returns The decision, or null if the log doesn't have it
+   */
+  public get(id: string): DecisionRecord | null {
+    const block = this.findBlock(id);
+    return block ? block.record : null;
+  }
+
+  /**
+   * Check whether the log was changed since it was parsed
+   * @returns True if a decision was added or changed
+   */
+  public isChanged(): boolean {
+    return this.blocks.some(block => block.changed);
+  }
+
+  /**
+   * Add a decision at the end of the log
+   * @param record Decision to add
+   */
+  public add(record: DecisionRecord): void {
+    this.blocks.push({ record, raw: '', extra: [], changed: true });
+  }
+
+  /**
+   * Change a decision, recording status changes and revisions in its history
+   * @param id Decision ID
+   * @param update Changes to make
+   * @param timestamp Time of the change (YYYY-MM-DD HH:MM:SS)
+   * @returns The decision, or null if the log doesn't have it
+   */
+  public update(id: string, update: DecisionUpdate, timestamp: string): DecisionRecord | null {
+    const block = this.findBlock(id);
+    if (!block) {
+      return null;
+    }
+    const record = block.record;
+    const reason = update.reason?.trim() || undefined;
+    const changes: DecisionChange[] = [];
+
+    if (update.status && update.status !== record.status) {
+      changes.push({ timestamp, change: `${record.status} to ${update.status}`, from: record.status, to: update.status, reason });
+      record.status = update.status;
+    }
+    for (const field of ['rationale', 'implications'] as const) {
+      const text = update[field]?.trim();
+      if (text && text !== record[field]) {
+        changes.push({ timestamp, change: `${FIELDS[field]} revised`, reason, previous: record[field] });
+        record[field] = text;
+      }
+    }
+
+    const commits = (update.commits || []).filter(commit => commit && !record.commits.includes(commit));
+    const files = (update.files || []).filter(file => file && !record.files.includes(file));
+    record.commits.push(...commits);
+    record.files.push(...files);
+
+    if (changes.length > 0 || commits.length > 0 || files.length > 0) {
+      record.history.push(...changes);
+      block.changed = true;
+    }
+    return record;
+  }
+
+  /**
+   * Mark a decision as replaced by another one
+   * @param id Decision that is replaced
+   * @param supersededBy Decision that replaces it
+   * @param timestamp Time of the change (YYYY-MM-DD HH:MM:SS)
+   * @param reason Why it was replaced
+   * @returns The replaced decision, or null if the log doesn't have it
+   */
+  public supersede(id: string, supersededBy: string, timestamp: string, reason?: string): DecisionRecord | null {
+    const block = this.findBlock(id);
+    if (!block) {
+      return null;
+    }
+    const record = block.record;
+    if (record.supersededBy === supersededBy && record.status === 'Superseded') {
+      return record;
+    }
+    record.history.push({
+      timestamp,
+      change: `Superseded by ${supersededBy}`,
+      from: record.status,
+      to: 'Superseded',
+      reason: reason?.trim() || undefined
+    });
+    record.status = 'Superseded';
+    record.supersededBy = supersededBy;
+    block.changed = true;
+    return record;
+  }
+
+  /**
+   * Link decisions a decision replaces, without changing their status
+   * Used for relations read from ADR files.
+   * @param id Decision ID
+   * @param relation Decisions it supersedes, and the one that superseded it
+   * @returns True if the decision was changed
+   */
+  public link(id: string, relation: { supersedes?: string[]; supersededBy?: string | null }): boolean {
+    const block = this.findBlock(id);
+    if (!block) {
+      return false;
+    }
+    const supersedes = (relation.supersedes || []).filter(other => !block.record.supersedes.includes(other));
+    block.record.supersedes.push(...supersedes);
+    const supersededBy = relation.supersededBy && !block.record.supersededBy ? relation.supersededBy : null;
+    if (supersededBy) {
+      block.record.supersededBy = supersededBy;
+    }
+    if (supersedes.length > 0 || supersededBy) {
+      block.changed = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Append the decisions of another log, such as a branch's when it is merged
+   * A decision whose ID this log already has gets the next free ID. The supersession
+   * links and history of the appended decisions follow the new IDs, and so do those of
+   * the decisions here that an appended one replaced.
+   * @param other Log to append
+   * @param note Line to add to each appended decision, given the ID it had if it was renumbered
+   * @returns New ID of each renumbered decision, keyed by the ID it had
+   */
+  public append(other: DecisionLog, note: (previousId: string | null) => string): Map<string, string> {
+    // New IDs follow the highest ID of both logs, so they can't take one an appended decision keeps
+    const taken = new Set(this.blocks.map(block => block.record.id).filter(id => id));
+    const ids = new Map<string, string>();
+    let highest = Math.max(0, ...[...this.blocks, ...other.blocks]
+      .filter(block => block.record.id)
+      .map(block => parseInt(block.record.id.substring(2), 10)));
+    for (const { record } of other.blocks) {
+      if (record.id && taken.has(record.id)) {
+        ids.set(record.id, `D-${String(++highest).padStart(3, '0')}`);
+      }
+    }
+
+    const existing = [...this.blocks];
+    for (const block of other.blocks) {
+      const previousId = ids.has(block.record.id) ? block.record.id : null;
+      const record = renumberRecord(block.record, ids);
+      this.blocks.push({ record, raw: '', extra: [...block.extra, note(previousId)], changed: true });
+
+      // A decision here that the appended one replaced still names its old ID
+      if (previousId) {
+        for (const target of existing.filter(candidate => record.supersedes.includes(candidate.record.id) && candidate.record.supersededBy === previousId)) {
+          target.record.supersededBy = record.id;
+          target.record.history = target.record.history.map(change =>
+            change.change === `Superseded by ${previousId}` ? { ...change, change: `Superseded by ${record.id}` } : change);
+          target.changed = true;
+        }
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Serialize the log back to the content of the Decisions section
+   * @returns Section content, or "-" if the log is empty
+   */
+  public toString(): string {
+    // Drop the empty placeholder bullet of the template once there are decisions
+    const preamble = this.preamble.join('\n').replace(/^-\s*$/gm, '').trim();
+    const parts = [
+      ...(preamble ? [preamble] : []),
+      ...this.blocks.map(block => block.changed ? formatBlock(block.record, block.extra) : block.raw)
+    ];
+    return parts.length > 0 ? parts.join('\n\n') : '-';
+  }
+
+  /**
+   * Find the block of a decision
+   * @param id Decision ID
+   * @returns The block, or undefined if the log doesn't have it
+   */
+  private findBlock(id: string): DecisionBlock | undefined {
+    const normalized = id.trim().toUpperCase();
+    return normalized ? this.blocks.find(block => block.record.id === normalized) : undefined;
+  }
+}
+
+/**
+ * Parse the lines of a decision
+ * @param lines Heading and the lines that follow it
+ * @returns Decision block
+ */
+function parseBlock(lines: string[]): DecisionBlock {
+  const heading = (lines[0].match(HEADING_REGEX) as RegExpMatchArray);
+  const record = emptyRecord(heading[1] || '', heading[2]);
+  const values: { [key: string]: string } = {};
+  const extra: string[] = [];
+  const historyLines: string[] = [];
+  let field: string | null = null;
+
+  const rest = lines.slice(1);
+  rest.forEach((line, index) => {
+    const match = line.match(FIELD_REGEX);
+    const key = match ? match[1].toLowerCase() : '';
+    // A blank line is part of a value when the value goes on after it
+    const continues = /^\s+\S/.test(line) ||
+      (line.trim() === '' && rest.slice(index + 1).some(next => next.trim() !== '') &&
+        /^\s+\S/.test(rest.slice(index + 1).find(next => next.trim() !== '') as string));
+    if (match && FIELDS[key]) {
+      field = key;
+      values[key] = match[2].trim();
+    } else if (field === 'history' && continues) {
+      historyLines.push(line);
+    } else if (field && field !== 'history' && continues) {
+      values[field] += `\n${line.trim()}`;
+    } else {
+      field = null;
+      extra.push(line);
+    }
+  });
+
+  record.date = values['date'] || '';
+  record.status = parseStatus(values['status'] || '') || (values['status'] || 'Pending') as DecisionStatus;
+  record.rationale = values['rationale'] || '';
+  record.implications = values['implications'] || '';
+  record.supersedes = splitList(values['supersedes']);
+  record.supersededBy = splitList(values['superseded by'])[0] || null;
+  record.commits = splitList(values['commits']);
+  record.files = splitList(values['files']);
+  record.history = parseHistory(historyLines);
+
+  // Blank lines between decisions aren't part of either
+  while (extra.length > 0 && extra[extra.length - 1].trim() === '') {
+    extra.pop();
+  }
+  return { record, raw: lines.join('\n').trim(), extra, changed: false };
+}
+
+/**
+ * Format a decision for the decision log
+ * @param record Decision
+ * @param extra Other lines of the decision, kept as they were
+ * @returns Markdown for the decision
+ */
+function formatBlock(record: DecisionRecord, extra: string[] = []): string {
+  const lines = [
+    `### ${record.id ? `[${record.id}] ` : ''}${record.title}`,
+    `- Date: ${record.date}`,
+    `- Status: ${record.status}`,
+    `- Rationale: ${indent(record.rationale, '  ')}`,
+    `- Implications: ${indent(record.implications || 'None recorded', '  ')}`
+  ];
+  if (record.supersedes.length > 0) {
+    lines.push(`- Supersedes: ${record.supersedes.join(', ')}`);
+  }
+  if (record.supersededBy) {
+    lines.push(`- Superseded by: ${record.supersededBy}`);
+  }
+  if (record.commits.length > 0) {
+    lines.push(`- Commits: ${record.commits.join(', ')}`);
+  }
+  if (record.files.length > 0) {
+    lines.push(`- Files: ${record.files.join(', ')}`);
+  }
+  lines.push(...extra.filter(line => line.trim() !== ''));
+  if (record.history.length > 0) {
+    lines.push('- History:', formatHistory(record.history, '  '));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Copy a decision with its ID and the IDs it refers to changed
+ * @param record Decision
+ * @param ids New ID for each changed one, keyed by the old ID
+ * @returns Decision with the new IDs, including in the "Superseded by" lines of its history
+ */
+function renumberRecord(record: DecisionRecord, ids: Map<string, string>): DecisionRecord {
+  const renumber = (id: string) => ids.get(id) || id;
+  return {
+    ...record,
+    id: renumber(record.id),
+    supersedes: record.supersedes.map(renumber),
+    supersededBy: record.supersededBy ? renumber(record.supersededBy) : null,
+    commits: [...record.commits],
+    files: [...record.files],
+    history: record.history.map(change => ({ ...change, change: change.change.replace(/^Superseded by (D-\d+)$/, (text, id) => `Superseded by ${renumber(id)}`) }))
+  };
+}
+
+/**
+ * Create a decision with only a title
+ * @param id Decision ID
+ * @param title Decision title
+ * @returns Decision record
+ */
+function emptyRecord(id: string, title: string): DecisionRecord {
+  return {
+    id,
+    title,
+    date: '',
+    status: 'Pending',
+    rationale: '',
+    implications: '',
+    supersedes: [],
+    supersededBy: null,
+    commits: [],
+    files: [],
+    history: []
+  };
+}
+
+/**
+ * Read a decision status, ignoring case
+ * @param text Status text
+ * @returns The status, or null if it isn't a decision status
+ */
+export function parseStatus(text: string): DecisionStatus | null {
+  const normalized = text.trim().toLowerCase();
+  return DECISION_STATUSES.find(status => status.toLowerCase() === normalized) || null;
+}
+
+/**
+ * Split a comma-separated list
+ * @param text List text
+ * @returns Items without surrounding whitespace
+ */
+function splitList(text: string | undefined): string[] {
+  return (text || '').split(',').map(item => item.trim()).filter(item => item !== '' && item !== '-');
+}
+
+/**
+ * Indent the lines after the first one
+ * @param text Text that may span lines
+ * @param prefix Indentation
+ * @returns Indented text
+ */
+function indent(text: string, prefix: string): string {
+  return text.trim().split('\n').map((line, index) => index === 0 || line.trim() === '' ? line.trim() : `${prefix}${line}`).join('\n');
+}
+
+/**
+ * Format the history of a decision as a list
+ * @param history Changes, oldest first
+ * @param prefix Indentation of the list
+ * @returns Markdown list
+ */
+function formatHistory(history: DecisionChange[], prefix: string): string {
+  return history.map(entry => {
+    const line = `${prefix}- [${entry.timestamp}] ${entry.change}${entry.reason ? `: ${entry.reason}` : ''}`;
+    return entry.previous !== undefined
+      ? `${line}\n${prefix}  Previous: ${indent(entry.previous || '(empty)', `${prefix}  `)}`
+      : line;
+  }).join('\n');
+}
+
+/**
+ * Parse a history list written by formatHistory
+ * @param lines Lines of the list
+ * @returns Changes, oldest first
+ */
+function parseHistory(lines: string[]): DecisionChange[] {
+  const history: DecisionChange[] = [];
+  for (const line of lines) {
+    const match = line.match(HISTORY_REGEX);
+    const last = history[history.length - 1];
+    if (match) {
+      const separator = match[2].indexOf(': ');
+      const change = separator === -1 ? match[2] : match[2].substring(0, separator);
+      const entry: DecisionChange = { timestamp: match[1], change };
+      if (separator !== -1) {
+        entry.reason = match[2].substring(separator + 2);
+      }
+      const transition = change.match(TRANSITION_REGEX);
+      const from = transition && parseStatus(transition[1]);
+      const to = transition && parseStatus(transition[2]);
+      if (from && to) {
+        entry.from = from;
+        entry.to = to;
+      } else if (/^Superseded by /.test(change)) {
+        entry.to = 'Superseded';
+      }
+      history.push(entry);
+    } else if (last && /^\s*Previous: /.test(line)) {
+      last.previous = line.replace(/^\s*Previous: /, '');
+    } else if (last && last.previous !== undefined) {
+      last.previous += `\n${line.trim()}`;
+    }
+  }
+  return history;
+}
+
+/**
+ * Get the number of a decision, used for its ADR file
+ * @param id Decision ID (e.g. D-004)
+ * @returns Number (e.g. 4)
+ */
+function decisionNumber(id: string): number {
+  return parseInt(id.replace(/^D-/, ''), 10);
+}
+
+/**
+ * Get the name of the ADR file of a decision
+ * @param record Decision with an ID
+ * @returns File name like 0004-use-postgresql.md
+ */
+export function adrFileName(record: DecisionRecord): string {
+  const slug = MarkdownDocument.sectionId(record.title) || 'decision';
+  return `${String(decisionNumber(record.id)).padStart(4, '0')}-${slug}.md`;
+}
+
+/**
+ * Format a decision as an architecture decision record (ADR)
+ * The decision's ID, links and history are included so the file can be imported again.
+ * @param record Decision with an ID
+ * @param records All decisions, for the titles of related ones
+ * @param fileName Gets the ADR file name of a related decision (defaults to adrFileName)
+ * @returns ADR markdown
+ */
+export function formatAdr(
+  record: DecisionRecord,
+  records: DecisionRecord[],
+  fileName: (other: DecisionRecord) => string = adrFileName
+): string {
+  const reference = (id: string) => {
+    const other = records.find(candidate => candidate.id === id);
+    return other ? `[${decisionNumber(id)}. ${other.title}](${fileName(other)})` : id;
+  };
+
+  const status = [ADR_STATUSES[record.status] || record.status];
+  if (record.supersedes.length > 0) {
+    status.push('', ...record.supersedes.map(id => `Supersedes ${reference(id)}`));
+  }
+  if (record.supersededBy) {
+    status.push('', `Superseded by ${reference(record.supersededBy)}`);
+  }
+
+  const sections = [
+    `# ${decisionNumber(record.id)}. ${record.title}`,
+    `Date: ${record.date.substring(0, 10)}\nDecision ID: ${record.id}`,
+    `## Status\n\n${status.join('\n')}`,
+    `## Context\n\n${record.rationale || '-'}`,
+    `## Decision\n\n${record.title}`,
+    `## Consequences\n\n${record.implications || 'None recorded'}`
+  ];
+  const links = [
+    ...(record.commits.length > 0 ? [`- Commits: ${record.commits.join(', ')}`] : []),
+    ...(record.files.length > 0 ? [`- Files: ${record.files.join(', ')}`] : [])
+  ];
+  if (links.length > 0) {
+    sections.push(`## Links\n\n${links.join('\n')}`);
+  }
+  if (record.history.length > 0) {
+    sections.push(`## History\n\n${formatHistory(record.history, '')}`);
+  }
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Read an architecture decision record (ADR)
+ * Reads the files formatAdr writes, Michael Nygard's template and MADR: the status is
+ * taken from a Status section or a "Status:" line, the rationale from the Context
+ * section and the implications from the Consequences section.
+ * @param content ADR markdown
+ * @param fileName Name of the file (e.g. 0004-use-postgresql.md), for the ADR number
+ * @returns The decision, or null if the file isn't an ADR
+ */
+export function parseAdr(content: string, fileName: string): AdrRecord | null {
+  const document = MarkdownDocument.parse(content);
+  const numberMatch = fileName.match(/^(\d+)-/);
+  const heading = (document.title || '').match(/^(?:ADR[- ]?)?(\d+)[.:]?\s+(.+)$/i);
+  const number = numberMatch ? parseInt(numberMatch[1], 10) : heading ? parseInt(heading[1], 10) : NaN;
+  const title = heading ? heading[2].trim() : (document.title || '').trim();
+  if (!title || isNaN(number)) {
+    return null;
+  }
+
+  // Front matter and the lines under the title
+  const header = content.split(/^##[ \t]/m)[0];
+  const headerValue = (name: string) => {
+    const match = header.match(new RegExp(`^${name}:[ \\t]*(.+)$`, 'im'));
+    return match ? match[1].trim() : '';
+  };
+  const section = (prefix: string) => {
+    const found = document.getSections().find(candidate => candidate.id.startsWith(prefix));
+    return found ? found.content.replace(/^-\s*$/gm, '').trim() : '';
+  };
+  const referenceId = (text: string) => {
+    const id = text.match(/\bD-\d+\b/);
+    const file = text.match(/\((\d+)-[^)]*\)/) || text.match(/\[(\d+)\./);
+    return id ? id[0] : file ? `D-${String(parseInt(file[1], 10)).padStart(3, '0')}` : null;
+  };
+
+  const id = headerValue('Decision ID').match(/^D-\d+$/i) ? headerValue('Decision ID').toUpperCase() : '';
+  const record = emptyRecord(id || `D-${String(number).padStart(3, '0')}`, title);
+  record.date = headerValue('Date');
+
+  const statusLines = section('status').split('\n').map(line => line.trim()).filter(line => line !== '');
+  const statusText = (statusLines[0] || headerValue('Status')).replace(/^\W+|\W+$/g, '').split(/\s+/)[0] || '';
+  const adrStatus = Object.keys(ADR_STATUSES).find(status => ADR_STATUSES[status].toLowerCase() === statusText.toLowerCase());
+  record.status = (adrStatus as DecisionStatus) || parseStatus(statusText) || 'Pending';
+  for (const line of statusLines) {
+    const other = referenceId(line);
+    if (other && /^supersedes\b/i.test(line)) {
+      record.supersedes.push(other);
+    } else if (other && /^superseded by\b/i.test(line)) {
+      record.supersededBy = other;
+    }
+  }
+
+  const decision = section('decision');
+  const context = section('context');
+  record.rationale = decision && decision !== title ? [context, decision].filter(text => text).join('\n\n') : context;
+  record.implications = section('consequences');
+
+  const links = section('links');
+  const linkValue = (name: string) => {
+    const match = links.match(new RegExp(`^- ${name}:[ \\t]*(.+)$`, 'im'));
+    return match ? splitList(match[1]) : [];
+  };
+  record.commits = linkValue('Commits');
+  record.files = linkValue('Files');
+  record.history = parseHistory(section('history').split('\n'));
+
+  return { record, hasId: id !== '' };
+}
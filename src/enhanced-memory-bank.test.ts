@@ -0,0 +1,109 @@
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import fs from 'fs-extra';
+import { EnhancedMemoryBank } from './enhanced-memory-bank';
+import { MemoryBank } from './memory-bank';
+import { LedgerActivity, StatisticsLedger } from './statistics-ledger';
+
+/** Fake only the clock, so locks and child processes keep their real timers */
+const fakeClock = (now: string) => {
+  jest.useFakeTimers({
+    now: new Date(now),
+    doNotFake: ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate', 'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout']
+  });
+};
+
+describe('EnhancedMemoryBank.trackStatistics', () => {
+  let baseDir: string;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    await fs.remove(baseDir);
+  });
+
+  it('starts each activity window where the last one ended, even when the update fails', async () => {
+    fakeClock('2024-05-01T09:00:00Z');
+    const memoryBank = new MemoryBank({ baseDir, projectDir: baseDir });
+    await memoryBank.initialize();
+    await memoryBank.startSession({ focus: 'Statistics' });
+
+    jest.setSystemTime(new Date('2024-05-01T09:30:00Z'));
+    expect((await memoryBank.handleUMBCommand({})).success).toBe(false);
+    jest.setSystemTime(new Date('2024-05-01T10:00:00Z'));
+    expect((await memoryBank.handleUMBCommand({})).success).toBe(false);
+
+    const activity = (await new StatisticsLedger(baseDir).read())
+      .filter((record): record is LedgerActivity => record.type === 'activity');
+    expect(activity.map(record => [record.start, record.end])).toEqual([
+      ['2024-05-01T09:00:00.000Z', '2024-05-01T09:30:00.000Z'],
+      ['2024-05-01T09:30:00.000Z', '2024-05-01T10:00:00.000Z']
+    ]);
+
+    const report = await new StatisticsLedger(baseDir).report({ period: 'day', date: '2024-05-01' });
+    expect(report.total.minutes).toBe(60);
+  });
+});
+
+describe('EnhancedMemoryBank.archiveOldFiles', () => {
+  let baseDir: string;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(baseDir);
+  });
+
+  it('rolls up the days it archives before compressing them', async () => {
+    const memoryBank = new EnhancedMemoryBank({ baseDir, compressAfterDays: 1 });
+    await memoryBank.initialize();
+    const dailyFile = await memoryBank.createDailyFile(new Date('2025-01-10T12:00:00Z'));
+    await fs.writeFile(dailyFile, (await fs.readFile(dailyFile, 'utf8'))
+      .replace(/## Current Focus\n[^#]*/, '## Current Focus\nMigrating the billing service\n\n')
+      .replace(/## Recent Changes\n[^#]*/, '## Recent Changes\n- [2025-01-10 12:00:00] - Moved invoices to the new queue\n\n'));
+
+    expect(await memoryBank.archiveOldFiles()).toBe(true);
+
+    expect(await fs.pathExists(path.join(baseDir, 'archive', '2025', '01.tar.gz'))).toBe(true);
+    const digest = await fs.readFile(path.join(baseDir, 'rollups', 'monthly-2025-01.md'), 'utf8');
+    expect(digest).toContain('- 2025-01-10: Migrating the billing service');
+    expect(digest).toContain('Moved invoices to the new queue');
+    expect(await fs.pathExists(path.join(baseDir, 'rollups', 'weekly-2025-W02.md'))).toBe(true);
+  });
+});
+
+describe('EnhancedMemoryBank.reconstructMemoryBank', () => {
+  let projectDir: string;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(projectDir);
+  });
+
+  it('fails without a git repository, but not for a range without commits', async () => {
+    const memoryBank = new EnhancedMemoryBank({ baseDir: path.join(projectDir, 'memory-bank') });
+
+    expect(await memoryBank.reconstructMemoryBank(5)).toBe(false);
+    expect(console.warn).toHaveBeenCalledWith('Git history not available:', expect.anything());
+
+    execFileSync('git', ['init', '-q'], { cwd: projectDir, stdio: 'pipe' });
+    expect(await memoryBank.reconstructMemoryBank(5)).toBe(true);
+    expect(console.log).toHaveBeenCalledWith('No commits found in the last 5 days.');
+  });
+});
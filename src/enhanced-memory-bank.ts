@@ -1,6 +1,12 @@
 import fs from 'fs-extra';
+import os from 'os';
 import path from 'path';
-import { execSync } from 'child_process';
+import { execFileSync } from 'child_process';
+import { MarkdownDocument } from './markdown-document';
+import { FileLock, hashContent, writeFileAtomic } from './file-lock';
+import { LedgerRecord, ReportOptions, StatisticsLedger, StatisticsReport } from './statistics-ledger';
+import { MemoryBankArchive } from './memory-bank-archive';
+import { BRANCHES_DIR_NAME } from './memory-bank-branches';
 
 /**
  * Configuration options for the Enhanced Memory Bank
@@ -14,12 +20,22 @@ export interface MemoryBankConfig {
   sessionsDirName?: string;
   /** Directory name for archived files */
   archiveDirName?: string;
+  /** Directory name for weekly and monthly rollup files */
+  rollupsDirName?: string;
   /** Session timeout in hours */
   sessionTimeoutHours?: number;
   /** Archive threshold in days */
   archiveThresholdDays?: number;
+  /** Age in days after which archived months are compressed into a bundle (not compressed when unset) */
+  compressAfterDays?: number;
   /** Developer hourly rate for cost estimation */
   developerHourlyRate?: number;
+  /** Maximum number of entries kept in the master Recent Changes section */
+  maxRecentChanges?: number;
+  /** Milliseconds to wait for another process to finish updating the memory bank */
+  lockTimeoutMs?: number;
+  /** Milliseconds after which a lock that hasn't been refreshed is considered stale */
+  staleLockMs?: number;
 }
 
 /**
@@ -34,8 +50,97 @@ export interface Statistics {
   linesAdded: number;
   linesRemoved: number;
   totalLines: number;
+  /** Number of commits counted */
+  commits: number;
 }
 
+/**
+ * Files and lines changed in git over a period
+ */
+interface GitChanges {
+  filesCreated: number;
+  filesModified: number;
+  filesDeleted: number;
+  linesAdded: number;
+  linesRemoved: number;
+  commits: number;
+}
+
+/** Daily file name, capturing its date */
+const DAILY_FILE_REGEX = /^activeContext-(\d{4}-\d{2}-\d{2})\.md$/;
+
+/**
+ * Title line each master file is expected to start with
+ */
+const MASTER_FILE_TITLES: Record<string, string> = {
+  'productContext.md': '# Product Context',
+  'activeContext.md': '# Active Context',
+  'systemPatterns.md': '# System Patterns',
+  'decisionLog.md': '# Decision Log',
+  'progress.md': '# Progress'
+};
+
+/**
+ * A commit read from git history
+ */
+interface CommitInfo {
+  hash: string;
+  date: Date;
+  author: string;
+  subject: string;
+  filesCreated: number;
+  filesModified: number;
+  filesDeleted: number;
+  linesAdded: number;
+  linesRemoved: number;
+  /** Lines changed per file */
+  files: { path: string; linesAdded: number; linesRemoved: number }[];
+}
+
+/**
+ * A daily active context file, in the daily folder or the archive
+ */
+interface DailyFile {
+  date: string;
+  path: string;
+  read: () => Promise<string>;
+}
+
+/** Status of a development session */
+export type SessionStatus = 'active' | 'paused' | 'ended';
+
+/**
+ * A development session, read from its session file
+ */
+export interface SessionInfo {
+  /** Session file name without .md (e.g. session-2024-05-01T09-00-00-000Z) */
+  id: string;
+  /** Path to the session file */
+  filePath: string;
+  /** Whether the session is open, paused or ended */
+  status: SessionStatus;
+  /** Start time in YYYY-MM-DD HH:MM:SS format */
+  startTime: string;
+  /** Time of the last activity recorded in the session */
+  lastActivity: string;
+  /** End time, or null while the session is open */
+  endTime: string | null;
+  /** Minutes from the start to the end (or the last activity), without breaks */
+  minutes: number;
+  /** Focus of the session */
+  focus: string;
+  /** Summary written when the session ended */
+  summary: string;
+  /** Breaks taken by pausing the session; the end of a break still going on is null */
+  breaks: { start: string; end: string | null }[];
+}
+
+/** Placeholder in the End Time section of a session that is still open */
+const SESSION_IN_PROGRESS = '(In progress)';
+
+/** Most entries of each kind listed in a session summary */
+const MAX_SUMMARY_ITEMS = 10;
+
 /**
  * Enhanced Memory Bank class for project context retention
  */
@@ -44,10 +149,21 @@ export class EnhancedMemoryBank {
   private dailyDir: string;
   private sessionsDir: string;
   private archiveDir: string;
+  private rollupsDir: string;
+  private activeContextPath: string;
   private lastUpdatePath: string;
+  private lastCommitPath: string;
+  private lastTrackedPath: string;
   private sessionTimeoutHours: number;
   private archiveThresholdDays: number;
+  private compressAfterDays: number | null;
   private developerHourlyRate: number;
+  private maxRecentChanges: number;
+  private lock: FileLock;
+  private ledger: StatisticsLedger;
+  private archive: MemoryBankArchive;
+  /** File and content hash each document was read from, for optimistic concurrency checks */
+  private documentSources = new WeakMap<MarkdownDocument, { filePath: string; hash: string | null }>();
 
   /**
    * Create a new Enhanced Memory Bank instance
@@ -60,12 +176,27 @@ export class EnhancedMemoryBank {
     this.dailyDir = path.join(this.baseDir, config.dailyDirName || 'daily');
     this.sessionsDir = path.join(this.baseDir, config.sessionsDirName || 'sessions');
     this.archiveDir = path.join(this.baseDir, config.archiveDirName || 'archive');
+    this.rollupsDir = path.join(this.baseDir, config.rollupsDirName || 'rollups');
+    this.activeContextPath = path.join(this.baseDir, 'activeContext.md');
     this.lastUpdatePath = path.join(this.baseDir, '.last_update');
+    this.lastCommitPath = path.join(this.baseDir, '.last_commit');
+    this.lastTrackedPath = path.join(this.baseDir, '.last_tracked');
     
     // Set up configuration values
     this.sessionTimeoutHours = config.sessionTimeoutHours || 2;
     this.archiveThresholdDays = config.archiveThresholdDays || 7;
+    this.compressAfterDays = config.compressAfterDays || null;
     this.developerHourlyRate = config.developerHourlyRate || 60;
+    this.maxRecentChanges = config.maxRecentChanges || 20;
+
+    this.ledger = new StatisticsLedger(this.baseDir, this.developerHourlyRate);
+    this.archive = new MemoryBankArchive(this.archiveDir);
+
+    // One lock per memory bank, shared by every process that updates it
+    this.lock = new FileLock(path.join(this.baseDir, '.memory-bank.lock'), {
+      timeoutMs: config.lockTimeoutMs,
+      staleMs: config.staleLockMs
+    });
   }
 
   /**
@@ -74,24 +205,50 @@ export class EnhancedMemoryBank {
    */
   public async initialize(): Promise<boolean> {
     try {
-      // Create the necessary directories
-      await fs.ensureDir(this.baseDir);
-      await fs.ensureDir(this.dailyDir);
-      await fs.ensureDir(this.sessionsDir);
-      await fs.ensureDir(this.archiveDir);
+      return await this.withLock(async () => {
+        // Create the necessary directories
+        await fs.ensureDir(this.baseDir);
+        await fs.ensureDir(this.dailyDir);
+        await fs.ensureDir(this.sessionsDir);
+        await fs.ensureDir(this.archiveDir);
       
-      // Initialize the last update timestamp if it doesn't exist
-      if (!await fs.pathExists(this.lastUpdatePath)) {
-        await fs.writeFile(this.lastUpdatePath, new Date().toISOString());
-      }
+        // Initialize the last update timestamp if it doesn't exist
+        if (!await fs.pathExists(this.lastUpdatePath)) {
+          await writeFileAtomic(this.lastUpdatePath, new Date().toISOString());
+        }
       
-      return true;
+        return true;
+      });
     } catch (error) {
       console.error('Error initializing enhanced memory bank:', error);
       return false;
     }
   }
 
+  /**
+   * Get the archive directory
+   * @returns Path of the archive directory
+   */
+  public getArchiveDir(): string {
+    return this.archiveDir;
+  }
+
+  /**
+   * Get the directory of the daily files
+   * @returns Path of the daily directory
+   */
+  public getDailyDir(): string {
+    return this.dailyDir;
+  }
+
+  /**
+   * Get the directory of the session files
+   * @returns Path of the sessions directory
+   */
+  public getSessionsDir(): string {
+    return this.sessionsDir;
+  }
+
   /**
    * Get current date in YYYY-MM-DD format
    * @param date Optional date to format (defaults to current date)
@@ -103,10 +260,11 @@ export class EnhancedMemoryBank {
 
   /**
    * Get current timestamp in a consistent format
+   * @param date Optional date to format (defaults to current date)
    * @returns Formatted timestamp string
    */
-  public getTimestamp(): string {
-    return new Date().toISOString().replace('T', ' ').substring(0, 19);
+  public getTimestamp(date: Date = new Date()): string {
+    return date.toISOString().replace('T', ' ').substring(0, 19);
   }
 
   /**
@@ -125,52 +283,109 @@ export class EnhancedMemoryBank {
 
   /**
    * Write to a file
+   * The file is written to a temporary file and renamed into place while holding the
+   * memory bank lock. If an expected hash is given and the file no longer matches it,
+   * nothing is written.
    * @param filePath Path to the file
    * @param content Content to write
+   * @param expectedHash Hash of the content the update was based on, or null if the file didn't exist
    * @returns True if write was successful
    */
-  public async writeFile(filePath: string, content: string): Promise<boolean> {
+  public async writeFile(filePath: string, content: string, expectedHash?: string | null): Promise<boolean> {
     try {
-      // Ensure directory exists
-      const dir = path.dirname(filePath);
-      await fs.ensureDir(dir);
-      
-      await fs.writeFile(filePath, content, 'utf8');
-      return true;
+      return await this.withLock(async () => {
+        if (expectedHash !== undefined && await this.getFileHash(filePath) !== expectedHash) {
+          console.error(`Conflict: ${filePath} was changed by someone else after it was read. The update was not applied; run it again.`);
+          return false;
+        }
+
+        await writeFileAtomic(filePath, content);
+        return true;
+      });
     } catch (error) {
       console.error(`Error writing to file ${filePath}:`, error);
       return false;
     }
   }
 
+  /**
+   * Get the hash of a file's content
+   * @param filePath Path to the file
+   * @returns Content hash, or null if the file doesn't exist
+   */
+  public async getFileHash(filePath: string): Promise<string | null> {
+    if (!await fs.pathExists(filePath)) {
+      return null;
+    }
+    return hashContent(await fs.readFile(filePath, 'utf8'));
+  }
+
+  /**
+   * Run a function while holding the memory bank lock
+   * Other processes and other callers in this process wait until the function is done;
+   * nested calls from within the function don't wait.
+   * @param fn Function to run
+   * @returns Result of the function
+   * @throws LockTimeoutError if the lock isn't released within lockTimeoutMs
+   */
+  public async withLock<T>(fn: () => Promise<T>): Promise<T> {
+    return this.lock.withLock(fn);
+  }
+
+  /**
+   * Read a markdown file into a document model
+   * The content hash is remembered, so writeDocument can detect changes made in between.
+   * @param filePath Path to the file
+   * @returns Parsed document (empty if the file can't be read)
+   */
+  public async readDocument(filePath: string): Promise<MarkdownDocument> {
+    const exists = await fs.pathExists(filePath);
+    const content = exists ? await this.readFile(filePath) : '';
+    const document = MarkdownDocument.parse(content);
+    this.documentSources.set(document, { filePath: path.resolve(filePath), hash: exists ? hashContent(content) : null });
+    return document;
+  }
+
+  /**
+   * Write a document model to a markdown file
+   * A document read with readDocument is only written if the file hasn't changed since.
+   * @param filePath Path to the file
+   * @param document Document to write
+   * @returns True if write was successful
+   */
+  public async writeDocument(filePath: string, document: MarkdownDocument): Promise<boolean> {
+    const content = document.toString();
+    const source = this.documentSources.get(document);
+    const expectedHash = source && source.filePath === path.resolve(filePath) ? source.hash : undefined;
+
+    const success = await this.writeFile(filePath, content, expectedHash);
+    if (success) {
+      this.documentSources.set(document, { filePath: path.resolve(filePath), hash: hashContent(content) });
+    }
+    return success;
+  }
+
   /**
    * Extract a section from markdown content
    * @param content Markdown content
-   * @param sectionHeader Section header to extract
+   * @param sectionHeader Section header or ID to extract (e.g. "## Current Focus" or "current-focus")
    * @returns Extracted section content
    */
   public extractSection(content: string, sectionHeader: string): string {
-    const sectionRegex = new RegExp(`${sectionHeader}\\n([\\s\\S]*?)(?=\\n## |$)`);
-    const match = content.match(sectionRegex);
-    return match ? match[1].trim() : '';
+    return MarkdownDocument.parse(content).getSection(sectionHeader);
   }
 
   /**
    * Update a section in markdown content
    * @param content Markdown content
-   * @param sectionHeader Section header to update
+   * @param sectionHeader Section header or ID to update; the section is appended if it doesn't exist
    * @param newContent New content for the section
    * @returns Updated markdown content
    */
   public updateSection(content: string, sectionHeader: string, newContent: string): string {
-    const sectionRegex = new RegExp(`${sectionHeader}\\n([\\s\\S]*?)(?=\\n## |$)`);
-    const currentSection = content.match(sectionRegex);
-    if (currentSection) {
-      return content.replace(sectionRegex, `${sectionHeader}\n${newContent}\n`);
-    }
-    // If section header doesn't exist, append it with the new content
-    return `${content}\n${sectionHeader}\n${newContent}\n`;
+    return MarkdownDocument.parse(content).setSection(sectionHeader, newContent).toString();
   }
+
   /**
    * Create a daily file
    * @param date Optional date (defaults to current date)
@@ -179,8 +394,11 @@ export class EnhancedMemoryBank {
   public async createDailyFile(date: Date = new Date()): Promise<string> {
     const dateStr = this.getDateString(date);
     const filePath = path.join(this.dailyDir, `activeContext-${dateStr}.md`);
-    
-    if (!await fs.pathExists(filePath)) {
+
+    await this.withLock(async () => {
+      if (await fs.pathExists(filePath)) {
+        return;
+      }
       const content = `# Active Context - ${dateStr}
 
 ## Current Focus
@@ -203,8 +421,8 @@ export class EnhancedMemoryBank {
 - Total Lines of Code: 0
 `;
       await this.writeFile(filePath, content);
-    }
-    
+    });
+
     return filePath;
   }
 
@@ -260,327 +478,1844 @@ export class EnhancedMemoryBank {
 
   /**
    * Create a new session file
+   * @param focus Focus of the session
    * @returns Path to the created session file
    */
-  public async createSessionFile(): Promise<string> {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filePath = path.join(this.sessionsDir, `session-${timestamp}.md`);
-    
-    const content = `# Development Session - ${this.getTimestamp()}
+  public async createSessionFile(focus: string = ''): Promise<string> {
+    const now = new Date();
+    const filePath = path.join(this.sessionsDir, `session-${now.toISOString().replace(/[:.]/g, '-')}.md`);
+    const startTime = this.getTimestamp(now);
+
+    const content = `# Development Session - ${startTime}
+
+## Status
+Active
 
 ## Start Time
-${this.getTimestamp()}
+${startTime}
+
+## Last Activity
+${startTime}
 
 ## End Time
-(In progress)
+${SESSION_IN_PROGRESS}
 
 ## Focus
--
+${this.toListItems(focus) || '-'}
 
 ## Notes
 -
 
+## Summary
+-
+
 ## Statistics
 - Time Spent: 0h 0m
 - Estimated Cost: $0
+- Files Created: 0
+- Files Modified: 0
+- Files Deleted: 0
+- Lines of Code Added: 0
+- Lines of Code Removed: 0
+- Total Lines of Code: 0
+- Commits: 0
 `;
-    
+
     await this.writeFile(filePath, content);
     return filePath;
   }
 
   /**
    * Get the current session file
-   * @returns Path to the current session file
+   * Abandoned sessions are closed first, so they are never current.
+   * @returns Path to the newest session if it is active or paused, otherwise null
    */
   public async getCurrentSessionFile(): Promise<string | null> {
+    const session = await this.getCurrentSession();
+    return session ? session.filePath : null;
+  }
+
+  /**
+   * Get the current session
+   * Abandoned sessions are closed first at their last activity, so the time they sat idle
+   * isn't counted by whoever continues or ends the current session.
+   * @returns The newest session if it is active or paused, otherwise null
+   */
+  public async getCurrentSession(): Promise<SessionInfo | null> {
     try {
-      if (!await fs.pathExists(this.sessionsDir)) {
-        return null; // Sessions directory doesn't exist
-      }
-      const files = await fs.readdir(this.sessionsDir);
-      const sessionFiles = files.filter(file => file.startsWith('session-') && file.endsWith('.md'));
-      
-      if (sessionFiles.length === 0) {
-        return null;
-      }
-      
-      // Sort by date (newest first)
-      sessionFiles.sort().reverse();
-      
-      // Check if the newest session is still active
-      const filePath = path.join(this.sessionsDir, sessionFiles[0]);
-      const content = await this.readFile(filePath);
-      
-      if (content.includes('End Time\n(In progress)')) {
-        return filePath;
-      }
-      
-      return null;
+      await this.closeAbandonedSessions();
+      const sessions = await this.readSessions();
+      const newest = sessions[sessions.length - 1];
+      return newest && newest.status !== 'ended' ? newest : null;
     } catch (error) {
-      console.error('Error getting current session file:', error);
+      console.error('Error getting current session:', error);
       return null;
     }
   }
 
   /**
-   * Update the end time of a session file
-   * @param filePath Path to the session file
-   * @returns True if update was successful
+   * List sessions, oldest first
+   * Abandoned sessions are closed first, so that they show their real end time.
+   * @param includeArchive Whether to include archived sessions, including compressed ones
+   * @returns Sessions
    */
-  public async updateSessionEndTime(filePath: string): Promise<boolean> {
+  public async listSessions(includeArchive: boolean = false): Promise<SessionInfo[]> {
+    await this.closeAbandonedSessions();
+    return this.readSessions(includeArchive);
+  }
+
+  /**
+   * Start a new session
+   * Abandoned sessions are closed at their last activity and a session that is still
+   * open is ended now. The focus and open questions of the latest day carry over to today.
+   * @param focus Focus of the new session
+   * @returns The new session, or null if it couldn't be started
+   */
+  public async startSession(focus: string = ''): Promise<SessionInfo | null> {
     try {
-      const content = await this.readFile(filePath);
-      const updatedContent = content.replace(
-        /## End Time\n(.*)/,
-        `## End Time\n${this.getTimestamp()}`
-      );
-      
-      return await this.writeFile(filePath, updatedContent);
+      return await this.withLock(async () => {
+        const current = await this.getCurrentSession();
+        if (current && !await this.finishSession(current, new Date())) {
+          return null;
+        }
+
+        await this.loadContext();
+        return this.readSession(await this.createSessionFile(focus));
+      });
     } catch (error) {
-      console.error('Error updating session end time:', error);
-      return false;
+      console.error('Error starting session:', error);
+      return null;
     }
   }
 
   /**
-   * Archive old files
-   * @returns True if archiving was successful
+   * Continue the current session, or start one if none is open
+   * A paused session is resumed; an active one records the activity.
+   * @param focus Focus to use if a session has to be started
+   * @returns The session and whether it was started, or null if there is no session
    */
-  public async archiveOldFiles(): Promise<boolean> {
+  public async continueSession(focus: string = ''): Promise<{ session: SessionInfo; started: boolean } | null> {
     try {
-      if (!await fs.pathExists(this.dailyDir) || !await fs.pathExists(this.archiveDir)) {
-        // If daily or archive dir doesn't exist, nothing to do or nowhere to move.
-        return true;
-      }
-      const now = new Date();
-      const thresholdDate = new Date(now.getTime() - this.archiveThresholdDays * 24 * 60 * 60 * 1000);
-      const thresholdDateStr = this.getDateString(thresholdDate);
-      
-      // Archive daily files
-      const dailyFiles = await fs.readdir(this.dailyDir);
-      for (const file of dailyFiles) {
-        if (!file.startsWith('activeContext-') || !file.endsWith('.md')) {
-          continue;
+      return await this.withLock(async () => {
+        const current = await this.getCurrentSession();
+        if (!current) {
+          const session = await this.startSession(focus);
+          return session ? { session, started: true } : null;
         }
-        
-        const dateStr = file.replace('activeContext-', '').replace('.md', '');
-        if (dateStr < thresholdDateStr) {
-          const sourcePath = path.join(this.dailyDir, file);
-          const destPath = path.join(this.archiveDir, file);
-          await fs.move(sourcePath, destPath, { overwrite: true });
-          console.log(`Archived ${file}`);
+
+        if (current.status === 'paused') {
+          await this.resumeSession();
+        } else {
+          await this.recordSessionActivity(current.filePath);
         }
-      }
-      
-      return true;
+        const session = await this.readSession(current.filePath);
+        return session ? { session, started: false } : null;
+      });
     } catch (error) {
-      console.error('Error archiving old files:', error);
-      return false;
+      console.error('Error continuing session:', error);
+      return null;
     }
   }
 
   /**
-   * Load context from previous day
-   * @returns True if context was loaded successfully
+   * End the current session
+   * The session gets its final statistics and a summary of the changes, commits and
+   * time it covered. A paused session ends when its break started.
+   * @param summary What was done in the session, in the user's words
+   * @returns The ended session, or null if no session was open or it couldn't be ended
    */
-  public async loadContext(): Promise<boolean> {
+  public async endSession(summary: string = ''): Promise<SessionInfo | null> {
     try {
-      const latestDailyFile = await this.getLatestDailyFile();
-      if (!latestDailyFile) {
-        return false;
-      }
-      
-      // Create a new daily file for today
-      const todayFile = await this.createDailyFile();
-      
-      // Copy content from latest daily file to today's file
-      const latestContent = await this.readFile(latestDailyFile);
-      const todayContent = await this.readFile(todayFile); // Read potentially newly created empty file
-      
-      // Extract sections from latest file
-      const currentFocus = this.extractSection(latestContent, '## Current Focus');
-      const openQuestions = this.extractSection(latestContent, '## Open Questions/Issues');
-      
-      // Update today's file with content from latest file
-      let updatedContent = todayContent;
-      updatedContent = this.updateSection(updatedContent, '## Current Focus', currentFocus);
-      updatedContent = this.updateSection(updatedContent, '## Open Questions/Issues', openQuestions);
-      
-      return await this.writeFile(todayFile, updatedContent);
+      return await this.withLock(async () => {
+        const current = await this.getCurrentSession();
+        if (!current || !await this.finishSession(current, new Date(), { summary })) {
+          return null;
+        }
+        return this.readSession(current.filePath);
+      });
     } catch (error) {
-      console.error('Error loading context:', error);
-      return false;
+      console.error('Error ending session:', error);
+      return null;
     }
   }
 
   /**
-   * Track statistics for this update
-   * @returns Statistics object
+   * Pause the current session
+   * Time until the session is resumed doesn't count as working time.
+   * @returns The paused session, or null if no session was active
    */
-  public async trackStatistics(): Promise<Statistics> {
+  public async pauseSession(): Promise<SessionInfo | null> {
     try {
-      // Get the last update time
-      let lastUpdate = new Date();
-      if (await fs.pathExists(this.lastUpdatePath)) {
-        const lastUpdateStr = await fs.readFile(this.lastUpdatePath, 'utf8');
-        lastUpdate = new Date(lastUpdateStr);
-      }
-      
-      const now = new Date();
-      const minutesSpent = Math.round((now.getTime() - lastUpdate.getTime()) / (1000 * 60));
-      const hoursSpent = Math.floor(minutesSpent / 60);
-      const remainingMinutes = minutesSpent % 60;
-      const timeSpent = `${hoursSpent}h ${remainingMinutes}m`;
-      
-      // Calculate estimated cost
-      const estimatedCost = Math.round((minutesSpent / 60) * this.developerHourlyRate * 100) / 100;
-      
-      // Get git statistics if available
-      let filesCreated = 0;
-      let filesModified = 0;
-      let filesDeleted = 0;
-      let linesAdded = 0;
-      let linesRemoved = 0;
-      let totalLines = 0;
-      
-      try {
-        // Get git diff stats
-        const gitDiffStats = execSync('git diff --stat HEAD', { encoding: 'utf8', stdio: 'pipe' });
-        const gitDiffMatch = gitDiffStats.match(/(\d+) files? changed, (\d+) insertions?\(\+\), (\d+) deletions?\(-\)/);
-        
-        if (gitDiffMatch) {
-          filesModified = parseInt(gitDiffMatch[1], 10);
-          linesAdded = parseInt(gitDiffMatch[2], 10);
-          linesRemoved = parseInt(gitDiffMatch[3], 10);
-        }
-        
-        // Get total lines of code
-        // Using -z and -0 for safer filename handling, and -r for xargs to not run wc if no files.
-        // Added || echo "0 total" to ensure the command succeeds even if wc has partial errors,
-        // preventing execSync from throwing.
-        const gitLsFilesCmd = '(git ls-files -z | grep -z -vE "(^|/)node_modules/" | xargs -0 -r wc -l) || echo "0 total"';
-        const gitLsFilesOutput = execSync(gitLsFilesCmd, { encoding: 'utf8', stdio: 'pipe' });
-        const gitLsMatch = gitLsFilesOutput.match(/(\d+)\s+total/);
-        
-        if (gitLsMatch && gitLsMatch[1]) {
-          totalLines = parseInt(gitLsMatch[1], 10);
-        } else if (gitLsFilesOutput.includes("0 total") && !gitLsMatch) {
-            // This case handles when the fallback "0 total" was echoed
-            totalLines = 0;
-        }
-
-      } catch (error) {
-        console.warn('Git statistics not available or failed to parse:', error);
-      }
-      
-      const stats: Statistics = {
-        timeSpent,
-        estimatedCost,
-        filesCreated, // Note: filesCreated and filesDeleted are not easily available from simple git diff --stat
-        filesModified,
-        filesDeleted,
-        linesAdded,
-        linesRemoved,
-        totalLines
-      };
-      
-      return stats;
+      return await this.withLock(async () => {
+        const current = await this.getCurrentSession();
+        if (!current || current.status !== 'active') {
+          return null;
+        }
+
+        const now = this.getTimestamp();
+        const document = await this.readDocument(current.filePath);
+        document.setSection('status', 'Paused', 'Status');
+        document.setSection('last-activity', now, 'Last Activity');
+        document.setSection('breaks', this.formatBreaks([...current.breaks, { start: now, end: null }]), 'Breaks');
+        if (!await this.writeDocument(current.filePath, document)) {
+          return null;
+        }
+        return this.readSession(current.filePath);
+      });
     } catch (error) {
-      console.error('Error tracking statistics:', error);
-      return {
-        timeSpent: '0h 0m',
-        estimatedCost: 0,
-        filesCreated: 0,
-        filesModified: 0,
-        filesDeleted: 0,
-        linesAdded: 0,
-        linesRemoved: 0,
-        totalLines: 0
-      };
+      console.error('Error pausing session:', error);
+      return null;
     }
   }
 
   /**
-   * Update daily active context
-   * @param update Update object with sections to update
-   * @returns True if update was successful
+   * Resume the current session after a pause
+   * @returns The resumed session, or null if no session was paused
    */
-  public async updateDailyActiveContext(update: {
-    currentFocus?: string;
-    recentChanges?: string;
-    openQuestions?: string;
-  }): Promise<boolean> {
+  public async resumeSession(): Promise<SessionInfo | null> {
     try {
-      // Create or get today's daily file
-      const todayFile = await this.createDailyFile();
-      const content = await this.readFile(todayFile);
-      let updatedContent = content;
-      
-      if (update.currentFocus) {
-        updatedContent = this.updateSection(
-          updatedContent,
-          '## Current Focus',
-          update.currentFocus
-        );
-      }
-      
-      // Add new recent change at the top of the list
-      if (update.recentChanges) {
-        const timestamp = this.getTimestamp();
-        const existingRecentChanges = this.extractSection(updatedContent, '## Recent Changes');
-        const newRecentChanges = `[${timestamp}] - ${update.recentChanges}${existingRecentChanges ? '\n' + existingRecentChanges : ''}`;
-        updatedContent = this.updateSection(
-          updatedContent,
-          '## Recent Changes',
-          newRecentChanges
-        );
-      }
-      
-      if (update.openQuestions) {
-        updatedContent = this.updateSection(
-          updatedContent,
-          '## Open Questions/Issues',
-          update.openQuestions
-        );
-      }
-      
-      return await this.writeFile(todayFile, updatedContent);
+      return await this.withLock(async () => {
+        const current = await this.getCurrentSession();
+        if (!current || current.status !== 'paused') {
+          return null;
+        }
+
+        const now = this.getTimestamp();
+        const breaks = current.breaks.map(item => item.end === null ? { start: item.start, end: now } : item);
+        const document = await this.readDocument(current.filePath);
+        document.setSection('status', 'Active', 'Status');
+        document.setSection('last-activity', now, 'Last Activity');
+        document.setSection('breaks', this.formatBreaks(breaks), 'Breaks');
+        if (!await this.writeDocument(current.filePath, document)) {
+          return null;
+        }
+        return this.readSession(current.filePath);
+      });
     } catch (error) {
-      console.error('Error updating daily active context:', error);
-      return false;
+      console.error('Error resuming session:', error);
+      return null;
     }
   }
 
   /**
-   * Aggregate daily files into master files
-   * @returns True if aggregation was successful
+   * Record activity in a session
+   * The last activity is where an abandoned session is closed, so that the time it sat
+   * idle isn't counted.
+   * @param filePath Path to the session file
+   * @returns True if the activity was recorded
    */
-  public async aggregateDailyFiles(): Promise<boolean> {
+  public async recordSessionActivity(filePath: string): Promise<boolean> {
     try {
-      // This is a placeholder for future implementation
-      // In a real implementation, this would combine information from daily files
-      // into master files for better organization
-      return true;
+      return await this.withLock(async () => {
+        const document = await this.readDocument(filePath);
+        document.setSection('last-activity', this.getTimestamp(), 'Last Activity');
+        return await this.writeDocument(filePath, document);
+      });
     } catch (error) {
-      console.error('Error aggregating daily files:', error);
+      console.error('Error recording session activity:', error);
       return false;
     }
   }
 
   /**
-   * Reconstruct memory bank from existing files
-   * @returns True if reconstruction was successful
+   * Update the end time of a session file
+   * @deprecated Sessions are ended with endSession(); this records activity instead
+   * @param filePath Path to the session file
+   * @returns True if update was successful
+   */
+  public async updateSessionEndTime(filePath: string): Promise<boolean> {
+    return this.recordSessionActivity(filePath);
+  }
+
+  /**
+   * Add a timestamped note to a session
+   * @param filePath Path to the session file
+   * @param note Note text
+   * @returns True if the note was added
    */
-  public async reconstructMemoryBank(): Promise<boolean> {
+  public async addSessionNote(filePath: string, note: string): Promise<boolean> {
     try {
-      // This is a placeholder for future implementation
-      // In a real implementation, this would rebuild the memory bank structure
-      // from existing files, useful for recovery or migration
-      return true;
+      return await this.withLock(async () => {
+        const document = await this.readDocument(filePath);
+        this.appendNote(document, note);
+        return await this.writeDocument(filePath, document);
+      });
     } catch (error) {
-      console.error('Error reconstructing memory bank:', error);
+      console.error('Error adding session note:', error);
       return false;
     }
   }
+
+  /**
+   * Find sessions that were left open
+   * Every open session but the newest is abandoned, and the newest one too when it is
+   * active and has been idle for longer than the session timeout.
+   * @returns Abandoned sessions, oldest first
+   */
+  public async findAbandonedSessions(): Promise<SessionInfo[]> {
+    const timeoutMs = this.sessionTimeoutHours * 60 * 60 * 1000;
+    const open = (await this.readSessions()).filter(session => session.status !== 'ended');
+    return open.filter((session, index) => index < open.length - 1 ||
+      (session.status === 'active' && Date.now() - this.parseTimestamp(session.lastActivity) > timeoutMs));
+  }
+
+  /**
+   * Close sessions that were left open
+   * They end at their last activity rather than now, so the idle time doesn't count.
+   * @returns The sessions that were closed
+   */
+  public async closeAbandonedSessions(): Promise<SessionInfo[]> {
+    try {
+      return await this.withLock(async () => {
+        const closed: SessionInfo[] = [];
+        for (const session of await this.findAbandonedSessions()) {
+          const idleMinutes = Math.round((Date.now() - this.parseTimestamp(session.lastActivity)) / (1000 * 60));
+          const note = `Closed automatically after ${this.formatMinutes(idleMinutes)} without activity`;
+          if (await this.finishSession(session, new Date(this.parseTimestamp(session.lastActivity)), { note })) {
+            console.log(`Closed abandoned session ${path.basename(session.filePath)}`);
+            closed.push(session);
+          }
+        }
+        return closed;
+      });
+    } catch (error) {
+      console.error('Error closing abandoned sessions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Mark a session as ended and write its statistics and summary
+   * @param session Session to end
+   * @param end End time; a paused session ends when its break started instead
+   * @param options Summary in the user's words and a note to add
+   * @returns True if the session file was written
+   */
+  private async finishSession(session: SessionInfo, end: Date, options: { summary?: string; note?: string } = {}): Promise<boolean> {
+    const openBreak = session.breaks.find(item => item.end === null);
+    const endTime = openBreak ? new Date(this.parseTimestamp(openBreak.start)) : end;
+    const startTime = new Date(this.parseTimestamp(session.startTime));
+    const breaks = session.breaks.filter(item => item !== openBreak);
+
+    // Work that isn't committed yet belongs to a session ending now, not to one that ended earlier
+    const endedEarlier = Date.now() - endTime.getTime() > 60 * 1000;
+    const stats = this.buildStatistics(
+      await this.getActiveMinutes(startTime, endTime),
+      this.readGitChanges({ since: startTime, until: endedEarlier ? endTime : undefined })
+    );
+    const summary = await this.buildSessionSummary(startTime, endTime, options.summary || '', stats);
+
+    const document = await this.readDocument(session.filePath);
+    document.setSection('status', 'Ended', 'Status');
+    document.setSection('end-time', this.getTimestamp(endTime), 'End Time');
+    if (breaks.length > 0) {
+      document.setSection('breaks', this.formatBreaks(breaks), 'Breaks');
+    } else {
+      document.removeSection('breaks');
+    }
+    if (options.note) {
+      this.appendNote(document, options.note);
+    }
+    document.setSection('summary', summary, 'Summary');
+    document.setSection('statistics', this.formatStatistics(stats), 'Statistics');
+    return this.writeDocument(session.filePath, document);
+  }
+
+  /**
+   * Summarize what happened during a session
+   * @param start Start of the session
+   * @param end End of the session
+   * @param text Summary in the user's words
+   * @param stats Statistics of the session
+   * @returns Markdown for the Summary section
+   */
+  private async buildSessionSummary(start: Date, end: Date, text: string, stats: Statistics): Promise<string> {
+    const from = this.getTimestamp(start);
+    const to = this.getTimestamp(end);
+    const filesChanged = stats.filesCreated + stats.filesModified + stats.filesDeleted;
+    const parts = [
+      text.trim(),
+      `Worked ${stats.timeSpent}: ${filesChanged} file(s) changed, +${stats.linesAdded}/-${stats.linesRemoved} lines, ${stats.commits} commit(s).`
+    ].filter(part => part !== '');
+
+    const changes: string[] = [];
+    for (const day of await this.listDailyFiles(true)) {
+      if (day.date < from.substring(0, 10) || day.date > to.substring(0, 10)) {
+        continue;
+      }
+      for (const entry of this.parseEntries(this.extractSection(await day.read(), '## Recent Changes'))) {
+        const timestamp = this.getEntryTimestamp(entry);
+        if (timestamp && timestamp >= from && timestamp <= to) {
+          changes.push(`- ${entry.split('\n')[0]}`);
+        }
+      }
+    }
+    if (changes.length > 0) {
+      parts.push(`### Changes Recorded\n${this.capList(changes)}`);
+    }
+
+    const commits = (this.runGit(['log', `--since=${start.toISOString()}`, `--until=${end.toISOString()}`, '--no-merges', '--pretty=format:- %h - %s']) || '')
+      .split('\n')
+      .filter(line => line.trim() !== '');
+    if (commits.length > 0) {
+      parts.push(`### Commits\n${this.capList(commits)}`);
+    }
+
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Limit a list to the most entries a session summary shows
+   * @param lines List lines
+   * @returns Markdown list, ending with a count of the lines left out
+   */
+  private capList(lines: string[]): string {
+    const shown = lines.slice(0, MAX_SUMMARY_ITEMS);
+    if (lines.length > shown.length) {
+      shown.push(`- ...and ${lines.length - shown.length} more`);
+    }
+    return shown.join('\n');
+  }
+
+  /**
+   * Add a timestamped line to the Notes section of a session document
+   * @param document Session document
+   * @param note Note text
+   */
+  private appendNote(document: MarkdownDocument, note: string): void {
+    const notes = document.getSection('notes').replace(/^-\s*$/gm, '').trim();
+    const line = `- [${this.getTimestamp()}] ${note.trim()}`;
+    document.setSection('notes', notes ? `${notes}\n${line}` : line, 'Notes');
+  }
+
+  /**
+   * Format breaks as the list in a session's Breaks section
+   * @param breaks Breaks, oldest first
+   * @returns Markdown list
+   */
+  private formatBreaks(breaks: SessionInfo['breaks']): string {
+    return breaks.map(item => `- ${item.start} to ${item.end || '(paused)'}`).join('\n');
+  }
+
+  /**
+   * Get the minutes of breaks that fall within a period
+   * @param breaks Breaks; one still going on lasts until the end of the period
+   * @param from Start of the period
+   * @param to End of the period
+   * @returns Minutes of break
+   */
+  private getBreakMinutes(breaks: SessionInfo['breaks'], from: Date, to: Date): number {
+    const ms = breaks.reduce((sum, item) => {
+      const start = Math.max(this.parseTimestamp(item.start), from.getTime());
+      const end = Math.min(item.end ? this.parseTimestamp(item.end) : to.getTime(), to.getTime());
+      return sum + Math.max(0, end - start);
+    }, 0);
+    return Math.round(ms / (1000 * 60));
+  }
+
+  /**
+   * Turn text into list items, leaving lines that already are list items alone
+   * @param text Text with one item per line
+   * @returns Markdown list, or an empty string for empty text
+   */
+  private toListItems(text: string): string {
+    return text
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line !== '' && !/^-\s*$/.test(line))
+      .map(line => /^[-*] /.test(line) ? line : `- ${line}`)
+      .join('\n');
+  }
+
+  /**
+   * Archive old files
+   *
+   * Daily files and sessions that started before the archive threshold are moved into
+   * the archive's YYYY/MM folders, after the weeks and months they fall in are rolled up.
+   * When compressAfterDays is set, archived months that ended longer ago than that are
+   * compressed into YYYY/MM.tar.gz bundles.
+   * @returns True if archiving was successful
+   */
+  public async archiveOldFiles(): Promise<boolean> {
+    try {
+      return await this.withLock(async () => {
+        if (!await fs.pathExists(this.archiveDir)) {
+          // Nowhere to move files to until the memory bank is initialized
+          return true;
+        }
+        const now = new Date();
+        const thresholdDate = new Date(now.getTime() - this.archiveThresholdDays * 24 * 60 * 60 * 1000);
+        const thresholdDateStr = this.getDateString(thresholdDate);
+        const moves: { filePath: string; date: string }[] = [];
+
+        // Daily files
+        if (await fs.pathExists(this.dailyDir)) {
+          for (const file of await fs.readdir(this.dailyDir)) {
+            const match = file.match(DAILY_FILE_REGEX);
+            if (match && match[1] < thresholdDateStr) {
+              moves.push({ filePath: path.join(this.dailyDir, file), date: match[1] });
+            }
+          }
+        }
+
+        // Sessions, except the one still in progress (abandoned ones are closed first)
+        if (await fs.pathExists(this.sessionsDir)) {
+          const currentSession = await this.getCurrentSessionFile();
+          for (const file of await fs.readdir(this.sessionsDir)) {
+            const match = file.match(/^session-(\d{4}-\d{2}-\d{2})T.*\.md$/);
+            const filePath = path.join(this.sessionsDir, file);
+            if (match && match[1] < thresholdDateStr && filePath !== currentSession) {
+              moves.push({ filePath, date: match[1] });
+            }
+          }
+        }
+
+        // Files archived before the archive was bucketed go into their month folders
+        const unbucketed: { filePath: string; date: string }[] = [];
+        for (const entry of await fs.readdir(this.archiveDir, { withFileTypes: true })) {
+          const match = entry.name.match(/^(?:activeContext-|session-)(\d{4}-\d{2}-\d{2})(?:T.*)?\.md$/);
+          if (entry.isFile() && match) {
+            unbucketed.push({ filePath: path.join(this.archiveDir, entry.name), date: match[1] });
+          }
+        }
+
+        // Roll up the periods of the archived days while their files are still easy to read
+        await this.writeRollups(moves.map(move => move.date));
+
+        for (const { filePath, date } of moves) {
+          await this.archive.add(filePath, date);
+          console.log(`Archived ${path.basename(filePath)}`);
+        }
+        for (const { filePath, date } of unbucketed) {
+          await this.archive.add(filePath, date);
+        }
+
+        if (this.compressAfterDays) {
+          const compressBefore = this.getDateString(new Date(now.getTime() - this.compressAfterDays * 24 * 60 * 60 * 1000));
+          // Months archived before archiving wrote rollups get theirs before they can be compressed
+          const missing: string[] = [];
+          for (const file of await this.archive.list()) {
+            const match = file.name.match(/^(?:activeContext-|session-)(\d{4}-\d{2}-\d{2})/);
+            if (match && file.bundle === null && !await fs.pathExists(path.join(this.rollupsDir, `monthly-${match[1].substring(0, 7)}.md`))) {
+              missing.push(match[1]);
+            }
+          }
+          await this.writeRollups(missing);
+
+          for (const bundle of await this.archive.compress(compressBefore)) {
+            console.log(`Compressed ${path.relative(this.baseDir, path.join(this.archiveDir, bundle))}`);
+          }
+        }
+
+        return true;
+      });
+    } catch (error) {
+      console.error('Error archiving old files:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load context from previous day
+   * @returns True if context was loaded successfully
+   */
+  public async loadContext(): Promise<boolean> {
+    try {
+      return await this.withLock(async () => {
+        const latestDailyFile = await this.getLatestDailyFile();
+        if (!latestDailyFile) {
+          return false;
+        }
+      
+        // Create a new daily file for today
+        const todayFile = await this.createDailyFile();
+      
+        // Copy content from latest daily file to today's file
+        const latestContent = await this.readFile(latestDailyFile);
+        const todayContent = await this.readFile(todayFile); // Read potentially newly created empty file
+      
+        // Extract sections from latest file
+        const currentFocus = this.extractSection(latestContent, '## Current Focus');
+        const openQuestions = this.extractSection(latestContent, '## Open Questions/Issues');
+      
+        // Update today's file with content from latest file
+        let updatedContent = todayContent;
+        updatedContent = this.updateSection(updatedContent, '## Current Focus', currentFocus);
+        updatedContent = this.updateSection(updatedContent, '## Open Questions/Issues', openQuestions);
+      
+        return await this.writeFile(todayFile, updatedContent);
+      });
+    } catch (error) {
+      console.error('Error loading context:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Track statistics for this update
+   * Counts the work committed since the last recorded commit plus uncommitted changes,
+   * and the active time since the last tracked call (or the last update, the first time).
+   * The current commit and time are recorded along with the ledger records, so the next
+   * call only counts what happened after this one, whether or not the update succeeds.
+   * @returns Statistics object
+   */
+  public async trackStatistics(): Promise<Statistics> {
+    try {
+      return await this.withLock(async () => {
+        const now = new Date();
+        let lastUpdate = now;
+        for (const markerPath of [this.lastTrackedPath, this.lastUpdatePath]) {
+          if (await fs.pathExists(markerPath)) {
+            const marker = new Date((await fs.readFile(markerPath, 'utf8')).trim());
+            if (!isNaN(marker.getTime())) {
+              lastUpdate = marker;
+              break;
+            }
+          }
+        }
+        const lastCommit = await fs.pathExists(this.lastCommitPath)
+          ? (await fs.readFile(this.lastCommitPath, 'utf8')).trim()
+          : null;
+
+        const changes = this.readGitChanges({ fromCommit: lastCommit, since: lastUpdate });
+        const minutes = await this.getActiveMinutes(lastUpdate, now);
+        const stats = this.buildStatistics(minutes, changes);
+
+        // Keep the new commits and the active time for reports
+        const records: LedgerRecord[] = [];
+        const head = this.runGit(['rev-parse', '--verify', '--quiet', 'HEAD']);
+        if (head) {
+          const validLastCommit = lastCommit && this.runGit(['cat-file', '-e', `${lastCommit}^{commit}`]) !== null;
+          records.push(...this.toLedgerCommits(this.readGitHistory(
+            validLastCommit ? [`${lastCommit}..HEAD`] : [`--since=${lastUpdate.toISOString()}`]
+          ) || []));
+        }
+        if (minutes > 0) {
+          records.push({ type: 'activity', start: lastUpdate.toISOString(), end: now.toISOString(), minutes, author: this.getAuthor() });
+        }
+        await this.ledger.append(records);
+
+        // The next activity window starts where this one ended
+        await writeFileAtomic(this.lastTrackedPath, now.toISOString());
+        if (head) {
+          await writeFileAtomic(this.lastCommitPath, head.trim());
+        }
+
+        return stats;
+      });
+    } catch (error) {
+      console.error('Error tracking statistics:', error);
+      return this.buildStatistics(0, null);
+    }
+  }
+
+  /**
+   * Aggregate the recorded statistics into an effort report
+   * @param options Period, grouping and directory depth
+   * @returns Time spent, estimated cost and line churn per group
+   */
+  public async getStatisticsReport(options: ReportOptions = {}): Promise<StatisticsReport> {
+    return this.ledger.report(options);
+  }
+
+  /**
+   * Convert commits to ledger records, leaving out changes to the memory bank itself
+   * @param commits Commits read from git history
+   * @returns Ledger commit records
+   */
+  private toLedgerCommits(commits: CommitInfo[]): LedgerRecord[] {
+    const topLevel = this.runGit(['rev-parse', '--show-toplevel']);
+    const bankPath = topLevel ? path.relative(topLevel.trim(), path.resolve(this.baseDir)).split(path.sep).join('/') : '';
+    const inBank = (file: string) => bankPath !== '' && !bankPath.startsWith('..') && (file === bankPath || file.startsWith(`${bankPath}/`));
+
+    return commits.map(commit => ({
+      type: 'commit' as const,
+      hash: commit.hash,
+      date: commit.date.toISOString(),
+      author: commit.author,
+      subject: commit.subject,
+      files: commit.files.filter(file => !inBank(file.path))
+    }));
+  }
+
+  /**
+   * Get the name activity is recorded under
+   * @returns git user.name, or the operating system user name
+   */
+  private getAuthor(): string {
+    const name = this.runGit(['config', 'user.name']);
+    if (name && name.trim()) {
+      return name.trim();
+    }
+    try {
+      return os.userInfo().username;
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Write up-to-date statistics into today's daily file and the session file
+   * Both are recomputed from git and session activity for their whole period (the day
+   * so far, or the session so far), so running this repeatedly doesn't count work twice.
+   * @param sessionFile Session file to update, or null to only update the daily file
+   * @returns True if the statistics were written
+   */
+  public async updateStatistics(sessionFile: string | null = null): Promise<boolean> {
+    try {
+      return await this.withLock(async () => {
+        const now = new Date();
+        const dayStart = new Date(`${this.getDateString(now)}T00:00:00Z`);
+        const dailyFile = await this.createDailyFile(now);
+
+        const dailyStats = this.buildStatistics(
+          await this.getActiveMinutes(dayStart, now),
+          this.readGitChanges({ since: dayStart })
+        );
+        let success = await this.writeStatisticsSection(dailyFile, dailyStats);
+
+        if (sessionFile && await fs.pathExists(sessionFile)) {
+          const startTime = this.extractSection(await this.readFile(sessionFile), '## Start Time');
+          const sessionStart = startTime ? new Date(this.parseTimestamp(startTime)) : now;
+          const sessionStats = this.buildStatistics(
+            await this.getActiveMinutes(sessionStart, now),
+            this.readGitChanges({ since: sessionStart })
+          );
+          success = await this.writeStatisticsSection(sessionFile, sessionStats) && success;
+        }
+
+        return success;
+      });
+    } catch (error) {
+      console.error('Error updating statistics:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Replace the Statistics section of a daily or session file
+   * @param filePath Path to the file
+   * @param stats Statistics to write
+   * @returns True if write was successful
+   */
+  private async writeStatisticsSection(filePath: string, stats: Statistics): Promise<boolean> {
+    const document = await this.readDocument(filePath);
+    document.setSection('statistics', this.formatStatistics(stats), 'Statistics');
+    return this.writeDocument(filePath, document);
+  }
+
+  /**
+   * Format statistics as the list in a Statistics section
+   * @param stats Statistics to format
+   * @returns Markdown list
+   */
+  private formatStatistics(stats: Statistics): string {
+    return `- Time Spent: ${stats.timeSpent}
+- Estimated Cost: $${stats.estimatedCost}
+- Files Created: ${stats.filesCreated}
+- Files Modified: ${stats.filesModified}
+- Files Deleted: ${stats.filesDeleted}
+- Lines of Code Added: ${stats.linesAdded}
+- Lines of Code Removed: ${stats.linesRemoved}
+- Total Lines of Code: ${stats.totalLines}
+- Commits: ${stats.commits}`;
+  }
+
+  /**
+   * Combine active time and git changes into statistics
+   * @param minutes Active minutes
+   * @param changes Git changes, or null if git isn't available
+   * @returns Statistics object
+   */
+  private buildStatistics(minutes: number, changes: GitChanges | null): Statistics {
+    return {
+      timeSpent: this.formatMinutes(minutes),
+      estimatedCost: Math.round((minutes / 60) * this.developerHourlyRate * 100) / 100,
+      filesCreated: changes ? changes.filesCreated : 0,
+      filesModified: changes ? changes.filesModified : 0,
+      filesDeleted: changes ? changes.filesDeleted : 0,
+      linesAdded: changes ? changes.linesAdded : 0,
+      linesRemoved: changes ? changes.linesRemoved : 0,
+      totalLines: changes ? this.countTotalLines() : 0,
+      commits: changes ? changes.commits : 0
+    };
+  }
+
+  /**
+   * Get the minutes of activity in a period
+   * Session windows, commit times and the current moment are activity. Gaps between
+   * them of up to sessionTimeoutHours count as working time; longer gaps (overnight,
+   * weekends) and session breaks don't.
+   * @param from Start of the period
+   * @param to End of the period
+   * @returns Active minutes within the period
+   */
+  private async getActiveMinutes(from: Date, to: Date): Promise<number> {
+    const timeoutMs = this.sessionTimeoutHours * 60 * 60 * 1000;
+    const intervals: [number, number][] = [[to.getTime(), to.getTime()]];
+
+    const breaks: [number, number][] = [];
+    for (const session of await this.readSessions()) {
+      // A session still in progress counts up to its last activity, so the time an
+      // abandoned one sat idle isn't counted
+      const start = this.parseTimestamp(session.startTime);
+      const end = this.parseTimestamp(session.endTime || session.lastActivity);
+      intervals.push([start, Math.max(start, end)]);
+      for (const item of session.breaks) {
+        breaks.push([this.parseTimestamp(item.start), item.end ? this.parseTimestamp(item.end) : to.getTime()]);
+      }
+    }
+
+    const commitTimes = this.runGit(['log', `--since=${new Date(from.getTime() - timeoutMs).toISOString()}`, '--pretty=format:%ct']);
+    for (const line of (commitTimes || '').split('\n')) {
+      if (/^\d+$/.test(line.trim())) {
+        const time = parseInt(line, 10) * 1000;
+        intervals.push([time, time]);
+      }
+    }
+
+    // Merge activity that is less than the session timeout apart into windows
+    intervals.sort((a, b) => a[0] - b[0]);
+    const windows: [number, number][] = [];
+    for (const [start, end] of intervals) {
+      const last = windows[windows.length - 1];
+      if (last && start - last[1] <= timeoutMs) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        windows.push([start, end]);
+      }
+    }
+
+    // Breaks taken by pausing a session don't count, even when they are short
+    const ms = windows.reduce((sum, [start, end]) => {
+      const clippedStart = Math.max(start, from.getTime());
+      const clippedEnd = Math.min(end, to.getTime());
+      const paused = breaks.reduce((total, [breakStart, breakEnd]) =>
+        total + Math.max(0, Math.min(breakEnd, clippedEnd) - Math.max(breakStart, clippedStart)), 0);
+      return sum + Math.max(0, clippedEnd - clippedStart - paused);
+    }, 0);
+    return Math.round(ms / (1000 * 60));
+  }
+
+  /**
+   * Read the files and lines changed in git, committed and uncommitted
+   * Changes to the memory bank itself are not counted. Uncommitted changes are only
+   * counted for a range that runs until now.
+   * @param range Commits after fromCommit, or if it isn't known, commits since the given date; until limits them to an earlier end
+   * @returns Changes, or null if git isn't available
+   */
+  private readGitChanges(range: { fromCommit?: string | null; since?: Date; until?: Date }): GitChanges | null {
+    if (this.runGit(['rev-parse', '--is-inside-work-tree']) === null) {
+      return null;
+    }
+
+    const pathspec = ['--', '.', `:(exclude)${path.basename(path.resolve(this.baseDir))}`];
+    const hasHead = this.runGit(['rev-parse', '--verify', '--quiet', 'HEAD']) !== null;
+    const fromCommit = range.fromCommit && this.runGit(['cat-file', '-e', `${range.fromCommit}^{commit}`]) !== null
+      ? range.fromCommit
+      : null;
+
+    // File status per path, applied oldest first: A (created), M (modified) or D (deleted)
+    const statuses = new Map<string, string>();
+    const applyStatus = (status: string, file: string): void => {
+      const previous = statuses.get(file);
+      if (previous === 'A' && status === 'D') {
+        statuses.delete(file); // Created and deleted again: no net change
+      } else if (previous === 'A') {
+        statuses.set(file, 'A');
+      } else if (previous === 'D' && status === 'A') {
+        statuses.set(file, 'M');
+      } else {
+        statuses.set(file, status);
+      }
+    };
+
+    const changes: GitChanges = { filesCreated: 0, filesModified: 0, filesDeleted: 0, linesAdded: 0, linesRemoved: 0, commits: 0 };
+    const addNumstat = (output: string | null): void => {
+      for (const line of (output || '').split('\n')) {
+        const match = line.match(/^(\d+|-)\t(\d+|-)\t/);
+        if (match) {
+          changes.linesAdded += match[1] === '-' ? 0 : parseInt(match[1], 10);
+          changes.linesRemoved += match[2] === '-' ? 0 : parseInt(match[2], 10);
+        }
+      }
+    };
+    const addNameStatus = (output: string | null): void => {
+      for (const line of (output || '').split('\n')) {
+        const [status, ...files] = line.split('\t');
+        if (!status || files.length === 0) {
+          continue;
+        }
+        // Renames and copies count as a change to the new path
+        const kind = status[0] === 'R' || status[0] === 'C' ? 'M' : status[0];
+        if (['A', 'M', 'D'].includes(kind)) {
+          applyStatus(kind, files[files.length - 1]);
+        }
+      }
+    };
+
+    if (hasHead && (fromCommit || range.since)) {
+      const logRange = fromCommit
+        ? [`${fromCommit}..HEAD`]
+        : ['HEAD', `--since=${range.since!.toISOString()}`];
+      if (range.until) {
+        logRange.push(`--until=${range.until.toISOString()}`);
+      }
+
+      // git log lists the newest commit first; statuses are applied oldest first
+      const nameStatus = this.runGit(['log', ...logRange, '--no-merges', '--reverse', '--diff-filter=AMDR', '--name-status', '--pretty=format:%x1e%H', ...pathspec]);
+      changes.commits = (nameStatus || '').split('\x1e').filter(record => record.trim()).length;
+      addNameStatus(nameStatus);
+      addNumstat(this.runGit(['log', ...logRange, '--no-merges', '--numstat', '--pretty=format:', ...pathspec]));
+    }
+
+    // Uncommitted changes, including staged ones; without a first commit everything is new
+    if (!range.until) {
+      if (hasHead) {
+        addNameStatus(this.runGit(['diff', 'HEAD', '--diff-filter=AMDR', '--name-status', ...pathspec]));
+        addNumstat(this.runGit(['diff', 'HEAD', '--numstat', ...pathspec]));
+      }
+      const untracked = this.runGit(['ls-files', '--others', '--exclude-standard', ...(hasHead ? [] : ['--cached']), ...pathspec]);
+      for (const file of (untracked || '').split('\n').filter(Boolean)) {
+        applyStatus('A', file);
+        changes.linesAdded += this.countLines(path.join(this.getRepositoryDir(), file));
+      }
+    }
+
+    for (const status of statuses.values()) {
+      if (status === 'A') {
+        changes.filesCreated++;
+      } else if (status === 'D') {
+        changes.filesDeleted++;
+      } else {
+        changes.filesModified++;
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Count the lines of all files tracked by git, excluding node_modules
+   * @returns Total lines of code, or 0 if git isn't available
+   */
+  private countTotalLines(): number {
+    const files = (this.runGit(['ls-files', '-z']) || '')
+      .split('\0')
+      .filter(file => file && !/(^|\/)node_modules\//.test(file));
+    const repositoryDir = this.getRepositoryDir();
+    return files.reduce((sum, file) => sum + this.countLines(path.join(repositoryDir, file)), 0);
+  }
+
+  /**
+   * Count the lines in a text file
+   * @param filePath Path to the file
+   * @returns Number of lines, or 0 for unreadable, binary or very large files
+   */
+  private countLines(filePath: string): number {
+    try {
+      const stats = fs.statSync(filePath);
+      if (!stats.isFile() || stats.size > 1024 * 1024) {
+        return 0;
+      }
+      const content = fs.readFileSync(filePath, 'utf8');
+      if (content.includes('\0')) {
+        return 0;
+      }
+      return content.length === 0 ? 0 : content.split('\n').length - (content.endsWith('\n') ? 1 : 0);
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Get the directory git commands run in: the directory containing the memory bank
+   * @returns Absolute directory path
+   */
+  private getRepositoryDir(): string {
+    return path.dirname(path.resolve(this.baseDir));
+  }
+
+  /**
+   * Run a git command in the repository
+   * @param args Git arguments
+   * @returns Standard output, or null if git failed or isn't available
+   */
+  private runGit(args: string[]): string | null {
+    try {
+      return execFileSync('git', args, {
+        encoding: 'utf8',
+        stdio: 'pipe',
+        cwd: this.getRepositoryDir(),
+        maxBuffer: 64 * 1024 * 1024
+      });
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Update daily active context
+   * @param update Update object with sections to update
+   * @returns True if update was successful
+   */
+  public async updateDailyActiveContext(update: {
+    currentFocus?: string;
+    recentChanges?: string;
+    openQuestions?: string;
+  }): Promise<boolean> {
+    try {
+      return await this.withLock(async () => {
+        // Create or get today's daily file
+        const todayFile = await this.createDailyFile();
+        const content = await this.readFile(todayFile);
+        let updatedContent = content;
+      
+        if (update.currentFocus) {
+          updatedContent = this.updateSection(
+            updatedContent,
+            '## Current Focus',
+            update.currentFocus
+          );
+        }
+      
+        // Add new recent change at the top of the list
+        if (update.recentChanges) {
+          const timestamp = this.getTimestamp();
+          const existingRecentChanges = this.extractSection(updatedContent, '## Recent Changes');
+          const newRecentChanges = `[${timestamp}] - ${update.recentChanges}${existingRecentChanges ? '\n' + existingRecentChanges : ''}`;
+          updatedContent = this.updateSection(
+            updatedContent,
+            '## Recent Changes',
+            newRecentChanges
+          );
+        }
+      
+        if (update.openQuestions) {
+          updatedContent = this.updateSection(
+            updatedContent,
+            '## Open Questions/Issues',
+            update.openQuestions
+          );
+        }
+      
+        return await this.writeFile(todayFile, updatedContent);
+      });
+    } catch (error) {
+      console.error('Error updating daily active context:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Aggregate daily files into master files
+   *
+   * Merges the daily active context files into activeContext.md: the latest focus,
+   * de-duplicated recent changes from days that haven't aged out yet, unresolved open
+   * questions and a summarized session history. Days older than the archive threshold
+   * are rolled up into weekly and monthly files before they are archived.
+   * @returns True if aggregation was successful
+   */
+  public async aggregateDailyFiles(): Promise<boolean> {
+    try {
+      return await this.withLock(async () => {
+        if (!await fs.pathExists(this.activeContextPath)) {
+          return true; // Nothing to aggregate into
+        }
+
+        const thresholdDateStr = this.getDateString(
+          new Date(Date.now() - this.archiveThresholdDays * 24 * 60 * 60 * 1000)
+        );
+        const dailyFiles = await this.listDailyFiles(false);
+        const activeDays = dailyFiles.filter(file => file.date >= thresholdDateStr);
+        const agedOutDays = dailyFiles.filter(file => file.date < thresholdDateStr);
+
+        // Roll up the periods of days that are about to be archived
+        await this.writeRollups(agedOutDays.map(file => file.date));
+
+        const masterContent = await this.readFile(this.activeContextPath);
+        const updatedContent = await this.buildActiveContext(masterContent, activeDays, thresholdDateStr);
+
+        if (updatedContent === masterContent) {
+          return true;
+        }
+        return await this.writeFile(this.activeContextPath, updatedContent);
+      });
+    } catch (error) {
+      console.error('Error aggregating daily files:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Find the sections of activeContext.md that are out of date with the daily files
+   * They are brought up to date by aggregateDailyFiles.
+   * @returns Headings of the sections that differ from what the daily files give
+   */
+  public async findAggregationDrift(): Promise<string[]> {
+    if (!await fs.pathExists(this.activeContextPath)) {
+      return [];
+    }
+    const thresholdDateStr = this.getDateString(
+      new Date(Date.now() - this.archiveThresholdDays * 24 * 60 * 60 * 1000)
+    );
+    const activeDays = (await this.listDailyFiles(false)).filter(file => file.date >= thresholdDateStr);
+    const masterContent = await this.readFile(this.activeContextPath);
+    const aggregated = await this.buildActiveContext(masterContent, activeDays, thresholdDateStr);
+
+    // Session history changes with every session and isn't drift
+    return ['## Current Focus', '## Recent Changes', '## Open Questions/Issues']
+      .filter(header => this.extractSection(aggregated, header) !== this.extractSection(masterContent, header))
+      .map(header => header.substring(3));
+  }
+
+  /**
+   * Merge the active days into the content of activeContext.md
+   * @param masterContent Current content of activeContext.md
+   * @param activeDays Daily files that haven't aged out, oldest first
+   * @param thresholdDateStr Date before which entries have aged out (YYYY-MM-DD)
+   * @returns Updated content
+   */
+  private async buildActiveContext(masterContent: string, activeDays: DailyFile[], thresholdDateStr: string): Promise<string> {
+    let updatedContent = masterContent;
+
+    // Read the active days newest first
+    const dailyContents: string[] = [];
+    for (const file of [...activeDays].reverse()) {
+      dailyContents.push(await file.read());
+    }
+
+    // Current focus comes from the latest day that has one
+    const currentFocus = this.findLatestSection(dailyContents, '## Current Focus');
+    if (currentFocus) {
+      updatedContent = this.updateSection(updatedContent, '## Current Focus', currentFocus);
+    }
+
+    // Merge recent changes, dropping duplicates and entries that have aged out
+    const changes = [
+      ...dailyContents.flatMap(content => this.parseEntries(this.extractSection(content, '## Recent Changes'))),
+      ...this.parseEntries(this.extractSection(masterContent, '## Recent Changes'))
+    ];
+    const recentChanges = this.dedupeEntries(changes)
+      .filter(entry => {
+        const timestamp = this.getEntryTimestamp(entry);
+        return !timestamp || timestamp.substring(0, 10) >= thresholdDateStr;
+      })
+      .slice(0, this.maxRecentChanges);
+    if (recentChanges.length > 0) {
+      updatedContent = this.updateSection(updatedContent, '## Recent Changes', recentChanges.join('\n'));
+    }
+
+    // Carry unresolved open questions forward from the latest day that has any
+    const openQuestions = this.findLatestSection(dailyContents, '## Open Questions/Issues');
+    if (openQuestions) {
+      const unresolved = openQuestions
+        .split('\n')
+        .filter(line => !this.isResolved(line))
+        .join('\n')
+        .trim();
+      updatedContent = this.updateSection(updatedContent, '## Open Questions/Issues', unresolved || '-');
+    }
+
+    // Fold the sessions of the active period into a history section
+    const sessions = (await this.readSessions())
+      .filter(session => session.startTime.substring(0, 10) >= thresholdDateStr);
+    if (sessions.length > 0) {
+      updatedContent = this.updateSection(updatedContent, '## Session History', this.formatSessionHistory(sessions));
+    }
+
+    return updatedContent;
+  }
+
+  /**
+   * List daily active context files, oldest first
+   * @param includeArchive Whether to include archived daily files, including compressed ones
+   * @returns Date, path and a reader for each daily file; archived files have the path they would have if unpacked
+   */
+  private async listDailyFiles(includeArchive: boolean): Promise<DailyFile[]> {
+    const result: DailyFile[] = [];
+
+    if (await fs.pathExists(this.dailyDir)) {
+      for (const file of await fs.readdir(this.dailyDir)) {
+        const match = file.match(DAILY_FILE_REGEX);
+        if (match) {
+          const filePath = path.join(this.dailyDir, file);
+          result.push({ date: match[1], path: filePath, read: () => this.readFile(filePath) });
+        }
+      }
+    }
+
+    if (includeArchive) {
+      for (const file of await this.archive.list()) {
+        const match = file.name.match(DAILY_FILE_REGEX);
+        if (match) {
+          result.push({ date: match[1], path: this.archive.resolve(file), read: () => this.archive.read(file) });
+        }
+      }
+    }
+
+    return result.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Find the first non-empty section among contents ordered newest first
+   * @param contents Markdown contents, newest first
+   * @param sectionHeader Section header to look for
+   * @returns Section content, or an empty string if every section is empty
+   */
+  private findLatestSection(contents: string[], sectionHeader: string): string {
+    for (const content of contents) {
+      const section = this.extractSection(content, sectionHeader);
+      if (section.replace(/^-\s*$/gm, '').trim()) {
+        return section;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Split a Recent Changes section into entries
+   * An entry starts with a [timestamp] line and includes the lines that follow it.
+   * @param section Section content
+   * @returns Entries in the order they appear
+   */
+  private parseEntries(section: string): string[] {
+    const entries: string[] = [];
+    let current: string | null = null;
+
+    for (const line of section.split('\n')) {
+      if (/^-\s*$/.test(line.trim()) || line.trim() === '') {
+        continue;
+      }
+      if (this.getEntryTimestamp(line)) {
+        if (current) entries.push(current);
+        current = line;
+      } else if (current) {
+        current += `\n${line}`;
+      } else {
+        entries.push(line);
+      }
+    }
+    if (current) entries.push(current);
+
+    return entries;
+  }
+
+  /**
+   * Get the timestamp of a Recent Changes entry
+   * @param entry Entry text
+   * @returns Timestamp in YYYY-MM-DD HH:MM:SS format, or null if the entry has none
+   */
+  private getEntryTimestamp(entry: string): string | null {
+    const match = entry.match(/^\[(\d{4}-\d{2}-\d{2}[^\]]*)\]/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Remove duplicate entries and sort them newest first
+   * Entries are duplicates when their text matches apart from the timestamp.
+   * @param entries Entries to de-duplicate
+   * @returns Unique entries, newest first
+   */
+  private dedupeEntries(entries: string[]): string[] {
+    const sorted = [...entries].sort((a, b) =>
+      (this.getEntryTimestamp(b) || '').localeCompare(this.getEntryTimestamp(a) || '')
+    );
+    const seen = new Set<string>();
+
+    return sorted.filter(entry => {
+      const key = entry.replace(/^\[[^\]]*\]\s*-?\s*/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Check whether an open question line is marked as resolved
+   * Questions are resolved with a checked box (- [x]), strikethrough or a (resolved) note.
+   * @param line Open question line
+   * @returns True if the question is resolved
+   */
+  private isResolved(line: string): boolean {
+    return /^\s*-\s*\[x\]/i.test(line) || /^\s*-\s*~~.*~~\s*$/.test(line) || /\(resolved\)/i.test(line);
+  }
+
+  /**
+   * Read all session files, oldest first
+   * @param includeArchive Whether to include archived sessions, including compressed ones
+   * @returns Sessions
+   */
+  private async readSessions(includeArchive: boolean = false): Promise<SessionInfo[]> {
+    const files: { name: string; filePath: string; read: () => Promise<string> }[] = [];
+
+    if (await fs.pathExists(this.sessionsDir)) {
+      for (const file of await fs.readdir(this.sessionsDir)) {
+        const filePath = path.join(this.sessionsDir, file);
+        files.push({ name: file, filePath, read: () => this.readFile(filePath) });
+      }
+    }
+    if (includeArchive) {
+      for (const file of await this.archive.list()) {
+        files.push({ name: file.name, filePath: this.archive.resolve(file), read: () => this.archive.read(file) });
+      }
+    }
+
+    const sessionFiles = files
+      .filter(file => file.name.startsWith('session-') && file.name.endsWith('.md'))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const sessions: SessionInfo[] = [];
+
+    for (const file of sessionFiles) {
+      const session = this.parseSession(file.filePath, await file.read());
+      if (session) {
+        sessions.push(session);
+      }
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Read one session file
+   * @param filePath Path to the session file
+   * @returns Session, or null if the file isn't a readable session
+   */
+  private async readSession(filePath: string): Promise<SessionInfo | null> {
+    return this.parseSession(filePath, await this.readFile(filePath));
+  }
+
+  /**
+   * Parse a session file
+   * Sessions written before sessions had a status are open while their end time says
+   * "(In progress)" and ended once it holds a time.
+   * @param filePath Path to the session file
+   * @param content Content of the session file
+   * @returns Session, or null if the file has no start time
+   */
+  private parseSession(filePath: string, content: string): SessionInfo | null {
+    const document = MarkdownDocument.parse(content);
+    const isTimestamp = (value: string) => /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value);
+    const startTime = document.getSection('start-time');
+    if (!isTimestamp(startTime)) {
+      return null;
+    }
+
+    const endSection = document.getSection('end-time');
+    const endTime = isTimestamp(endSection) ? endSection : null;
+    const lastActivitySection = document.getSection('last-activity');
+    const lastActivity = isTimestamp(lastActivitySection) ? lastActivitySection : endTime || startTime;
+
+    const statusSection = document.getSection('status').toLowerCase();
+    const status: SessionStatus = ['active', 'paused', 'ended'].includes(statusSection)
+      ? statusSection as SessionStatus
+      : endTime ? 'ended' : 'active';
+
+    const breaks: SessionInfo['breaks'] = [];
+    for (const line of document.getSection('breaks').split('\n')) {
+      const match = line.match(/^-\s*(\S+ \S+) to (\S+ \S+|\(paused\))\s*$/);
+      if (match && isTimestamp(match[1])) {
+        breaks.push({ start: match[1], end: isTimestamp(match[2]) ? match[2] : null });
+      }
+    }
+
+    const from = new Date(this.parseTimestamp(startTime));
+    const to = new Date(this.parseTimestamp(endTime || lastActivity));
+    const minutes = Math.max(0, Math.round((to.getTime() - from.getTime()) / (1000 * 60)) - this.getBreakMinutes(breaks, from, to));
+
+    return {
+      id: path.basename(filePath, '.md'),
+      filePath,
+      status,
+      startTime,
+      lastActivity,
+      endTime: status === 'ended' ? endTime : null,
+      minutes,
+      focus: document.getSection('focus').replace(/^-\s*$/gm, '').trim(),
+      summary: document.getSection('summary').replace(/^-\s*$/gm, '').trim(),
+      breaks
+    };
+  }
+
+  /**
+   * Parse a timestamp produced by getTimestamp
+   * @param timestamp Timestamp in YYYY-MM-DD HH:MM:SS format (UTC)
+   * @returns Milliseconds since the epoch
+   */
+  private parseTimestamp(timestamp: string): number {
+    return new Date(`${timestamp.trim().replace(' ', 'T')}Z`).getTime();
+  }
+
+  /**
+   * Format minutes as a time spent string
+   * @param minutes Number of minutes
+   * @returns Time in "Xh Ym" format
+   */
+  private formatMinutes(minutes: number): string {
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
+  /**
+   * Format sessions as a history list, newest first
+   * @param sessions Sessions
+   * @returns Markdown list with a totals line
+   */
+  private formatSessionHistory(sessions: SessionInfo[]): string {
+    const totalMinutes = sessions.reduce((sum, session) => sum + session.minutes, 0);
+    const lines = [...sessions].reverse().map(session => {
+      const end = session.endTime ? session.endTime.substring(11) : session.status === 'paused' ? 'paused' : 'in progress';
+      const focus = session.focus ? `: ${session.focus.split('\n')[0].replace(/^-\s*/, '')}` : '';
+      return `- ${session.startTime} to ${end} (${this.formatMinutes(session.minutes)})${focus}`;
+    });
+
+    return `${lines.join('\n')}\n- Total: ${sessions.length} session(s), ${this.formatMinutes(totalMinutes)}`;
+  }
+
+  /**
+   * Get the ISO week of a date
+   * @param dateStr Date in YYYY-MM-DD format
+   * @returns Week key (YYYY-Www) with the Monday and Sunday of that week
+   */
+  private getWeek(dateStr: string): { key: string; start: string; end: string } {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    const dayOfWeek = (date.getUTCDay() + 6) % 7; // Monday = 0
+    const monday = new Date(date.getTime() - dayOfWeek * 24 * 60 * 60 * 1000);
+    const sunday = new Date(monday.getTime() + 6 * 24 * 60 * 60 * 1000);
+
+    // The ISO year is the year of the week's Thursday
+    const thursday = new Date(monday.getTime() + 3 * 24 * 60 * 60 * 1000);
+    const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+    const week = Math.floor((thursday.getTime() - yearStart.getTime()) / (7 * 24 * 60 * 60 * 1000)) + 1;
+
+    return {
+      key: `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`,
+      start: this.getDateString(monday),
+      end: this.getDateString(sunday)
+    };
+  }
+
+  /**
+   * Write weekly and monthly rollup files for the periods containing the given days
+   * @param dates Dates in YYYY-MM-DD format
+   */
+  private async writeRollups(dates: string[]): Promise<void> {
+    if (dates.length === 0) {
+      return;
+    }
+
+    const periods = new Map<string, { title: string; start: string; end: string }>();
+    for (const date of dates) {
+      const week = this.getWeek(date);
+      periods.set(`weekly-${week.key}`, { title: `Weekly Rollup - ${week.key}`, start: week.start, end: week.end });
+
+      const month = date.substring(0, 7);
+      const [year, monthNumber] = month.split('-').map(part => parseInt(part, 10));
+      const lastDay = new Date(Date.UTC(year, monthNumber, 0));
+      periods.set(`monthly-${month}`, { title: `Monthly Rollup - ${month}`, start: `${month}-01`, end: this.getDateString(lastDay) });
+    }
+
+    const allDays = await this.listDailyFiles(true);
+    const sessions = await this.readSessions(true);
+    const decisions = await this.readDecisionSummaries();
+
+    for (const [name, period] of periods) {
+      const days = allDays.filter(day => day.date >= period.start && day.date <= period.end);
+      const contents: { date: string; content: string }[] = [];
+      for (const day of days) {
+        contents.push({ date: day.date, content: await day.read() });
+      }
+
+      const focusAreas = contents
+        .map(({ date, content }) => {
+          const focus = this.extractSection(content, '## Current Focus').replace(/^-\s*$/gm, '').trim();
+          return focus ? `- ${date}: ${focus.split('\n')[0].replace(/^-\s*/, '')}` : '';
+        })
+        .filter(line => line !== '');
+      const keyChanges = this.dedupeEntries(
+        contents.flatMap(({ content }) => this.parseEntries(this.extractSection(content, '## Recent Changes')))
+      );
+      const newestFirst = [...contents].reverse().map(({ content }) => content);
+      const openQuestions = this.findLatestSection(newestFirst, '## Open Questions/Issues')
+        .split('\n')
+        .filter(line => line.trim() !== '' && !this.isResolved(line))
+        .join('\n');
+
+      const periodSessions = sessions.filter(session => {
+        const date = session.startTime.substring(0, 10);
+        return date >= period.start && date <= period.end;
+      });
+      const sessionMinutes = periodSessions.reduce((sum, session) => sum + session.minutes, 0);
+      const periodDecisions = decisions
+        .filter(decision => decision.date >= period.start && decision.date <= period.end)
+        .map(decision => `- ${decision.date}: ${decision.title}${decision.status ? ` (${decision.status})` : ''}`);
+
+      const content = `# ${period.title}
+
+Period: ${period.start} to ${period.end}
+
+## Focus Areas
+${focusAreas.join('\n') || '-'}
+
+## Key Changes
+${keyChanges.join('\n') || '-'}
+
+## Decisions
+${periodDecisions.join('\n') || '-'}
+
+## Open Questions/Issues
+${openQuestions || '-'}
+
+## Sessions
+- Sessions: ${periodSessions.length}
+- Time Spent: ${this.formatMinutes(sessionMinutes)}
+- Days Active: ${contents.length}
+
+---
+Generated: ${this.getTimestamp()}
+`;
+      await this.writeFile(path.join(this.rollupsDir, `${name}.md`), content);
+    }
+  }
+
+  /**
+   * Read the dated entries of the decision log, oldest first
+   * @returns Date, title (with its ID) and status of each decision
+   */
+  private async readDecisionSummaries(): Promise<{ date: string; title: string; status: string }[]> {
+    const filePath = path.join(this.baseDir, 'decisionLog.md');
+    if (!await fs.pathExists(filePath)) {
+      return [];
+    }
+
+    const decisions: { date: string; title: string; status: string }[] = [];
+    for (const block of (await this.readFile(filePath)).split(/^### /m).slice(1)) {
+      const date = block.match(/^- Date: (\d{4}-\d{2}-\d{2})/m);
+      if (!date) {
+        continue;
+      }
+      const status = block.match(/^- Status: (.+)$/m);
+      decisions.push({ date: date[1], title: block.split('\n')[0].trim(), status: status ? status[1].trim() : '' });
+    }
+
+    return decisions.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Reconstruct memory bank from git history and archives
+   *
+   * Rebuilds the daily and session files for the given range from git log, grouping
+   * commits into sessions with the session timeout, and restores master files that
+   * are missing or corrupted from their newest copy in the archive.
+   * @param days Number of days of history to reconstruct
+   * @returns True if reconstruction was successful, also when there were no commits in
+   *          the range; false if the git history can't be read
+   */
+  public async reconstructMemoryBank(days: number = 30): Promise<boolean> {
+    try {
+      return await this.withLock(async () => {
+        await this.initialize();
+
+        await this.restoreMasterFilesFromArchive();
+
+        const commits = this.readGitHistory([`--since=${days} days ago`]);
+        if (!commits) {
+          return false;
+        }
+        if (commits.length === 0) {
+          console.log(`No commits found in the last ${days} days.`);
+          return true;
+        }
+
+        // Backfill the statistics ledger; commits already recorded are skipped
+        await this.ledger.append(this.toLedgerCommits(commits));
+
+        // Group commits into sessions using the same timeout as live sessions
+        const sessions: CommitInfo[][] = [];
+        for (const commit of commits) {
+          const current = sessions[sessions.length - 1];
+          const previous = current ? current[current.length - 1] : null;
+          const hoursDiff = previous ? (commit.date.getTime() - previous.date.getTime()) / (1000 * 60 * 60) : Infinity;
+          if (current && hoursDiff <= this.sessionTimeoutHours) {
+            current.push(commit);
+          } else {
+            sessions.push([commit]);
+          }
+        }
+
+        const minutesByDay = new Map<string, number>();
+        for (const session of sessions) {
+          const minutes = await this.writeReconstructedSession(session);
+          const dateStr = this.getDateString(session[0].date);
+          minutesByDay.set(dateStr, (minutesByDay.get(dateStr) || 0) + minutes);
+        }
+
+        // Group commits by day for the daily files
+        const commitsByDay = new Map<string, CommitInfo[]>();
+        for (const commit of commits) {
+          const dateStr = this.getDateString(commit.date);
+          commitsByDay.set(dateStr, [...(commitsByDay.get(dateStr) || []), commit]);
+        }
+
+        for (const [dateStr, dayCommits] of commitsByDay) {
+          await this.writeReconstructedDay(dateStr, dayCommits, minutesByDay.get(dateStr) || 0);
+        }
+
+        console.log(`Reconstructed ${commitsByDay.size} day(s) and ${sessions.length} session(s) from ${commits.length} commit(s).`);
+        return true;
+      });
+    } catch (error) {
+      console.error('Error reconstructing memory bank:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Read commits from git history, oldest first
+   * @param range git log arguments selecting the commits (e.g. ["--since=30 days ago"])
+   * @param pathspec Paths to limit the file statistics to
+   * @returns Commits with their line and file statistics, or null if the git history can't
+   *          be read (no git, or not in a repository)
+   */
+  private readGitHistory(range: string[], pathspec: string[] = []): CommitInfo[] | null {
+    let output: string;
+    try {
+      output = execFileSync(
+        'git',
+        ['log', ...range, '--no-merges', '--numstat', '--summary', '--pretty=format:%x1e%H%x1f%ct%x1f%an%x1f%s', ...pathspec],
+        { encoding: 'utf8', stdio: 'pipe', cwd: this.getRepositoryDir(), maxBuffer: 64 * 1024 * 1024 }
+      );
+    } catch (error) {
+      // A repository without commits has no history yet, rather than none that can be read
+      if (this.runGit(['rev-parse', '--git-dir']) !== null && this.runGit(['rev-parse', '--verify', '--quiet', 'HEAD']) === null) {
+        return [];
+      }
+      console.warn('Git history not available:', error instanceof Error ? error.message : error);
+      return null;
+    }
+
+    const commits: CommitInfo[] = [];
+    for (const record of output.split('\x1e')) {
+      if (!record.trim()) {
+        continue;
+      }
+
+      const [header, ...lines] = record.split('\n');
+      const [hash, time, author, subject] = header.split('\x1f');
+      const commit: CommitInfo = {
+        hash,
+        date: new Date(parseInt(time, 10) * 1000),
+        author,
+        subject,
+        filesCreated: 0,
+        filesModified: 0,
+        filesDeleted: 0,
+        linesAdded: 0,
+        linesRemoved: 0,
+        files: []
+      };
+
+      for (const line of lines) {
+        const numstat = line.match(/^(\d+|-)\t(\d+|-)\t(.*)$/);
+        if (numstat) {
+          const linesAdded = numstat[1] === '-' ? 0 : parseInt(numstat[1], 10);
+          const linesRemoved = numstat[2] === '-' ? 0 : parseInt(numstat[2], 10);
+          commit.filesModified++;
+          commit.linesAdded += linesAdded;
+          commit.linesRemoved += linesRemoved;
+          commit.files.push({ path: this.renamedPath(numstat[3]), linesAdded, linesRemoved });
+        } else if (/^ create mode /.test(line)) {
+          commit.filesCreated++;
+        } else if (/^ delete mode /.test(line)) {
+          commit.filesDeleted++;
+        }
+      }
+
+      // Created and deleted files also appear in numstat; count them only once
+      commit.filesModified = Math.max(0, commit.filesModified - commit.filesCreated - commit.filesDeleted);
+      commits.push(commit);
+    }
+
+    return commits.sort((a, b) => a.date.getTime() - b.date.getTime());
+  }
+
+  /**
+   * Get the new path from a numstat path that may describe a rename
+   * @param numstatPath Path as printed by git log --numstat (e.g. "src/{old => new}/file.ts")
+   * @returns Path after the rename
+   */
+  private renamedPath(numstatPath: string): string {
+    return numstatPath
+      .replace(/\{[^{}]* => ([^{}]*)\}/g, '$1')
+      .replace(/^.* => /, '')
+      .replace(/\/\//g, '/');
+  }
+
+  /**
+   * Write a session file for a group of commits, unless it already exists
+   * @param commits Commits in the session, oldest first
+   * @returns Length of the session in minutes
+   */
+  private async writeReconstructedSession(commits: CommitInfo[]): Promise<number> {
+    const start = commits[0].date;
+    const end = commits[commits.length - 1].date;
+    const minutes = Math.round((end.getTime() - start.getTime()) / (1000 * 60));
+    const fileName = `session-${start.toISOString().replace(/[:.]/g, '-')}.md`;
+    const filePath = path.join(this.sessionsDir, fileName);
+
+    if (await fs.pathExists(filePath) || (await this.archive.list()).some(file => file.name === fileName)) {
+      return minutes;
+    }
+
+    const subjects = commits.map(commit => `- ${commit.subject}`);
+    const content = `# Development Session - ${this.getTimestamp(start)}
+
+## Start Time
+${this.getTimestamp(start)}
+
+## End Time
+${this.getTimestamp(end)}
+
+## Focus
+${subjects.slice(0, 3).join('\n')}
+
+## Notes
+- Reconstructed from git history
+${commits.map(commit => `- ${commit.hash.substring(0, 7)} - ${commit.subject} (${commit.author})`).join('\n')}
+
+## Statistics
+- Time Spent: ${this.formatMinutes(minutes)}
+- Estimated Cost: $${Math.round((minutes / 60) * this.developerHourlyRate * 100) / 100}
+`;
+
+    await this.writeFile(filePath, content);
+    return minutes;
+  }
+
+  /**
+   * Merge a day's commits into its daily file
+   * Commit entries already present are not added again, so reconstruction can be re-run.
+   * @param dateStr Date in YYYY-MM-DD format
+   * @param commits Commits made on that day, oldest first
+   * @param minutes Minutes spent in sessions that started on that day
+   */
+  private async writeReconstructedDay(dateStr: string, commits: CommitInfo[], minutes: number): Promise<void> {
+    // A day that only exists in a bundle is written back as a loose file, which replaces
+    // the bundled copy and is merged into the bundle the next time the month is compressed
+    const existing = (await this.listDailyFiles(true)).find(file => file.date === dateStr);
+    const filePath = existing ? existing.path : await this.createDailyFile(new Date(`${dateStr}T00:00:00Z`));
+    const content = existing ? await existing.read() : await this.readFile(filePath);
+
+    const entries = [
+      ...commits.map(commit => `[${this.getTimestamp(commit.date)}] - ${commit.hash.substring(0, 7)} - ${commit.subject}`),
+      ...this.parseEntries(this.extractSection(content, '## Recent Changes'))
+    ];
+
+    const total = commits.reduce((sum, commit) => ({
+      filesCreated: sum.filesCreated + commit.filesCreated,
+      filesModified: sum.filesModified + commit.filesModified,
+      filesDeleted: sum.filesDeleted + commit.filesDeleted,
+      linesAdded: sum.linesAdded + commit.linesAdded,
+      linesRemoved: sum.linesRemoved + commit.linesRemoved
+    }), { filesCreated: 0, filesModified: 0, filesDeleted: 0, linesAdded: 0, linesRemoved: 0 });
+
+    const totalLines = content.match(/- Total Lines of Code: (\d+)/);
+    const statistics = `- Time Spent: ${this.formatMinutes(minutes)}
+- Estimated Cost: $${Math.round((minutes / 60) * this.developerHourlyRate * 100) / 100}
+- Files Created: ${total.filesCreated}
+- Files Modified: ${total.filesModified}
+- Files Deleted: ${total.filesDeleted}
+- Lines of Code Added: ${total.linesAdded}
+- Lines of Code Removed: ${total.linesRemoved}
+- Total Lines of Code: ${totalLines ? totalLines[1] : 0}
+- Commits: ${commits.length}`;
+
+    let updatedContent = this.updateSection(content, '## Recent Changes', this.dedupeEntries(entries).join('\n'));
+    updatedContent = this.updateSection(updatedContent, '## Statistics', statistics);
+
+    await this.writeFile(filePath, updatedContent);
+  }
+
+  /**
+   * Check whether a master file is missing or corrupted
+   * @param fileName Master file name
+   * @param content File content (empty if the file is missing)
+   * @returns True if the file needs to be restored
+   */
+  private isMasterFileDamaged(fileName: string, content: string): boolean {
+    return !content.trim().startsWith(MASTER_FILE_TITLES[fileName]);
+  }
+
+  /**
+   * Restore missing or corrupted master files from their newest copy in the archive
+   * Corrupted files are kept in the archive before they are replaced.
+   */
+  private async restoreMasterFilesFromArchive(): Promise<void> {
+    for (const fileName of Object.keys(MASTER_FILE_TITLES)) {
+      const filePath = path.join(this.baseDir, fileName);
+      const exists = await fs.pathExists(filePath);
+      const content = exists ? await this.readFile(filePath) : '';
+
+      if (!this.isMasterFileDamaged(fileName, content)) {
+        continue;
+      }
+
+      const archivedCopy = await this.findArchivedMasterFile(fileName);
+      if (!archivedCopy) {
+        continue;
+      }
+
+      if (exists) {
+        const stem = fileName.replace(/\.md$/, '');
+        const backupPath = path.join(this.archiveDir, `${stem}-corrupted-${new Date().toISOString().replace(/[:.]/g, '-')}.md`);
+        await fs.move(filePath, backupPath);
+        console.log(`Moved corrupted ${fileName} to ${path.relative(this.baseDir, backupPath)}`);
+      }
+
+      await fs.copy(archivedCopy, filePath);
+      console.log(`Restored ${fileName} from ${path.relative(this.baseDir, archivedCopy)}`);
+    }
+  }
+
+  /**
+   * Find the newest valid archived copy of a master file
+   * Copies are named like the master file, optionally with a suffix (e.g. productContext-2024-01-01.md).
+   * @param fileName Master file name
+   * @returns Path to the archived copy, or null if there is none
+   */
+  private async findArchivedMasterFile(fileName: string): Promise<string | null> {
+    const stem = fileName.replace(/\.md$/, '');
+    const candidates: { path: string; mtime: number }[] = [];
+
+    const scan = async (dir: string): Promise<void> => {
+      if (!await fs.pathExists(dir)) {
+        return;
+      }
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          // Archived branch files only hold a branch's part of the master files
+          if (dir !== this.archiveDir || entry.name !== BRANCHES_DIR_NAME) {
+            await scan(entryPath);
+          }
+          continue;
+        }
+        const isCopy = entry.name === fileName ||
+          (entry.name.startsWith(`${stem}-`) && entry.name.endsWith('.md'));
+        // Skip daily files and copies that were set aside as corrupted
+        if (!isCopy || /^activeContext-\d{4}-\d{2}-\d{2}\.md$/.test(entry.name) || entry.name.includes('-corrupted-')) {
+          continue;
+        }
+        if (this.isMasterFileDamaged(fileName, await this.readFile(entryPath))) {
+          continue;
+        }
+        candidates.push({ path: entryPath, mtime: (await fs.stat(entryPath)).mtimeMs });
+      }
+    };
+
+    await scan(this.archiveDir);
+    candidates.sort((a, b) => b.mtime - a.mtime);
+    return candidates.length > 0 ? candidates[0].path : null;
+  }
 }
\ No newline at end of file
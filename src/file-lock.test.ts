@@ -0,0 +1,110 @@
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import { FileLock, LockTimeoutError, hashContent, writeFileAtomic } from './file-lock';
+
+describe('FileLock', () => {
+  let dir: string;
+  let lockPath: string;
+
+  /** Write a lock file as another process would */
+  const writeHolder = (pid: number, acquiredAt: string) =>
+    fs.writeFile(lockPath, JSON.stringify({ pid, hostname: os.hostname(), acquiredAt }));
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+    lockPath = path.join(dir, '.memory-bank.lock');
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  it('runs callers in this process one at a time, and nested calls right away', async () => {
+    const lock = new FileLock(lockPath);
+    const events: string[] = [];
+    const run = (name: string) => lock.withLock(async () => {
+      events.push(`${name} start`);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await lock.withLock(async () => events.push(`${name} nested`));
+      events.push(`${name} end`);
+    });
+
+    await Promise.all([run('a'), run('b')]);
+
+    expect(events).toEqual(['a start', 'a nested', 'a end', 'b start', 'b nested', 'b end']);
+    expect(await fs.pathExists(lockPath)).toBe(false);
+  });
+
+  it('waits for a live holder and times out', async () => {
+    await writeHolder(process.ppid, '2024-05-01T09:00:00.000Z');
+    const lock = new FileLock(lockPath, { timeoutMs: 100, retryMs: 10 });
+
+    await expect(lock.withLock(async () => 'done')).rejects.toThrow(LockTimeoutError);
+
+    setTimeout(() => fs.removeSync(lockPath), 50);
+    await expect(new FileLock(lockPath, { timeoutMs: 2000, retryMs: 10 }).withLock(async () => 'done')).resolves.toBe('done');
+  });
+
+  it('recovers a lock left by a process that is gone', async () => {
+    const exited = spawnSync(process.execPath, ['-e', '']);
+    await writeHolder(exited.pid as number, '2024-05-01T09:00:00.000Z');
+
+    await expect(new FileLock(lockPath, { timeoutMs: 1000 }).withLock(async () => 'done')).resolves.toBe('done');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(`left by process ${exited.pid}`));
+  });
+
+  it('recovers a lock that has not been refreshed in time', async () => {
+    await writeHolder(process.ppid, '2024-05-01T09:00:00.000Z');
+    const past = new Date(Date.now() - 60000);
+    await fs.utimes(lockPath, past, past);
+
+    await expect(new FileLock(lockPath, { timeoutMs: 1000, staleMs: 1000 }).withLock(async () => 'done')).resolves.toBe('done');
+  });
+
+  it('leaves a lock alone that another waiter recovered and took first', async () => {
+    // The waiter found this holder stale, but another waiter replaced the lock before it acted
+    const stale = { pid: 999999, hostname: os.hostname(), acquiredAt: '2024-05-01T09:00:00.000Z' };
+    await writeHolder(process.ppid, '2024-05-01T10:00:00.000Z');
+
+    const removed = await (new FileLock(lockPath) as any).removeStale(stale);
+
+    expect(removed).toBe(false);
+    expect(await fs.readJson(lockPath)).toEqual({ pid: process.ppid, hostname: os.hostname(), acquiredAt: '2024-05-01T10:00:00.000Z' });
+    expect((await fs.readdir(dir)).filter(name => name.endsWith('.stale'))).toEqual([]);
+  });
+
+  it('only releases the lock while it still owns it', async () => {
+    await new FileLock(lockPath).withLock(async () => {
+      // Taken over as stale by another process while this one was busy
+      await writeHolder(process.ppid, '2024-05-01T10:00:00.000Z');
+    });
+
+    expect((await fs.readJson(lockPath)).acquiredAt).toBe('2024-05-01T10:00:00.000Z');
+  });
+});
+
+describe('writeFileAtomic', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('replaces the file without leaving temporary files behind', async () => {
+    const filePath = path.join(dir, 'nested', 'progress.md');
+    await writeFileAtomic(filePath, 'first');
+    await writeFileAtomic(filePath, 'second');
+
+    expect(await fs.readFile(filePath, 'utf8')).toBe('second');
+    expect(await fs.readdir(path.dirname(filePath))).toEqual(['progress.md']);
+    expect(hashContent('second')).toBe(hashContent(await fs.readFile(filePath, 'utf8')));
+  });
+});
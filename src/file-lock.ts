@@ -0,0 +1,272 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Options for a file lock
+ */
+export interface FileLockOptions {
+  /** Milliseconds to wait for the lock before giving up (defaults to 15000) */
+  timeoutMs?: number;
+  /** Milliseconds after which a lock that hasn't been refreshed is considered stale (defaults to 60000) */
+  staleMs?: number;
+  /** Milliseconds between attempts to acquire the lock (defaults to 50) */
+  retryMs?: number;
+}
+
+/**
+ * Contents of a lock file
+ */
+interface LockInfo {
+  pid: number;
+  hostname: string;
+  acquiredAt: string;
+}
+
+/**
+ * Error raised when a lock can't be acquired in time
+ */
+export class LockTimeoutError extends Error {
+  constructor(lockPath: string, holder: LockInfo | null) {
+    super(
+      `Timed out waiting for lock ${lockPath}` +
+      (holder ? ` (held by process ${holder.pid} on ${holder.hostname} since ${holder.acquiredAt})` : '')
+    );
+    this.name = 'LockTimeoutError';
+  }
+}
+
+/** Locks held by the current async call chain, so nested calls don't wait on themselves */
+const heldLocks = new AsyncLocalStorage<Set<string>>();
+
+/** Tail of the queue of callers waiting for each lock within this process */
+const processQueues = new Map<string, Promise<void>>();
+
+/**
+ * File Lock
+ *
+ * A lock shared between processes through a lock file that is created exclusively.
+ * Callers in the same process are queued, and nested calls from a caller that already
+ * holds the lock run immediately. A lock left behind by a crashed process is recovered
+ * once its owner is gone or it hasn't been refreshed for `staleMs`.
+ */
+export class FileLock {
+  private lockPath: string;
+  private timeoutMs: number;
+  private staleMs: number;
+  private retryMs: number;
+
+  /**
+   * Create a new file lock
+   * @param lockPath Path to the lock file
+   * @param options Lock options
+   */
+  constructor(lockPath: string, options: FileLockOptions = {}) {
+    this.lockPath = path.resolve(lockPath);
+    this.timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : 15000;
+    this.staleMs = options.staleMs !== undefined ? options.staleMs : 60000;
+    this.retryMs = options.retryMs !== undefined ? options.retryMs : 50;
+  }
+
+  /**
+   * Run a function while holding the lock
+   * @param fn Function to run
+   * @returns Result of the function
+   * @throws LockTimeoutError if the lock can't be acquired within the timeout
+   */
+  public async withLock<T>(fn: () => Promise<T>): Promise<T> {
+    const held = heldLocks.getStore();
+    if (held && held.has(this.lockPath)) {
+      return fn();
+    }
+
+    // Wait for earlier callers in this process before competing with other processes
+    const previous = processQueues.get(this.lockPath) || Promise.resolve();
+    let done!: () => void;
+    const current = new Promise<void>(resolve => {
+      done = resolve;
+    });
+    const tail = previous.then(() => current);
+    processQueues.set(this.lockPath, tail);
+
+    try {
+      await previous;
+      const owner = await this.acquire();
+
+      // Refresh the lock so long-running work isn't mistaken for a crashed process
+      const heartbeat = setInterval(() => {
+        const now = new Date();
+        fs.utimes(this.lockPath, now, now).catch(() => undefined);
+      }, Math.max(this.staleMs / 3, 10));
+      heartbeat.unref();
+
+      try {
+        return await heldLocks.run(new Set([...(held || []), this.lockPath]), fn);
+      } finally {
+        clearInterval(heartbeat);
+        await this.release(owner);
+      }
+    } finally {
+      done();
+      if (processQueues.get(this.lockPath) === tail) {
+        processQueues.delete(this.lockPath);
+      }
+    }
+  }
+
+  /**
+   * Create the lock file, waiting for the current holder and recovering stale locks
+   * @returns Contents of the lock file that was created
+   */
+  private async acquire(): Promise<LockInfo> {
+    const deadline = Date.now() + this.timeoutMs;
+    const info: LockInfo = { pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() };
+    await fs.ensureDir(path.dirname(this.lockPath));
+
+    for (;;) {
+      try {
+        await fs.writeFile(this.lockPath, JSON.stringify(info), { flag: 'wx' });
+        return info;
+      } catch (error: any) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const holder = await this.readHolder();
+      if (await this.isStale(holder)) {
+        if (await this.removeStale(holder)) {
+          console.warn(`Removed stale memory bank lock ${this.lockPath}${holder ? ` left by process ${holder.pid}` : ''}`);
+        }
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new LockTimeoutError(this.lockPath, holder);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.retryMs));
+    }
+  }
+
+  /**
+   * Remove the lock file if it is still the one this caller created
+   * A lock that was taken over as stale while the caller held it belongs to someone else now.
+   * @param owner Contents of the lock file the caller created
+   */
+  private async release(owner: LockInfo): Promise<void> {
+    if (isSameHolder(await this.readHolder(), owner)) {
+      await fs.remove(this.lockPath);
+    }
+  }
+
+  /**
+   * Remove a stale lock, unless another waiter recovered it first
+   * The lock file is renamed to a unique name, so of the waiters that found it stale only
+   * one gets it. If that turns out to be a newer lock another waiter created after
+   * recovering the stale one, it is put back.
+   * @param stale Lock file contents that were found stale
+   * @returns True if the stale lock was removed
+   */
+  private async removeStale(stale: LockInfo | null): Promise<boolean> {
+    const movedPath = `${this.lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+    try {
+      await fs.rename(this.lockPath, movedPath);
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        return false; // Released or recovered by someone else
+      }
+      throw error;
+    }
+
+    const moved = await this.readHolder(movedPath);
+    if (!isSameHolder(moved, stale)) {
+      // Linking fails if yet another lock was created in the meantime; that one stands
+      await fs.link(movedPath, this.lockPath).catch(() => undefined);
+    }
+    await fs.remove(movedPath);
+    return isSameHolder(moved, stale);
+  }
+
+  /**
+   * Read who holds the lock
+   * @param lockPath Lock file to read (defaults to the lock's own file)
+   * @returns Lock file contents, or null if the file is gone or unreadable
+   */
+  private async readHolder(lockPath: string = this.lockPath): Promise<LockInfo | null> {
+    try {
+      return JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether the lock was left behind
+   * @param holder Lock file contents
+   * @returns True if the owner is no longer running or the lock hasn't been refreshed in time
+   */
+  private async isStale(holder: LockInfo | null): Promise<boolean> {
+    if (holder && holder.hostname === os.hostname() && holder.pid !== process.pid) {
+      try {
+        process.kill(holder.pid, 0);
+      } catch (error: any) {
+        if (error.code === 'ESRCH') {
+          return true;
+        }
+      }
+    }
+
+    try {
+      const stats = await fs.stat(this.lockPath);
+      return Date.now() - stats.mtimeMs > this.staleMs;
+    } catch {
+      // The lock was released while we looked at it
+      return false;
+    }
+  }
+}
+
+/**
+ * Check whether two lock file contents come from the same acquisition
+ * @param a Lock file contents, or null if unreadable
+ * @param b Lock file contents, or null if unreadable
+ * @returns True if both were written by the same process when it acquired the lock
+ */
+function isSameHolder(a: LockInfo | null, b: LockInfo | null): boolean {
+  if (!a || !b) {
+    return a === b;
+  }
+  return a.pid === b.pid && a.hostname === b.hostname && a.acquiredAt === b.acquiredAt;
+}
+
+/**
+ * Write a file atomically
+ * The content is written to a temporary file next to the target, which is then renamed
+ * over it, so readers never see a partially written file.
+ * @param filePath Path to the file
+ * @param content Content to write (text is written as UTF-8)
+ */
+export async function writeFileAtomic(filePath: string, content: string | Buffer): Promise<void> {
+  const dir = path.dirname(filePath);
+  await fs.ensureDir(dir);
+
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  try {
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => undefined);
+    throw error;
+  }
+}
+
+/**
+ * Hash file content for optimistic concurrency checks
+ * @param content File content
+ * @returns SHA-256 hash as hex
+ */
+export function hashContent(content: string): string {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
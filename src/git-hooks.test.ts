@@ -0,0 +1,27 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { GitHooks } from './git-hooks';
+
+describe('GitHooks', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  it('reports a directory outside a git repository without logging an error', async () => {
+    const gitHooks = new GitHooks({ repoDir: dir });
+
+    expect(await gitHooks.install()).toEqual({ success: false, message: `Cannot install git hooks: ${dir} is not in a git repository.` });
+    expect(await gitHooks.uninstall()).toEqual({ success: false, message: `Cannot uninstall git hooks: ${dir} is not in a git repository.` });
+    expect(console.error).not.toHaveBeenCalled();
+    expect(await fs.readdir(dir)).toEqual([]);
+  });
+});
@@ -0,0 +1,525 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { MemoryBank } from './memory-bank';
+
+/**
+ * Git hooks that record activity in the memory bank
+ */
+export type GitHookName = 'post-commit' | 'post-merge' | 'post-checkout';
+
+/** Hooks installed by GitHooks.install */
+export const GIT_HOOKS: GitHookName[] = ['post-commit', 'post-merge', 'post-checkout'];
+
+/**
+ * Options for the git hooks
+ */
+export interface GitHooksOptions {
+  /** Directory inside the git repository (defaults to process.cwd()) */
+  repoDir?: string;
+  /** umb.js to run when the project has no local or global umb command (defaults to the one in this package) */
+  cliPath?: string;
+  /** Memory bank to record events in (defaults to the project's configured memory bank) */
+  memoryBank?: MemoryBank;
+}
+
+/**
+ * Where hooks are installed and whether each memory bank hook is present
+ */
+export interface GitHooksStatus {
+  /** Directory the hooks are written to */
+  hooksDir: string;
+  /** Whether the hooks are husky hook files, which get the memory bank block appended */
+  husky: boolean;
+  /** Whether git runs no hooks because core.hooksPath isn't a directory (e.g. /dev/null) */
+  disabled: boolean;
+  /** Installed state of each hook */
+  hooks: { name: GitHookName; installed: boolean; chained: boolean }[];
+}
+
+/** Lines around the memory bank part of a hook file */
+const BLOCK_START = '# >>> memory-bank >>>';
+const BLOCK_END = '# <<< memory-bank <<<';
+
+/** First comment line of a hook file written by the memory bank */
+const HOOK_HEADER = '# Memory bank git hook';
+
+/** Suffix of an existing hook that was moved aside and is run before the memory bank hook */
+const CHAINED_SUFFIX = '.pre-memory-bank';
+
+/** Comment identifying the interactive pre-commit hook installed by earlier versions */
+const LEGACY_PRE_COMMIT_MARKER = 'Enhanced Memory Bank Pre-Commit Hook';
+
+/** Log for errors from hooks, in the git directory */
+const HOOK_LOG = 'memory-bank-hooks.log';
+
+/**
+ * Git Hooks
+ *
+ * Installs post-commit, post-merge and post-checkout hooks that record commits, merges
+ * and branch switches in today's daily file. The hooks run `umb hooks run` in the
+ * background and ignore its result, so they never block or fail a git command, and they
+ * do nothing until the memory bank has been initialized.
+ *
+ * An existing hook is kept and run first: in `.git/hooks` or a `core.hooksPath` directory
+ * it is renamed to `<hook>.pre-memory-bank`, and in a husky project the memory bank block
+ * is appended to the husky hook file. Uninstalling restores the original hooks.
+ */
+export class GitHooks {
+  private repoDir: string;
+  private cliPath: string;
+  private memoryBank?: MemoryBank;
+
+  /**
+   * Create a new git hooks manager
+   * @param options Repository, CLI and memory bank to use
+   */
+  constructor(options: GitHooksOptions = {}) {
+    this.repoDir = path.resolve(options.repoDir || process.cwd());
+    this.cliPath = options.cliPath || path.resolve(__dirname, '..', 'scripts', 'umb.js');
+    this.memoryBank = options.memoryBank;
+  }
+
+  /**
+   * Install the hooks
+   * Reinstalling updates the memory bank part of the hooks and leaves the rest alone.
+   * The interactive pre-commit hook of earlier versions is removed.
+   * @returns Result with a message listing what was installed
+   */
+  public async install(): Promise<{ success: boolean; message: string }> {
+    if (!this.isInRepository()) {
+      return { success: false, message: `Cannot install git hooks: ${this.repoDir} is not in a git repository.` };
+    }
+
+    try {
+      const { dir, husky, disabled } = this.getHooksLocation();
+      if (disabled) {
+        return {
+          success: false,
+          message: `Git hooks are disabled: core.hooksPath is ${dir}, which isn't a directory. ` +
+            'Run git config --unset core.hooksPath to enable them, then install again.'
+        };
+      }
+      await fs.ensureDir(dir);
+      const lines: string[] = [];
+
+      if (await this.removeLegacyPreCommit()) {
+        lines.push('Removed the interactive pre-commit hook.');
+      }
+
+      for (const hook of GIT_HOOKS) {
+        const hookPath = path.join(dir, hook);
+        const exists = await fs.pathExists(hookPath);
+        const content = exists ? await fs.readFile(hookPath, 'utf8') : '';
+
+        if (content.includes(BLOCK_START)) {
+          await this.writeHook(hookPath, this.replaceBlock(content, this.createBlock(hook)));
+          lines.push(`Updated ${hook}.`);
+        } else if (husky) {
+          const prefix = exists ? `${content.replace(/\s*$/, '')}\n\n` : '#!/bin/sh\n';
+          await this.writeHook(hookPath, `${prefix}${this.createBlock(hook)}\n`);
+          lines.push(exists ? `Added to the existing ${hook}.` : `Installed ${hook}.`);
+        } else {
+          if (exists) {
+            const chainedPath = `${hookPath}${CHAINED_SUFFIX}`;
+            if (await fs.pathExists(chainedPath)) {
+              return { success: false, message: `Cannot keep the existing ${hook} hook: ${chainedPath} already exists.` };
+            }
+            await fs.move(hookPath, chainedPath);
+          }
+          await this.writeHook(hookPath, this.createHookFile(hook));
+          lines.push(exists ? `Installed ${hook}; the existing hook runs first.` : `Installed ${hook}.`);
+        }
+      }
+
+      return { success: true, message: `Git hooks installed in ${path.relative(this.repoDir, dir) || '.'}.\n${lines.join('\n')}` };
+    } catch (error) {
+      console.error('Error installing git hooks:', error);
+      return { success: false, message: `Error installing git hooks: ${error instanceof Error ? error.message : String(error)}` };
+    }
+  }
+
+  /**
+   * Uninstall the hooks and restore the hooks they were chained to
+   * @returns Result with a message listing what was removed
+   */
+  public async uninstall(): Promise<{ success: boolean; message: string }> {
+    if (!this.isInRepository()) {
+      return { success: false, message: `Cannot uninstall git hooks: ${this.repoDir} is not in a git repository.` };
+    }
+
+    try {
+      const { dir, disabled } = this.getHooksLocation();
+      if (disabled) {
+        return { success: true, message: `Git hooks are disabled (core.hooksPath is ${dir}); no memory bank git hooks are installed.` };
+      }
+      const lines: string[] = [];
+
+      for (const hook of GIT_HOOKS) {
+        const hookPath = path.join(dir, hook);
+        const chainedPath = `${hookPath}${CHAINED_SUFFIX}`;
+        const content = await fs.pathExists(hookPath) ? await fs.readFile(hookPath, 'utf8') : '';
+        if (!content.includes(BLOCK_START)) {
+          continue;
+        }
+
+        if (content.includes(HOOK_HEADER)) {
+          await fs.remove(hookPath);
+          if (await fs.pathExists(chainedPath)) {
+            await fs.move(chainedPath, hookPath);
+            lines.push(`Removed ${hook} and restored the previous hook.`);
+          } else {
+            lines.push(`Removed ${hook}.`);
+          }
+          continue;
+        }
+
+        // Appended to a hook the memory bank didn't write; keep the rest of it
+        const remaining = this.replaceBlock(content, '').replace(/\s*$/, '');
+        if (remaining === '' || /^#![^\n]*$/.test(remaining)) {
+          await fs.remove(hookPath);
+        } else {
+          await this.writeHook(hookPath, `${remaining}\n`);
+        }
+        lines.push(`Removed the memory bank part of ${hook}.`);
+      }
+
+      return { success: true, message: lines.length > 0 ? `Git hooks uninstalled.\n${lines.join('\n')}` : 'No memory bank git hooks are installed.' };
+    } catch (error) {
+      console.error('Error uninstalling git hooks:', error);
+      return { success: false, message: `Error uninstalling git hooks: ${error instanceof Error ? error.message : String(error)}` };
+    }
+  }
+
+  /**
+   * Get where the hooks are installed and which of them are present
+   * @returns Hooks directory and the state of each hook
+   */
+  public async getStatus(): Promise<GitHooksStatus> {
+    const { dir, husky, disabled } = this.getHooksLocation();
+    const hooks: GitHooksStatus['hooks'] = [];
+    for (const name of GIT_HOOKS) {
+      const hookPath = path.join(dir, name);
+      const content = await fs.pathExists(hookPath) ? await fs.readFile(hookPath, 'utf8') : '';
+      hooks.push({
+        name,
+        installed: content.includes(BLOCK_START),
+        chained: await fs.pathExists(`${hookPath}${CHAINED_SUFFIX}`)
+      });
+    }
+    return { hooksDir: dir, husky, disabled, hooks };
+  }
+
+  /**
+   * Record a git event in today's daily file
+   * Called by the installed hooks with the hook's arguments. Commits replayed by a
+   * rebase are skipped, since they were recorded when they were first made.
+   * @param hook Hook that ran
+   * @param args Arguments git passed to the hook
+   * @returns True if the event was recorded or there was nothing to record
+   */
+  public async record(hook: GitHookName, args: string[] = []): Promise<boolean> {
+    try {
+      const memoryBank = this.memoryBank || new MemoryBank({ projectDir: this.getTopLevel() });
+      if (!await fs.pathExists(path.join(memoryBank.getBaseDir(), 'activeContext.md'))) {
+        return true; // Not initialized; the hooks stay out of the way until it is
+      }
+      if (this.isRebasing()) {
+        return true;
+      }
+
+      // With branch-aware memory, branches a merge brought into the main branch are folded
+      // into the master files
+      if (hook === 'post-merge') {
+        for (const result of await memoryBank.mergeMergedBranches('ORIG_HEAD')) {
+          if (!result.success) {
+            await this.logError(hook, new Error(result.message));
+          }
+        }
+      }
+
+      // Commits that mention a decision ID are linked to the decision
+      if (hook === 'post-commit') {
+        await this.linkDecisions(memoryBank);
+      }
+
+      const change = this.describeEvent(hook, args);
+      if (!change) {
+        return true;
+      }
+      return await memoryBank.updateDailyActiveContext({ recentChanges: `[${this.getBranch()}] ${change}` });
+    } catch (error) {
+      // Hooks run in the background, so errors go to a log in the git directory
+      await this.logError(hook, error);
+      return false;
+    }
+  }
+
+  /**
+   * Link the commit that was just made to the decisions its message mentions (e.g. D-004)
+   * The decision gets the commit and the files it changed, outside the memory bank.
+   * @param memoryBank Memory bank the decisions are in
+   */
+  private async linkDecisions(memoryBank: MemoryBank): Promise<void> {
+    const output = this.runGit(['show', '--name-only', '--format=%h%x00%B%x00', 'HEAD']);
+    if (!output) {
+      return;
+    }
+    const [hash, message, fileList] = output.split('\0');
+    const ids = Array.from(new Set(message.match(/\bD-\d{3,}\b/g) || []));
+    if (ids.length === 0) {
+      return;
+    }
+
+    const memoryBankDir = path.relative(this.getTopLevel(), memoryBank.getBaseDir()).split(path.sep).join('/');
+    const files = fileList.split('\n')
+      .map(file => file.trim())
+      .filter(file => file !== '' && !(memoryBankDir && (file === memoryBankDir || file.startsWith(`${memoryBankDir}/`))));
+    for (const id of ids) {
+      if (await memoryBank.getDecision(id)) {
+        await memoryBank.updateDecision(id, { commits: [hash.trim()], files });
+      }
+    }
+  }
+
+  /**
+   * Describe what a hook event changed
+   * @param hook Hook that ran
+   * @param args Arguments git passed to the hook
+   * @returns Recent change text, or null if the event isn't worth recording
+   */
+  private describeEvent(hook: GitHookName, args: string[]): string | null {
+    if (hook === 'post-commit') {
+      const output = this.runGit(['show', '--shortstat', '--format=%h%x00%s', 'HEAD']);
+      if (!output) {
+        return null;
+      }
+      const [header, ...rest] = output.split('\n');
+      const [hash, subject] = header.split('\0');
+      const stats = this.formatShortStat(rest.join('\n'));
+      return `${hash} - ${subject}${stats ? ` (${stats})` : ''}`;
+    }
+
+    if (hook === 'post-merge') {
+      // A squash merge is recorded by the commit that follows it
+      if (args[0] === '1') {
+        return null;
+      }
+      const count = (this.runGit(['rev-list', '--count', 'ORIG_HEAD..HEAD']) || '0').trim();
+      const action = (this.runGit(['reflog', '-1', '--format=%gs']) || 'merge').trim();
+      const stats = this.formatShortStat(this.runGit(['diff', '--shortstat', 'ORIG_HEAD', 'HEAD']) || '');
+      return `${action} (${count} commit(s)${stats ? `, ${stats}` : ''})`;
+    }
+
+    // post-checkout: only branch checkouts, and not the initial checkout of a clone
+    const [previousHead, newHead, branchCheckout] = args;
+    if (branchCheckout !== '1' || !previousHead || /^0+$/.test(previousHead)) {
+      return null;
+    }
+    const previousBranch = (this.runGit(['rev-parse', '--abbrev-ref', '@{-1}']) || '').trim() || previousHead.substring(0, 7);
+    if (previousHead === newHead && previousBranch === this.getBranch()) {
+      return null;
+    }
+    return `Switched from ${previousBranch}`;
+  }
+
+  /**
+   * Format the output of git --shortstat
+   * @param output Output containing a "N files changed, N insertions(+), N deletions(-)" line
+   * @returns Text like "+10/-2 in 3 files", or an empty string if nothing changed
+   */
+  private formatShortStat(output: string): string {
+    const files = output.match(/(\d+) files? changed/);
+    if (!files) {
+      return '';
+    }
+    const added = output.match(/(\d+) insertions?\(\+\)/);
+    const removed = output.match(/(\d+) deletions?\(-\)/);
+    return `+${added ? added[1] : 0}/-${removed ? removed[1] : 0} in ${files[1]} file(s)`;
+  }
+
+  /**
+   * Get the current branch, or the short commit hash when HEAD is detached
+   * @returns Branch name
+   */
+  private getBranch(): string {
+    const branch = (this.runGit(['rev-parse', '--abbrev-ref', 'HEAD']) || '').trim();
+    if (branch && branch !== 'HEAD') {
+      return branch;
+    }
+    return (this.runGit(['rev-parse', '--short', 'HEAD']) || 'detached').trim();
+  }
+
+  /**
+   * Check whether a rebase is in progress
+   * @returns True if git is replaying commits
+   */
+  private isRebasing(): boolean {
+    return ['rebase-merge', 'rebase-apply'].some(name => {
+      const gitPath = this.runGit(['rev-parse', '--git-path', name]);
+      return gitPath !== null && fs.existsSync(path.resolve(this.repoDir, gitPath.trim()));
+    });
+  }
+
+  /**
+   * Find the directory hooks are read from
+   * core.hooksPath is honored. Husky points it at .husky/_ (or .husky in older versions),
+   * whose generated wrappers run the hook files in .husky, so those files are used instead.
+   * A core.hooksPath that exists but isn't a directory, such as /dev/null, disables hooks.
+   * @returns Hooks directory, whether it holds husky hook files and whether hooks are disabled
+   */
+  private getHooksLocation(): { dir: string; husky: boolean; disabled: boolean } {
+    const topLevel = this.getTopLevel();
+    const hooksPath = (this.runGit(['config', 'core.hooksPath']) || '').trim();
+
+    if (hooksPath) {
+      const dir = path.resolve(topLevel, hooksPath);
+      if (fs.existsSync(dir) && !fs.statSync(dir).isDirectory()) {
+        return { dir, husky: false, disabled: true };
+      }
+      if (path.basename(dir) === '_' && path.basename(path.dirname(dir)) === '.husky') {
+        return { dir: path.dirname(dir), husky: true, disabled: false };
+      }
+      return { dir, husky: path.basename(dir) === '.husky', disabled: false };
+    }
+
+    const gitPath = this.runGit(['rev-parse', '--git-path', 'hooks']);
+    if (gitPath === null) {
+      throw new Error(`${this.repoDir} is not in a git repository`);
+    }
+    return { dir: path.resolve(this.repoDir, gitPath.trim()), husky: false, disabled: false };
+  }
+
+  /**
+   * Check whether the directory is inside a git repository
+   * @returns True if git finds a repository there
+   */
+  private isInRepository(): boolean {
+    return this.runGit(['rev-parse', '--git-dir']) !== null;
+  }
+
+  /**
+   * Get the top-level directory of the repository
+   * @returns Absolute path
+   */
+  private getTopLevel(): string {
+    const topLevel = this.runGit(['rev-parse', '--show-toplevel']);
+    if (topLevel === null) {
+      throw new Error(`${this.repoDir} is not in a git repository`);
+    }
+    return topLevel.trim();
+  }
+
+  /**
+   * Remove the interactive pre-commit hook installed by earlier versions
+   * @returns True if it was removed
+   */
+  private async removeLegacyPreCommit(): Promise<boolean> {
+    const gitPath = this.runGit(['rev-parse', '--git-path', 'hooks/pre-commit']);
+    if (gitPath === null) {
+      return false;
+    }
+    const hookPath = path.resolve(this.repoDir, gitPath.trim());
+    if (!await fs.pathExists(hookPath) || !(await fs.readFile(hookPath, 'utf8')).includes(LEGACY_PRE_COMMIT_MARKER)) {
+      return false;
+    }
+    await fs.remove(hookPath);
+    return true;
+  }
+
+  /**
+   * Create the memory bank block of a hook
+   * The umb command is looked up in the project first, then on the PATH, then in this package.
+   * @param hook Hook name
+   * @returns Shell lines between the block markers
+   */
+  private createBlock(hook: GitHookName): string {
+    const cliPath = `'${this.cliPath.replace(/'/g, `'\\''`)}'`;
+    return `${BLOCK_START}
+# Records this ${hook} in the memory bank in the background, so git never waits for it
+memory_bank_umb() {
+  if [ -x node_modules/.bin/umb ]; then node_modules/.bin/umb "$@"
+  elif command -v umb >/dev/null 2>&1; then umb "$@"
+  elif [ -f ${cliPath} ]; then node ${cliPath} "$@"
+  fi
+}
+(memory_bank_umb hooks run ${hook} "$@" </dev/null >/dev/null 2>&1 &)
+${BLOCK_END}`;
+  }
+
+  /**
+   * Create a hook file that runs the previous hook, if any, and then the memory bank block
+   * @param hook Hook name
+   * @returns Hook script
+   */
+  private createHookFile(hook: GitHookName): string {
+    return `#!/bin/sh
+${HOOK_HEADER}; 'umb hooks uninstall' removes it and restores ${hook}${CHAINED_SUFFIX}
+status=0
+if [ -x "$(dirname "$0")/${hook}${CHAINED_SUFFIX}" ]; then
+  "$(dirname "$0")/${hook}${CHAINED_SUFFIX}" "$@"
+  status=$?
+fi
+
+${this.createBlock(hook)}
+
+exit $status
+`;
+  }
+
+  /**
+   * Replace the memory bank block in a hook file
+   * @param content Hook file content
+   * @param block New block, or an empty string to remove it
+   * @returns Updated content
+   */
+  private replaceBlock(content: string, block: string): string {
+    const start = content.indexOf(BLOCK_START);
+    const end = content.indexOf(BLOCK_END, start);
+    if (start === -1 || end === -1) {
+      return content;
+    }
+    return content.substring(0, start) + block + content.substring(end + BLOCK_END.length);
+  }
+
+  /**
+   * Write an executable hook file
+   * @param hookPath Path of the hook
+   * @param content Hook script
+   */
+  private async writeHook(hookPath: string, content: string): Promise<void> {
+    await fs.writeFile(hookPath, content);
+    await fs.chmod(hookPath, 0o755);
+  }
+
+  /**
+   * Append a hook error to the log in the git directory
+   * @param hook Hook that failed
+   * @param error The error
+   */
+  private async logError(hook: GitHookName, error: unknown): Promise<void> {
+    try {
+      const gitDir = this.runGit(['rev-parse', '--git-dir']);
+      if (gitDir === null) {
+        return;
+      }
+      const message = error instanceof Error ? error.message : String(error);
+      await fs.appendFile(path.resolve(this.repoDir, gitDir.trim(), HOOK_LOG), `${new Date().toISOString()} ${hook}: ${message}\n`);
+    } catch {
+      // Nowhere left to report the error; the hook must not fail
+    }
+  }
+
+  /**
+   * Run a git command in the repository
+   * @param args Git arguments
+   * @returns Standard output, or null if git failed or isn't available
+   */
+  private runGit(args: string[]): string | null {
+    try {
+      return execFileSync('git', args, { encoding: 'utf8', stdio: 'pipe', cwd: this.repoDir });
+    } catch {
+      return null;
+    }
+  }
+}
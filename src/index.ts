@@ -6,9 +6,100 @@
  */
 
 // Export the main classes and interfaces
-export { EnhancedMemoryBank, MemoryBankConfig, Statistics } from './enhanced-memory-bank';
-export { MemoryBank, memoryBank } from './memory-bank';
+export { EnhancedMemoryBank, MemoryBankConfig, SessionInfo, SessionStatus, Statistics } from './enhanced-memory-bank';
+export {
+  MemoryBank,
+  MemoryBankOptions,
+  UpdateMode,
+  UpdateOptions,
+  SectionUpdate,
+  MilestoneInput,
+  TaskInput,
+  TaskSyncResult,
+  memoryBank
+} from './memory-bank';
+export {
+  loadConfig,
+  validateConfig,
+  ConfigError,
+  ProjectConfig,
+  LoadedConfig,
+  MasterFileDefinition,
+  CONFIG_FILE_NAME,
+  PACKAGE_JSON_KEY
+} from './config-loader';
+export { MarkdownDocument, MarkdownSection } from './markdown-document';
+export {
+  DecisionLog,
+  DecisionRecord,
+  DecisionStatus,
+  DecisionChange,
+  DecisionUpdate,
+  AdrRecord,
+  DECISION_STATUSES,
+  adrFileName,
+  formatAdr,
+  parseAdr
+} from './decision-log';
+export {
+  TaskList,
+  TaskRecord,
+  TaskState,
+  TaskUpdate,
+  MilestoneRecord,
+  MilestoneProgress,
+  ImportedTask,
+  TASK_STATES,
+  parseIssues,
+  formatProgressSummary,
+  isDateString
+} from './task-list';
+export { MemoryBankDoctor, ValidationProblem, ValidationReport, FileChange, formatDiff } from './memory-bank-doctor';
+export { MemoryBankArchive, ArchivedFile, BundleEntry, BUNDLE_EXTENSION, readBundle } from './memory-bank-archive';
+export {
+  MemoryBankSnapshots,
+  SnapshotInfo,
+  SectionChange,
+  FileSectionDiff,
+  SNAPSHOTS_DIR_NAME,
+  SHORT_ID_LENGTH,
+  diffSnapshotFiles,
+  formatSnapshotDiff
+} from './memory-bank-snapshots';
+export { MemoryBankSearch, SearchOptions, SearchResult } from './memory-bank-search';
+export { ContextInference, InferredContext } from './context-inference';
+export {
+  StatisticsLedger,
+  LedgerRecord,
+  LedgerCommit,
+  LedgerActivity,
+  ReportOptions,
+  ReportPeriod,
+  ReportGrouping,
+  ReportFormat,
+  ReportRow,
+  StatisticsReport
+} from './statistics-ledger';
+export { FileLock, FileLockOptions, LockTimeoutError } from './file-lock';
+export { GitHooks, GitHooksOptions, GitHooksStatus, GitHookName, GIT_HOOKS } from './git-hooks';
+export { MemoryBankBranches, BRANCH_FILES, BRANCHES_DIR_NAME } from './memory-bank-branches';
+export { McpServer, McpServerOptions, JsonRpcResponse, MCP_PROTOCOL_VERSIONS, RESOURCE_URI_PREFIX } from './mcp-server';
 export { RooIntegration, RooIntegrationConfig, rooIntegration } from './roo-integration';
+export { RuleGenerator, GeneratedRule, GENERATED_MARKER } from './rule-generator';
+export {
+  RuleExporter,
+  CursorExporter,
+  ClineExporter,
+  CopilotExporter,
+  AgentsMdExporter,
+  MANIFEST_FILE,
+  writeRuleDirectory,
+  writeManagedBlock,
+  combineRules
+} from './rule-exporters';
+export { AssistantRules, AssistantRulesConfig, ExportResult } from './assistant-rules';
+export { MemoryBankWatcher, MemoryBankWatcherConfig } from './memory-bank-watcher';
+export { ContextPacker, ContextBudget, PackingReport, DroppedContent } from './context-packer';
 
 // Export utility functions
 export {
@@ -0,0 +1,119 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { MarkdownDocument } from './markdown-document';
+import { MemoryBank } from './memory-bank';
+
+describe('MarkdownDocument footer', () => {
+  it('reads the footnotes after the last rule as the footer', () => {
+    const document = MarkdownDocument.parse([
+      '# Product Context',
+      '',
+      '## Architecture Overview',
+      '- Monolith',
+      '',
+      '---',
+      'Footnotes:',
+      '[2024-05-01 09:00:00] - Created product context',
+      ''
+    ].join('\n'));
+
+    expect(document.getSection('architecture-overview')).toBe('- Monolith');
+    expect(document.footer).toBe('---\nFootnotes:\n[2024-05-01 09:00:00] - Created product context');
+  });
+
+  it('keeps a rule followed by other content in the last section', () => {
+    const content = [
+      '# Decision Log',
+      '',
+      '## Decisions',
+      '### [D-001] First',
+      '- Rationale: Part one',
+      '---',
+      'Part two',
+      '- Implications: None recorded',
+      ''
+    ].join('\n');
+    const document = MarkdownDocument.parse(content);
+
+    expect(document.footer).toBe('');
+    expect(document.getSection('decisions')).toContain('Part two\n- Implications: None recorded');
+    expect(document.toString()).toBe(content);
+  });
+
+  it('ignores an indented rule', () => {
+    const document = MarkdownDocument.parse('## Notes\n- Item\n  ---\n  [2024-05-01 09:00:00] - Note\n');
+
+    expect(document.footer).toBe('');
+    expect(document.getSection('notes')).toContain('[2024-05-01 09:00:00] - Note');
+  });
+});
+
+describe('MemoryBank decisions with a rule in the rationale', () => {
+  let baseDir: string;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(baseDir);
+  });
+
+  it('keeps the decision together when more decisions are added', async () => {
+    const memoryBank = new MemoryBank({ baseDir, projectDir: baseDir });
+    await memoryBank.initialize();
+    const decision = { implications: 'Slower start', status: 'Pending' as const };
+    await memoryBank.addDecision({ ...decision, title: 'First', rationale: 'Part one\n---\nPart two' });
+    await memoryBank.addDecision({ ...decision, title: 'Second', rationale: 'Because' });
+    await memoryBank.addDecision({ ...decision, title: 'Third', rationale: 'Because' });
+
+    const first = await memoryBank.getDecision('D-001');
+    expect(first?.rationale).toBe('Part one\n---\nPart two');
+    expect(first?.implications).toBe('Slower start');
+  });
+});
+
+describe('MarkdownDocument.splitEntries', () => {
+  it('splits at timestamps before list items, keeping the lines that follow', () => {
+    const content = '[2024-05-02 10:00:00] - Added search\n  - with tags\n[2024-05-01 09:00:00] - Started';
+
+    expect(MarkdownDocument.splitEntries(content)).toEqual([
+      '[2024-05-02 10:00:00] - Added search\n  - with tags',
+      '[2024-05-01 09:00:00] - Started'
+    ]);
+  });
+
+  it('splits at ### headings and skips placeholder bullets', () => {
+    expect(MarkdownDocument.splitEntries('-\n### [D-001] First\n- Status: Pending\n\n### [D-002] Second')).toEqual([
+      '### [D-001] First\n- Status: Pending\n',
+      '### [D-002] Second'
+    ]);
+  });
+
+  it('falls back to paragraphs', () => {
+    expect(MarkdownDocument.splitEntries('First line\ncontinued\n\nSecond')).toEqual(['First line\ncontinued\n', 'Second']);
+  });
+});
+
+describe('MarkdownDocument.mergeDuplicateSections', () => {
+  const decision = (id: string, title: string) =>
+    `### [${id}] ${title}\n- Date: 2024-05-01\n- Status: Pending\n- Rationale: Because\n- Implications: None recorded`;
+
+  it('appends later copies whole, keeping entries apart', () => {
+    const document = MarkdownDocument.parse(
+      `# Decision Log\n\n## Decisions\n${decision('D-001', 'First')}\n\n## Decisions\n${decision('D-002', 'Second')}\n`
+    );
+
+    expect(document.mergeDuplicateSections()).toEqual(['Decisions']);
+    expect(document.getSections()).toHaveLength(1);
+    expect(document.getSection('decisions')).toBe(`${decision('D-001', 'First')}\n\n${decision('D-002', 'Second')}`);
+  });
+
+  it('only leaves out entries that are already there word for word', () => {
+    const document = MarkdownDocument.parse('## Current Tasks\n- Write docs\n- Fix login\n\n## Current Tasks\n- Fix login\n- Fix login page\n');
+
+    document.mergeDuplicateSections();
+    expect(document.getSection('current-tasks')).toBe('- Write docs\n- Fix login\n- Fix login page');
+  });
+});
@@ -0,0 +1,387 @@
+/**
+ * A level-2 section of a markdown document
+ */
+export interface MarkdownSection {
+  /** Stable ID derived from the heading (e.g. "open-questions-issues") */
+  id: string;
+  /** Heading text without the leading ## */
+  heading: string;
+  /** Section content without surrounding blank lines */
+  content: string;
+}
+
+/**
+ * A section as it appears in the source, kept line by line so unchanged
+ * sections serialize back exactly as they were read
+ */
+interface RawSection {
+  id: string;
+  heading: string;
+  headingLine: string;
+  lines: string[];
+}
+
+const HEADING_REGEX = /^##[ \t]+(.+?)[ \t]*#*[ \t]*$/;
+const FENCE_REGEX = /^\s*(```|~~~)/;
+/** Lines that start an entry, in order of preference: ### headings, [timestamp] lines, list items */
+const ENTRY_START_PATTERNS = [/^###\s/, /^\[\d{4}-\d{2}-\d{2}/, /^([-*+]\s|\d+\.\s)/];
+const RULE_REGEX = /^---[ \t]*$/;
+/** Lines a footer holds: the footnotes label, timestamped notes and generation stamps */
+const FOOTER_LINE_REGEX = /^(Footnotes:|Generated: .*|\[\d{4}-\d{2}-\d{2}[^\]]*\].*)$/;
+
+/**
+ * Markdown Document Model
+ *
+ * Parses a memory bank markdown file into a title/preamble, level-2 sections and an
+ * optional footer (a `---` line followed only by footnotes, such as the timestamped
+ * notes at the end of productContext.md). Sections are addressed by
+ * stable IDs, so headings with special characters work, headings inside code blocks
+ * are ignored and content the model doesn't understand is preserved as-is.
+ */
+export class MarkdownDocument {
+  private preamble: string[];
+  private sections: RawSection[];
+  private footerLines: string[];
+
+  private constructor(preamble: string[], sections: RawSection[], footerLines: string[]) {
+    this.preamble = preamble;
+    this.sections = sections;
+    this.footerLines = footerLines;
+  }
+
+  /**
+   * Parse markdown content
+   * @param content Markdown content
+   * @returns Parsed document
+   */
+  public static parse(content: string): MarkdownDocument {
+    const lines = content.split('\n');
+    const preamble: string[] = [];
+    const sections: RawSection[] = [];
+    let inFence = false;
+
+    for (const line of lines) {
+      if (FENCE_REGEX.test(line)) {
+        inFence = !inFence;
+      }
+
+      const match = inFence ? null : line.match(HEADING_REGEX);
+      if (match) {
+        sections.push({
+          id: MarkdownDocument.sectionId(match[1]),
+          heading: match[1],
+          headingLine: line,
+          lines: []
+        });
+      } else if (sections.length > 0) {
+        sections[sections.length - 1].lines.push(line);
+      } else {
+        preamble.push(line);
+      }
+    }
+
+    // The footer starts at the last unindented rule of the last section, if only footnotes
+    // follow it; a rule inside an entry (e.g. in a decision's rationale) stays in its section
+    let footerLines: string[] = [];
+    const last = sections[sections.length - 1];
+    if (last) {
+      let fence = false;
+      let footerStart = -1;
+      last.lines.forEach((line, index) => {
+        if (FENCE_REGEX.test(line)) {
+          fence = !fence;
+        } else if (!fence && RULE_REGEX.test(line)) {
+          footerStart = index;
+        }
+      });
+      const notes = footerStart === -1 ? [] : last.lines.slice(footerStart + 1).filter(line => line.trim() !== '');
+      if (notes.length > 0 && notes.every(line => FOOTER_LINE_REGEX.test(line.trim()))) {
+        footerLines = last.lines.slice(footerStart);
+        last.lines = last.lines.slice(0, footerStart);
+      }
+    }
+
+    return new MarkdownDocument(preamble, sections, footerLines);
+  }
+
+  /**
+   * Split section content into entries
+   * Entries start at ### headings if the content has any, otherwise at [timestamp] lines,
+   * otherwise at list items, otherwise at paragraphs. Each entry includes the lines that
+   * follow it, blank lines too, so a decision or a multi-line change is kept together and
+   * joining the entries with newlines gives the content back. Empty placeholder bullets
+   * aren't entries.
+   * @param content Section content
+   * @returns Entries in the order they appear
+   */
+  public static splitEntries(content: string): string[] {
+    const lines = content.split('\n').filter(line => !/^\s*[-*]\s*$/.test(line));
+    const startPattern = ENTRY_START_PATTERNS.find(pattern => lines.some(line => pattern.test(line)));
+
+    const entries: string[] = [];
+    let current: string[] = [];
+    let previousBlank = true;
+    for (const line of lines) {
+      const blank = line.trim() === '';
+      const startsEntry = startPattern ? startPattern.test(line) : !blank && previousBlank;
+      if (startsEntry && current.length > 0) {
+        entries.push(current.join('\n'));
+        current = [];
+      }
+      current.push(line);
+      previousBlank = blank;
+    }
+    if (current.length > 0) {
+      entries.push(current.join('\n'));
+    }
+
+    return entries.filter(entry => entry.trim() !== '');
+  }
+
+  /**
+   * Get the stable ID for a section heading
+   * Accepts a heading with or without the leading #'s, or an existing ID.
+   * @param heading Section heading
+   * @returns Lowercase, dash-separated section ID
+   */
+  public static sectionId(heading: string): string {
+    return heading
+      .replace(/^#+\s*/, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Get the document title (the first # heading before any section)
+   * @returns Title text, or null if the document has no title
+   */
+  public get title(): string | null {
+    const titleLine = this.preamble.find(line => /^#[ \t]+/.test(line));
+    return titleLine ? titleLine.replace(/^#[ \t]+/, '').trim() : null;
+  }
+
+  /**
+   * Get the footer, starting with its --- line
+   * @returns Footer content, or an empty string if the document has no footer
+   */
+  public get footer(): string {
+    return this.footerLines.join('\n').replace(/\s+$/, '');
+  }
+
+  /**
+   * Replace the footer
+   * @param footer New footer content; a leading --- line is added if missing
+   */
+  public set footer(footer: string) {
+    if (!footer.trim()) {
+      this.footerLines = [];
+      return;
+    }
+    const lines = footer.replace(/\n+$/, '').split('\n');
+    if (lines[0].trim() !== '---') {
+      lines.unshift('---');
+    }
+    this.footerLines = [...lines, ''];
+    this.ensureTrailingBlankLine();
+  }
+
+  /**
+   * Get all sections in document order, including duplicates
+   * @returns Sections with their IDs, headings and content
+   */
+  public getSections(): MarkdownSection[] {
+    return this.sections.map(section => ({
+      id: section.id,
+      heading: section.heading,
+      content: section.lines.join('\n').trim()
+    }));
+  }
+
+  /**
+   * Check whether a section exists
+   * @param idOrHeading Section ID or heading
+   * @returns True if the section exists
+   */
+  public hasSection(idOrHeading: string): boolean {
+    return this.findSection(idOrHeading) !== undefined;
+  }
+
+  /**
+   * Get the content of a section
+   * @param idOrHeading Section ID or heading (e.g. "open-questions-issues" or "## Open Questions/Issues")
+   * @returns Section content without surrounding blank lines, or an empty string if it doesn't exist
+   */
+  public getSection(idOrHeading: string): string {
+    const section = this.findSection(idOrHeading);
+    return section ? section.lines.join('\n').trim() : '';
+  }
+
+  /**
+   * Replace the content of a section, appending the section if it doesn't exist
+   * Level-2 headings inside the new content are demoted so they stay part of the section.
+   * @param idOrHeading Section ID or heading
+   * @param content New content for the section
+   * @param heading Heading to use if the section has to be created (defaults to idOrHeading)
+   * @returns This document
+   */
+  public setSection(idOrHeading: string, content: string, heading?: string): this {
+    const contentLines = this.demoteHeadings(content.replace(/^\n+|\s+$/g, '')).split('\n');
+    const section = this.findSection(idOrHeading);
+
+    if (section) {
+      // Keep the blank lines that separated the section from what follows it
+      const trailing = this.countTrailingBlankLines(section.lines);
+      const isLast = section === this.sections[this.sections.length - 1] && this.footerLines.length === 0;
+      section.lines = [...contentLines, ...new Array(isLast ? trailing : Math.max(trailing, 1)).fill('')];
+      return this;
+    }
+
+    const headingText = (heading || idOrHeading).replace(/^#+\s*/, '');
+    this.ensureTrailingBlankLine();
+    this.sections.push({
+      id: MarkdownDocument.sectionId(headingText),
+      heading: headingText,
+      headingLine: `## ${headingText}`,
+      lines: [...contentLines, '']
+    });
+    return this;
+  }
+
+  /**
+   * Remove a section
+   * @param idOrHeading Section ID or heading
+   * @returns True if a section was removed
+   */
+  public removeSection(idOrHeading: string): boolean {
+    const section = this.findSection(idOrHeading);
+    if (!section) {
+      return false;
+    }
+    this.sections.splice(this.sections.indexOf(section), 1);
+    return true;
+  }
+
+  /**
+   * Change the heading of a section, keeping its content and position
+   * @param idOrHeading Section ID or heading
+   * @param heading New heading text
+   * @returns True if a section was renamed
+   */
+  public renameSection(idOrHeading: string, heading: string): boolean {
+    const section = this.findSection(idOrHeading);
+    if (!section) {
+      return false;
+    }
+    const headingText = heading.replace(/^#+\s*/, '');
+    section.id = MarkdownDocument.sectionId(headingText);
+    section.heading = headingText;
+    section.headingLine = `## ${headingText}`;
+    return true;
+  }
+
+  /**
+   * Merge sections that appear more than once into their first occurrence
+   * The content of each later copy is appended as it was written. Only entries (see
+   * splitEntries) that are already there word for word are left out.
+   * @returns Headings of the sections that were merged
+   */
+  public mergeDuplicateSections(): string[] {
+    const merged: string[] = [];
+    for (const first of [...this.sections]) {
+      const copies = this.sections.filter(section => section !== first && section.id === first.id);
+      if (copies.length === 0 || !this.sections.includes(first)) {
+        continue;
+      }
+
+      const blocks = [first, ...copies].map(section => section.lines.join('\n').replace(/^-\s*$/gm, '').trim());
+      const seen = new Set<string>();
+      const kept: string[] = [];
+      for (const block of blocks) {
+        const entries = MarkdownDocument.splitEntries(block).filter(entry => !seen.has(entry.trim()));
+        entries.forEach(entry => seen.add(entry.trim()));
+        const text = entries.join('\n').trim();
+        if (text) {
+          kept.push(text);
+        }
+      }
+      for (const copy of copies) {
+        this.sections.splice(this.sections.indexOf(copy), 1);
+      }
+
+      // ### entries (e.g. decisions) and paragraphs are kept apart by a blank line; list items aren't
+      const separator = blocks.some(block => /\n[ \t]*\n/.test(block) || /^###\s/m.test(block)) ? '\n\n' : '\n';
+      this.setSection(first.id, kept.length > 0 ? kept.join(separator) : '-');
+      merged.push(first.heading);
+    }
+    return merged;
+  }
+
+  /**
+   * Serialize the document back to markdown
+   * @returns Markdown content
+   */
+  public toString(): string {
+    const lines = [...this.preamble];
+    for (const section of this.sections) {
+      lines.push(section.headingLine, ...section.lines);
+    }
+    lines.push(...this.footerLines);
+    return lines.join('\n');
+  }
+
+  /**
+   * Find the first section matching an ID or heading
+   * @param idOrHeading Section ID or heading
+   * @returns The section, or undefined if it doesn't exist
+   */
+  private findSection(idOrHeading: string): RawSection | undefined {
+    const id = MarkdownDocument.sectionId(idOrHeading);
+    return this.sections.find(section => section.id === id);
+  }
+
+  /**
+   * Demote level-2 headings outside code blocks to level 3
+   * @param content Section content
+   * @returns Content without level-2 headings
+   */
+  private demoteHeadings(content: string): string {
+    let inFence = false;
+    return content
+      .split('\n')
+      .map(line => {
+        if (FENCE_REGEX.test(line)) {
+          inFence = !inFence;
+        }
+        return !inFence && HEADING_REGEX.test(line) ? `#${line}` : line;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Count the blank lines at the end of a list of lines
+   * @param lines Lines to check
+   * @returns Number of trailing blank lines
+   */
+  private countTrailingBlankLines(lines: string[]): number {
+    let count = 0;
+    for (let i = lines.length - 1; i >= 0 && lines[i].trim() === ''; i--) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Make sure whatever comes before the next appended block ends with a blank line
+   */
+  private ensureTrailingBlankLine(): void {
+    if (this.sections.length === 0 && this.preamble.every(line => line.trim() === '')) {
+      this.preamble = [];
+      return;
+    }
+    const lines = this.sections.length > 0 ? this.sections[this.sections.length - 1].lines : this.preamble;
+    if (this.countTrailingBlankLines(lines) === 0) {
+      lines.push('');
+    }
+  }
+}
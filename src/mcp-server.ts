@@ -0,0 +1,593 @@
+import fs from 'fs-extra';
+import path from 'path';
+import readline from 'readline';
+import { MemoryBank } from './memory-bank';
+import { SearchOptions } from './memory-bank-search';
+import { DECISION_STATUSES, DecisionUpdate } from './decision-log';
+import { TASK_STATES } from './task-list';
+
+/** Protocol versions the server speaks, newest first */
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+/** URI prefix of the master file resources (e.g. memory-bank://activeContext) */
+export const RESOURCE_URI_PREFIX = 'memory-bank://';
+
+/** JSON-RPC and MCP error codes */
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const RESOURCE_NOT_FOUND = -32002;
+
+/** Package the server reports its version from */
+const PACKAGE_JSON_PATH = path.join(__dirname, '..', 'package.json');
+
+/** Sent to the client on initialization, to tell the agent how to use the server */
+const INSTRUCTIONS = `This server is the project's memory bank. Call start_session when you start working,
+read the memory-bank:// resources for the project context, and keep the memory bank current:
+update_active_context when your focus changes, add_decision for design decisions (update_decision
+when one changes) and update_progress when tasks start or finish. Use search_memory to look up earlier work.`;
+
+/**
+ * Options for the MCP server
+ */
+export interface McpServerOptions {
+  /** Memory bank to serve (defaults to the project's configured memory bank) */
+  memoryBank?: MemoryBank;
+  /** Directory to look up the project configuration in (defaults to process.cwd()) */
+  projectDir?: string;
+}
+
+/**
+ * A JSON-RPC response
+ */
+export interface JsonRpcResponse {
+  jsonrpc: '2.0';
+  id: string | number | null;
+  result?: unknown;
+  error?: { code: number; message: string };
+}
+
+/**
+ * JSON schema of a tool argument; only what the tools below need
+ */
+interface ArgumentSchema {
+  type: 'string' | 'integer' | 'array' | 'object';
+  description?: string;
+  enum?: string[];
+  items?: ArgumentSchema;
+  properties?: { [name: string]: ArgumentSchema };
+  required?: string[];
+}
+
+/**
+ * A tool the server offers
+ */
+interface ToolDefinition {
+  name: string;
+  description: string;
+  inputSchema: ArgumentSchema & { type: 'object'; properties: { [name: string]: ArgumentSchema } };
+}
+
+/**
+ * Result of a tool call
+ */
+interface ToolResult {
+  content: { type: 'text'; text: string }[];
+  isError?: boolean;
+}
+
+const STRING_LIST: ArgumentSchema = { type: 'array', items: { type: 'string' } };
+
+/** Tools the server offers, mapped onto the MemoryBank API in callTool */
+const TOOLS: ToolDefinition[] = [
+  {
+    name: 'update_active_context',
+    description: 'Update the active context: what is being worked on, a change that was just made, and open questions. ' +
+      'On a branch with branch-aware memory, the branch\'s active context is updated.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        currentFocus: { type: 'string', description: 'What is being worked on now; replaces the current focus' },
+        recentChanges: { type: 'string', description: 'A change that was just made; added to the top of the recent changes' },
+        openQuestions: { type: 'string', description: 'Open questions and issues; replaces the current list' }
+      }
+    }
+  },
+  {
+    name: 'add_decision',
+    description: 'Record a design or technical decision in the decision log. Returns the ID of the decision (e.g. D-004).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Short title of the decision' },
+        rationale: { type: 'string', description: 'Why the decision was made' },
+        implications: { type: 'string', description: 'What follows from the decision' },
+        status: { type: 'string', enum: DECISION_STATUSES, description: 'Status of the decision' },
+        supersedes: { ...STRING_LIST, description: 'IDs of the decisions this one replaces; they are marked Superseded' },
+        commits: { ...STRING_LIST, description: 'Commits that implement the decision' },
+        files: { ...STRING_LIST, description: 'Files the decision concerns, relative to the repository' }
+      },
+      required: ['title', 'rationale', 'status']
+    }
+  },
+  {
+    name: 'update_decision',
+    description: 'Change the status, rationale or implications of a decision, or link commits and files to it. ' +
+      'The change is kept in the decision\'s history with the reason. To supersede a decision, add the one that replaces it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'ID of the decision (e.g. D-004)' },
+        status: { type: 'string', enum: DECISION_STATUSES.filter(status => status !== 'Superseded'), description: 'New status' },
+        rationale: { type: 'string', description: 'Revised rationale' },
+        implications: { type: 'string', description: 'Revised implications' },
+        reason: { type: 'string', description: 'Why the decision changed' },
+        commits: { ...STRING_LIST, description: 'Commits to link' },
+        files: { ...STRING_LIST, description: 'Files to link' }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'update_progress',
+    description: 'Update the tasks and milestones. Tasks are given by ID (e.g. T-004) or title; current tasks ' +
+      'move out of the upcoming tasks, and completed tasks are done with today\'s date. Milestones with the title ' +
+      'of an existing one update it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        currentTasks: { ...STRING_LIST, description: 'Tasks that were started' },
+        completedTasks: { ...STRING_LIST, description: 'Tasks that were finished' },
+        upcomingTasks: { ...STRING_LIST, description: 'Tasks planned for later' },
+        tasks: {
+          type: 'array',
+          description: 'Tasks to add or change, e.g. to link them to a milestone',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', description: 'ID of an existing task' },
+              title: { type: 'string', description: 'Title of a new task, or the new title of the task with the ID' },
+              state: { type: 'string', enum: TASK_STATES },
+              milestone: { type: 'string', description: 'ID or title of the milestone the task counts towards' }
+            }
+          }
+        },
+        milestones: {
+          type: 'array',
+          description: 'Milestones that were reached, or planned ones with a target date',
+          items: {
+            type: 'object',
+            properties: {
+              title: { type: 'string' },
+              description: { type: 'string' },
+              target: { type: 'string', description: 'Date to reach the milestone by (YYYY-MM-DD)' }
+            },
+            required: ['title']
+          }
+        }
+      }
+    }
+  },
+  {
+    name: 'search_memory',
+    description: 'Search the memory bank, including daily, session and archived files. Every word must match; ' +
+      'use "quotes" for exact phrases and #tag to filter by tag.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words to look for' },
+        from: { type: 'string', description: 'Only entries dated on or after this date (YYYY-MM-DD)' },
+        to: { type: 'string', description: 'Only entries dated on or before this date (YYYY-MM-DD)' },
+        files: { ...STRING_LIST, description: 'Only these files or directories, e.g. decisionLog or daily' },
+        tags: { ...STRING_LIST, description: 'Only entries with all of these tags' },
+        limit: { type: 'integer', description: 'Maximum number of results (default: 20)' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'start_session',
+    description: 'Start a work session, or continue the current one, and get the active context to work from.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        focus: { type: 'string', description: 'What the session is about, if a session is started (default: the current focus)' }
+      }
+    }
+  }
+];
+
+/**
+ * Error that is sent to the client as a JSON-RPC error
+ */
+class McpError extends Error {
+  constructor(public readonly code: number, message: string) {
+    super(message);
+    this.name = 'McpError';
+  }
+}
+
+/**
+ * MCP Server
+ *
+ * Serves the memory bank over the Model Context Protocol, so agents can read and update
+ * it directly instead of through generated rule files. The master files are resources
+ * (memory-bank://activeContext and so on, as seen from the current branch), and the tools
+ * map onto the MemoryBank API. Messages are newline-delimited JSON-RPC on stdin and
+ * stdout; anything the memory bank logs goes to stderr.
+ */
+export class McpServer {
+  private memoryBank: MemoryBank;
+  private version: string;
+
+  /**
+   * Create a new MCP server
+   * @param options Memory bank or project directory to use
+   */
+  constructor(options: McpServerOptions = {}) {
+    this.memoryBank = options.memoryBank || new MemoryBank({ projectDir: options.projectDir });
+    this.version = this.readVersion();
+  }
+
+  /**
+   * Serve requests until the input ends
+   * Requests are handled one at a time, in order.
+   * @param input Stream to read messages from (defaults to stdin)
+   * @param output Stream to write responses to (defaults to stdout)
+   * @throws Error if the memory bank can't be initialized
+   */
+  public async listen(
+    input: NodeJS.ReadableStream = process.stdin,
+    output: NodeJS.WritableStream = process.stdout
+  ): Promise<void> {
+    // The memory bank reports progress with console.log, which would corrupt the protocol
+    const log = console.log;
+    console.log = console.error;
+    try {
+      if (!await this.memoryBank.initialize()) {
+        throw new Error('Failed to initialize memory bank.');
+      }
+
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        const response = await this.handleLine(line);
+        if (response) {
+          output.write(`${JSON.stringify(response)}\n`);
+        }
+      }
+    } finally {
+      console.log = log;
+    }
+  }
+
+  /**
+   * Handle one line of input
+   * @param line JSON-RPC message
+   * @returns Response, or null for a notification
+   */
+  public async handleLine(line: string): Promise<JsonRpcResponse | null> {
+    let message: unknown;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return { jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: `Invalid JSON: ${error instanceof Error ? error.message : String(error)}` } };
+    }
+    return this.handleMessage(message);
+  }
+
+  /**
+   * Handle a JSON-RPC message
+   * @param message Parsed message
+   * @returns Response, or null for a notification
+   */
+  public async handleMessage(message: unknown): Promise<JsonRpcResponse | null> {
+    if (!isObject(message) || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      const id = isObject(message) && (typeof message.id === 'string' || typeof message.id === 'number') ? message.id : null;
+      return { jsonrpc: '2.0', id, error: { code: INVALID_REQUEST, message: 'Expected a JSON-RPC 2.0 request' } };
+    }
+
+    const isNotification = !('id' in message);
+    const id = message.id as string | number | null;
+    try {
+      const result = await this.dispatch(message.method, isObject(message.params) ? message.params : {});
+      return isNotification ? null : { jsonrpc: '2.0', id, result };
+    } catch (error) {
+      if (isNotification) {
+        return null;
+      }
+      if (error instanceof McpError) {
+        return { jsonrpc: '2.0', id, error: { code: error.code, message: error.message } };
+      }
+      console.error(`Error handling ${message.method}:`, error);
+      return { jsonrpc: '2.0', id, error: { code: INTERNAL_ERROR, message: error instanceof Error ? error.message : String(error) } };
+    }
+  }
+
+  /**
+   * Run a method
+   * @param method JSON-RPC method
+   * @param params Method parameters
+   * @returns Method result
+   * @throws McpError for unknown methods and invalid parameters
+   */
+  private async dispatch(method: string, params: { [key: string]: unknown }): Promise<unknown> {
+    switch (method) {
+      case 'initialize': {
+        const requested = typeof params.protocolVersion === 'string' ? params.protocolVersion : '';
+        return {
+          protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+          capabilities: { resources: {}, tools: {} },
+          serverInfo: { name: 'memory-bank', version: this.version },
+          instructions: INSTRUCTIONS
+        };
+      }
+      case 'ping':
+        return {};
+      case 'resources/list':
+        return { resources: await this.listResources() };
+      case 'resources/read':
+        if (typeof params.uri !== 'string') {
+          throw new McpError(INVALID_PARAMS, 'uri must be a string');
+        }
+        return { contents: [await this.readResource(params.uri)] };
+      case 'tools/list':
+        return { tools: TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })) };
+      case 'tools/call':
+        if (typeof params.name !== 'string') {
+          throw new McpError(INVALID_PARAMS, 'name must be a string');
+        }
+        return this.callTool(params.name, isObject(params.arguments) ? params.arguments : {});
+      default:
+        // Notifications such as notifications/initialized need no handling
+        if (method.startsWith('notifications/')) {
+          return {};
+        }
+        throw new McpError(METHOD_NOT_FOUND, `Unknown method: ${method}`);
+    }
+  }
+
+  /**
+   * List the master files as resources
+   * @returns Resources for the master files that exist
+   */
+  private async listResources(): Promise<{ uri: string; name: string; description: string; mimeType: string }[]> {
+    const resources = [];
+    for (const masterFile of this.memoryBank.getMasterFiles()) {
+      if (!await fs.pathExists(path.join(this.memoryBank.getBaseDir(), `${masterFile.name}.md`))) {
+        continue;
+      }
+      resources.push({
+        uri: `${RESOURCE_URI_PREFIX}${masterFile.name}`,
+        name: `${masterFile.name}.md`,
+        description: `${masterFile.title || masterFile.name}: ${masterFile.sections.join(', ')}`,
+        mimeType: 'text/markdown'
+      });
+    }
+    return resources;
+  }
+
+  /**
+   * Read a master file resource
+   * @param uri Resource URI, e.g. memory-bank://activeContext
+   * @returns Content of the resource
+   * @throws McpError if the URI isn't a master file that exists
+   */
+  private async readResource(uri: string): Promise<{ uri: string; mimeType: string; text: string }> {
+    const name = uri.startsWith(RESOURCE_URI_PREFIX) ? uri.slice(RESOURCE_URI_PREFIX.length).replace(/\.md$/, '') : '';
+    const exists = name && this.memoryBank.getMasterFiles().some(masterFile => masterFile.name === name) &&
+      await fs.pathExists(path.join(this.memoryBank.getBaseDir(), `${name}.md`));
+    if (!exists) {
+      throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+    }
+    const document = await this.memoryBank.getDocument(name);
+    return { uri, mimeType: 'text/markdown', text: document.toString() };
+  }
+
+  /**
+   * Call a tool
+   * Invalid arguments and failed updates are reported in the result, so the agent can
+   * correct them.
+   * @param name Tool name
+   * @param args Tool arguments
+   * @returns Tool result
+   * @throws McpError if the tool doesn't exist
+   */
+  private async callTool(name: string, args: { [key: string]: unknown }): Promise<ToolResult> {
+    const tool = TOOLS.find(definition => definition.name === name);
+    if (!tool) {
+      throw new McpError(INVALID_PARAMS, `Unknown tool: ${name}. Tools: ${TOOLS.map(definition => definition.name).join(', ')}`);
+    }
+
+    const problems: string[] = [];
+    checkArgument('arguments', args, tool.inputSchema, problems);
+    if (problems.length > 0) {
+      return toolResult(`Invalid arguments for ${name}:\n${problems.map(problem => `- ${problem}`).join('\n')}`, true);
+    }
+
+    switch (name) {
+      case 'update_active_context': {
+        const update = args as { currentFocus?: string; recentChanges?: string; openQuestions?: string };
+        if (!update.currentFocus && !update.recentChanges && !update.openQuestions) {
+          return toolResult('Nothing to update. Give currentFocus, recentChanges or openQuestions.', true);
+        }
+        if (!await this.memoryBank.updateActiveContext(update)) {
+          return toolResult('Failed to update the active context. See the server log for details.', true);
+        }
+        await this.memoryBank.createSnapshot(`Updated ${this.displayName('activeContext')}`);
+        return toolResult(`Updated ${this.displayName('activeContext')}.`);
+      }
+      case 'add_decision': {
+        const decision = args as Omit<Parameters<MemoryBank['addDecision']>[0], 'implications'> & { implications?: string };
+        const id = await this.memoryBank.addDecision({ ...decision, implications: decision.implications || '' });
+        if (!id) {
+          return toolResult('Failed to add the decision. See the server log for details.', true);
+        }
+        await this.memoryBank.createSnapshot(`Recorded decision ${id}`);
+        return toolResult(`Recorded decision ${id} in ${this.displayName('decisionLog')}.`);
+      }
+      case 'update_decision': {
+        // The schema requires the ID
+        const { id, ...update } = args as DecisionUpdate & { id?: string };
+        const record = await this.memoryBank.updateDecision(id as string, update);
+        if (!record) {
+          return toolResult(`Failed to update decision ${id}. See the server log for details.`, true);
+        }
+        await this.memoryBank.createSnapshot(`Updated decision ${id}`);
+        return toolResult(`Updated decision ${id}; its status is ${record.status}.`);
+      }
+      case 'update_progress': {
+        const update = args as Parameters<MemoryBank['updateProgress']>[0];
+        if (!await this.memoryBank.updateProgress(update)) {
+          return toolResult('Failed to update progress. See the server log for details.', true);
+        }
+        await this.memoryBank.createSnapshot(`Updated ${this.displayName('progress')}`);
+        return toolResult(`Updated ${this.displayName('progress')}.`);
+      }
+      case 'search_memory': {
+        const { query, ...options } = args;
+        return this.searchMemory(query as string, options as SearchOptions);
+      }
+      default:
+        return this.startSession(args.focus as string | undefined);
+    }
+  }
+
+  /**
+   * Search the memory bank
+   * @param query Words to look for
+   * @param options Date range, files, tags and result limit
+   * @returns Numbered results with their file, section and date
+   */
+  private async searchMemory(query: string, options: SearchOptions): Promise<ToolResult> {
+    for (const key of ['from', 'to'] as const) {
+      const value = options[key];
+      if (value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+        return toolResult(`${key} must be a date in YYYY-MM-DD format, got: ${value}`, true);
+      }
+    }
+
+    const results = await this.memoryBank.search(query, options);
+    if (results.length === 0) {
+      return toolResult('No matches found.');
+    }
+    return toolResult(results.map((result, index) => {
+      const location = [result.file, result.section].filter(Boolean).join(' > ');
+      return `${index + 1}. ${location}${result.date ? ` (${result.date})` : ''}\n${result.text}`;
+    }).join('\n\n'));
+  }
+
+  /**
+   * Start a session, or continue the current one if it is still open
+   * @param focus Focus of a session that is started
+   * @returns The session file and the active context
+   */
+  private async startSession(focus?: string): Promise<ToolResult> {
+    const continued = await this.memoryBank.continueSession({ focus });
+    if (!continued) {
+      return toolResult('Failed to start a session. See the server log for details.', true);
+    }
+    const sessionFile = continued.session.filePath;
+    const status = continued.started ? 'Started session' : 'Continuing session';
+
+    const activeContext = await this.memoryBank.getDocument('activeContext');
+    const branch = this.memoryBank.getBranch();
+    return toolResult(`${status} ${path.relative(this.memoryBank.getBaseDir(), sessionFile)}` +
+      `${branch ? ` on branch ${branch}` : ''}.\n\n${activeContext.toString().trim()}`);
+  }
+
+  /**
+   * Get the name of a master file as shown to the agent
+   * @param fileName Master file name without .md
+   * @returns Path relative to the memory bank, the branch's file on a branch
+   */
+  private displayName(fileName: string): string {
+    return path.relative(this.memoryBank.getBaseDir(), this.memoryBank.getFilePath(fileName)).split(path.sep).join('/');
+  }
+
+  /**
+   * Read the version of this package
+   * @returns Package version, or 0.0.0 if package.json can't be read
+   */
+  private readVersion(): string {
+    try {
+      return fs.readJsonSync(PACKAGE_JSON_PATH).version || '0.0.0';
+    } catch {
+      return '0.0.0';
+    }
+  }
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param value Value to check
+ * @returns True for objects that aren't arrays or null
+ */
+function isObject(value: unknown): value is { [key: string]: unknown } {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check a tool argument against its schema
+ * @param key Argument name, for error messages
+ * @param value Argument value
+ * @param schema Expected schema
+ * @param problems Problems found so far
+ */
+function checkArgument(key: string, value: unknown, schema: ArgumentSchema, problems: string[]): void {
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        problems.push(`${key} must be a string`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${key} must be one of: ${schema.enum.join(', ')}`);
+      }
+      return;
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isInteger(value) || value <= 0) {
+        problems.push(`${key} must be a positive whole number`);
+      }
+      return;
+    case 'array':
+      if (!Array.isArray(value)) {
+        problems.push(`${key} must be an array`);
+        return;
+      }
+      value.forEach((item, index) => checkArgument(`${key}[${index}]`, item, schema.items!, problems));
+      return;
+    case 'object': {
+      if (!isObject(value)) {
+        problems.push(`${key} must be an object`);
+        return;
+      }
+      const properties = schema.properties || {};
+      const prefix = key === 'arguments' ? '' : `${key}.`;
+      for (const required of schema.required || []) {
+        if (value[required] === undefined) {
+          problems.push(`${prefix}${required} is required`);
+        }
+      }
+      for (const [name, item] of Object.entries(value)) {
+        if (!properties[name]) {
+          problems.push(`Unknown argument ${prefix}${name}. Expected: ${Object.keys(properties).join(', ') || 'none'}`);
+        } else if (item !== undefined) {
+          checkArgument(`${prefix}${name}`, item, properties[name], problems);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Build a tool result
+ * @param text Result text
+ * @param isError Whether the call failed
+ * @returns Tool result with a single text item
+ */
+function toolResult(text: string, isError = false): ToolResult {
+  return isError ? { content: [{ type: 'text', text }], isError } : { content: [{ type: 'text', text }] };
+}
@@ -0,0 +1,356 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+/**
+ * A file in the archive, either loose or inside a monthly bundle
+ */
+export interface ArchivedFile {
+  /** Path relative to the archive directory as if the bundle were unpacked (e.g. "2024/01/activeContext-2024-01-03.md") */
+  path: string;
+  /** File name */
+  name: string;
+  /** Bundle holding the file, relative to the archive directory (e.g. "2024/01.tar.gz"), or null for a loose file */
+  bundle: string | null;
+  /** Modification time of the file */
+  mtimeMs: number;
+}
+
+/**
+ * A file stored in a bundle
+ */
+export interface BundleEntry {
+  name: string;
+  mtimeMs: number;
+  content: string;
+}
+
+/** Extension of monthly bundles */
+export const BUNDLE_EXTENSION = '.tar.gz';
+
+/** tar block size */
+const BLOCK_SIZE = 512;
+
+/** Longest file name that fits in a tar header without extensions */
+const MAX_NAME_LENGTH = 100;
+
+const YEAR_REGEX = /^\d{4}$/;
+const MONTH_REGEX = /^\d{2}$/;
+
+/**
+ * Memory Bank Archive
+ *
+ * Archived daily and session files are bucketed by month into `YYYY/MM` folders.
+ * Months that are old enough can be compressed into a `YYYY/MM.tar.gz` bundle next to
+ * the year's folders. Reading the archive goes through both, so callers don't need to
+ * know whether a file has been compressed. A loose file takes precedence over a bundled
+ * file at the same path, and is merged into the bundle when the month is compressed again.
+ */
+export class MemoryBankArchive {
+  private archiveDir: string;
+  /** Bundle contents read by this instance, keyed by bundle path and checked against its mtime */
+  private bundleCache = new Map<string, { mtimeMs: number; entries: BundleEntry[] }>();
+
+  /**
+   * Create a new memory bank archive
+   * @param archiveDir Archive directory
+   */
+  constructor(archiveDir: string) {
+    this.archiveDir = archiveDir;
+  }
+
+  /**
+   * Get the folder a file dated on the given day is archived in
+   * @param date Date in YYYY-MM-DD format
+   * @returns Absolute path of the YYYY/MM folder
+   */
+  public getBucketDir(date: string): string {
+    return path.join(this.archiveDir, date.substring(0, 4), date.substring(5, 7));
+  }
+
+  /**
+   * Move a file into the archive folder for its date
+   * @param filePath File to archive
+   * @param date Date of the file in YYYY-MM-DD format
+   * @returns Path of the archived file
+   */
+  public async add(filePath: string, date: string): Promise<string> {
+    const destPath = path.join(this.getBucketDir(date), path.basename(filePath));
+    await fs.move(filePath, destPath, { overwrite: true });
+    return destPath;
+  }
+
+  /**
+   * List every archived file, loose and bundled
+   * @returns Archived files sorted by path
+   */
+  public async list(): Promise<ArchivedFile[]> {
+    const loose: ArchivedFile[] = [];
+    const bundles: string[] = [];
+
+    const scan = async (dir: string): Promise<void> => {
+      if (!await fs.pathExists(dir)) {
+        return;
+      }
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) {
+          continue;
+        }
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await scan(entryPath);
+        } else if (entry.name.endsWith(BUNDLE_EXTENSION)) {
+          bundles.push(entryPath);
+        } else {
+          loose.push({
+            path: this.toRelative(entryPath),
+            name: entry.name,
+            bundle: null,
+            mtimeMs: (await fs.stat(entryPath)).mtimeMs
+          });
+        }
+      }
+    };
+
+    await scan(this.archiveDir);
+
+    const seen = new Set(loose.map(file => file.path));
+    const result = [...loose];
+    for (const bundlePath of bundles) {
+      const bundleDir = bundlePath.slice(0, -BUNDLE_EXTENSION.length);
+      for (const entry of await this.readBundleCached(bundlePath)) {
+        const relative = this.toRelative(path.join(bundleDir, entry.name));
+        if (!seen.has(relative)) {
+          result.push({ path: relative, name: entry.name, bundle: this.toRelative(bundlePath), mtimeMs: entry.mtimeMs });
+        }
+      }
+    }
+
+    return result.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Read an archived file
+   * @param file File returned by list()
+   * @returns File content
+   */
+  public async read(file: ArchivedFile): Promise<string> {
+    if (!file.bundle) {
+      return fs.readFile(path.join(this.archiveDir, file.path), 'utf8');
+    }
+
+    const entries = await this.readBundleCached(path.join(this.archiveDir, file.bundle));
+    const entry = entries.find(candidate => candidate.name === file.name);
+    if (!entry) {
+      throw new Error(`${file.name} is not in ${file.bundle}`);
+    }
+    return entry.content;
+  }
+
+  /**
+   * Get the path a file would have if its bundle were unpacked
+   * Writing to this path adds a loose copy that replaces the bundled one.
+   * @param file File returned by list()
+   * @returns Absolute path
+   */
+  public resolve(file: ArchivedFile): string {
+    return path.join(this.archiveDir, file.path);
+  }
+
+  /**
+   * Compress the month folders that ended before a date into bundles
+   * Files already in a month's bundle are kept unless a loose file replaces them.
+   * @param beforeDate Date in YYYY-MM-DD format; months whose last day is earlier are compressed
+   * @returns Paths of the bundles written, relative to the archive directory
+   */
+  public async compress(beforeDate: string): Promise<string[]> {
+    const written: string[] = [];
+    if (!await fs.pathExists(this.archiveDir)) {
+      return written;
+    }
+
+    for (const year of (await fs.readdir(this.archiveDir)).filter(name => YEAR_REGEX.test(name)).sort()) {
+      const yearDir = path.join(this.archiveDir, year);
+      if (!(await fs.stat(yearDir)).isDirectory()) {
+        continue;
+      }
+
+      for (const month of (await fs.readdir(yearDir)).filter(name => MONTH_REGEX.test(name)).sort()) {
+        const monthDir = path.join(yearDir, month);
+        const lastDay = new Date(Date.UTC(parseInt(year, 10), parseInt(month, 10), 0)).toISOString().substring(0, 10);
+        if (lastDay >= beforeDate || !(await fs.stat(monthDir)).isDirectory()) {
+          continue;
+        }
+
+        const files: string[] = [];
+        for (const entry of await fs.readdir(monthDir, { withFileTypes: true })) {
+          if (entry.isFile() && entry.name.endsWith('.md') && Buffer.byteLength(entry.name) < MAX_NAME_LENGTH) {
+            files.push(entry.name);
+          }
+        }
+        if (files.length === 0) {
+          continue;
+        }
+
+        const bundlePath = `${monthDir}${BUNDLE_EXTENSION}`;
+        const entries = new Map<string, BundleEntry>();
+        if (await fs.pathExists(bundlePath)) {
+          for (const entry of await readBundle(bundlePath)) {
+            entries.set(entry.name, entry);
+          }
+        }
+        for (const name of files) {
+          const filePath = path.join(monthDir, name);
+          entries.set(name, {
+            name,
+            mtimeMs: (await fs.stat(filePath)).mtimeMs,
+            content: await fs.readFile(filePath, 'utf8')
+          });
+        }
+
+        await writeBundle(bundlePath, Array.from(entries.values()).sort((a, b) => a.name.localeCompare(b.name)));
+        this.bundleCache.delete(bundlePath);
+
+        // Only remove the originals once the bundle is safely written
+        for (const name of files) {
+          await fs.remove(path.join(monthDir, name));
+        }
+        if ((await fs.readdir(monthDir)).length === 0) {
+          await fs.remove(monthDir);
+        }
+        written.push(this.toRelative(bundlePath));
+      }
+    }
+
+    return written;
+  }
+
+  /**
+   * Read a bundle, reusing the contents read earlier if it hasn't changed
+   * @param bundlePath Absolute path of the bundle
+   * @returns Files in the bundle
+   */
+  private async readBundleCached(bundlePath: string): Promise<BundleEntry[]> {
+    const { mtimeMs } = await fs.stat(bundlePath);
+    const cached = this.bundleCache.get(bundlePath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.entries;
+    }
+
+    const entries = await readBundle(bundlePath);
+    this.bundleCache.set(bundlePath, { mtimeMs, entries });
+    return entries;
+  }
+
+  /**
+   * Convert an absolute path in the archive to a relative one with forward slashes
+   * @param filePath Absolute path
+   * @returns Path relative to the archive directory
+   */
+  private toRelative(filePath: string): string {
+    return path.relative(this.archiveDir, filePath).split(path.sep).join('/');
+  }
+}
+
+/**
+ * Read the files in a gzipped tar bundle
+ * Only regular files are returned; other entry types are skipped.
+ * @param bundlePath Path of the bundle
+ * @returns Files in the bundle
+ */
+export async function readBundle(bundlePath: string): Promise<BundleEntry[]> {
+  const data = zlib.gunzipSync(await fs.readFile(bundlePath));
+  const entries: BundleEntry[] = [];
+
+  let offset = 0;
+  while (offset + BLOCK_SIZE <= data.length) {
+    const header = data.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) {
+      break; // End of archive
+    }
+
+    const name = readString(header, 0, 100);
+    const prefix = readString(header, 345, 155);
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const mtime = parseInt(readString(header, 136, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156]);
+    offset += BLOCK_SIZE;
+
+    if (type === '0' || header[156] === 0) {
+      entries.push({
+        name: path.posix.basename(prefix ? `${prefix}/${name}` : name),
+        mtimeMs: mtime * 1000,
+        content: data.subarray(offset, offset + size).toString('utf8')
+      });
+    }
+    offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return entries;
+}
+
+/**
+ * Write files to a gzipped tar bundle, replacing it atomically
+ * @param bundlePath Path of the bundle
+ * @param entries Files to store; names must be shorter than 100 bytes
+ */
+async function writeBundle(bundlePath: string, entries: BundleEntry[]): Promise<void> {
+  const blocks: Buffer[] = [];
+  for (const entry of entries) {
+    const content = Buffer.from(entry.content, 'utf8');
+    blocks.push(createHeader(entry.name, content.length, entry.mtimeMs));
+    blocks.push(content);
+    const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    blocks.push(Buffer.alloc(padding));
+  }
+  // Two empty blocks mark the end of the archive
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+  const tempPath = path.join(path.dirname(bundlePath), `.${path.basename(bundlePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  try {
+    await fs.writeFile(tempPath, zlib.gzipSync(Buffer.concat(blocks)));
+    await fs.rename(tempPath, bundlePath);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => undefined);
+    throw error;
+  }
+}
+
+/**
+ * Create a ustar header for a regular file
+ * @param name File name
+ * @param size File size in bytes
+ * @param mtimeMs Modification time
+ * @returns 512-byte header block
+ */
+function createHeader(name: string, size: number, mtimeMs: number): Buffer {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, 100, 'utf8');
+  header.write('0000644\0', 100, 8, 'ascii'); // mode
+  header.write('0000000\0', 108, 8, 'ascii'); // uid
+  header.write('0000000\0', 116, 8, 'ascii'); // gid
+  header.write(`${size.toString(8).padStart(11, '0')}\0`, 124, 12, 'ascii');
+  header.write(`${Math.floor(mtimeMs / 1000).toString(8).padStart(11, '0')}\0`, 136, 12, 'ascii');
+  header.write('        ', 148, 8, 'ascii'); // checksum is computed with spaces in its place
+  header.write('0', 156, 1, 'ascii'); // regular file
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return header;
+}
+
+/**
+ * Read a NUL-terminated string field from a tar header
+ * @param header Header block
+ * @param offset Field offset
+ * @param length Field length
+ * @returns Field value
+ */
+function readString(header: Buffer, offset: number, length: number): string {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
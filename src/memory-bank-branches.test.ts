@@ -0,0 +1,72 @@
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import fs from 'fs-extra';
+import { MemoryBank } from './memory-bank';
+
+describe('MemoryBank.mergeBranch', () => {
+  let repoDir: string;
+  let memoryBank: MemoryBank;
+
+  const git = (...args: string[]) =>
+    execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repoDir, stdio: 'pipe', encoding: 'utf8' });
+  const decision = { rationale: 'Because', implications: 'None', status: 'Pending' as const };
+
+  beforeEach(async () => {
+    repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+    git('init', '-q', '-b', 'main');
+    await fs.writeFile(path.join(repoDir, '.gitignore'), 'memory-bank/\n');
+    git('add', '.gitignore');
+    git('commit', '-q', '-m', 'Initial commit');
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+
+    memoryBank = new MemoryBank({ baseDir: path.join(repoDir, 'memory-bank'), projectDir: repoDir, config: { branchAware: true, mainBranch: 'main' } });
+    await memoryBank.initialize();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(repoDir);
+  });
+
+  it('folds the branch decisions and completed tasks into the master files', async () => {
+    await memoryBank.addDecision({ ...decision, title: 'Use REST' });
+    await memoryBank.addTask({ title: 'Add invoices', state: 'current' });
+
+    git('checkout', '-q', '-b', 'feature/billing');
+    expect(memoryBank.getBranch()).toBe('feature/billing');
+    expect(await memoryBank.addDecision({ ...decision, title: 'Use GraphQL' })).toBe('D-002');
+    expect(await memoryBank.addDecision({ ...decision, title: 'Use GraphQL subscriptions', supersedes: 'D-002' })).toBe('D-003');
+    expect(await memoryBank.addTask({ title: 'Send reminders', state: 'current' })).toBe('T-002');
+    expect(await memoryBank.updateTask('T-002', { state: 'done' })).toMatchObject({ state: 'done' });
+
+    git('checkout', '-q', 'main');
+    expect(await memoryBank.addDecision({ ...decision, title: 'Use gRPC' })).toBe('D-002');
+    expect(await memoryBank.addTask({ title: 'Add exports' })).toBe('T-002');
+    expect(await memoryBank.listBranches()).toEqual([{ name: 'feature/billing', merged: true }]);
+
+    const result = await memoryBank.mergeBranch('feature/billing');
+    expect(result.success).toBe(true);
+    expect(result.message).toContain('Merged feature/billing into the master files: 2 decision(s), 1 completed task(s)');
+
+    // D-002 is taken on main, so the branch's D-002 is renumbered and its supersession follows it
+    const decisions = await memoryBank.listDecisions();
+    expect(decisions.map(entry => [entry.id, entry.title, entry.supersedes, entry.supersededBy])).toEqual([
+      ['D-001', 'Use REST', [], null],
+      ['D-002', 'Use gRPC', [], null],
+      ['D-004', 'Use GraphQL', [], 'D-003'],
+      ['D-003', 'Use GraphQL subscriptions', ['D-004'], null]
+    ]);
+    const log = await fs.readFile(memoryBank.getFilePath('decisionLog'), 'utf8');
+    expect(log).toContain('- Merged from: feature/billing (was D-002)');
+    expect((await memoryBank.getProgress()).tasks.map(task => [task.id, task.title, task.state])).toEqual([
+      ['T-001', 'Add invoices', 'current'],
+      ['T-003', 'Send reminders', 'done'],
+      ['T-002', 'Add exports', 'upcoming']
+    ]);
+
+    expect(await memoryBank.listBranches()).toEqual([]);
+    expect(await fs.pathExists(path.join(repoDir, 'memory-bank', 'archive', 'branches', 'feature', 'billing'))).toBe(true);
+    expect((await memoryBank.mergeBranch('feature/billing')).message).toBe('Branch feature/billing has no memory bank files.');
+  });
+});
@@ -0,0 +1,161 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+/** Master files a branch keeps its own copy of */
+export const BRANCH_FILES = ['activeContext', 'progress', 'decisionLog'];
+
+/** Directory for the branch files, in the memory bank and in its archive */
+export const BRANCHES_DIR_NAME = 'branches';
+
+/** Branches that use the master files when the main branch isn't configured or detected */
+const DEFAULT_MAIN_BRANCHES = ['main', 'master'];
+
+/**
+ * Memory Bank Branches
+ *
+ * Maps git branches to their directories under `branches/` in the memory bank. A branch
+ * other than the main branch keeps its own active context, progress and decision log in
+ * `branches/<branch>/`; slashes in branch names become subdirectories, like in
+ * `.git/refs/heads`. The main branch is the configured one, else the branch origin/HEAD
+ * points to, else main or master.
+ */
+export class MemoryBankBranches {
+  private branchesDir: string;
+  private repoDir: string;
+  private mainBranch?: string;
+
+  /**
+   * Create a new branch mapping
+   * @param baseDir Base directory of the memory bank
+   * @param mainBranch Branch that uses the master files (detected when not given)
+   */
+  constructor(baseDir: string, mainBranch?: string) {
+    this.branchesDir = path.join(baseDir, BRANCHES_DIR_NAME);
+    this.repoDir = path.dirname(path.resolve(baseDir));
+    this.mainBranch = mainBranch;
+  }
+
+  /**
+   * Get the branch that is checked out
+   * @returns Branch name, or null when HEAD is detached or there is no git repository
+   */
+  public getCurrentBranch(): string | null {
+    const branch = this.runGit(['rev-parse', '--abbrev-ref', 'HEAD']);
+    return branch && branch !== 'HEAD' ? branch : null;
+  }
+
+  /**
+   * Check whether a branch uses the master files
+   * @param branch Branch name
+   * @returns True for the main branch
+   */
+  public isMainBranch(branch: string): boolean {
+    if (this.mainBranch) {
+      return branch === this.mainBranch;
+    }
+    const remoteHead = this.runGit(['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD']);
+    if (remoteHead) {
+      return branch === remoteHead.replace(/^origin\//, '');
+    }
+    return DEFAULT_MAIN_BRANCHES.includes(branch);
+  }
+
+  /**
+   * Get the directory of a branch
+   * @param branch Branch name
+   * @returns Absolute path under branches/
+   */
+  public getBranchDir(branch: string): string {
+    return path.join(this.branchesDir, ...branch.split('/'));
+  }
+
+  /**
+   * List the branches that have their own files
+   * @returns Branch names, sorted
+   */
+  public async listBranches(): Promise<string[]> {
+    const branches: string[] = [];
+
+    const scan = async (dir: string, prefix: string): Promise<void> => {
+      if (!await fs.pathExists(dir)) {
+        return;
+      }
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      if (entries.some(entry => entry.isFile() && BRANCH_FILES.includes(entry.name.replace(/\.md$/, '')))) {
+        branches.push(prefix);
+      }
+      for (const entry of entries) {
+        if (entry.isDirectory()) {
+          await scan(path.join(dir, entry.name), prefix ? `${prefix}/${entry.name}` : entry.name);
+        }
+      }
+    };
+
+    await scan(this.branchesDir, '');
+    return branches.filter(Boolean).sort();
+  }
+
+  /**
+   * Check whether a branch has been merged into the current HEAD
+   * @param branch Branch name
+   * @param since Commit the branch must not have been merged into yet, to only find the
+   *              branches a merge brought in (e.g. ORIG_HEAD)
+   * @returns True if the branch exists and all of its commits are in HEAD
+   */
+  public isMerged(branch: string, since?: string): boolean {
+    const ref = `refs/heads/${branch}`;
+    if (this.runGit(['rev-parse', '--verify', '--quiet', ref]) === null) {
+      return false;
+    }
+    if (since && this.runGit(['merge-base', '--is-ancestor', ref, since]) !== null) {
+      return false;
+    }
+    return this.runGit(['merge-base', '--is-ancestor', ref, 'HEAD']) !== null;
+  }
+
+  /**
+   * Move a branch's files into the archive, next to earlier copies of the same branch
+   * @param branch Branch name
+   * @param archiveDir Archive directory of the memory bank
+   * @param date Date of the merge in YYYY-MM-DD format
+   * @returns Path the files were moved to
+   */
+  public async archive(branch: string, archiveDir: string, date: string): Promise<string> {
+    let destDir = path.join(archiveDir, BRANCHES_DIR_NAME, ...branch.split('/'), date);
+    for (let suffix = 2; await fs.pathExists(destDir); suffix++) {
+      destDir = path.join(archiveDir, BRANCHES_DIR_NAME, ...branch.split('/'), `${date}-${suffix}`);
+    }
+
+    const branchDir = this.getBranchDir(branch);
+    await fs.ensureDir(destDir);
+    for (const fileName of BRANCH_FILES.map(name => `${name}.md`)) {
+      if (await fs.pathExists(path.join(branchDir, fileName))) {
+        await fs.move(path.join(branchDir, fileName), path.join(destDir, fileName));
+      }
+    }
+
+    // Remove the branch directory, and parents that only held it, if nothing else is left
+    for (let dir = branchDir; dir.startsWith(this.branchesDir) && dir !== this.branchesDir; dir = path.dirname(dir)) {
+      if (!await fs.pathExists(dir) || (await fs.readdir(dir)).length > 0) {
+        break;
+      }
+      await fs.remove(dir);
+    }
+
+    return destDir;
+  }
+
+  /**
+   * Run a git command in the repository
+   * @param args Git arguments
+   * @returns Trimmed standard output, or null if git failed or isn't available
+   */
+  private runGit(args: string[]): string | null {
+    try {
+      return execFileSync('git', args, { encoding: 'utf8', stdio: 'pipe', cwd: this.repoDir }).trim();
+    } catch {
+      return null;
+    }
+  }
+}
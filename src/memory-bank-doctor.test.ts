@@ -0,0 +1,42 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { MemoryBank } from './memory-bank';
+
+describe('MemoryBankDoctor decisions', () => {
+  let baseDir: string;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(baseDir);
+  });
+
+  it('reports supersession links that are dangling or only go one way', async () => {
+    const memoryBank = new MemoryBank({ baseDir, projectDir: baseDir });
+    await memoryBank.initialize();
+    const decision = { rationale: 'Because', implications: 'None', status: 'Pending' as const };
+    await memoryBank.addDecision({ ...decision, title: 'Use REST' });
+    await memoryBank.addDecision({ ...decision, title: 'Use GraphQL', supersedes: 'D-001' });
+    await memoryBank.addDecision({ ...decision, title: 'Use gRPC' });
+
+    expect((await memoryBank.validate())?.problems.filter(problem => problem.file === 'decisionLog.md')).toEqual([]);
+
+    const filePath = path.join(baseDir, 'decisionLog.md');
+    const content = await fs.readFile(filePath, 'utf8');
+    await fs.writeFile(filePath, content
+      .replace('- Supersedes: D-001', '- Supersedes: D-003')
+      .replace(/(### \[D-003\] Use gRPC\n(?:- .*\n)*?- Implications: .*)/, '$1\n- Superseded by: D-009'));
+
+    const messages = (await memoryBank.validate())?.problems
+      .filter(problem => problem.file === 'decisionLog.md')
+      .map(problem => problem.message);
+    expect(messages).toEqual([
+      'D-001 is superseded by D-002, but D-002 doesn\'t supersede it',
+      'D-002 supersedes D-003, but D-003 is superseded by D-009',
+      'D-003 is superseded by D-009, which doesn\'t exist'
+    ]);
+  });
+});
@@ -0,0 +1,654 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { MemoryBank } from './memory-bank';
+import { EnhancedMemoryBank } from './enhanced-memory-bank';
+import { MarkdownDocument } from './markdown-document';
+import { hashContent } from './file-lock';
+
+/**
+ * A problem found in the memory bank
+ */
+export interface ValidationProblem {
+  /** File the problem is in, relative to the memory bank */
+  file: string;
+  /** Errors make the memory bank read or update wrongly; warnings are worth a look */
+  severity: 'error' | 'warning';
+  /** Description of the problem */
+  message: string;
+  /** Whether validate({ fix: true }) can repair it */
+  fixable: boolean;
+}
+
+/**
+ * A file changed by a repair
+ */
+export interface FileChange {
+  /** File, relative to the memory bank */
+  file: string;
+  /** Unified diff of the change */
+  diff: string;
+}
+
+/**
+ * Result of validating the memory bank
+ */
+export interface ValidationReport {
+  /** Problems found */
+  problems: ValidationProblem[];
+  /** Files changed by the repair; empty unless fix was set */
+  changes: FileChange[];
+  /** Problems left after the repair; the same as problems unless fix was set */
+  remaining: ValidationProblem[];
+}
+
+/**
+ * Sections a file is expected to have
+ */
+interface FileSchema {
+  /** Expected title, without the leading # */
+  title?: string;
+  /** Sections that must be present */
+  sections: string[];
+}
+
+/** Sections of a daily file */
+const DAILY_SECTIONS = ['Current Focus', 'Recent Changes', 'Open Questions/Issues', 'Statistics'];
+
+/** Sections every session file has, including those written before sessions had a status */
+const SESSION_SECTIONS = ['Start Time', 'End Time', 'Focus', 'Notes'];
+
+/** Timestamp format of the memory bank: YYYY-MM-DD HH:MM:SS (UTC) */
+const TIMESTAMP_REGEX = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+/** Bracketed text at the start of a line (or list item) that looks like a timestamp */
+const ENTRY_TIMESTAMP_REGEX = /^(\s*(?:[-*]\s+)?)\[(\d{4}-\d{1,2}-\d{1,2}[^\]]*)\]/;
+
+/** Session file name, capturing its start time */
+const SESSION_FILE_REGEX = /^session-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-\d{3}Z\.md$/;
+
+/** Daily file name, capturing its date */
+const DAILY_FILE_REGEX = /^activeContext-(\d{4}-\d{2}-\d{2})\.md$/;
+
+/** Files longer than this many lines together are shown as replaced rather than diffed line by line */
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Memory Bank Doctor
+ *
+ * Checks the master, daily and session files against the layout the memory bank writes,
+ * and repairs what it can: duplicate and missing sections, headings that were renamed
+ * by hand, malformed timestamps, sessions that were left open and an active context
+ * that is out of date with the daily files. Repairs keep the content of the files; only
+ * the problems found are changed.
+ */
+export class MemoryBankDoctor {
+  private memoryBank: MemoryBank;
+  private enhancedMemoryBank: EnhancedMemoryBank;
+  private baseDir: string;
+
+  /**
+   * Create a new doctor
+   * @param memoryBank Memory bank to check
+   * @param enhancedMemoryBank The memory bank's daily and session file store
+   */
+  constructor(memoryBank: MemoryBank, enhancedMemoryBank: EnhancedMemoryBank) {
+    this.memoryBank = memoryBank;
+    this.enhancedMemoryBank = enhancedMemoryBank;
+    this.baseDir = memoryBank.getBaseDir();
+  }
+
+  /**
+   * Check the memory bank, and repair it if asked to
+   * The caller should hold the memory bank lock.
+   * @param fix Whether to repair the problems that can be repaired
+   * @returns Problems found, the changes made and the problems left
+   */
+  public async validate(fix: boolean = false): Promise<ValidationReport> {
+    const before = await this.readFiles();
+    const problems = await this.check(fix);
+    if (!fix) {
+      return { problems, changes: [], remaining: problems };
+    }
+
+    const after = await this.readFiles();
+    const changes: FileChange[] = [];
+    for (const [file, content] of after) {
+      const previous = before.get(file) ?? '';
+      if (content !== previous) {
+        changes.push({ file, diff: formatDiff(file, previous, content) });
+      }
+    }
+    return { problems, changes, remaining: await this.check(false) };
+  }
+
+  /**
+   * Run every check
+   * Files are repaired before sessions are closed and the active context is brought up
+   * to date, so those work on well-formed files.
+   * @param fix Whether to repair what can be repaired
+   * @returns Problems found
+   */
+  private async check(fix: boolean): Promise<ValidationProblem[]> {
+    const problems: ValidationProblem[] = [];
+    await this.checkMasterFiles(problems, fix);
+    await this.checkDecisions(problems);
+    await this.checkDailyFiles(problems, fix);
+    await this.checkSessionFiles(problems, fix);
+    await this.checkOpenSessions(problems, fix);
+    await this.checkDrift(problems, fix);
+    return problems;
+  }
+
+  /**
+   * Check that every master file exists and has its sections
+   * @param problems Problems found so far
+   * @param fix Whether to repair what can be repaired
+   */
+  private async checkMasterFiles(problems: ValidationProblem[], fix: boolean): Promise<void> {
+    const missing: string[] = [];
+    for (const masterFile of this.memoryBank.getMasterFiles()) {
+      const filePath = path.join(this.baseDir, `${masterFile.name}.md`);
+      if (!await fs.pathExists(filePath)) {
+        missing.push(masterFile.name);
+        problems.push({ file: `${masterFile.name}.md`, severity: 'error', message: 'Master file is missing', fixable: true });
+        continue;
+      }
+      await this.checkFile(filePath, { title: masterFile.title, sections: masterFile.sections }, problems, fix);
+    }
+
+    // initialize() creates the missing master files
+    if (fix && missing.length > 0) {
+      await this.memoryBank.initialize();
+    }
+  }
+
+  /**
+   * Check that decisions that replace each other say so on both sides
+   * Decisions are checked as seen from the current branch.
+   * @param problems Problems found so far
+   */
+  private async checkDecisions(problems: ValidationProblem[]): Promise<void> {
+    const decisions = (await this.memoryBank.listDecisions()).filter(record => record.id);
+    const byId = new Map(decisions.map(record => [record.id, record]));
+    const file = this.relative(this.memoryBank.getFilePath('decisionLog'));
+    const report = (message: string) => problems.push({ file, severity: 'warning', message, fixable: false });
+
+    for (const record of decisions) {
+      for (const id of record.supersedes) {
+        const other = byId.get(id);
+        if (!other) {
+          report(`${record.id} supersedes ${id}, which doesn't exist`);
+        } else if (other.supersededBy !== record.id) {
+          report(`${record.id} supersedes ${id}, but ${id} is ${other.supersededBy ? `superseded by ${other.supersededBy}` : 'not superseded'}`);
+        }
+      }
+      if (record.supersededBy) {
+        const other = byId.get(record.supersededBy);
+        if (!other) {
+          report(`${record.id} is superseded by ${record.supersededBy}, which doesn't exist`);
+        } else if (!other.supersedes.includes(record.id)) {
+          report(`${record.id} is superseded by ${other.id}, but ${other.id} doesn't supersede it`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check the daily files
+   * @param problems Problems found so far
+   * @param fix Whether to repair what can be repaired
+   */
+  private async checkDailyFiles(problems: ValidationProblem[], fix: boolean): Promise<void> {
+    const dailyDir = this.enhancedMemoryBank.getDailyDir();
+    if (!await fs.pathExists(dailyDir)) {
+      return;
+    }
+
+    for (const fileName of (await fs.readdir(dailyDir)).sort()) {
+      if (!fileName.endsWith('.md')) {
+        continue;
+      }
+      const filePath = path.join(dailyDir, fileName);
+      const match = fileName.match(DAILY_FILE_REGEX);
+      if (!match || !isValidDate(match[1])) {
+        problems.push({ file: this.relative(filePath), severity: 'warning', message: 'Name is not activeContext-YYYY-MM-DD.md with a valid date; the file is ignored', fixable: false });
+        continue;
+      }
+
+      const content = await this.checkFile(filePath, { title: `Active Context - ${match[1]}`, sections: DAILY_SECTIONS }, problems, fix);
+      const otherDays = MarkdownDocument.parse(content).getSection('recent-changes')
+        .split('\n')
+        .map(line => line.match(ENTRY_TIMESTAMP_REGEX))
+        .filter(entry => entry && TIMESTAMP_REGEX.test(entry[2]) && !entry[2].startsWith(match[1]));
+      if (otherDays.length > 0) {
+        problems.push({
+          file: this.relative(filePath),
+          severity: 'warning',
+          message: `${otherDays.length} recent change${otherDays.length === 1 ? ' is' : 's are'} dated on another day`,
+          fixable: false
+        });
+      }
+    }
+  }
+
+  /**
+   * Check the session files: their sections, times and status
+   * @param problems Problems found so far
+   * @param fix Whether to repair what can be repaired
+   */
+  private async checkSessionFiles(problems: ValidationProblem[], fix: boolean): Promise<void> {
+    const sessionsDir = this.enhancedMemoryBank.getSessionsDir();
+    if (!await fs.pathExists(sessionsDir)) {
+      return;
+    }
+
+    for (const fileName of (await fs.readdir(sessionsDir)).sort()) {
+      if (!fileName.startsWith('session-') || !fileName.endsWith('.md')) {
+        continue;
+      }
+      const filePath = path.join(sessionsDir, fileName);
+      const content = await this.checkFile(filePath, { sections: SESSION_SECTIONS }, problems, fix);
+      const document = MarkdownDocument.parse(content);
+      const found: ValidationProblem[] = [];
+      const report = (message: string, fixable: boolean) =>
+        found.push({ file: this.relative(filePath), severity: 'error', message, fixable });
+
+      // The start time is in the file name
+      const startTime = document.getSection('start-time');
+      const nameMatch = fileName.match(SESSION_FILE_REGEX);
+      if (!TIMESTAMP_REGEX.test(startTime)) {
+        const fromName = nameMatch ? `${nameMatch[1]} ${nameMatch[2]}:${nameMatch[3]}:${nameMatch[4]}` : null;
+        report(`Start Time "${startTime}" is not a YYYY-MM-DD HH:MM:SS timestamp`, fromName !== null);
+        if (fix && fromName) {
+          document.setSection('start-time', fromName, 'Start Time');
+        }
+      }
+
+      const lastActivity = document.getSection('last-activity');
+      if (document.hasSection('last-activity') && !TIMESTAMP_REGEX.test(lastActivity)) {
+        const normalized = normalizeTimestamp(lastActivity);
+        report(`Last Activity "${lastActivity}" is not a YYYY-MM-DD HH:MM:SS timestamp`, normalized !== null);
+        if (fix && normalized) {
+          document.setSection('last-activity', normalized, 'Last Activity');
+        }
+      }
+
+      // A session is open while its end time says (In progress); an ended one ends at its last activity
+      const endTime = document.getSection('end-time');
+      const status = document.getSection('status').toLowerCase();
+      const ended = TIMESTAMP_REGEX.test(endTime);
+      const end = TIMESTAMP_REGEX.test(document.getSection('last-activity')) ? document.getSection('last-activity') : document.getSection('start-time');
+      if (!ended && endTime !== '(In progress)') {
+        const normalized = normalizeTimestamp(endTime);
+        report(`End Time "${endTime}" is neither a timestamp nor (In progress)`, true);
+        if (fix) {
+          document.setSection('end-time', normalized || (status === 'ended' ? end : '(In progress)'), 'End Time');
+        }
+      } else if (document.hasSection('status') && !['active', 'paused', 'ended'].includes(status)) {
+        report(`Status "${document.getSection('status')}" is not Active, Paused or Ended`, true);
+        if (fix) {
+          document.setSection('status', ended ? 'Ended' : 'Active', 'Status');
+        }
+      } else if (status === 'ended' && !ended) {
+        report('Session is Ended but its End Time is (In progress)', true);
+        if (fix) {
+          document.setSection('end-time', end, 'End Time');
+        }
+      } else if ((status === 'active' || status === 'paused') && ended) {
+        report(`Session is ${document.getSection('status')} but has an End Time`, true);
+        if (fix) {
+          document.setSection('status', 'Ended', 'Status');
+        }
+      }
+
+      problems.push(...found);
+      if (fix && found.some(problem => problem.fixable)) {
+        await this.enhancedMemoryBank.writeFile(filePath, document.toString(), hashContent(content));
+      }
+    }
+  }
+
+  /**
+   * Find sessions that were left open, and close them at their last activity
+   * @param problems Problems found so far
+   * @param fix Whether to close them
+   */
+  private async checkOpenSessions(problems: ValidationProblem[], fix: boolean): Promise<void> {
+    const abandoned = await this.enhancedMemoryBank.findAbandonedSessions();
+    for (const session of abandoned) {
+      problems.push({
+        file: this.relative(session.filePath),
+        severity: 'warning',
+        message: `Session was left open; its last activity was ${session.lastActivity}`,
+        fixable: true
+      });
+    }
+    if (fix && abandoned.length > 0) {
+      await this.enhancedMemoryBank.closeAbandonedSessions();
+    }
+  }
+
+  /**
+   * Check that activeContext.md matches the daily files it is aggregated from
+   * @param problems Problems found so far
+   * @param fix Whether to aggregate the daily files again
+   */
+  private async checkDrift(problems: ValidationProblem[], fix: boolean): Promise<void> {
+    const drift = await this.enhancedMemoryBank.findAggregationDrift();
+    for (const heading of drift) {
+      problems.push({
+        file: 'activeContext.md',
+        severity: 'warning',
+        message: `${heading} is out of date with the daily files`,
+        fixable: true
+      });
+    }
+    if (fix && drift.length > 0) {
+      await this.enhancedMemoryBank.aggregateDailyFiles();
+    }
+  }
+
+  /**
+   * Check the title, sections and timestamps of a file
+   * A missing section whose heading looks like it was renamed by hand gets its heading
+   * back; a section that was then added again under the right heading is merged into it.
+   * @param filePath Path to the file
+   * @param schema Title and sections the file should have
+   * @param problems Problems found so far
+   * @param fix Whether to repair what can be repaired
+   * @returns Content of the file after the repair
+   */
+  private async checkFile(filePath: string, schema: FileSchema, problems: ValidationProblem[], fix: boolean): Promise<string> {
+    const file = this.relative(filePath);
+    const content = await fs.readFile(filePath, 'utf8');
+    const document = MarkdownDocument.parse(content);
+    const found: ValidationProblem[] = [];
+
+    const expectedIds = schema.sections.map(section => MarkdownDocument.sectionId(section));
+    const sections = document.getSections();
+    const renamedSections = new Set<string>();
+    for (const section of schema.sections) {
+      const id = MarkdownDocument.sectionId(section);
+      const existingIndex = sections.findIndex(existing => existing.id === id);
+      if (sections.filter(existing => existing.id === id).length > 1) {
+        continue; // Reported as a duplicate below
+      }
+
+      // A section that exists only counts as added again if updates appended it after the renamed one
+      const renamed = sections.find((existing, index) =>
+        !expectedIds.includes(existing.id) &&
+        !renamedSections.has(existing.id) &&
+        (existingIndex === -1 || existingIndex > index) &&
+        isSimilarHeading(existing.heading, section));
+      if (renamed) {
+        renamedSections.add(renamed.id);
+        const addedAgain = existingIndex !== -1;
+        found.push({
+          file,
+          severity: 'warning',
+          message: `Section "${renamed.heading}" looks like "${section}" renamed${addedAgain ? `; updates added a second "${section}" section` : ''}`,
+          fixable: true
+        });
+        if (fix) {
+          document.renameSection(renamed.id, section);
+        }
+      } else if (!sections.some(existing => existing.id === id)) {
+        found.push({ file, severity: 'warning', message: `Section "${section}" is missing`, fixable: true });
+        if (fix) {
+          document.setSection(id, '-', section);
+        }
+      }
+    }
+
+    const seen = new Set<string>();
+    for (const section of sections) {
+      if (seen.has(section.id)) {
+        found.push({ file, severity: 'error', message: `Section "${section.heading}" appears more than once; only the first is read`, fixable: true });
+      }
+      seen.add(section.id);
+    }
+    if (fix) {
+      document.mergeDuplicateSections();
+    }
+
+    let repaired = document.toString();
+    if (schema.title && document.title !== schema.title) {
+      found.push({
+        file,
+        severity: 'warning',
+        message: document.title ? `Title is "${document.title}" instead of "${schema.title}"` : `Title "${schema.title}" is missing`,
+        fixable: true
+      });
+      if (fix) {
+        repaired = document.title
+          ? repaired.replace(/^#[ \t]+.*$/m, `# ${schema.title}`)
+          : `# ${schema.title}\n\n${repaired.replace(/^\n+/, '')}`;
+      }
+    }
+
+    repaired = this.checkTimestamps(file, repaired, found, fix);
+
+    problems.push(...found);
+    if (fix && repaired !== content && found.some(problem => problem.fixable)) {
+      if (await this.enhancedMemoryBank.writeFile(filePath, repaired, hashContent(content))) {
+        return repaired;
+      }
+    }
+    return content;
+  }
+
+  /**
+   * Check the timestamps of entries ([YYYY-MM-DD HH:MM:SS]) and decision dates (YYYY-MM-DD
+   * or a timestamp)
+   * Timestamps in another format that can still be read are rewritten in the memory
+   * bank's format; ones that name no real time are reported.
+   * @param file File, relative to the memory bank
+   * @param content File content
+   * @param problems Problems found so far
+   * @param fix Whether to rewrite readable timestamps
+   * @returns Content with the timestamps rewritten if fix is set
+   */
+  private checkTimestamps(file: string, content: string, problems: ValidationProblem[], fix: boolean): string {
+    let inFence = false;
+    const lines = content.split('\n').map(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+      }
+      if (inFence) {
+        return line;
+      }
+
+      const entry = line.match(ENTRY_TIMESTAMP_REGEX);
+      if (entry && !(TIMESTAMP_REGEX.test(entry[2]) && normalizeTimestamp(entry[2]) === entry[2])) {
+        const normalized = normalizeTimestamp(entry[2]);
+        problems.push({ file, severity: 'error', message: `Malformed timestamp [${entry[2]}]`, fixable: normalized !== null });
+        return fix && normalized ? `${entry[1]}[${normalized}]${line.slice(entry[0].length)}` : line;
+      }
+
+      const date = line.match(/^(\s*-\s*Date:\s*)(.+?)\s*$/);
+      if (date && !isValidDate(date[2]) && !(TIMESTAMP_REGEX.test(date[2]) && normalizeTimestamp(date[2]) === date[2])) {
+        const normalized = normalizeTimestamp(date[2]);
+        problems.push({ file, severity: 'error', message: `Malformed date "${date[2]}"`, fixable: normalized !== null });
+        return fix && normalized ? `${date[1]}${normalized}` : line;
+      }
+      return line;
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Read the files the checks look at and may repair
+   * @returns Content keyed by file, relative to the memory bank
+   */
+  private async readFiles(): Promise<Map<string, string>> {
+    const files = new Map<string, string>();
+    const paths = this.memoryBank.getMasterFiles().map(masterFile => path.join(this.baseDir, `${masterFile.name}.md`));
+    for (const dir of [this.enhancedMemoryBank.getDailyDir(), this.enhancedMemoryBank.getSessionsDir()]) {
+      if (await fs.pathExists(dir)) {
+        paths.push(...(await fs.readdir(dir)).filter(file => file.endsWith('.md')).sort().map(file => path.join(dir, file)));
+      }
+    }
+    for (const filePath of paths) {
+      if (await fs.pathExists(filePath)) {
+        files.set(this.relative(filePath), await fs.readFile(filePath, 'utf8'));
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Get the name of a file relative to the memory bank
+   * @param filePath Path to the file
+   * @returns Relative path with forward slashes
+   */
+  private relative(filePath: string): string {
+    return path.relative(this.baseDir, filePath).split(path.sep).join('/');
+  }
+}
+
+/**
+ * Check a YYYY-MM-DD date
+ * @param date Date text
+ * @returns True if it is a real date in YYYY-MM-DD format
+ */
+function isValidDate(date: string): boolean {
+  const time = new Date(`${date}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(time.getTime()) && time.toISOString().startsWith(date);
+}
+
+/**
+ * Rewrite a timestamp in the memory bank's format
+ * Times without a time zone are taken as UTC, like the memory bank's own timestamps.
+ * @param text Timestamp, e.g. "2024-05-01T09:30:00.000Z" or "2024-5-1 9:30"
+ * @returns Timestamp in YYYY-MM-DD HH:MM:SS format, or null if it names no real time
+ */
+function normalizeTimestamp(text: string): string | null {
+  const match = text.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours = '0', minutes = '0', seconds = '0', fraction = '', zone = 'Z'] = match;
+  const pad = (value: string) => value.padStart(2, '0');
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+  if (!isValidDate(date) || parseInt(hours, 10) > 23) {
+    return null;
+  }
+  const time = new Date(`${date}T${pad(hours)}:${minutes}:${pad(seconds)}${fraction}${zone}`);
+  return isNaN(time.getTime()) ? null : time.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Check whether a heading looks like another one edited by hand
+ * @param heading Heading found in the file
+ * @param expected Heading the file should have
+ * @returns True if one contains the other or they are a few letters apart
+ */
+function isSimilarHeading(heading: string, expected: string): boolean {
+  const compact = (text: string) => MarkdownDocument.sectionId(text).replace(/-/g, '');
+  const a = compact(heading);
+  const b = compact(expected);
+  if (!a || !b) {
+    return false;
+  }
+  return a.includes(b) || b.includes(a) || editDistance(a, b) <= Math.max(1, Math.floor(Math.min(a.length, b.length) / 4));
+}
+
+/**
+ * Count the single-letter edits that turn one text into another
+ * @param a First text
+ * @param b Second text
+ * @returns Levenshtein distance
+ */
+function editDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Format the change of a file as a unified diff with three lines of context
+ * @param file File name shown in the header
+ * @param before Content before the change (empty for a new file)
+ * @param after Content after the change
+ * @returns Unified diff
+ */
+export function formatDiff(file: string, before: string, after: string): string {
+  const a = before === '' ? [] : before.split('\n');
+  const b = after.split('\n');
+  const ops: { type: ' ' | '-' | '+'; line: string }[] = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    ops.push(...a.map(line => ({ type: '-' as const, line })), ...b.map(line => ({ type: '+' as const, line })));
+  } else {
+    // Longest common subsequence of lines, from the end
+    const lcs: number[][] = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push({ type: ' ', line: a[i++] });
+        j++;
+      } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push({ type: '-', line: a[i++] });
+      } else {
+        ops.push({ type: '+', line: b[j++] });
+      }
+    }
+  }
+
+  // Group the changes into hunks with up to three unchanged lines around them
+  const context = 3;
+  const hunks: string[] = [];
+  let index = 0;
+  let oldLine = 1;
+  let newLine = 1;
+  while (index < ops.length) {
+    if (ops[index].type === ' ') {
+      index++;
+      oldLine++;
+      newLine++;
+      continue;
+    }
+
+    let start = index;
+    let oldStart = oldLine;
+    let newStart = newLine;
+    while (start > 0 && index - start < context && ops[start - 1].type === ' ') {
+      start--;
+      oldStart--;
+      newStart--;
+    }
+    let end = index;
+    let unchanged = 0;
+    while (end < ops.length && unchanged <= context * 2) {
+      unchanged = ops[end].type === ' ' ? unchanged + 1 : 0;
+      end++;
+    }
+    end -= Math.max(0, unchanged - context);
+
+    const lines = ops.slice(start, end);
+    const oldCount = lines.filter(op => op.type !== '+').length;
+    const newCount = lines.filter(op => op.type !== '-').length;
+    hunks.push(`@@ -${oldCount === 0 ? oldStart - 1 : oldStart},${oldCount} +${newCount === 0 ? newStart - 1 : newStart},${newCount} @@\n` +
+      lines.map(op => `${op.type}${op.line}`).join('\n'));
+
+    for (const op of ops.slice(index, end)) {
+      if (op.type !== '+') oldLine++;
+      if (op.type !== '-') newLine++;
+    }
+    index = end;
+  }
+
+  return `--- ${before === '' ? '/dev/null' : `a/${file}`}\n+++ b/${file}\n${hunks.join('\n')}`;
+}
@@ -0,0 +1,103 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { MemoryBankArchive } from './memory-bank-archive';
+import { MemoryBankSearch } from './memory-bank-search';
+
+describe('MemoryBankSearch', () => {
+  let baseDir: string;
+
+  const write = (file: string, content: string) => fs.outputFile(path.join(baseDir, file), content);
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+    await write('decisionLog.md', [
+      '# Decision Log',
+      '',
+      '## Decisions',
+      '### [D-001] Use PostgreSQL for billing',
+      '- Date: 2024-05-01 09:00:00',
+      '- Rationale: Billing needs transactions #database',
+      '',
+      '### [D-002] Cache sessions in Redis',
+      '- Date: 2024-05-03 09:00:00',
+      '- Rationale: Sessions are read on every request #database #performance',
+      ''
+    ].join('\n'));
+    await write('daily/activeContext-2024-05-02.md', [
+      '# Active Context - 2024-05-02',
+      '',
+      '## Recent Changes',
+      '- [2024-05-02 10:00:00] - Added invoices to the billing service',
+      '- [2024-05-02 11:00:00] - Fixed the "late fee" rounding in billing',
+      '- [2024-05-02 12:00:00] - Tuned the Redis connection pool #performance',
+      ''
+    ].join('\n'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(baseDir);
+  });
+
+  it('ranks entries that match every word above those that match some', async () => {
+    const results = await new MemoryBankSearch(baseDir).search('billing postgresql');
+
+    expect(results[0]).toMatchObject({ file: 'decisionLog.md', section: 'Decisions', date: '2024-05-01' });
+    expect(results[0].text).toContain('Use PostgreSQL for billing');
+    expect(results.slice(1).map(result => result.file)).toEqual(['daily/activeContext-2024-05-02.md', 'daily/activeContext-2024-05-02.md']);
+  });
+
+  it('matches word prefixes, but below the word itself', async () => {
+    await write('progress.md', '# Progress\n\n## Current Tasks\n- Send an invoice reminder\n');
+
+    const results = await new MemoryBankSearch(baseDir).search('invoice');
+
+    expect(results.map(result => result.text)).toEqual([
+      '- Send an invoice reminder',
+      '- [2024-05-02 10:00:00] - Added invoices to the billing service'
+    ]);
+  });
+
+  it('filters by tags, phrases, dates and files', async () => {
+    const search = new MemoryBankSearch(baseDir);
+
+    expect((await search.search('#performance')).map(result => result.date)).toEqual(['2024-05-03', '2024-05-02']);
+    expect((await search.search('redis', { tags: ['database'] })).map(result => result.date)).toEqual(['2024-05-03']);
+    expect((await search.search('"late fee"')).map(result => result.text)).toEqual(['- [2024-05-02 11:00:00] - Fixed the "late fee" rounding in billing']);
+    expect((await search.search('billing', { from: '2024-05-02', to: '2024-05-02' })).map(result => result.date)).toEqual(['2024-05-02', '2024-05-02']);
+    expect((await search.search('billing', { files: ['decisionLog'] })).map(result => result.file)).toEqual(['decisionLog.md']);
+    await expect(search.search('billing', { from: 'last week' })).rejects.toThrow('Invalid date');
+  });
+
+  it('re-reads only files that changed, and forgets removed ones', async () => {
+    const search = new MemoryBankSearch(baseDir);
+    await search.search('billing');
+    const index = await fs.readJson(path.join(baseDir, '.search-index.json'));
+    expect(Object.keys(index.files).sort()).toEqual(['daily/activeContext-2024-05-02.md', 'decisionLog.md']);
+
+    await write('progress.md', '# Progress\n\n## Current Tasks\n- Migrate billing exports\n');
+    await fs.remove(path.join(baseDir, 'decisionLog.md'));
+
+    const results = await search.search('billing');
+    expect(results.map(result => result.file)).toContain('progress.md');
+    expect(results.map(result => result.file)).not.toContain('decisionLog.md');
+    const updated = await fs.readJson(path.join(baseDir, '.search-index.json'));
+    expect(updated.files['daily/activeContext-2024-05-02.md']).toEqual(index.files['daily/activeContext-2024-05-02.md']);
+  });
+
+  it('searches compressed archive months as if they were unpacked', async () => {
+    const archive = new MemoryBankArchive(path.join(baseDir, 'archive'));
+    await archive.add(path.join(baseDir, 'daily', 'activeContext-2024-05-02.md'), '2024-05-02');
+    await archive.compress('2024-07-01');
+
+    const results = await new MemoryBankSearch(baseDir).search('invoices');
+
+    expect(results.map(result => result.file)).toEqual(['archive/2024/05/activeContext-2024-05-02.md']);
+  });
+
+  it('keeps the best hit of an entry copied into several files', async () => {
+    await write('activeContext.md', '# Active Context\n\n## Recent Changes\n- [2024-05-02 10:00:00] - Added invoices to the billing service\n');
+
+    expect(await new MemoryBankSearch(baseDir).search('invoices')).toHaveLength(1);
+  });
+});
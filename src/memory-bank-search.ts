@@ -0,0 +1,445 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { MarkdownDocument } from './markdown-document';
+import { writeFileAtomic } from './file-lock';
+import { BUNDLE_EXTENSION, readBundle } from './memory-bank-archive';
+
+/**
+ * Options for a memory bank search
+ */
+export interface SearchOptions {
+  /** Only return entries dated on or after this date (YYYY-MM-DD or Date) */
+  from?: string | Date;
+  /** Only return entries dated on or before this date (YYYY-MM-DD or Date) */
+  to?: string | Date;
+  /** Only search these files or directories, relative to the memory bank (e.g. "decisionLog", "daily") */
+  files?: string[];
+  /** Only return entries with all of these #tags */
+  tags?: string[];
+  /** Maximum number of results (defaults to 20) */
+  limit?: number;
+}
+
+/**
+ * A search hit
+ */
+export interface SearchResult {
+  /** File relative to the memory bank (e.g. "daily/activeContext-2024-05-01.md") */
+  file: string;
+  /** Heading of the section the entry is in, or null for text before the first section */
+  section: string | null;
+  /** Date of the entry (YYYY-MM-DD), or null if it has none */
+  date: string | null;
+  /** Relevance score; higher is better */
+  score: number;
+  /** The matching entry */
+  text: string;
+  /** #tags on the entry, without the # */
+  tags: string[];
+}
+
+/**
+ * An indexed entry: a list item, a ### block or a paragraph
+ */
+interface IndexedEntry {
+  section: string | null;
+  date: string | null;
+  text: string;
+  tags: string[];
+  /** Term frequencies */
+  terms: Record<string, number>;
+  /** Number of terms in the entry */
+  length: number;
+}
+
+/**
+ * Index data for one file, reused until the file changes
+ */
+interface IndexedFile {
+  mtimeMs: number;
+  size: number;
+  /** Bundle the file was read from, relative to the memory bank; mtimeMs and size are the bundle's */
+  bundle?: string;
+  entries: IndexedEntry[];
+}
+
+/**
+ * On-disk index format
+ */
+interface SearchIndexData {
+  version: number;
+  files: Record<string, IndexedFile>;
+}
+
+/** Bump when the index format or tokenization changes, so old indexes are rebuilt */
+const INDEX_VERSION = 1;
+
+/** Name of the index file in the memory bank directory */
+const INDEX_FILE = '.search-index.json';
+
+/** Directories in the memory bank that don't hold memory */
+const IGNORED_DIRS = ['templates'];
+
+/** Words too common to be useful in a query */
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'for', 'from', 'how', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+  'who', 'why', 'will', 'with'
+]);
+
+/** BM25 parameters */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const TAG_REGEX = /(^|[\s(\[])#([A-Za-z][\w-]*)/g;
+const DATE_REGEX = /(\d{4}-\d{2}-\d{2})/;
+
+/**
+ * Memory Bank Search
+ *
+ * Full-text and tag search over every markdown file in the memory bank, including
+ * daily, session and archived files. Compressed archive bundles are searched as if
+ * they were unpacked, e.g. `archive/2024/01/activeContext-2024-01-03.md`. Files are split into entries (list items,
+ * ### blocks and paragraphs) whose terms are cached in `.search-index.json`, so only
+ * files that changed since the last search are re-read. Each search builds an
+ * inverted index over the entries that pass its filters and ranks them with BM25.
+ */
+export class MemoryBankSearch {
+  private baseDir: string;
+  private indexPath: string;
+
+  /**
+   * Create a new memory bank search
+   * @param baseDir Base directory of the memory bank
+   */
+  constructor(baseDir: string) {
+    this.baseDir = baseDir;
+    this.indexPath = path.join(baseDir, INDEX_FILE);
+  }
+
+  /**
+   * Search the memory bank
+   * Entries match query words in full or by word prefix, and entries that match more
+   * of the words rank higher. `#tag` words in the query are treated as tag filters,
+   * and "quoted phrases" must appear as written.
+   * @param query Search query
+   * @param options Filters and result limit
+   * @returns Matching entries, best first
+   */
+  public async search(query: string, options: SearchOptions = {}): Promise<SearchResult[]> {
+    const index = await this.updateIndex();
+
+    const phrases = Array.from(query.matchAll(/"([^"]+)"/g), match => match[1].toLowerCase());
+    const queryTags = Array.from(query.matchAll(TAG_REGEX), match => match[2].toLowerCase());
+    const tags = [...queryTags, ...(options.tags || []).map(tag => tag.replace(/^#/, '').toLowerCase())];
+    const terms = this.tokenize(query.replace(TAG_REGEX, ' ')).filter(term => !STOP_WORDS.has(term));
+    const from = this.toDateString(options.from);
+    const to = this.toDateString(options.to);
+
+    if (terms.length === 0 && tags.length === 0) {
+      return [];
+    }
+
+    // Collect the entries that pass the filters
+    const candidates: { file: string; entry: IndexedEntry }[] = [];
+    for (const [file, indexed] of Object.entries(index.files)) {
+      if (options.files && options.files.length > 0 && !options.files.some(filter => this.matchesFile(file, filter))) {
+        continue;
+      }
+      for (const entry of indexed.entries) {
+        const inRange = (!from && !to) || (entry.date !== null && (!from || entry.date >= from) && (!to || entry.date <= to));
+        if (
+          inRange &&
+          tags.every(tag => entry.tags.includes(tag)) &&
+          phrases.every(phrase => entry.text.toLowerCase().includes(phrase))
+        ) {
+          candidates.push({ file, entry });
+        }
+      }
+    }
+
+    // Build the inverted index over the candidates and score with BM25
+    const postings = new Map<string, number[]>();
+    candidates.forEach(({ entry }, id) => {
+      for (const term of Object.keys(entry.terms)) {
+        const list = postings.get(term);
+        if (list) {
+          list.push(id);
+        } else {
+          postings.set(term, [id]);
+        }
+      }
+    });
+    const averageLength = candidates.reduce((sum, { entry }) => sum + entry.length, 0) / Math.max(candidates.length, 1);
+
+    const uniqueTerms = Array.from(new Set(terms));
+    const scores = new Map<number, number>();
+    const matchedTerms = new Map<number, number>();
+    if (uniqueTerms.length === 0) {
+      candidates.forEach((_, id) => scores.set(id, 0));
+    }
+
+    for (const term of uniqueTerms) {
+      const termScores = new Map<number, number>();
+      for (const [indexTerm, ids] of postings) {
+        const exact = indexTerm === term;
+        if (!exact && !(term.length >= 3 && indexTerm.startsWith(term))) {
+          continue;
+        }
+        const idf = Math.log(1 + (candidates.length - ids.length + 0.5) / (ids.length + 0.5));
+        for (const id of ids) {
+          const { entry } = candidates[id];
+          const tf = entry.terms[indexTerm];
+          const score = idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * entry.length / averageLength));
+          // Prefix matches count for less than the word itself
+          termScores.set(id, Math.max(termScores.get(id) || 0, exact ? score : score / 2));
+        }
+      }
+
+      for (const [id, score] of termScores) {
+        scores.set(id, (scores.get(id) || 0) + score);
+        matchedTerms.set(id, (matchedTerms.get(id) || 0) + 1);
+      }
+    }
+
+    const results = Array.from(scores.keys())
+      .map(id => {
+        const { file, entry } = candidates[id];
+        // Entries that match every word rank above entries that only match some
+        const coverage = uniqueTerms.length > 0 ? (matchedTerms.get(id) || 0) / uniqueTerms.length : 1;
+        return {
+          file,
+          section: entry.section,
+          date: entry.date,
+          score: Math.round(scores.get(id)! * coverage * coverage * 1000) / 1000,
+          text: entry.text,
+          tags: entry.tags
+        };
+      })
+      .sort((a, b) => b.score - a.score || (b.date || '').localeCompare(a.date || '') || a.file.localeCompare(b.file));
+
+    // The same entry is often copied between daily, master and archived files; keep the best hit
+    const seen = new Set<string>();
+    const unique = results.filter(result => {
+      const key = result.text.replace(/^\s*[-*]?\s*\[[^\]]+\]\s*-?\s*/, '').trim().toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+
+    return unique.slice(0, options.limit !== undefined ? options.limit : 20);
+  }
+
+  /**
+   * Bring the index up to date with the memory bank and save it
+   * @returns The current index
+   */
+  private async updateIndex(): Promise<SearchIndexData> {
+    let index: SearchIndexData = { version: INDEX_VERSION, files: {} };
+    try {
+      const saved = await fs.readJson(this.indexPath);
+      if (saved && saved.version === INDEX_VERSION) {
+        index = saved;
+      }
+    } catch {
+      // No index yet, or it is unreadable; build a new one
+    }
+
+    const files: Record<string, IndexedFile> = {};
+    let changed = false;
+
+    const { files: looseFiles, bundles } = await this.listFiles();
+    for (const file of looseFiles) {
+      const stats = await fs.stat(path.join(this.baseDir, file));
+      const previous = index.files[file];
+      if (previous && !previous.bundle && previous.mtimeMs === stats.mtimeMs && previous.size === stats.size) {
+        files[file] = previous;
+        continue;
+      }
+
+      const content = await fs.readFile(path.join(this.baseDir, file), 'utf8');
+      files[file] = { mtimeMs: stats.mtimeMs, size: stats.size, entries: this.indexContent(file, content) };
+      changed = true;
+    }
+
+    for (const bundle of bundles) {
+      const stats = await fs.stat(path.join(this.baseDir, bundle));
+      const bundleDir = bundle.slice(0, -BUNDLE_EXTENSION.length);
+      const previous = Object.entries(index.files).filter(([, indexed]) => indexed.bundle === bundle);
+      const unchanged = previous.length > 0 &&
+        previous.every(([, indexed]) => indexed.mtimeMs === stats.mtimeMs && indexed.size === stats.size);
+
+      if (unchanged) {
+        for (const [file, indexed] of previous) {
+          files[file] = files[file] || indexed;
+        }
+        continue;
+      }
+
+      for (const entry of await readBundle(path.join(this.baseDir, bundle))) {
+        const file = `${bundleDir}/${entry.name}`;
+        // A loose copy of a bundled file replaces it until the month is compressed again
+        if (entry.name.endsWith('.md') && !files[file]) {
+          files[file] = { mtimeMs: stats.mtimeMs, size: stats.size, bundle, entries: this.indexContent(file, entry.content) };
+        }
+      }
+      changed = true;
+    }
+
+    if (Object.keys(index.files).some(file => !files[file])) {
+      changed = true;
+    }
+
+    index = { version: INDEX_VERSION, files };
+    if (changed) {
+      try {
+        await writeFileAtomic(this.indexPath, JSON.stringify(index));
+      } catch (error) {
+        // The index is only a cache; searching still works without saving it
+        console.error('Error saving search index:', error);
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * List the markdown files and archive bundles in the memory bank
+   * @returns Paths relative to the memory bank, with forward slashes
+   */
+  private async listFiles(): Promise<{ files: string[]; bundles: string[] }> {
+    const files: string[] = [];
+    const bundles: string[] = [];
+
+    const scan = async (dir: string): Promise<void> => {
+      if (!await fs.pathExists(dir)) {
+        return;
+      }
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) {
+          continue;
+        }
+        const entryPath = path.join(dir, entry.name);
+        const relative = path.relative(this.baseDir, entryPath).split(path.sep).join('/');
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRS.includes(relative)) {
+            await scan(entryPath);
+          }
+        } else if (entry.name.endsWith('.md')) {
+          files.push(relative);
+        } else if (entry.name.endsWith(BUNDLE_EXTENSION)) {
+          bundles.push(relative);
+        }
+      }
+    };
+
+    await scan(this.baseDir);
+    return { files: files.sort(), bundles: bundles.sort() };
+  }
+
+  /**
+   * Split a file into indexed entries
+   * @param file File path relative to the memory bank
+   * @param content File content
+   * @returns Entries with their section, date, tags and terms
+   */
+  private indexContent(file: string, content: string): IndexedEntry[] {
+    const document = MarkdownDocument.parse(content);
+    const fileDate = this.getFileDate(file);
+    const entries: IndexedEntry[] = [];
+
+    const sections: { heading: string | null; content: string }[] = document.getSections()
+      .map(section => ({ heading: section.heading as string | null, content: section.content }));
+    if (document.footer) {
+      sections.push({ heading: null, content: document.footer.replace(/^---\s*/, '') });
+    }
+    if (sections.length === 0) {
+      sections.push({ heading: null, content });
+    }
+
+    for (const section of sections) {
+      // Matching the heading finds sections even when the entries don't repeat its words
+      const headingTerms = section.heading ? this.tokenize(section.heading) : [];
+
+      for (const text of MarkdownDocument.splitEntries(section.content)) {
+        const words = [...this.tokenize(text), ...headingTerms];
+        if (words.length === 0) {
+          continue;
+        }
+
+        const terms: Record<string, number> = {};
+        for (const word of words) {
+          terms[word] = (terms[word] || 0) + 1;
+        }
+
+        const dateMatch = text.match(DATE_REGEX);
+        entries.push({
+          section: section.heading,
+          date: dateMatch ? dateMatch[1] : fileDate,
+          text: text.trim(),
+          tags: Array.from(new Set(Array.from(text.matchAll(TAG_REGEX), match => match[2].toLowerCase()))),
+          terms,
+          length: words.length
+        });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get the date a file belongs to from its name
+   * @param file File path relative to the memory bank
+   * @returns Date (YYYY-MM-DD), or null for files without a date in their name
+   */
+  private getFileDate(file: string): string | null {
+    const match = path.basename(file).match(DATE_REGEX);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Split text into lowercase search terms
+   * @param text Text to split
+   * @returns Terms in order of appearance
+   */
+  private tokenize(text: string): string[] {
+    return (text.toLowerCase().match(/[a-z0-9][a-z0-9_-]*/g) || [])
+      .map(term => term.replace(/[-_]+$/, ''))
+      .filter(term => term.length > 1 || /\d/.test(term));
+  }
+
+  /**
+   * Check whether a file matches a file filter
+   * @param file File path relative to the memory bank
+   * @param filter File or directory name, with or without .md
+   * @returns True if the file is the filter or is inside it
+   */
+  private matchesFile(file: string, filter: string): boolean {
+    const normalized = filter.replace(/\\/g, '/').replace(/^\.?\/+|\/+$/g, '');
+    return file === normalized ||
+      file === `${normalized}.md` ||
+      file.startsWith(`${normalized}/`) ||
+      path.basename(file, '.md') === normalized;
+  }
+
+  /**
+   * Normalize a date filter
+   * @param date Date or YYYY-MM-DD string
+   * @returns YYYY-MM-DD, or null if no date was given
+   */
+  private toDateString(date: string | Date | undefined): string | null {
+    if (!date) {
+      return null;
+    }
+    if (date instanceof Date) {
+      return date.toISOString().split('T')[0];
+    }
+    const match = date.match(DATE_REGEX);
+    if (!match) {
+      throw new Error(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+    }
+    return match[1];
+  }
+}
@@ -0,0 +1,144 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { MemoryBank } from './memory-bank';
+import { MemoryBankSnapshots, diffSnapshotFiles, formatSnapshotDiff } from './memory-bank-snapshots';
+
+describe('MemoryBankSnapshots', () => {
+  let dir: string;
+
+  /** Count the contents in the object store */
+  const countObjects = async () => {
+    const objectsDir = path.join(dir, 'objects');
+    let count = 0;
+    for (const bucket of await fs.readdir(objectsDir)) {
+      count += (await fs.readdir(path.join(objectsDir, bucket))).length;
+    }
+    return count;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('stores each content once and skips snapshots that change nothing', async () => {
+    const snapshots = new MemoryBankSnapshots(dir);
+    const files = { 'activeContext.md': '# Active Context\n', 'progress.md': '# Progress\n' };
+
+    const first = await snapshots.record(files, 'First', '2024-05-01 09:00:00');
+    const again = await snapshots.record({ ...files }, 'Again', '2024-05-01 10:00:00');
+    expect(first.created).toBe(true);
+    expect(again).toEqual({ snapshot: first.snapshot, created: false });
+
+    const second = await snapshots.record({ ...files, 'progress.md': '# Progress\n- Done\n' }, 'Second', '2024-05-02 09:00:00');
+    expect(second.created).toBe(true);
+    expect(second.snapshot.files['activeContext.md']).toBe(first.snapshot.files['activeContext.md']);
+    expect(await countObjects()).toBe(3);
+
+    // Going back to an earlier state records its ID again
+    const back = await snapshots.record(files, 'Back', '2024-05-03 09:00:00');
+    expect(back.snapshot.id).toBe(first.snapshot.id);
+    expect((await snapshots.list()).map(snapshot => snapshot.message)).toEqual(['First', 'Second', 'Back']);
+    expect(await snapshots.readFiles(back.snapshot)).toEqual(files);
+  });
+
+  it('finds snapshots by ID prefix or by date', async () => {
+    const snapshots = new MemoryBankSnapshots(dir);
+    const { snapshot: first } = await snapshots.record({ 'progress.md': 'one' }, 'First', '2024-05-01 09:00:00');
+    const { snapshot: second } = await snapshots.record({ 'progress.md': 'two' }, 'Second', '2024-05-02 09:00:00');
+
+    expect(await snapshots.resolve(first.id.substring(0, 6).toUpperCase())).toEqual(first);
+    expect(await snapshots.resolve(first.id.substring(0, 3))).toBeNull();
+    expect(await snapshots.resolve('2024-05-01')).toEqual(first);
+    expect(await snapshots.resolve('2024-05-02 08:59')).toEqual(first);
+    expect(await snapshots.resolve('2024-05-02T09:00:00')).toEqual(second);
+    expect(await snapshots.resolve('2024-04-30')).toBeNull();
+  });
+
+  it('rejects an ID prefix that matches several snapshots', async () => {
+    const entry = (id: string) => JSON.stringify({ id, timestamp: '2024-05-01 09:00:00', message: '', files: {} });
+    await fs.writeFile(path.join(dir, 'history.jsonl'), [entry('abcd1111'), entry('abcd2222'), '{"id": "cut'].join('\n'));
+    const snapshots = new MemoryBankSnapshots(dir);
+
+    await expect(snapshots.resolve('abcd')).rejects.toThrow('Snapshot ID abcd is ambiguous');
+    expect((await snapshots.resolve('abcd2'))?.id).toBe('abcd2222');
+    await expect(snapshots.readFiles({ id: 'abcd2222', timestamp: '', message: '', files: { 'progress.md': 'ff00' } }))
+      .rejects.toThrow('Content of progress.md (ff00) is missing');
+  });
+});
+
+describe('diffSnapshotFiles', () => {
+  it('lists the sections that were added, removed or changed', () => {
+    const before = {
+      'progress.md': '# Progress\n\n## Current Tasks\n- Billing\n- Reminders\n\n## Upcoming Tasks\n- Exports\n',
+      'systemPatterns.md': '# System Patterns\n'
+    };
+    const after = {
+      'progress.md': '# Progress\n\n## Current Tasks\n- Billing\n- Refunds\n\n## Milestones\n- Launch\n',
+      'activeContext.md': '# Active Context\n',
+      'systemPatterns.md': '# System Patterns\n'
+    };
+
+    const diffs = diffSnapshotFiles(before, after);
+
+    expect(diffs.map(diff => [diff.file, diff.change, diff.sections.map(section => `${section.change} ${section.id}`)])).toEqual([
+      ['progress.md', 'changed', ['changed current-tasks', 'added milestones', 'removed upcoming-tasks']],
+      ['activeContext.md', 'added', ['added #title']]
+    ]);
+    expect(formatSnapshotDiff(diffs)).toBe([
+      'progress.md',
+      '  ~ Current Tasks',
+      '      @@ -1,2 +1,2 @@',
+      '       - Billing',
+      '      -- Reminders',
+      '      +- Refunds',
+      '  + Milestones',
+      '      +- Launch',
+      '  - Upcoming Tasks',
+      '      -- Exports',
+      '',
+      'activeContext.md (added)',
+      '  + Title',
+      '      +Active Context'
+    ].join('\n'));
+  });
+});
+
+describe('MemoryBank.restoreSnapshot', () => {
+  let baseDir: string;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(baseDir);
+  });
+
+  it('restores the master files and records the state it replaced', async () => {
+    const memoryBank = new MemoryBank({ baseDir, projectDir: baseDir });
+    await memoryBank.initialize();
+    const snapshot = await memoryBank.createSnapshot('Initial');
+    const filePath = path.join(baseDir, 'productContext.md');
+    const original = await fs.readFile(filePath, 'utf8');
+    await fs.writeFile(filePath, `${original}\n## Notes\n- Changed by hand\n`);
+
+    expect((await memoryBank.diffSnapshots(snapshot!.id))?.map(diff => diff.file)).toEqual(['productContext.md']);
+
+    const result = await memoryBank.restoreSnapshot(snapshot!.id.substring(0, 8));
+    expect(result).toEqual({ success: true, message: expect.stringContaining('Restored productContext.md from snapshot') });
+    expect(await fs.readFile(filePath, 'utf8')).toBe(original);
+
+    const history = await memoryBank.listSnapshots();
+    expect(history.map(entry => entry.message)).toEqual(['Initial', `Before restoring ${snapshot!.id.substring(0, 12)}`, `Restored ${snapshot!.id.substring(0, 12)}`]);
+    expect(history[2].id).toBe(snapshot!.id);
+    expect(await memoryBank.restoreSnapshot(snapshot!.id)).toEqual({ success: true, message: expect.stringContaining('already match') });
+    expect(await memoryBank.restoreSnapshot('2000-01-01')).toEqual({ success: false, message: 'No snapshot matches 2000-01-01' });
+  });
+});
@@ -0,0 +1,299 @@
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import { hashContent, writeFileAtomic } from './file-lock';
+import { MarkdownDocument } from './markdown-document';
+import { formatDiff } from './memory-bank-doctor';
+
+/**
+ * A recorded state of the master files
+ */
+export interface SnapshotInfo {
+  /** Hash of the snapshot's file list; the same content always gets the same ID */
+  id: string;
+  /** When the snapshot was recorded (YYYY-MM-DD HH:MM:SS, UTC) */
+  timestamp: string;
+  /** What led to the snapshot (e.g. "Updated activeContext.md, progress.md") */
+  message: string;
+  /** Content hash of each file, keyed by its path relative to the memory bank */
+  files: Record<string, string>;
+}
+
+/**
+ * A section that differs between two snapshots
+ */
+export interface SectionChange {
+  /** Section ID, or "#title"/"#footer" for the parts outside the sections */
+  id: string;
+  /** Section heading (from the newer side if it still exists) */
+  heading: string;
+  change: 'added' | 'removed' | 'changed';
+  /** Content before the change (empty if added) */
+  before: string;
+  /** Content after the change (empty if removed) */
+  after: string;
+}
+
+/**
+ * A file that differs between two snapshots, broken down by section
+ */
+export interface FileSectionDiff {
+  /** Path relative to the memory bank */
+  file: string;
+  change: 'added' | 'removed' | 'changed';
+  sections: SectionChange[];
+}
+
+/** Directory of the snapshot store inside the memory bank */
+export const SNAPSHOTS_DIR_NAME = '.snapshots';
+
+/** Length of the abbreviated snapshot IDs shown to users */
+export const SHORT_ID_LENGTH = 12;
+
+/** Shortest ID prefix accepted as a snapshot reference */
+const MIN_PREFIX_LENGTH = 4;
+
+const HISTORY_FILE_NAME = 'history.jsonl';
+const OBJECTS_DIR_NAME = 'objects';
+const DATE_REFERENCE_REGEX = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2})(:\d{2})?)?$/;
+const ID_REFERENCE_REGEX = /^[0-9a-f]+$/i;
+
+/**
+ * Memory Bank Snapshots
+ *
+ * Keeps the history of the master files in a content-addressed store. Every file
+ * content is stored once, gzipped, under its hash in `objects/`, so a snapshot only
+ * adds the files that actually changed. `history.jsonl` lists the snapshots in the
+ * order they were recorded, each with the hashes of its files. A snapshot's ID is the
+ * hash of that file list, so returning to an earlier state (e.g. by restoring it)
+ * records the earlier ID again.
+ */
+export class MemoryBankSnapshots {
+  private snapshotsDir: string;
+
+  /**
+   * Create a new snapshot store
+   * @param snapshotsDir Directory of the store
+   */
+  constructor(snapshotsDir: string) {
+    this.snapshotsDir = snapshotsDir;
+  }
+
+  /**
+   * Record a snapshot of files
+   * Nothing is recorded if the files are the same as in the latest snapshot.
+   * @param files File contents, keyed by path relative to the memory bank
+   * @param message What led to the snapshot
+   * @param timestamp When the snapshot is recorded
+   * @returns The recorded snapshot, or the latest one if nothing changed
+   */
+  public async record(files: Record<string, string>, message: string, timestamp: string): Promise<{ snapshot: SnapshotInfo; created: boolean }> {
+    const hashes: Record<string, string> = {};
+    for (const file of Object.keys(files).sort()) {
+      hashes[file] = await this.writeObject(files[file]);
+    }
+
+    const id = hashContent(JSON.stringify(hashes));
+    const latest = (await this.list()).pop();
+    if (latest && latest.id === id) {
+      return { snapshot: latest, created: false };
+    }
+
+    const snapshot: SnapshotInfo = { id, timestamp, message, files: hashes };
+    await fs.ensureDir(this.snapshotsDir);
+    await fs.appendFile(path.join(this.snapshotsDir, HISTORY_FILE_NAME), `${JSON.stringify(snapshot)}\n`, 'utf8');
+    return { snapshot, created: true };
+  }
+
+  /**
+   * List the recorded snapshots
+   * @returns Snapshots, oldest first
+   */
+  public async list(): Promise<SnapshotInfo[]> {
+    const historyPath = path.join(this.snapshotsDir, HISTORY_FILE_NAME);
+    if (!await fs.pathExists(historyPath)) {
+      return [];
+    }
+
+    const snapshots: SnapshotInfo[] = [];
+    for (const line of (await fs.readFile(historyPath, 'utf8')).split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(line);
+        if (typeof entry.id === 'string' && typeof entry.timestamp === 'string' && entry.files && typeof entry.files === 'object') {
+          snapshots.push({ id: entry.id, timestamp: entry.timestamp, message: String(entry.message || ''), files: entry.files });
+        }
+      } catch {
+        // A line cut short by a crash; the other snapshots are still usable
+      }
+    }
+    return snapshots;
+  }
+
+  /**
+   * Find a snapshot by ID or date
+   * @param reference Snapshot ID or a unique prefix of at least four characters, or a date
+   *                  (YYYY-MM-DD, optionally with HH:MM[:SS]) for the latest snapshot at
+   *                  or before it; a date without a time means the end of that day
+   * @returns The snapshot, or null if none matches
+   * @throws Error if an ID prefix matches several snapshots
+   */
+  public async resolve(reference: string): Promise<SnapshotInfo | null> {
+    const snapshots = await this.list();
+    const value = reference.trim();
+
+    const date = value.match(DATE_REFERENCE_REGEX);
+    if (date) {
+      const limit = `${date[1]} ${date[2] || '23:59'}${date[3] || ':59'}`;
+      return snapshots.filter(snapshot => snapshot.timestamp <= limit).pop() || null;
+    }
+
+    if (value.length < MIN_PREFIX_LENGTH || !ID_REFERENCE_REGEX.test(value)) {
+      return null;
+    }
+    const prefix = value.toLowerCase();
+    const ids = new Set(snapshots.filter(snapshot => snapshot.id.startsWith(prefix)).map(snapshot => snapshot.id));
+    if (ids.size > 1) {
+      throw new Error(`Snapshot ID ${reference} is ambiguous; use more characters`);
+    }
+    return snapshots.filter(snapshot => ids.has(snapshot.id)).pop() || null;
+  }
+
+  /**
+   * Read the files of a snapshot
+   * @param snapshot Snapshot to read
+   * @returns File contents, keyed by path relative to the memory bank
+   * @throws Error if a file's content is missing from the store
+   */
+  public async readFiles(snapshot: SnapshotInfo): Promise<Record<string, string>> {
+    const files: Record<string, string> = {};
+    for (const [file, hash] of Object.entries(snapshot.files)) {
+      const objectPath = this.getObjectPath(hash);
+      if (!await fs.pathExists(objectPath)) {
+        throw new Error(`Content of ${file} (${hash.substring(0, SHORT_ID_LENGTH)}) is missing from the snapshot store`);
+      }
+      files[file] = zlib.gunzipSync(await fs.readFile(objectPath)).toString('utf8');
+    }
+    return files;
+  }
+
+  /**
+   * Store a file content under its hash, unless it's already stored
+   * @param content File content
+   * @returns Content hash
+   */
+  private async writeObject(content: string): Promise<string> {
+    const hash = hashContent(content);
+    const objectPath = this.getObjectPath(hash);
+    if (!await fs.pathExists(objectPath)) {
+      await fs.ensureDir(path.dirname(objectPath));
+      await writeFileAtomic(objectPath, zlib.gzipSync(content));
+    }
+    return hash;
+  }
+
+  /**
+   * Get the path of a stored content, bucketed by the first two characters of its hash
+   * @param hash Content hash
+   * @returns Absolute path
+   */
+  private getObjectPath(hash: string): string {
+    return path.join(this.snapshotsDir, OBJECTS_DIR_NAME, hash.substring(0, 2), hash.substring(2));
+  }
+}
+
+/**
+ * Compare two sets of files section by section
+ * @param before Older file contents, keyed by path
+ * @param after Newer file contents, keyed by path
+ * @returns Files that differ, in the order of the newer files followed by removed files
+ */
+export function diffSnapshotFiles(before: Record<string, string>, after: Record<string, string>): FileSectionDiff[] {
+  const diffs: FileSectionDiff[] = [];
+  const files = [...Object.keys(after), ...Object.keys(before).filter(file => !(file in after))];
+
+  for (const file of files) {
+    if (before[file] === after[file]) {
+      continue;
+    }
+    const oldParts = documentParts(before[file]);
+    const newParts = documentParts(after[file]);
+    const sections: SectionChange[] = [];
+
+    for (const [id, part] of newParts) {
+      const old = oldParts.get(id);
+      if (!old) {
+        sections.push({ id, heading: part.heading, change: 'added', before: '', after: part.content });
+      } else if (old.content !== part.content || old.heading !== part.heading) {
+        sections.push({ id, heading: part.heading, change: 'changed', before: old.content, after: part.content });
+      }
+    }
+    for (const [id, part] of oldParts) {
+      if (!newParts.has(id)) {
+        sections.push({ id, heading: part.heading, change: 'removed', before: part.content, after: '' });
+      }
+    }
+
+    diffs.push({
+      file,
+      change: before[file] === undefined ? 'added' : after[file] === undefined ? 'removed' : 'changed',
+      sections
+    });
+  }
+  return diffs;
+}
+
+/**
+ * Format a section-level diff for display
+ * @param diffs Files that differ
+ * @returns One block per file, listing its changed sections with their line changes
+ */
+export function formatSnapshotDiff(diffs: FileSectionDiff[]): string {
+  const marks = { added: '+', removed: '-', changed: '~' };
+  const blocks: string[] = [];
+
+  for (const diff of diffs) {
+    const lines = [diff.change === 'changed' ? diff.file : `${diff.file} (${diff.change})`];
+    for (const section of diff.sections) {
+      lines.push(`  ${marks[section.change]} ${section.heading}`);
+      const changes = section.change === 'changed'
+        // Drop the ---/+++ header; the section heading stands in for it
+        ? formatDiff(section.id, section.before, section.after).split('\n').slice(2)
+        : (section.after || section.before).split('\n').map(line => `${marks[section.change]}${line}`);
+      lines.push(...changes.map(line => `      ${line}`));
+    }
+    blocks.push(lines.join('\n'));
+  }
+  return blocks.join('\n\n');
+}
+
+/**
+ * Split a file into its title, sections and footer for comparison
+ * Content of duplicate sections is joined, so each ID appears once.
+ * @param content File content, or undefined if the file doesn't exist
+ * @returns Parts keyed by section ID
+ */
+function documentParts(content: string | undefined): Map<string, { heading: string; content: string }> {
+  const parts = new Map<string, { heading: string; content: string }>();
+  if (content === undefined) {
+    return parts;
+  }
+
+  const document = MarkdownDocument.parse(content);
+  if (document.title) {
+    parts.set('#title', { heading: 'Title', content: document.title });
+  }
+  for (const section of document.getSections()) {
+    const existing = parts.get(section.id);
+    parts.set(section.id, {
+      heading: section.heading,
+      content: existing ? `${existing.content}\n\n${section.content}` : section.content
+    });
+  }
+  if (document.footer) {
+    parts.set('#footer', { heading: 'Footer', content: document.footer });
+  }
+  return parts;
+}
@@ -0,0 +1,206 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { MemoryBank } from './memory-bank';
+import { RooIntegration, RooIntegrationConfig } from './roo-integration';
+
+/**
+ * Configuration options for the memory bank watcher
+ */
+export interface MemoryBankWatcherConfig extends RooIntegrationConfig {
+  /** Milliseconds to wait after the last change before syncing (defaults to 500) */
+  debounceMs?: number;
+  /** Called after every sync with the files that changed and whether the sync succeeded */
+  onSync?: (changedFiles: string[], success: boolean) => void;
+}
+
+/**
+ * Memory Bank Watcher
+ *
+ * Watches the memory bank's master files and rule templates and regenerates the
+ * Roo-Code rules when they change. Bursts of changes are debounced into a single
+ * sync. While changes keep coming in, the end time of the current session is kept
+ * up to date so the session reflects how long the developer has been working.
+ */
+export class MemoryBankWatcher {
+  private integration: RooIntegration;
+  private memoryBank: MemoryBank;
+  private memoryBankDir: string;
+  private templatesDir: string;
+  private debounceMs: number;
+  private onSync?: (changedFiles: string[], success: boolean) => void;
+  private watchers: fs.FSWatcher[] = [];
+  private timer: NodeJS.Timeout | null = null;
+  private changedFiles = new Set<string>();
+  private syncing: Promise<void> | null = null;
+
+  /**
+   * Create a new memory bank watcher
+   * @param config Configuration options; Roo integration options are passed on to RooIntegration
+   */
+  constructor(config: MemoryBankWatcherConfig = {}) {
+    const { debounceMs, onSync, ...integrationConfig } = config;
+    this.debounceMs = debounceMs !== undefined ? debounceMs : 500;
+    this.onSync = onSync;
+    // The watcher syncs explicitly, so initialize() shouldn't generate the rules as well
+    this.integration = new RooIntegration({ ...integrationConfig, autoGenerateRules: false });
+    this.memoryBank = this.integration.getMemoryBank();
+    this.memoryBankDir = this.integration.getConfig().memoryBankDir;
+    this.templatesDir = this.integration.getConfig().templatesDir;
+  }
+
+  /**
+   * Start watching
+   * The rules are synced once on start, so they are current before the first change.
+   * @returns True if the watcher was started
+   */
+  public async start(): Promise<boolean> {
+    try {
+      if (this.watchers.length > 0) {
+        return true;
+      }
+
+      if (!await this.integration.initialize()) {
+        return false;
+      }
+      await this.integration.syncMemoryBankToRoo();
+
+      // Daily, session and archive files don't feed the rules, so subdirectories
+      // other than the templates directory aren't watched. This also keeps the
+      // session end time updates below from triggering another sync.
+      this.watchers.push(fs.watch(this.memoryBankDir, (_event, fileName) => {
+        if (fileName && this.isMasterFile(fileName.toString())) {
+          this.scheduleSync(fileName.toString());
+        }
+      }));
+
+      // On a branch with branch-aware memory, the branch's files feed the rules too. The
+      // branch checked out when the watcher starts is watched
+      const branch = this.memoryBank.getBranch();
+      if (branch) {
+        const branchDir = path.dirname(this.memoryBank.getFilePath('activeContext'));
+        await fs.ensureDir(branchDir);
+        this.watchers.push(fs.watch(branchDir, (_event, fileName) => {
+          if (fileName && this.isMasterFile(fileName.toString())) {
+            this.scheduleSync(path.join(path.relative(this.memoryBankDir, branchDir), fileName.toString()));
+          }
+        }));
+      }
+
+      if (await fs.pathExists(this.templatesDir)) {
+        this.watchers.push(fs.watch(this.templatesDir, (_event, fileName) => {
+          if (fileName && fileName.toString().endsWith('.md')) {
+            this.scheduleSync(path.join(path.relative(this.memoryBankDir, this.templatesDir), fileName.toString()));
+          }
+        }));
+      }
+
+      for (const watcher of this.watchers) {
+        watcher.on('error', error => console.error('Error watching memory bank:', error));
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error starting memory bank watcher:', error);
+      await this.stop();
+      return false;
+    }
+  }
+
+  /**
+   * Stop watching
+   * A sync that is already running is allowed to finish; pending changes are dropped.
+   */
+  public async stop(): Promise<void> {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.changedFiles.clear();
+
+    if (this.syncing) {
+      await this.syncing;
+    }
+  }
+
+  /**
+   * Check whether the watcher is running
+   * @returns True if the watcher is watching the memory bank
+   */
+  public isWatching(): boolean {
+    return this.watchers.length > 0;
+  }
+
+  /**
+   * Check whether a file in the memory bank directory feeds the rules
+   * @param fileName File name relative to the memory bank directory
+   * @returns True for markdown files that aren't hidden or editor temp files
+   */
+  private isMasterFile(fileName: string): boolean {
+    return fileName.endsWith('.md') && !fileName.startsWith('.') && !fileName.endsWith('~');
+  }
+
+  /**
+   * Record a change and (re)start the debounce timer
+   * @param fileName Changed file, relative to the memory bank directory
+   */
+  private scheduleSync(fileName: string): void {
+    this.changedFiles.add(fileName);
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.runSync();
+    }, this.debounceMs);
+  }
+
+  /**
+   * Sync the rules unless a sync is already running
+   * A running sync picks up changes recorded while it runs once their debounce has passed.
+   */
+  private runSync(): void {
+    if (this.syncing) {
+      return;
+    }
+    this.syncing = this.syncPendingChanges().finally(() => {
+      this.syncing = null;
+    });
+  }
+
+  /**
+   * Sync the rules until no debounced changes are left
+   */
+  private async syncPendingChanges(): Promise<void> {
+    while (this.changedFiles.size > 0 && !this.timer) {
+      const changedFiles = Array.from(this.changedFiles).sort();
+      this.changedFiles.clear();
+
+      const success = await this.integration.syncMemoryBankToRoo();
+      await this.touchSession();
+      if (this.onSync) {
+        this.onSync(changedFiles, success);
+      }
+    }
+  }
+
+  /**
+   * Record activity in the current session, if one is active
+   * Sessions idle for longer than the session timeout are closed rather than revived,
+   * and a paused session stays paused.
+   */
+  private async touchSession(): Promise<void> {
+    try {
+      const session = await this.memoryBank.getCurrentSession();
+      if (session && session.status === 'active') {
+        await this.memoryBank.recordSessionActivity(session.filePath);
+      }
+    } catch (error) {
+      console.error('Error recording session activity:', error);
+    }
+  }
+}
@@ -1,6 +1,17 @@
 import fs from 'fs-extra';
 import path from 'path';
-import { EnhancedMemoryBank, Statistics } from './enhanced-memory-bank';
+import { EnhancedMemoryBank, SessionInfo, Statistics } from './enhanced-memory-bank';
+import { lazyInstance, loadConfig, MasterFileDefinition, ProjectConfig, titleFromName } from './config-loader';
+import { MemoryBankSearch, SearchOptions, SearchResult } from './memory-bank-search';
+import { ReportOptions, StatisticsReport } from './statistics-ledger';
+import { MarkdownDocument } from './markdown-document';
+import { BRANCH_FILES, MemoryBankBranches } from './memory-bank-branches';
+import { MemoryBankDoctor, ValidationReport } from './memory-bank-doctor';
+import { adrFileName, AdrRecord, DecisionLog, DecisionRecord, DecisionStatus, DecisionUpdate, formatAdr, parseAdr } from './decision-log';
+import { writeFileAtomic } from './file-lock';
+import { ImportedTask, isDateString, MilestoneProgress, parseIssues, TaskList, TaskRecord, TaskState, TaskUpdate } from './task-list';
+import { ContextInference } from './context-inference';
+import { diffSnapshotFiles, FileSectionDiff, MemoryBankSnapshots, SHORT_ID_LENGTH, SnapshotInfo, SNAPSHOTS_DIR_NAME } from './memory-bank-snapshots';
 
 /**
  * Options for the MemoryBank constructor.
@@ -17,8 +28,105 @@ export interface MemoryBankOptions {
    * e.g., path.join(process.cwd(), projectName)
    */
   projectName?: string;
+  /**
+   * Directory to look for memory-bank.config.json or package.json in.
+   * Defaults to the current working directory.
+   */
+  projectDir?: string;
+  /**
+   * Settings that override the project configuration.
+   */
+  config?: ProjectConfig;
+}
+
+/**
+ * How update() combines new content with the content of a section
+ */
+export type UpdateMode = 'replace' | 'append' | 'prepend';
+
+/**
+ * Options for update()
+ */
+export interface UpdateOptions {
+  /** Replace the section, or add the content after or before it (defaults to replace) */
+  mode?: UpdateMode;
+}
+
+/**
+ * New content for a section, with or without an update mode
+ */
+export type SectionUpdate = string | { content: string; mode?: UpdateMode };
+
+/** Update modes accepted by update() */
+const UPDATE_MODES: UpdateMode[] = ['replace', 'append', 'prepend'];
+
+/** Directory of the architecture decision records, relative to the project */
+const ADR_DIR = path.join('docs', 'adr');
+
+/**
+ * A decision log file read for an update
+ */
+interface DecisionLogFile {
+  filePath: string;
+  document: MarkdownDocument;
+  log: DecisionLog;
+}
+
+/**
+ * A progress file read for an update
+ */
+interface TaskListFile {
+  filePath: string;
+  document: MarkdownDocument;
+  list: TaskList;
+}
+
+/**
+ * A milestone given to updateProgress or addMilestone
+ */
+export interface MilestoneInput {
+  title: string;
+  description?: string;
+  /** Date the milestone should be reached by (YYYY-MM-DD); without one, the milestone is recorded as reached today */
+  target?: string;
+}
+
+/**
+ * A task given to updateProgress, found by its ID or title, or added if there is none
+ */
+export interface TaskInput {
+  /** ID of an existing task (e.g. T-004) */
+  id?: string;
+  /** Title of a new task, or the new title of the task with the ID */
+  title?: string;
+  /** State to move the task to (defaults to upcoming for new tasks) */
+  state?: TaskState;
+  /** ID or title of the milestone the task counts towards */
+  milestone?: string;
 }
 
+/**
+ * Tasks changed by syncTasks, by ID
+ */
+export interface TaskSyncResult {
+  added: string[];
+  started: string[];
+  completed: string[];
+  reopened: string[];
+}
+
+/** Most tasks added from TODO or FIXME comments in one sync, so a large backlog doesn't flood the progress file */
+const MAX_COMMENT_TASKS = 20;
+
+/** Master files every memory bank has, with the sections they are created with */
+const BUILT_IN_MASTER_FILES: MasterFileDefinition[] = [
+  { name: 'productContext', title: 'Product Context', sections: ['Project Overview', 'Goals and Objectives', 'Core Features', 'Architecture Overview'] },
+  { name: 'activeContext', title: 'Active Context', sections: ['Current Focus', 'Recent Changes', 'Open Questions/Issues', 'Statistics'] },
+  { name: 'systemPatterns', title: 'System Patterns', sections: ['Architectural Patterns', 'Design Patterns', 'Technical Decisions'] },
+  { name: 'decisionLog', title: 'Decision Log', sections: ['Decisions'] },
+  { name: 'progress', title: 'Progress', sections: ['Current Tasks', 'Completed Tasks', 'Upcoming Tasks', 'Milestones'] }
+];
+
 /**
  * Memory Bank Manager
  *
@@ -28,23 +136,39 @@ export interface MemoryBankOptions {
 export class MemoryBank {
   private _enhancedMemoryBank: EnhancedMemoryBank;
   private baseDir: string;
+  private projectDir: string;
   private productContextPath: string;
   private activeContextPath: string;
   private systemPatternsPath: string;
   private decisionLogPath: string;
   private progressPath: string;
   private lastUpdatePath: string;
+  private masterFiles: MasterFileDefinition[];
+  private issuesFile: string | null;
+  private branches: MemoryBankBranches | null;
+  private snapshots: MemoryBankSnapshots;
 
   /**
    * Create a new Memory Bank instance.
+   * Settings are read from the project configuration (memory-bank.config.json or the
+   * "memoryBank" key in package.json, with MEMORY_BANK_* environment overrides), and
+   * `options.config` overrides them.
    * @param options Optional configuration for base directory or project name, or a string for baseDir for backward compatibility.
    *                - If options is a string, it's treated as `baseDir`.
    *                - If options is an object:
    *                  - `options.baseDir`: Specifies the exact base directory.
    *                  - `options.projectName`: Creates a directory named `projectName` in `process.cwd()`.
-   *                - If no options are provided, defaults to `path.join(process.cwd(), 'memory-bank')`.
+   *                - Otherwise the configured memoryBankDir is used, which defaults to `path.join(process.cwd(), 'memory-bank')`.
+   * @throws ConfigError if the project configuration is invalid
    */
   constructor(options?: MemoryBankOptions | string) {
+    const projectDir = typeof options === 'object' && options.projectDir ? path.resolve(options.projectDir) : process.cwd();
+    this.projectDir = projectDir;
+    const settings: ProjectConfig = {
+      ...loadConfig(projectDir).config,
+      ...(typeof options === 'object' ? options.config : undefined)
+    };
+
     if (typeof options === 'string') {
       // Backward compatibility: if a string is passed, treat it as baseDir
       this.baseDir = options;
@@ -52,14 +176,31 @@ export class MemoryBank {
       this.baseDir = options.baseDir;
     } else if (options?.projectName) {
       this.baseDir = path.join(process.cwd(), options.projectName);
+    } else if (settings.memoryBankDir) {
+      this.baseDir = path.resolve(projectDir, settings.memoryBankDir);
     } else {
-      this.baseDir = path.join(process.cwd(), 'memory-bank');
+      this.baseDir = path.join(projectDir, 'memory-bank');
     }
 
     // Initialize the enhanced memory bank
     this._enhancedMemoryBank = new EnhancedMemoryBank({
-      baseDir: this.baseDir
+      baseDir: this.baseDir,
+      dailyDirName: settings.dailyDirName,
+      sessionsDirName: settings.sessionsDirName,
+      archiveDirName: settings.archiveDirName,
+      rollupsDirName: settings.rollupsDirName,
+      sessionTimeoutHours: settings.sessionTimeoutHours,
+      archiveThresholdDays: settings.archiveThresholdDays,
+      compressAfterDays: settings.compressAfterDays,
+      developerHourlyRate: settings.developerHourlyRate,
+      maxRecentChanges: settings.maxRecentChanges,
+      lockTimeoutMs: settings.lockTimeoutMs,
+      staleLockMs: settings.staleLockMs
     });
+    this.masterFiles = settings.masterFiles || [];
+    this.issuesFile = settings.issuesFile ? path.resolve(projectDir, settings.issuesFile) : null;
+    this.branches = settings.branchAware ? new MemoryBankBranches(this.baseDir, settings.mainBranch) : null;
+    this.snapshots = new MemoryBankSnapshots(path.join(this.baseDir, SNAPSHOTS_DIR_NAME));
 
     // Define file paths
     this.productContextPath = path.join(this.baseDir, 'productContext.md');
@@ -70,6 +211,14 @@ export class MemoryBank {
     this.lastUpdatePath = path.join(this.baseDir, '.last_update');
   }
 
+  /**
+   * Get the memory bank directory
+   * @returns Absolute path of the memory bank
+   */
+  public getBaseDir(): string {
+    return path.resolve(this.baseDir);
+  }
+
   // Public methods to expose EnhancedMemoryBank functionality
   public getTimestamp(): string {
     return this._enhancedMemoryBank.getTimestamp();
@@ -91,18 +240,65 @@ export class MemoryBank {
     return this._enhancedMemoryBank.shouldStartNewSession();
   }
 
-  public async createSessionFile(): Promise<string> {
-    return this._enhancedMemoryBank.createSessionFile();
+  public async createSessionFile(focus?: string): Promise<string> {
+    return this._enhancedMemoryBank.createSessionFile(focus);
   }
 
   public async getCurrentSessionFile(): Promise<string | null> {
     return this._enhancedMemoryBank.getCurrentSessionFile();
   }
 
+  /** @deprecated Sessions are ended with endSession(); this records activity instead */
   public async updateSessionEndTime(filePath: string): Promise<boolean> {
     return this._enhancedMemoryBank.updateSessionEndTime(filePath);
   }
 
+  public async recordSessionActivity(filePath: string): Promise<boolean> {
+    return this._enhancedMemoryBank.recordSessionActivity(filePath);
+  }
+
+  public async addSessionNote(filePath: string, note: string): Promise<boolean> {
+    return this._enhancedMemoryBank.addSessionNote(filePath, note);
+  }
+
+  public async getCurrentSession(): Promise<SessionInfo | null> {
+    return this._enhancedMemoryBank.getCurrentSession();
+  }
+
+  public async listSessions(options: { includeArchive?: boolean } = {}): Promise<SessionInfo[]> {
+    return this._enhancedMemoryBank.listSessions(options.includeArchive);
+  }
+
+  /**
+   * Start a new session, ending the one that is open
+   * @param options Focus of the session (defaults to the current focus of the active context)
+   * @returns The new session, or null if it couldn't be started
+   */
+  public async startSession(options: { focus?: string } = {}): Promise<SessionInfo | null> {
+    return this._enhancedMemoryBank.startSession(options.focus ?? await this.getCurrentFocus());
+  }
+
+  /**
+   * Continue the open session, or start one if there is none
+   * @param options Focus to use if a session is started (defaults to the current focus of the active context)
+   * @returns The session and whether it was started, or null if there is no session
+   */
+  public async continueSession(options: { focus?: string } = {}): Promise<{ session: SessionInfo; started: boolean } | null> {
+    return this._enhancedMemoryBank.continueSession(options.focus ?? await this.getCurrentFocus());
+  }
+
+  public async endSession(options: { summary?: string } = {}): Promise<SessionInfo | null> {
+    return this._enhancedMemoryBank.endSession(options.summary);
+  }
+
+  public async pauseSession(): Promise<SessionInfo | null> {
+    return this._enhancedMemoryBank.pauseSession();
+  }
+
+  public async resumeSession(): Promise<SessionInfo | null> {
+    return this._enhancedMemoryBank.resumeSession();
+  }
+
   public async archiveOldFiles(): Promise<boolean> {
     return this._enhancedMemoryBank.archiveOldFiles();
   }
@@ -115,6 +311,14 @@ export class MemoryBank {
     return this._enhancedMemoryBank.trackStatistics();
   }
 
+  public async updateStatistics(sessionFile?: string | null): Promise<boolean> {
+    return this._enhancedMemoryBank.updateStatistics(sessionFile);
+  }
+
+  public async getStatisticsReport(options: ReportOptions = {}): Promise<StatisticsReport> {
+    return this._enhancedMemoryBank.getStatisticsReport(options);
+  }
+
   public async updateDailyActiveContext(update: any): Promise<boolean> {
     return this._enhancedMemoryBank.updateDailyActiveContext(update);
   }
@@ -123,8 +327,533 @@ export class MemoryBank {
     return this._enhancedMemoryBank.aggregateDailyFiles();
   }
 
-  public async reconstructMemoryBank(): Promise<boolean> {
-    return this._enhancedMemoryBank.reconstructMemoryBank();
+  /**
+   * Reconstruct the memory bank from git history and archives
+   * Master files that can't be restored from the archive are recreated from their
+   * templates, and the active context is rebuilt from the reconstructed daily files.
+   * @param days Number of days of history to reconstruct
+   * @returns True if reconstruction was successful
+   */
+  public async reconstructMemoryBank(days: number = 30): Promise<boolean> {
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        const success = await this._enhancedMemoryBank.reconstructMemoryBank(days);
+        if (!success) {
+          return false;
+        }
+
+        await this.createMasterFiles();
+        await this._enhancedMemoryBank.aggregateDailyFiles();
+        await this._enhancedMemoryBank.archiveOldFiles();
+        return true;
+      });
+    } catch (error) {
+      console.error('Error reconstructing memory bank:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check the master, daily and session files against the layout the memory bank writes
+   * Finds duplicate and missing sections, malformed timestamps, sessions left open and
+   * an active context that is out of date with the daily files.
+   * @param options Whether to repair what can be repaired
+   * @returns Problems found, the changes made as unified diffs and the problems left,
+   *          or null if the memory bank couldn't be checked
+   */
+  public async validate(options: { fix?: boolean } = {}): Promise<ValidationReport | null> {
+    try {
+      return await this._enhancedMemoryBank.withLock(async () =>
+        new MemoryBankDoctor(this, this._enhancedMemoryBank).validate(options.fix === true)
+      );
+    } catch (error) {
+      console.error('Error validating memory bank:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the content of a section in a memory bank file, as seen from the current branch
+   * @param fileName File name relative to the memory bank, with or without .md (e.g. "activeContext")
+   * @param section Section ID or heading (e.g. "open-questions-issues" or "Open Questions/Issues")
+   * @returns Section content, or an empty string if the file or section doesn't exist
+   */
+  public async getSection(fileName: string, section: string): Promise<string> {
+    const document = await this.getDocument(fileName);
+    return document.getSection(section);
+  }
+
+  /**
+   * Replace the content of a section in a memory bank file
+   * The section is appended if it doesn't exist; other content in the file is preserved.
+   * @param fileName File name relative to the memory bank, with or without .md
+   * @param section Section ID or heading
+   * @param content New content for the section
+   * @returns True if update was successful
+   */
+  public async setSection(fileName: string, section: string, content: string): Promise<boolean> {
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        const filePath = await this.getWritablePath(fileName);
+        const document = await this._enhancedMemoryBank.readDocument(filePath);
+        document.setSection(section, content);
+        return await this._enhancedMemoryBank.writeDocument(filePath, document);
+      });
+    } catch (error) {
+      console.error(`Error updating section ${section} in ${fileName}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the master files of this memory bank
+   * @returns Built-in master files followed by the project-defined ones; sections the
+   *          project declares for a built-in file are added to its sections
+   */
+  public getMasterFiles(): MasterFileDefinition[] {
+    const masterFiles = BUILT_IN_MASTER_FILES.map(masterFile => ({ ...masterFile, sections: [...masterFile.sections] }));
+    for (const masterFile of this.masterFiles) {
+      const builtIn = masterFiles.find(file => file.name === masterFile.name);
+      if (!builtIn) {
+        masterFiles.push({ ...masterFile, sections: [...masterFile.sections] });
+        continue;
+      }
+      const ids = builtIn.sections.map(section => MarkdownDocument.sectionId(section));
+      builtIn.sections.push(...masterFile.sections.filter(section => !ids.includes(MarkdownDocument.sectionId(section))));
+    }
+    return masterFiles;
+  }
+
+  /**
+   * Update a section of any master file, including project-defined ones
+   * The section must be declared for the file or already exist in it. Sections of
+   * activeContext.md that are rebuilt from the daily files (Current Focus, Recent Changes
+   * and Open Questions/Issues) should be updated with updateActiveContext instead.
+   * @param fileName Master file name, with or without .md (e.g. "securityNotes")
+   * @param section Section ID, heading or camelCase name (e.g. "threat-model", "Threat Model" or "threatModel")
+   * @param content New content
+   * @param options Whether to replace the section or append or prepend to it
+   * @returns True if update was successful
+   */
+  public async update(fileName: string, section: string, content: string, options: UpdateOptions = {}): Promise<boolean> {
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        return this.updateSections(fileName, { [section]: { content, mode: options.mode } });
+      });
+    } catch (error) {
+      console.error(`Error updating section ${section} in ${fileName}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Apply section updates to a master file
+   * Every section is resolved before anything is changed, so an unknown section leaves
+   * the file untouched. The caller must hold the memory bank lock.
+   * @param fileName Master file name, with or without .md
+   * @param updates New content keyed by section
+   * @returns True if update was successful
+   */
+  private async updateSections(fileName: string, updates: { [section: string]: SectionUpdate }): Promise<boolean> {
+    const name = fileName.replace(/\.md$/, '');
+    if (!await fs.pathExists(this.resolveFile(name, null))) {
+      await this.createMasterFiles();
+    }
+    const filePath = await this.getWritablePath(name);
+
+    const document = await this._enhancedMemoryBank.readDocument(filePath);
+    const changes = this.resolveSectionUpdates(name, document, updates);
+    if (!changes) {
+      return false;
+    }
+
+    for (const { heading, content, mode } of changes) {
+      // Placeholder bullets of an empty section aren't kept around new content
+      const existing = document.getSection(heading).replace(/^-\s*$/gm, '').trim();
+      const combined = mode === 'replace' || !existing ? content
+        : mode === 'append' ? `${existing}\n${content}`
+        : `${content}\n${existing}`;
+      document.setSection(heading, combined, heading);
+    }
+
+    return this._enhancedMemoryBank.writeDocument(filePath, document);
+  }
+
+  /**
+   * Check section updates without applying them
+   * @param fileName Master file name, with or without .md
+   * @param updates New content keyed by section
+   * @returns True if the file and every section and mode are valid
+   */
+  private async checkSectionUpdates(fileName: string, updates: { [section: string]: SectionUpdate }): Promise<boolean> {
+    const name = fileName.replace(/\.md$/, '');
+    const document = await this._enhancedMemoryBank.readDocument(this.resolveFile(name));
+    return this.resolveSectionUpdates(name, document, updates) !== null;
+  }
+
+  /**
+   * Resolve section updates against the declared and existing sections of a master file
+   * @param name Master file name without .md
+   * @param document Current content of the file
+   * @param updates New content keyed by section
+   * @returns Updates keyed by section heading, or null (with the problem logged) if the
+   *          file, a section or a mode is unknown
+   */
+  private resolveSectionUpdates(
+    name: string,
+    document: MarkdownDocument,
+    updates: { [section: string]: SectionUpdate }
+  ): { heading: string; content: string; mode: UpdateMode }[] | null {
+    const masterFiles = this.getMasterFiles();
+    const masterFile = masterFiles.find(file => file.name === name);
+    if (!masterFile) {
+      console.error(`Unknown master file "${name}". Master files: ${masterFiles.map(file => file.name).join(', ')}`);
+      return null;
+    }
+
+    const headings = Array.from(new Set([...masterFile.sections, ...document.getSections().map(existing => existing.heading)]));
+    const changes: { heading: string; content: string; mode: UpdateMode }[] = [];
+    for (const [key, update] of Object.entries(updates)) {
+      const { content, mode = 'replace' } = typeof update === 'string' ? { content: update } : update;
+      if (!UPDATE_MODES.includes(mode)) {
+        console.error(`Invalid update mode "${mode}". Expected one of: ${UPDATE_MODES.join(', ')}`);
+        return null;
+      }
+
+      const heading = this.resolveSection(headings, key);
+      if (!heading) {
+        console.error(`Unknown section "${key}" in ${name}.md. Sections: ${headings.join(', ')}`);
+        return null;
+      }
+      changes.push({ heading, content, mode });
+    }
+    return changes;
+  }
+
+  /**
+   * Find the heading of a section
+   * @param headings Headings of the declared and existing sections
+   * @param key Section ID, heading or camelCase name; a unique prefix is enough
+   * @returns The matching heading, or null if there is none or the key is ambiguous
+   */
+  private resolveSection(headings: string[], key: string): string | null {
+    const compact = (text: string) => MarkdownDocument.sectionId(text).replace(/-/g, '');
+    const id = MarkdownDocument.sectionId(key);
+    const exact = headings.find(heading => MarkdownDocument.sectionId(heading) === id || compact(heading) === compact(key));
+    if (exact) {
+      return exact;
+    }
+
+    const prefixed = Array.from(new Set(headings.filter(heading => compact(key) && compact(heading).startsWith(compact(key)))));
+    return prefixed.length === 1 ? prefixed[0] : null;
+  }
+
+  /**
+   * Search the memory bank, including daily, session and archived files
+   * @param query Words to look for; "quoted phrases" must match exactly and #tags filter by tag
+   * @param options Date range, files, tags and result limit
+   * @returns Matching entries with their file, section and date, best first
+   */
+  public async search(query: string, options: SearchOptions = {}): Promise<SearchResult[]> {
+    try {
+      return await new MemoryBankSearch(this.baseDir).search(query, options);
+    } catch (error) {
+      console.error('Error searching memory bank:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Resolve a memory bank file name to its path
+   * With branch-aware memory, the active context, progress and decision log of a branch
+   * other than the main branch resolve to the branch's own files.
+   * @param fileName File name relative to the memory bank, with or without .md
+   * @param branch Branch whose files to use (defaults to the current branch; null for the master files)
+   * @returns Absolute path to the file
+   */
+  private resolveFile(fileName: string, branch: string | null = this.getBranch()): string {
+    const name = fileName.replace(/\.md$/, '');
+    if (branch && this.branches && BRANCH_FILES.includes(name)) {
+      return path.join(this.branches.getBranchDir(branch), `${name}.md`);
+    }
+    return path.join(this.baseDir, `${name}.md`);
+  }
+
+  /**
+   * Get the path of a memory bank file
+   * @param fileName File name relative to the memory bank, with or without .md
+   * @returns Absolute path, the branch's file for a branch file on a branch
+   */
+  public getFilePath(fileName: string): string {
+    return path.resolve(this.resolveFile(fileName));
+  }
+
+  /**
+   * Check whether branches keep their own active context, progress and decision log
+   * @returns True if branch-aware memory is on
+   */
+  public isBranchAware(): boolean {
+    return this.branches !== null;
+  }
+
+  /**
+   * Get the branch whose files are used
+   * @returns Current branch, or null when branch-aware memory is off, on the main branch
+   *          or when HEAD is detached
+   */
+  public getBranch(): string | null {
+    if (!this.branches) {
+      return null;
+    }
+    const branch = this.branches.getCurrentBranch();
+    return branch && !this.branches.isMainBranch(branch) ? branch : null;
+  }
+
+  /**
+   * List the branches that have their own files
+   * @returns Branch names with whether they have been merged into the current branch
+   */
+  public async listBranches(): Promise<{ name: string; merged: boolean }[]> {
+    if (!this.branches) {
+      return [];
+    }
+    const branches = this.branches;
+    return (await branches.listBranches()).map(name => ({ name, merged: branches.isMerged(name) }));
+  }
+
+  /**
+   * Get a master file as seen from the current branch
+   * On a branch, sections the branch has filled in replace those of the master file, and
+   * the branch's decisions follow the master decisions. The document is a read-only view;
+   * use update() or the other update methods to change it.
+   * @param fileName File name relative to the memory bank, with or without .md
+   * @returns The document (empty if the file doesn't exist)
+   */
+  public async getDocument(fileName: string): Promise<MarkdownDocument> {
+    const name = fileName.replace(/\.md$/, '');
+    const document = await this._enhancedMemoryBank.readDocument(this.resolveFile(name, null));
+    const branchPath = this.resolveFile(name);
+    if (branchPath === this.resolveFile(name, null) || !await fs.pathExists(branchPath)) {
+      return document;
+    }
+
+    const overlay = await this._enhancedMemoryBank.readDocument(branchPath);
+    for (const section of overlay.getSections()) {
+      const content = section.content.replace(/^-\s*$/gm, '').trim();
+      if (!content) {
+        continue;
+      }
+      const existing = name === 'decisionLog' ? document.getSection(section.id).replace(/^-\s*$/gm, '').trim() : '';
+      document.setSection(section.id, existing ? `${existing}\n\n${content}` : content, section.heading);
+    }
+    return document;
+  }
+
+  /**
+   * Get the first item of the active context's current focus, the default focus of a new session
+   * @returns Focus without its list marker, or an empty string if none is set
+   */
+  private async getCurrentFocus(): Promise<string> {
+    const focus = (await this.getDocument('activeContext')).getSection('current-focus')
+      .split('\n')
+      .map(line => line.replace(/^[-*]\s*/, '').trim())
+      .find(line => line !== '');
+    return focus || '';
+  }
+
+  /**
+   * Get the path of a master file to write to, creating the branch's copy if needed
+   * The caller must hold the memory bank lock.
+   * @param fileName Master file name, with or without .md
+   * @returns Absolute path to the file
+   */
+  private async getWritablePath(fileName: string): Promise<string> {
+    const branch = this.getBranch();
+    if (branch) {
+      await this.createBranchFiles(branch);
+    }
+    return this.resolveFile(fileName, branch);
+  }
+
+  /**
+   * Create the files of a branch if they don't exist
+   * They have the sections of the master files, except the statistics, which are only
+   * kept for the whole project.
+   * @param branch Branch name
+   */
+  private async createBranchFiles(branch: string): Promise<void> {
+    for (const masterFile of this.getMasterFiles().filter(file => BRANCH_FILES.includes(file.name))) {
+      const filePath = this.resolveFile(masterFile.name, branch);
+      if (await fs.pathExists(filePath)) {
+        continue;
+      }
+      const sections = masterFile.sections
+        .filter(section => section !== 'Statistics')
+        .map(section => `## ${section}\n- \n`)
+        .join('\n');
+      await this._enhancedMemoryBank.writeFile(filePath, `# ${masterFile.title} (${branch})\n\n${sections}\n`);
+    }
+  }
+
+  /**
+   * Fold a branch into the current branch, or into the master files on the main branch
+   * The branch's decisions are appended to the decision log with the branch they came
+   * from, and renumbered if their ID is taken. Its completed tasks and milestones are
+   * added to progress, and the completed tasks leave the current and upcoming tasks.
+   * The branch's files are then moved to archive/branches.
+   * @param branch Branch to merge
+   * @returns Result object with success status and message
+   */
+  public async mergeBranch(branch: string): Promise<{ success: boolean; message: string }> {
+    const branches = this.branches;
+    if (!branches) {
+      return { success: false, message: 'Branch-aware memory is off. Set "branchAware": true in the memory bank configuration to use it.' };
+    }
+
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        if (!(await branches.listBranches()).includes(branch)) {
+          return { success: false, message: `Branch ${branch} has no memory bank files.` };
+        }
+        const target = this.getBranch();
+        if (target === branch) {
+          return { success: false, message: `Can't merge ${branch} into itself. Check out the branch it was merged into first.` };
+        }
+        if (target) {
+          await this.createBranchFiles(target);
+        }
+
+        const decisionCount = await this.mergeDecisions(branch, target);
+        const taskCount = decisionCount === null ? null : await this.mergeProgress(branch, target);
+        if (decisionCount === null || taskCount === null) {
+          return { success: false, message: `Failed to merge ${branch}. Its files were left in branches/.` };
+        }
+
+        const destDir = await branches.archive(branch, this._enhancedMemoryBank.getArchiveDir(), this._enhancedMemoryBank.getDateString());
+        return {
+          success: true,
+          message: `Merged ${branch} into ${target || 'the master files'}: ${decisionCount} decision(s), ${taskCount} completed task(s). ` +
+            `Branch files archived in ${path.relative(this.baseDir, destDir).split(path.sep).join('/')}`
+        };
+      });
+    } catch (error) {
+      console.error(`Error merging branch ${branch}:`, error);
+      return {
+        success: false,
+        message: `Failed to merge ${branch}: ${error instanceof Error ? error.message : String(error)}`
+      };
+    }
+  }
+
+  /**
+   * Merge the branches a git merge brought into the main branch
+   * Only runs on the main branch, so merging the main branch into a feature branch
+   * doesn't fold other branches into it. Squash merges aren't detected; merge those
+   * branches with mergeBranch.
+   * @param since Commit HEAD pointed to before the merge (e.g. ORIG_HEAD); without it,
+   *              every branch whose commits are all in HEAD is merged
+   * @returns Result of each merge
+   */
+  public async mergeMergedBranches(since?: string): Promise<{ branch: string; success: boolean; message: string }[]> {
+    const results: { branch: string; success: boolean; message: string }[] = [];
+    const branches = this.branches;
+    const current = branches?.getCurrentBranch();
+    if (!branches || !current || !branches.isMainBranch(current)) {
+      return results;
+    }
+    for (const branch of await branches.listBranches()) {
+      if (branch !== current && branches.isMerged(branch, since)) {
+        results.push({ branch, ...await this.mergeBranch(branch) });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Append a branch's decisions to the decision log of the target
+   * Decisions whose ID the target already has are renumbered, and the decisions they
+   * supersede or are superseded by follow the new IDs.
+   * The caller must hold the memory bank lock.
+   * @param branch Branch to merge
+   * @param target Branch to merge into, or null for the master files
+   * @returns Number of decisions merged, or null if the decision log couldn't be written
+   */
+  private async mergeDecisions(branch: string, target: string | null): Promise<number | null> {
+    const sourcePath = this.resolveFile('decisionLog', branch);
+    if (!await fs.pathExists(sourcePath)) {
+      return 0;
+    }
+    const source = DecisionLog.parse((await this._enhancedMemoryBank.readDocument(sourcePath)).getSection('decisions'));
+    const count = source.list().length;
+    if (count === 0) {
+      return 0;
+    }
+
+    const targetPath = this.resolveFile('decisionLog', target);
+    const document = await this._enhancedMemoryBank.readDocument(targetPath);
+    const log = DecisionLog.parse(document.getSection('decisions'));
+    log.append(source, previousId => `- Merged from: ${branch}${previousId ? ` (was ${previousId})` : ''}`);
+    document.setSection('decisions', log.toString(), 'Decisions');
+    return await this._enhancedMemoryBank.writeDocument(targetPath, document) ? count : null;
+  }
+
+  /**
+   * Add a branch's completed tasks and milestones to the progress of the target
+   * Tasks the target has are completed there with the date they were done on the branch;
+   * others are added, with a new ID if theirs is taken, and so are milestones the target
+   * doesn't have.
+   * The caller must hold the memory bank lock.
+   * @param branch Branch to merge
+   * @param target Branch to merge into, or null for the master files
+   * @returns Number of completed tasks merged, or null if progress couldn't be written
+   */
+  private async mergeProgress(branch: string, target: string | null): Promise<number | null> {
+    const sourcePath = this.resolveFile('progress', branch);
+    if (!await fs.pathExists(sourcePath)) {
+      return 0;
+    }
+    const source = TaskList.parse(await this._enhancedMemoryBank.readDocument(sourcePath));
+    const completed = source.listTasks('done');
+    const newMilestones = source.listMilestones();
+    if (completed.length === 0 && newMilestones.length === 0) {
+      return 0;
+    }
+
+    // The target is the checked out branch, so its progress file comes first
+    const lists = await this.readTaskLists();
+    const list = lists[0].list;
+    const date = this._enhancedMemoryBank.getDateString();
+
+    // Milestones are matched by title, so tasks are linked to the target's milestone
+    const milestoneIds = new Map<string, string>();
+    for (const milestone of newMilestones) {
+      const existing = list.findMilestone(milestone.title);
+      const taken = !milestone.id || lists.some(entry => entry.list.getMilestone(milestone.id));
+      const id = existing ? existing.id : taken ? TaskList.nextMilestoneId(lists.map(entry => entry.list)) : milestone.id;
+      if (!existing) {
+        list.addMilestone({ id, title: milestone.title, description: milestone.description, target: milestone.target, reached: milestone.reached });
+      }
+      milestoneIds.set(milestone.id, id);
+    }
+
+    let count = 0;
+    for (const task of completed) {
+      const milestone = task.milestone ? milestoneIds.get(task.milestone) || null : null;
+      const existing = list.findTask(task.title);
+      if (existing && existing.state === 'done') {
+        continue;
+      }
+      if (existing) {
+        list.updateTask(existing.id, { state: 'done', milestone: existing.milestone || milestone }, date, task.completed);
+      } else {
+        const taken = !task.id || lists.some(entry => entry.list.getTask(task.id));
+        const id = taken ? TaskList.nextTaskId(lists.map(entry => entry.list)) : task.id;
+        list.addTask({ ...task, id, milestone }, date);
+      }
+      count++;
+    }
+
+    return await this.writeTaskLists(lists) ? count : null;
   }
 
   /**
@@ -133,15 +862,17 @@ export class MemoryBank {
    */
   public async initialize(): Promise<boolean> {
     try {
-      // Initialize the enhanced memory bank
-      const success = await this._enhancedMemoryBank.initialize();
+      return await this._enhancedMemoryBank.withLock(async () => {
+        // Initialize the enhanced memory bank
+        const success = await this._enhancedMemoryBank.initialize();
 
-      // Create master files if they don't exist
-      if (success) {
-        await this.createMasterFiles();
-      }
+        // Create master files if they don't exist
+        if (success) {
+          await this.createMasterFiles();
+        }
 
-      return success;
+        return success;
+      });
     } catch (error) {
       console.error('Error initializing memory bank:', error);
       return false;
@@ -175,7 +906,7 @@ export class MemoryBank {
 Footnotes:
 [${timestamp}] - Created product context
 `;
-      await fs.writeFile(this.productContextPath, content, 'utf8');
+      await this._enhancedMemoryBank.writeFile(this.productContextPath, content);
     }
 
     // Create activeContext.md
@@ -201,7 +932,7 @@ Footnotes:
 - Lines of Code Removed: 0
 - Total Lines of Code: 0
 `;
-      await fs.writeFile(this.activeContextPath, content, 'utf8');
+      await this._enhancedMemoryBank.writeFile(this.activeContextPath, content);
     }
 
     // Create systemPatterns.md
@@ -220,7 +951,7 @@ Footnotes:
 ---
 [${timestamp}] - Created system patterns
 `;
-      await fs.writeFile(this.systemPatternsPath, content, 'utf8');
+      await this._enhancedMemoryBank.writeFile(this.systemPatternsPath, content);
     }
 
     // Create decisionLog.md
@@ -231,7 +962,7 @@ Footnotes:
 - 
 
 `;
-      await fs.writeFile(this.decisionLogPath, content, 'utf8');
+      await this._enhancedMemoryBank.writeFile(this.decisionLogPath, content);
     }
 
     // Create progress.md
@@ -251,11 +982,32 @@ Footnotes:
 - 
 
 `;
-      await fs.writeFile(this.progressPath, content, 'utf8');
+      await this._enhancedMemoryBank.writeFile(this.progressPath, content);
     }
-  }
 
-  /**
+    // Create project-defined master files, and add sections the project declares
+    // to files that don't have them yet
+    for (const masterFile of this.masterFiles) {
+      const filePath = this.resolveFile(masterFile.name);
+      if (!await fs.pathExists(filePath)) {
+        const sections = masterFile.sections.map(section => `## ${section}\n- \n`).join('\n');
+        const content = `# ${masterFile.title || titleFromName(masterFile.name)}\n\n${sections}\n`;
+        await this._enhancedMemoryBank.writeFile(filePath, content);
+        continue;
+      }
+
+      const document = await this._enhancedMemoryBank.readDocument(filePath);
+      const missing = masterFile.sections.filter(section => !document.hasSection(section));
+      if (missing.length > 0) {
+        for (const section of missing) {
+          document.setSection(section, '- ');
+        }
+        await this._enhancedMemoryBank.writeDocument(filePath, document);
+      }
+    }
+  }
+
+  /**
    * Update product context
    * @param update Update object with sections to update
    * @returns True if update was successful
@@ -267,49 +1019,34 @@ Footnotes:
     architectureOverview?: string;
   }): Promise<boolean> {
     try {
-      const content = await this._enhancedMemoryBank.readFile(this.productContextPath);
-      let updatedContent = content;
-
-      if (update.projectOverview) {
-        updatedContent = this._enhancedMemoryBank.updateSection(
-          updatedContent,
-          '## Project Overview',
-          update.projectOverview
-        );
-      }
+      return await this._enhancedMemoryBank.withLock(async () => {
+        const document = await this._enhancedMemoryBank.readDocument(this.productContextPath);
 
-      if (update.goalsAndObjectives) {
-        updatedContent = this._enhancedMemoryBank.updateSection(
-          updatedContent,
-          '## Goals and Objectives',
-          update.goalsAndObjectives
-        );
-      }
+        if (update.projectOverview) {
+          document.setSection('project-overview', update.projectOverview, 'Project Overview');
+        }
 
-      if (update.coreFeatures) {
-        updatedContent = this._enhancedMemoryBank.updateSection(
-          updatedContent,
-          '## Core Features',
-          update.coreFeatures
-        );
-      }
+        if (update.goalsAndObjectives) {
+          document.setSection('goals-and-objectives', update.goalsAndObjectives, 'Goals and Objectives');
+        }
 
-      if (update.architectureOverview) {
-        updatedContent = this._enhancedMemoryBank.updateSection(
-          updatedContent,
-          '## Architecture Overview',
-          update.architectureOverview
-        );
-      }
+        if (update.coreFeatures) {
+          document.setSection('core-features', update.coreFeatures, 'Core Features');
+        }
 
-      // Add timestamp to footnotes
-      const timestamp = this._enhancedMemoryBank.getTimestamp();
-      updatedContent = updatedContent.replace(
-        /---\nFootnotes:\n([\s\S]*?)$/,
-        `---\nFootnotes:\n[${timestamp}] - Updated product context\n`
-      );
+        if (update.architectureOverview) {
+          document.setSection('architecture-overview', update.architectureOverview, 'Architecture Overview');
+        }
+
+        // Add a timestamped line to the footnotes, keeping the earlier ones
+        const timestamp = this._enhancedMemoryBank.getTimestamp();
+        const footnotes = document.footer
+          .split('\n')
+          .filter(line => line.trim() !== '' && line.trim() !== '---' && line.trim() !== 'Footnotes:');
+        document.footer = `---\nFootnotes:\n${[...footnotes, `[${timestamp}] - Updated product context`].join('\n')}`;
 
-      return await this._enhancedMemoryBank.writeFile(this.productContextPath, updatedContent);
+        return await this._enhancedMemoryBank.writeDocument(this.productContextPath, document);
+      });
     } catch (error) {
       console.error('Error updating product context:', error);
       return false;
@@ -318,6 +1055,8 @@ Footnotes:
 
   /**
    * Update active context
+   * On a branch with branch-aware memory, the branch's active context is updated and the
+   * daily file only gets the recent change, tagged with the branch name.
    * @param update Update object with sections to update
    * @returns True if update was successful
    */
@@ -327,50 +1066,863 @@ Footnotes:
     openQuestions?: string;
   }): Promise<boolean> {
     try {
-      // First update the daily active context file
-      const dailyUpdateSuccess = await this._enhancedMemoryBank.updateDailyActiveContext(update);
-
-      // Then update the master active context file for backward compatibility
-      const content = await this._enhancedMemoryBank.readFile(this.activeContextPath);
-      let updatedContent = content;
-
-      if (update.currentFocus) {
-        updatedContent = this._enhancedMemoryBank.updateSection(
-          updatedContent,
-          '## Current Focus',
-          update.currentFocus
-        );
-      }
+      return await this._enhancedMemoryBank.withLock(async () => {
+        // First update the daily active context file. Focus and open questions of a branch
+        // stay in its own file, so they don't show up on other branches
+        const branch = this.getBranch();
+        const dailyUpdate = !branch ? update
+          : update.recentChanges ? { recentChanges: `[${branch}] ${update.recentChanges}` }
+          : null;
+        const dailyUpdateSuccess = dailyUpdate ? await this._enhancedMemoryBank.updateDailyActiveContext(dailyUpdate) : true;
+
+        // Then update the master active context file for backward compatibility
+        const filePath = await this.getWritablePath('activeContext');
+        const document = await this._enhancedMemoryBank.readDocument(filePath);
+
+        if (update.currentFocus) {
+          document.setSection('current-focus', update.currentFocus, 'Current Focus');
+        }
+
+        // Add new recent change at the top of the list
+        if (update.recentChanges) {
+          const timestamp = this._enhancedMemoryBank.getTimestamp();
+          const existingRecentChanges = document.getSection('recent-changes').replace(/^-\s*$/gm, '').trim();
+          document.setSection(
+            'recent-changes',
+            `[${timestamp}] - ${update.recentChanges}${existingRecentChanges ? '\n' + existingRecentChanges : ''}`,
+            'Recent Changes'
+          );
+        }
+
+        if (update.openQuestions) {
+          document.setSection('open-questions-issues', update.openQuestions, 'Open Questions/Issues');
+        }
+
+        const masterUpdateSuccess = await this._enhancedMemoryBank.writeDocument(filePath, document);
+
+        // Update the last update timestamp
+        await this._enhancedMemoryBank.writeFile(this.lastUpdatePath, new Date().toISOString());
+
+        return dailyUpdateSuccess && masterUpdateSuccess;
+      });
+    } catch (error) {
+      console.error('Error updating active context:', error);
+      return false;
+    }
+  }
 
-      // Add new recent change at the top of the list
-      if (update.recentChanges) {
+  /**
+   * Update system patterns
+   * @param update Update object with sections to update
+   * @returns True if update was successful
+   */
+  public async updateSystemPatterns(update: {
+    architecturalPatterns?: string;
+    designPatterns?: string;
+    technicalDecisions?: string;
+  }): Promise<boolean> {
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        const document = await this._enhancedMemoryBank.readDocument(this.systemPatternsPath);
+
+        if (update.architecturalPatterns) {
+          document.setSection('architectural-patterns', update.architecturalPatterns, 'Architectural Patterns');
+        }
+
+        if (update.designPatterns) {
+          document.setSection('design-patterns', update.designPatterns, 'Design Patterns');
+        }
+
+        if (update.technicalDecisions) {
+          document.setSection('technical-decisions', update.technicalDecisions, 'Technical Decisions');
+        }
+
+        // Add timestamp to the footer
+        const timestamp = this._enhancedMemoryBank.getTimestamp();
+        document.footer = `${document.footer || '---'}\n[${timestamp}] - Updated system patterns`;
+
+        return await this._enhancedMemoryBank.writeDocument(this.systemPatternsPath, document);
+      });
+    } catch (error) {
+      console.error('Error updating system patterns:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add a decision to the decision log
+   * Decisions it supersedes are marked Superseded, with the change in their history.
+   * @param decision Decision to record, with the decisions it replaces and the commits and files it concerns
+   * @returns ID of the new decision (e.g. D-003), or null if the update failed
+   */
+  public async addDecision(decision: {
+    title: string;
+    rationale: string;
+    implications: string;
+    status: DecisionStatus;
+    supersedes?: string | string[];
+    commits?: string[];
+    files?: string[];
+  }): Promise<string | null> {
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        const filePath = await this.getWritablePath('decisionLog');
+        const logs = await this.readDecisionLogs();
+        const supersedes = ([] as string[]).concat(decision.supersedes || []).map(id => id.trim().toUpperCase()).filter(id => id !== '');
+        const unknown = supersedes.filter(id => !logs.some(entry => entry.log.get(id)));
+        if (unknown.length > 0) {
+          console.error(`Cannot supersede ${unknown.join(', ')}: no such decision.`);
+          return null;
+        }
+
+        // Number decisions sequentially after the highest existing ID; on a branch, the
+        // master decisions count too
+        const id = this.nextDecisionId(logs.map(entry => entry.log.toString()));
         const timestamp = this._enhancedMemoryBank.getTimestamp();
-        updatedContent = updatedContent.replace(
-          /## Recent Changes\n/,
-          `## Recent Changes\n[${timestamp}] - ${update.recentChanges}\n`
-        );
+        const target = logs.find(entry => entry.filePath === filePath) as DecisionLogFile;
+        target.log.add({
+          id,
+          title: decision.title,
+          date: timestamp,
+          status: decision.status,
+          rationale: decision.rationale,
+          implications: decision.implications || 'None recorded',
+          supersedes,
+          supersededBy: null,
+          commits: decision.commits || [],
+          files: decision.files || [],
+          history: []
+        });
+        for (const oldId of supersedes) {
+          logs.find(entry => entry.log.get(oldId))?.log.supersede(oldId, id, timestamp, decision.title);
+        }
+
+        return await this.writeDecisionLogs(logs) ? id : null;
+      });
+    } catch (error) {
+      console.error('Error adding decision:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Change the status, rationale or implications of a decision, or link commits and files to it
+   * The change is added to the decision's history with the time and the reason, and a
+   * revised rationale or implications keep the text they replaced. To supersede a
+   * decision, add the decision that replaces it with addDecision.
+   * @param id Decision ID (e.g. D-004)
+   * @param update Changes to make
+   * @returns The updated decision, or null if it doesn't exist or the update failed
+   */
+  public async updateDecision(id: string, update: DecisionUpdate): Promise<DecisionRecord | null> {
+    if (update.status === 'Superseded') {
+      console.error(`Add the decision that replaces ${id} with supersedes: '${id}' instead of setting its status.`);
+      return null;
+    }
+
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        const logs = await this.readDecisionLogs();
+        const entry = logs.find(candidate => candidate.log.get(id));
+        if (!entry) {
+          console.error(`Decision ${id} does not exist.`);
+          return null;
+        }
+        const record = entry.log.update(id, update, this._enhancedMemoryBank.getTimestamp());
+        return await this.writeDecisionLogs(logs) ? record : null;
+      });
+    } catch (error) {
+      console.error(`Error updating decision ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get a decision, as seen from the current branch
+   * @param id Decision ID (e.g. D-004)
+   * @returns The decision, or null if it doesn't exist
+   */
+  public async getDecision(id: string): Promise<DecisionRecord | null> {
+    return DecisionLog.parse((await this.getDocument('decisionLog')).getSection('decisions')).get(id);
+  }
+
+  /**
+   * List the decisions, as seen from the current branch
+   * @returns Decisions in the order they were recorded; on a branch, the branch's follow the master decisions
+   */
+  public async listDecisions(): Promise<DecisionRecord[]> {
+    return DecisionLog.parse((await this.getDocument('decisionLog')).getSection('decisions')).list();
+  }
+
+  /**
+   * Write every decision as an architecture decision record (ADR)
+   * Files are named NNNN-title.md after the decision's number; an ADR that was imported
+   * keeps its file name. Files that didn't change aren't written, and the old file of a
+   * decision whose title changed is removed.
+   * @param dir Directory of the ADRs (defaults to docs/adr in the project directory)
+   * @returns Paths of the files written, or null if the export failed
+   */
+  public async exportDecisions(dir: string = path.join(this.projectDir, ADR_DIR)): Promise<string[] | null> {
+    try {
+      const decisions = (await this.listDecisions()).filter(record => record.id);
+      await fs.ensureDir(dir);
+      const existing: { file: string; adr: AdrRecord }[] = [];
+      for (const file of (await fs.readdir(dir)).filter(name => /^\d+-.*\.md$/.test(name))) {
+        const adr = parseAdr(await fs.readFile(path.join(dir, file), 'utf8'), file);
+        if (adr) {
+          existing.push({ file, adr });
+        }
+      }
+
+      // An ADR keeps its file name while its title is the same; the file written under
+      // an old title is removed. ADRs without a decision ID are matched by their title.
+      const fileNames = new Map<string, string>();
+      const stale: string[] = [];
+      for (const record of decisions) {
+        const files = existing.filter(({ adr }) => adr.hasId ? adr.record.id === record.id : this.hasSameTitle(adr.record, record));
+        const current = files.find(({ adr }) => this.hasSameTitle(adr.record, record));
+        fileNames.set(record.id, current ? current.file : adrFileName(record));
+        stale.push(...files.filter(entry => entry !== current && entry.adr.hasId).map(entry => entry.file));
+      }
+
+      const written: string[] = [];
+      for (const record of decisions) {
+        const filePath = path.join(dir, fileNames.get(record.id) as string);
+        const content = formatAdr(record, decisions, other => fileNames.get(other.id) || adrFileName(other));
+        if (!await fs.pathExists(filePath) || await fs.readFile(filePath, 'utf8') !== content) {
+          await writeFileAtomic(filePath, content);
+          written.push(filePath);
+        }
       }
+      for (const file of stale) {
+        await fs.remove(path.join(dir, file));
+      }
+      return written;
+    } catch (error) {
+      console.error('Error exporting decisions:', error);
+      return null;
+    }
+  }
 
-      if (update.openQuestions) {
-        updatedContent = this._enhancedMemoryBank.updateSection(
-          updatedContent,
-          '## Open Questions/Issues',
-          update.openQuestions
-        );
+  /**
+   * Read architecture decision records (ADRs) into the decision log
+   * An ADR exported from the memory bank updates its decision: a different status,
+   * rationale or implications is recorded in the decision's history like any update.
+   * Other ADRs update the decision with the same title, or are added as new decisions,
+   * keeping their number as the ID when it is free.
+   * @param dir Directory of the ADRs (defaults to docs/adr in the project directory)
+   * @returns IDs of the decisions added and updated, or null if the import failed
+   */
+  public async importDecisions(dir: string = path.join(this.projectDir, ADR_DIR)): Promise<{ added: string[]; updated: string[] } | null> {
+    try {
+      if (!await fs.pathExists(dir)) {
+        console.error(`${dir} does not exist.`);
+        return null;
       }
 
-      const masterUpdateSuccess = await this._enhancedMemoryBank.writeFile(this.activeContextPath, updatedContent);
+      return await this._enhancedMemoryBank.withLock(async () => {
+        const filePath = await this.getWritablePath('decisionLog');
+        const logs = await this.readDecisionLogs();
+        const target = logs.find(entry => entry.filePath === filePath) as DecisionLogFile;
+        const timestamp = this._enhancedMemoryBank.getTimestamp();
+        const result = { added: [] as string[], updated: [] as string[] };
+        const ids = new Map<string, string>();
+
+        // ADRs that name their decision ID claim it before those that only have a number
+        const adrs: { file: string; adr: AdrRecord }[] = [];
+        for (const file of (await fs.readdir(dir)).filter(name => /^\d+-.*\.md$/.test(name)).sort()) {
+          const adr = parseAdr(await fs.readFile(path.join(dir, file), 'utf8'), file);
+          if (adr) {
+            adrs.push({ file, adr });
+          }
+        }
+        adrs.sort((a, b) => Number(b.adr.hasId) - Number(a.adr.hasId));
+
+        for (const { file, adr } of adrs) {
+          const { record } = adr;
+          const source = path.relative(this.projectDir, path.join(dir, file)).split(path.sep).join('/');
+          // An ADR without a decision ID is the decision with its title, if there is one
+          const titleMatch = adr.hasId ? null : logs.flatMap(entry => entry.log.list())
+            .filter(candidate => this.hasSameTitle(candidate, record))
+            .sort((a, b) => Number(b.id === record.id) - Number(a.id === record.id))[0];
+          const matchId = adr.hasId ? record.id : titleMatch ? titleMatch.id : '';
+          const existing = logs.find(entry => entry.log.get(matchId));
+
+          if (existing) {
+            const decision = existing.log.get(matchId) as DecisionRecord;
+            const before = decision.history.length;
+            const status = record.status === 'Superseded' ? undefined : record.status;
+            existing.log.update(matchId, {
+              status,
+              rationale: record.rationale,
+              implications: record.implications,
+              commits: record.commits,
+              files: record.files,
+              reason: `Imported from ${source}`
+            }, timestamp);
+            const linked = existing.log.link(matchId, { supersedes: record.supersedes, supersededBy: record.supersededBy });
+            if ((decision.history.length > before || linked) && !result.updated.includes(matchId)) {
+              result.updated.push(matchId);
+            }
+            ids.set(record.id, matchId);
+            continue;
+          }
+
+          const taken = logs.some(entry => entry.log.get(record.id));
+          const id = taken ? this.nextDecisionId(logs.map(entry => entry.log.toString())) : record.id;
+          ids.set(record.id, id);
+          target.log.add({
+            ...record,
+            id,
+            date: record.date || timestamp,
+            history: [...record.history, { timestamp, change: `Imported from ${source}` }]
+          });
+          result.added.push(id);
+        }
 
-      // Update the last update timestamp
-      await fs.writeFile(this.lastUpdatePath, new Date().toISOString());
+        // Relations of the added decisions follow their new IDs, and point both ways
+        for (const id of result.added) {
+          const record = target.log.get(id) as DecisionRecord;
+          record.supersedes = record.supersedes.map(other => ids.get(other) || other);
+          record.supersededBy = record.supersededBy ? ids.get(record.supersededBy) || record.supersededBy : null;
+          for (const other of record.supersedes) {
+            logs.find(entry => entry.log.get(other))?.log.link(other, { supersededBy: id });
+          }
+        }
 
-      return dailyUpdateSuccess && masterUpdateSuccess;
+        return await this.writeDecisionLogs(logs) ? result : null;
+      });
     } catch (error) {
-      console.error('Error updating active context:', error);
+      console.error('Error importing decisions:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether two decisions have the same title, ignoring case and punctuation
+   * @param a First decision
+   * @param b Second decision
+   * @returns True if the titles match
+   */
+  private hasSameTitle(a: DecisionRecord, b: DecisionRecord): boolean {
+    return MarkdownDocument.sectionId(a.title) === MarkdownDocument.sectionId(b.title);
+  }
+
+  /**
+   * Read the decision logs a decision can be in: the current branch's and the master one
+   * The caller must hold the memory bank lock.
+   * @returns Decision logs that exist, the current branch's first
+   */
+  private async readDecisionLogs(): Promise<DecisionLogFile[]> {
+    const logs: DecisionLogFile[] = [];
+    for (const filePath of new Set([this.resolveFile('decisionLog'), this.resolveFile('decisionLog', null)])) {
+      if (await fs.pathExists(filePath)) {
+        const document = await this._enhancedMemoryBank.readDocument(filePath);
+        logs.push({ filePath, document, log: DecisionLog.parse(document.getSection('decisions')) });
+      }
+    }
+    return logs;
+  }
+
+  /**
+   * Write the decision logs that changed
+   * The caller must hold the memory bank lock.
+   * @param logs Decision logs from readDecisionLogs
+   * @returns True if every changed log was written
+   */
+  private async writeDecisionLogs(logs: DecisionLogFile[]): Promise<boolean> {
+    let success = true;
+    for (const { filePath, document, log } of logs.filter(entry => entry.log.isChanged())) {
+      document.setSection('decisions', log.toString(), 'Decisions');
+      success = await this._enhancedMemoryBank.writeDocument(filePath, document) && success;
+    }
+    return success;
+  }
+
+  /**
+   * Get the ID that follows the highest decision ID
+   * @param logs Content of the decision logs to consider
+   * @returns Decision ID (e.g. D-004)
+   */
+  private nextDecisionId(logs: string[]): string {
+    const ids = logs.flatMap(log => Array.from(log.matchAll(/^### \[D-(\d+)\]/gm), match => parseInt(match[1], 10)));
+    return `D-${String(Math.max(0, ...ids) + 1).padStart(3, '0')}`;
+  }
+
+  /**
+   * Update progress
+   * Tasks are found by their ID or title. Upcoming tasks are added if they don't exist,
+   * current tasks are started, and completed tasks are moved to the completed list with
+   * their completion date, which they keep. Milestones with a target date are planned;
+   * without one, they are recorded as reached today. A milestone with the title of an
+   * existing one updates it.
+   * @param update Update object with tasks and milestones
+   * @returns True if update was successful
+   */
+  public async updateProgress(update: {
+    currentTasks?: string[];
+    completedTasks?: string[];
+    upcomingTasks?: string[];
+    milestones?: MilestoneInput[];
+    tasks?: TaskInput[];
+  }): Promise<boolean> {
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        await this.getWritablePath('progress');
+        const lists = await this.readTaskLists();
+        const list = lists[0].list;
+        const date = this._enhancedMemoryBank.getDateString();
+
+        const invalid = (update.milestones || []).filter(milestone => milestone.target && !isDateString(milestone.target));
+        if (invalid.length > 0) {
+          console.error(`Invalid target date for ${invalid.map(milestone => milestone.title).join(', ')}. Use YYYY-MM-DD.`);
+          return false;
+        }
+        for (const milestone of update.milestones || []) {
+          this.saveMilestone(lists, milestone, date);
+        }
+
+        // Resolve every task input before anything else changes, so an unknown task
+        // or milestone leaves the file as it was
+        const byReference = (reference: string, state: TaskState): TaskInput =>
+          /^T-\d+$/i.test(reference.trim()) ? { id: reference.trim(), state } : { title: reference, state };
+        const inputs: TaskInput[] = [
+          ...(update.upcomingTasks || []).map(reference => byReference(reference, 'upcoming')),
+          ...(update.currentTasks || []).map(reference => byReference(reference, 'current')),
+          ...(update.completedTasks || []).map(reference => byReference(reference, 'done')),
+          ...(update.tasks || [])
+        ];
+        for (const input of inputs) {
+          if (input.id && !list.getTask(input.id)) {
+            console.error(`Task ${input.id} does not exist.`);
+            return false;
+          }
+          if (input.milestone && !list.findMilestone(input.milestone)) {
+            console.error(`Milestone ${input.milestone} does not exist.`);
+            return false;
+          }
+        }
+
+        for (const input of inputs) {
+          const reference = input.id || input.title || '';
+          const task = list.findTask(reference);
+          const milestone = input.milestone ? (list.findMilestone(input.milestone) as MilestoneProgress).id : undefined;
+          if (task) {
+            // Listing a task as upcoming doesn't take back a task that was started or done
+            const state = input.state === 'upcoming' && task.state !== 'upcoming' ? undefined : input.state;
+            list.updateTask(task.id, { title: input.id ? input.title : undefined, state, milestone }, date);
+          } else if (reference.trim()) {
+            list.addTask({ id: TaskList.nextTaskId(lists.map(entry => entry.list)), title: reference, state: input.state || 'upcoming', milestone }, date);
+          }
+        }
+
+        return await this.writeTaskLists(lists);
+      });
+    } catch (error) {
+      console.error('Error updating progress:', error);
       return false;
     }
   }
 
+  /**
+   * Add a task
+   * @param task Task to add, upcoming unless another state is given
+   * @returns ID of the new task, or null if the milestone doesn't exist or the update failed
+   */
+  public async addTask(task: { title: string; state?: TaskState; milestone?: string }): Promise<string | null> {
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        await this.getWritablePath('progress');
+        const lists = await this.readTaskLists();
+        const milestone = task.milestone ? this.findMilestone(lists, task.milestone) : null;
+        if (task.milestone && !milestone) {
+          console.error(`Milestone ${task.milestone} does not exist.`);
+          return null;
+        }
+        const id = TaskList.nextTaskId(lists.map(entry => entry.list));
+        lists[0].list.addTask({ id, title: task.title, state: task.state || 'upcoming', milestone }, this._enhancedMemoryBank.getDateString());
+        return await this.writeTaskLists(lists) ? id : null;
+      });
+    } catch (error) {
+      console.error('Error adding task:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Change a task's title, state or milestone
+   * A started task gets its start date, and a done one its completion date, which it
+   * keeps until it is reopened.
+   * @param id Task ID (e.g. T-004)
+   * @param update Changes to make; the milestone may be given by ID or title
+   * @returns The updated task, or null if it or the milestone doesn't exist or the update failed
+   */
+  public async updateTask(id: string, update: TaskUpdate): Promise<TaskRecord | null> {
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        const lists = await this.readTaskLists();
+        const entry = lists.find(candidate => candidate.list.getTask(id));
+        if (!entry) {
+          console.error(`Task ${id} does not exist.`);
+          return null;
+        }
+        const milestone = update.milestone ? this.findMilestone(lists, update.milestone) : update.milestone;
+        if (update.milestone && !milestone) {
+          console.error(`Milestone ${update.milestone} does not exist.`);
+          return null;
+        }
+        const record = entry.list.updateTask(id, { ...update, milestone }, this._enhancedMemoryBank.getDateString());
+        return await this.writeTaskLists(lists) ? record : null;
+      });
+    } catch (error) {
+      console.error(`Error updating task ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Add a milestone, or update the description and target date of the one with its title
+   * @param milestone Milestone; without a target date, it is recorded as reached today
+   * @returns ID of the milestone, or null if the target date is invalid or the update failed
+   */
+  public async addMilestone(milestone: MilestoneInput): Promise<string | null> {
+    if (milestone.target && !isDateString(milestone.target)) {
+      console.error(`Invalid target date: ${milestone.target}. Use YYYY-MM-DD.`);
+      return null;
+    }
+
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        await this.getWritablePath('progress');
+        const lists = await this.readTaskLists();
+        const id = this.saveMilestone(lists, milestone, this._enhancedMemoryBank.getDateString());
+        return await this.writeTaskLists(lists) ? id : null;
+      });
+    } catch (error) {
+      console.error('Error adding milestone:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the tasks and milestones, as seen from the current branch
+   * @returns Tasks, current ones first, and milestones with the progress of their tasks
+   */
+  public async getProgress(): Promise<{ tasks: TaskRecord[]; milestones: MilestoneProgress[] }> {
+    const list = TaskList.parse(await this.getDocument('progress'));
+    return { tasks: list.listTasks(), milestones: list.listMilestones() };
+  }
+
+  /**
+   * Import tasks from TODO and FIXME comments and from the issues file
+   * FIXME comments become current tasks and TODO comments upcoming ones; a task whose
+   * comment is gone is done. Issues are tasks in the state of the issue, closed ones done
+   * on the date they were closed, and the milestones of issues are added with their due
+   * date. Tasks that exist by title are linked to their comment or issue instead of
+   * being added again.
+   * @param options Comments already scanned (defaults to scanning the tracked files), and
+   *                the issues file (defaults to the issuesFile setting)
+   * @returns IDs of the tasks added and changed, or null if the sync failed
+   */
+  public async syncTasks(options: { comments?: { fixmes: string[]; todos: string[] }; issuesFile?: string } = {}): Promise<TaskSyncResult | null> {
+    try {
+      const comments = options.comments || new ContextInference(this).scanTaskComments();
+      const issuesFile = options.issuesFile ? path.resolve(this.projectDir, options.issuesFile) : this.issuesFile;
+      const issues = issuesFile ? parseIssues(await fs.readJson(issuesFile)) : [];
+
+      return await this._enhancedMemoryBank.withLock(async () => {
+        await this.getWritablePath('progress');
+        const lists = await this.readTaskLists();
+        const list = lists[0].list;
+        const date = this._enhancedMemoryBank.getDateString();
+        const result: TaskSyncResult = { added: [], started: [], completed: [], reopened: [] };
+        const record = (task: TaskRecord, before: TaskState) => {
+          const changes = task.state === 'done' ? result.completed : task.state === 'current' && before === 'upcoming' ? result.started : result.reopened;
+          if (task.state !== before) {
+            changes.push(task.id);
+          }
+        };
+
+        const imported: ImportedTask[] = [
+          ...comments.fixmes.map(title => ({ title, state: 'current' as const, source: 'FIXME' })),
+          ...comments.todos.map(title => ({ title, state: 'upcoming' as const, source: 'TODO' })),
+          ...issues
+        ];
+        let commentTasks = 0;
+        for (const task of imported) {
+          const existing = list.listTasks().find(candidate => candidate.source === task.source && (task.source.startsWith('issue') || candidate.title === task.title)) ||
+            list.listTasks().find(candidate => !candidate.source && candidate.title.toLowerCase() === task.title.toLowerCase());
+          const milestone = task.milestone
+            ? this.saveMilestone(lists, { title: task.milestone.title, target: task.milestone.target || undefined }, date, true)
+            : undefined;
+
+          if (!existing) {
+            const fromComment = !task.source.startsWith('issue');
+            if (fromComment && ++commentTasks > MAX_COMMENT_TASKS) {
+              continue;
+            }
+            const id = TaskList.nextTaskId(lists.map(entry => entry.list));
+            list.addTask({ ...task, id, milestone }, date);
+            result.added.push(id);
+            continue;
+          }
+
+          // A comment that is still there doesn't reopen its task; an issue does, as the
+          // tracker says it isn't done
+          const before = existing.state;
+          const fromIssue = task.source.startsWith('issue');
+          const state = before === task.state || (!fromIssue && before === 'done') || (task.state === 'upcoming' && before === 'current')
+            ? undefined
+            : task.state;
+          list.updateTask(existing.id, {
+            title: fromIssue ? task.title : undefined,
+            state,
+            source: task.source,
+            milestone: existing.milestone || milestone
+          }, date, task.completed);
+          record(existing, before);
+        }
+
+        // Tasks whose comment is gone are done
+        const current = new Set(imported.map(task => `${task.source}\n${task.title}`));
+        for (const task of list.listTasks().filter(candidate => candidate.state !== 'done' && (candidate.source === 'TODO' || candidate.source === 'FIXME'))) {
+          if (!current.has(`${task.source}\n${task.title}`)) {
+            list.updateTask(task.id, { state: 'done' }, date);
+            result.completed.push(task.id);
+          }
+        }
+
+        return await this.writeTaskLists(lists) ? result : null;
+      });
+    } catch (error) {
+      console.error('Error syncing tasks:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Add a milestone to the first progress file, or update the one with its title
+   * The caller must hold the memory bank lock.
+   * @param lists Progress files from readTaskLists
+   * @param milestone Milestone to add
+   * @param date Date of the change (YYYY-MM-DD)
+   * @param keep Leave the description and target date of an existing milestone as they are
+   * @returns ID of the milestone
+   */
+  private saveMilestone(lists: TaskListFile[], milestone: MilestoneInput, date: string, keep = false): string {
+    const existing = lists.map(entry => ({ entry, found: entry.list.findMilestone(milestone.title) })).find(match => match.found);
+    if (existing && existing.found) {
+      if (!keep) {
+        existing.entry.list.updateMilestone(existing.found.id, { description: milestone.description, target: milestone.target });
+      }
+      return existing.found.id;
+    }
+    const id = TaskList.nextMilestoneId(lists.map(entry => entry.list));
+    lists[0].list.addMilestone({
+      id,
+      title: milestone.title,
+      description: milestone.description || '',
+      target: milestone.target || null,
+      reached: milestone.target ? null : date
+    });
+    return id;
+  }
+
+  /**
+   * Find a milestone in the progress files
+   * @param lists Progress files from readTaskLists
+   * @param reference Milestone ID or title
+   * @returns Milestone ID, or null if there is no such milestone
+   */
+  private findMilestone(lists: TaskListFile[], reference: string): string | null {
+    for (const { list } of lists) {
+      const milestone = list.findMilestone(reference);
+      if (milestone) {
+        return milestone.id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read the progress files a task can be in: the current branch's and the master one
+   * Tasks and milestones written before they had IDs are given one.
+   * The caller must hold the memory bank lock.
+   * @returns Progress files that exist, the current branch's first
+   */
+  private async readTaskLists(): Promise<TaskListFile[]> {
+    const lists: TaskListFile[] = [];
+    for (const filePath of new Set([this.resolveFile('progress'), this.resolveFile('progress', null)])) {
+      if (await fs.pathExists(filePath)) {
+        const document = await this._enhancedMemoryBank.readDocument(filePath);
+        lists.push({ filePath, document, list: TaskList.parse(document) });
+      }
+    }
+    for (const { list } of lists) {
+      list.assignIds(lists.map(entry => entry.list));
+    }
+    return lists;
+  }
+
+  /**
+   * Write the progress files that changed
+   * The caller must hold the memory bank lock.
+   * @param lists Progress files from readTaskLists
+   * @returns True if every changed file was written
+   */
+  private async writeTaskLists(lists: TaskListFile[]): Promise<boolean> {
+    let success = true;
+    for (const { filePath, document, list } of lists.filter(entry => entry.list.isChanged())) {
+      list.writeTo(document);
+      success = await this._enhancedMemoryBank.writeDocument(filePath, document) && success;
+    }
+    return success;
+  }
+
+  /**
+   * Record a snapshot of the master files
+   * The master copies are included, and on a branch the branch's own files as well.
+   * Nothing is recorded if they are the same as in the latest snapshot.
+   * @param message What led to the snapshot
+   * @returns The recorded snapshot (or the latest one if nothing changed), or null on error
+   */
+  public async createSnapshot(message: string): Promise<SnapshotInfo | null> {
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        const { snapshot } = await this.snapshots.record(await this.readSnapshotFiles(), message, this._enhancedMemoryBank.getTimestamp());
+        return snapshot;
+      });
+    } catch (error) {
+      console.error('Error recording snapshot:', error);
+      return null;
+    }
+  }
+
+  /**
+   * List the recorded snapshots
+   * @returns Snapshots, oldest first
+   */
+  public async listSnapshots(): Promise<SnapshotInfo[]> {
+    try {
+      return await this.snapshots.list();
+    } catch (error) {
+      console.error('Error listing snapshots:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a snapshot with the content of its files
+   * @param reference Snapshot ID (or a unique prefix of at least four characters), or a date
+   *                  (YYYY-MM-DD, optionally with a time) for the latest snapshot at or before it
+   * @returns The snapshot and its files keyed by path relative to the memory bank, or null
+   *          if no snapshot matches
+   */
+  public async getSnapshot(reference: string): Promise<{ snapshot: SnapshotInfo; files: Record<string, string> } | null> {
+    try {
+      const snapshot = await this.snapshots.resolve(reference);
+      return snapshot ? { snapshot, files: await this.snapshots.readFiles(snapshot) } : null;
+    } catch (error) {
+      console.error(`Error reading snapshot ${reference}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Compare two snapshots section by section
+   * @param from Older snapshot ID or date
+   * @param to Newer snapshot ID or date (defaults to the current files)
+   * @returns Files that differ with their changed sections, or null if a snapshot doesn't exist
+   */
+  public async diffSnapshots(from: string, to?: string): Promise<FileSectionDiff[] | null> {
+    const before = await this.getSnapshot(from);
+    if (!before) {
+      return null;
+    }
+
+    let after: Record<string, string>;
+    if (to === undefined) {
+      after = await this.readSnapshotFiles();
+    } else {
+      const snapshot = await this.getSnapshot(to);
+      if (!snapshot) {
+        return null;
+      }
+      after = snapshot.files;
+    }
+    return diffSnapshotFiles(before.files, after);
+  }
+
+  /**
+   * Restore the master files of a snapshot
+   * The current files are recorded first, so the restore can itself be undone. Master
+   * files that didn't exist when the snapshot was taken are left as they are.
+   * @param reference Snapshot ID (or a unique prefix of at least four characters), or a date
+   * @returns Result object with success status and message
+   */
+  public async restoreSnapshot(reference: string): Promise<{ success: boolean; message: string }> {
+    try {
+      return await this._enhancedMemoryBank.withLock(async () => {
+        const target = await this.getSnapshot(reference);
+        if (!target) {
+          return { success: false, message: `No snapshot matches ${reference}` };
+        }
+        const shortId = target.snapshot.id.substring(0, SHORT_ID_LENGTH);
+
+        const current = await this.readSnapshotFiles();
+        await this.snapshots.record(current, `Before restoring ${shortId}`, this._enhancedMemoryBank.getTimestamp());
+
+        const restored: string[] = [];
+        for (const [file, content] of Object.entries(target.files)) {
+          const filePath = path.resolve(this.baseDir, file);
+          const relative = path.relative(path.resolve(this.baseDir), filePath);
+          if (!file.endsWith('.md') || relative.startsWith('..') || path.isAbsolute(relative)) {
+            return { success: false, message: `Snapshot ${shortId} has an invalid file path: ${file}` };
+          }
+          if (current[file] === content) {
+            continue;
+          }
+          if (!await this._enhancedMemoryBank.writeFile(filePath, content)) {
+            return { success: false, message: `Failed to restore ${file}. Restored files: ${restored.join(', ') || 'none'}` };
+          }
+          restored.push(file);
+        }
+
+        if (restored.length === 0) {
+          return { success: true, message: `The master files already match snapshot ${shortId}` };
+        }
+
+        await this.snapshots.record(await this.readSnapshotFiles(), `Restored ${shortId}`, this._enhancedMemoryBank.getTimestamp());
+        await this._enhancedMemoryBank.writeFile(this.lastUpdatePath, new Date().toISOString());
+        return { success: true, message: `Restored ${restored.join(', ')} from snapshot ${shortId} (${target.snapshot.timestamp})` };
+      });
+    } catch (error) {
+      console.error('Error restoring snapshot:', error);
+      return {
+        success: false,
+        message: `Failed to restore snapshot: ${error instanceof Error ? error.message : String(error)}`
+      };
+    }
+  }
+
+  /**
+   * Read the files a snapshot is made of
+   * @returns Contents of the existing master files and the current branch's files, keyed by
+   *          path relative to the memory bank
+   */
+  private async readSnapshotFiles(): Promise<Record<string, string>> {
+    const files: Record<string, string> = {};
+    const branch = this.getBranch();
+    for (const masterFile of this.getMasterFiles()) {
+      for (const filePath of new Set([this.resolveFile(masterFile.name, null), this.resolveFile(masterFile.name, branch)])) {
+        if (await fs.pathExists(filePath)) {
+          files[path.relative(this.baseDir, filePath).split(path.sep).join('/')] = await fs.readFile(filePath, 'utf8');
+        }
+      }
+    }
+    return files;
+  }
+
   /**
    * Handle UMB command
    * @param updates Update object with sections to update
@@ -397,78 +1949,131 @@ Footnotes:
       title: string;
       rationale: string;
       implications: string;
-      status: 'Implemented' | 'Pending' | 'Revised';
+      status: DecisionStatus;
+      supersedes?: string | string[];
+      commits?: string[];
+      files?: string[];
     };
     progress?: {
       currentTasks?: string[];
       completedTasks?: string[];
       upcomingTasks?: string[];
-      milestones?: { title: string; description?: string }[];
+      milestones?: MilestoneInput[];
+      tasks?: TaskInput[];
     };
+    /** Section updates for any master file, keyed by file name and then by section */
+    files?: { [fileName: string]: { [section: string]: SectionUpdate } };
   }): Promise<{ success: boolean; message: string }> {
     try {
-      let updatedFiles = [];
-
-      // Check if we need to start a new session
-      const startNewSession = await this._enhancedMemoryBank.shouldStartNewSession();
-      let sessionFile = await this._enhancedMemoryBank.getCurrentSessionFile();
-
-      if (startNewSession) {
-        // Load context from previous day if needed
-        await this._enhancedMemoryBank.loadContext();
-
-        // Create a new session file
-        sessionFile = await this._enhancedMemoryBank.createSessionFile();
-        console.log(`Started new session: ${sessionFile}`);
-      } else if (sessionFile) {
-        // Update the end time of the current session
-        await this._enhancedMemoryBank.updateSessionEndTime(sessionFile);
-        console.log(`Updated session: ${sessionFile}`);
-      } else {
-        // No current session, create one
-        sessionFile = await this._enhancedMemoryBank.createSessionFile();
-        console.log(`Created new session: ${sessionFile}`);
-      }
+      return await this._enhancedMemoryBank.withLock(async () => {
+        const updatedFiles: string[] = [];
+        const failedFiles: string[] = [];
+        // On a branch, the active context, progress and decision log are the branch's files
+        const displayName = (fileName: string) => path.relative(this.baseDir, this.resolveFile(fileName)).split(path.sep).join('/');
+
+        // Catch unknown files and sections before anything is changed
+        for (const [fileName, sections] of Object.entries(updates.files || {})) {
+          if (!await this.checkSectionUpdates(fileName, sections)) {
+            return {
+              success: false,
+              message: `Failed to update ${fileName.endsWith('.md') ? fileName : `${fileName}.md`}. No files were changed.`
+            };
+          }
+        }
 
-      // Track statistics for this update
-      const stats = await this._enhancedMemoryBank.trackStatistics();
-      console.log(`Statistics tracked: ${stats.timeSpent} spent, $${stats.estimatedCost} estimated cost`);
+        // Continue the open session, or start one if it was ended or abandoned
+        const continued = await this.continueSession({ focus: updates.activeContext?.currentFocus });
+        const sessionFile = continued ? continued.session.filePath : null;
+        if (continued && continued.started) {
+          console.log(`Started new session: ${sessionFile}`);
+        } else if (continued) {
+          console.log(`Updated session: ${sessionFile}`);
+        }
 
-      if (updates.productContext) {
-        const success = await this.updateProductContext(updates.productContext);
-        if (success) updatedFiles.push('productContext.md');
-      }
+        // Track statistics for this update
+        const stats = await this._enhancedMemoryBank.trackStatistics();
+        console.log(`Statistics tracked: ${stats.timeSpent} spent, $${stats.estimatedCost} estimated cost`);
 
-      if (updates.activeContext) {
-        const success = await this.updateActiveContext(updates.activeContext);
-        if (success) {
-          updatedFiles.push('activeContext.md');
-          // Also add the daily file
-          const dateStr = this._enhancedMemoryBank.getDateString();
-          updatedFiles.push(`daily/activeContext-${dateStr}.md`);
+        if (updates.productContext) {
+          const success = await this.updateProductContext(updates.productContext);
+          (success ? updatedFiles : failedFiles).push('productContext.md');
         }
-      }
 
-      // Aggregate daily files into master files
-      await this._enhancedMemoryBank.aggregateDailyFiles();
+        if (updates.activeContext) {
+          const success = await this.updateActiveContext(updates.activeContext);
+          if (success) {
+            updatedFiles.push(displayName('activeContext'));
+            // Also add the daily file
+            const dateStr = this._enhancedMemoryBank.getDateString();
+            updatedFiles.push(`daily/activeContext-${dateStr}.md`);
+          } else {
+            failedFiles.push(displayName('activeContext'));
+          }
+        }
 
-      // Archive old files
-      await this._enhancedMemoryBank.archiveOldFiles();
+        if (updates.systemPatterns) {
+          const success = await this.updateSystemPatterns(updates.systemPatterns);
+          (success ? updatedFiles : failedFiles).push('systemPatterns.md');
+        }
 
-      if (updatedFiles.length === 0) {
-        return {
-          success: false,
-          message: 'No updates provided. Memory bank remains unchanged.'
-        };
-      }
+        if (updates.decision) {
+          const decisionId = await this.addDecision(updates.decision);
+          (decisionId ? updatedFiles : failedFiles).push(displayName('decisionLog'));
+        }
 
-      // Update the last update timestamp
-      await fs.writeFile(this.lastUpdatePath, new Date().toISOString());
+        if (updates.progress) {
+          const success = await this.updateProgress(updates.progress);
+          (success ? updatedFiles : failedFiles).push(displayName('progress'));
+        }
 
-      return {
-        success: true,
-        message: `Memory bank updated successfully. Updated files: ${updatedFiles.join(', ')}`
-      };
+        for (const [fileName, sections] of Object.entries(updates.files || {})) {
+          const success = await this.updateSections(fileName, sections);
+          const name = displayName(fileName);
+          const list = success ? updatedFiles : failedFiles;
+          if (!list.includes(name)) {
+            list.push(name);
+          }
+        }
+
+        if (sessionFile && updatedFiles.length > 0) {
+          await this._enhancedMemoryBank.addSessionNote(sessionFile, `Updated ${updatedFiles.join(', ')}`);
+        }
+
+        // Write the statistics for today and the current session
+        await this._enhancedMemoryBank.updateStatistics(sessionFile);
+
+        // Aggregate daily files into master files
+        await this._enhancedMemoryBank.aggregateDailyFiles();
+
+        // Archive old files
+        await this._enhancedMemoryBank.archiveOldFiles();
+
+        if (failedFiles.length > 0) {
+          return {
+            success: false,
+            message: `Failed to update ${failedFiles.join(', ')}. ` +
+              (updatedFiles.length > 0 ? `Updated files: ${updatedFiles.join(', ')}` : 'No other files were changed.')
+          };
+        }
+
+        if (updatedFiles.length === 0) {
+          return {
+            success: false,
+            message: 'No updates provided. Memory bank remains unchanged.'
+          };
+        }
+
+        // Keep the state after this update in the history
+        await this.createSnapshot(`Updated ${updatedFiles.join(', ')}`);
+
+        // Update the last update timestamp
+        await this._enhancedMemoryBank.writeFile(this.lastUpdatePath, new Date().toISOString());
+
+        return {
+          success: true,
+          message: `Memory bank updated successfully. Updated files: ${updatedFiles.join(', ')}`
+        };
+      });
     } catch (error) {
       console.error('Error handling UMB command:', error);
       return {
@@ -481,11 +2086,12 @@ Footnotes:
 
 // Export a default instance for backward compatibility
 // This will use the default path: path.join(process.cwd(), 'memory-bank')
-export const memoryBank = new MemoryBank();
+// It is created on first use, so an invalid project configuration doesn't break the import
+export const memoryBank = lazyInstance(MemoryBank.prototype, () => new MemoryBank());
 
 // Re-export functions from memory bank for backward compatibility
-export const getTimestamp = memoryBank.getTimestamp.bind(memoryBank);
-export const getDateString = memoryBank.getDateString.bind(memoryBank);
+export const getTimestamp = () => memoryBank.getTimestamp();
+export const getDateString = (date?: Date) => memoryBank.getDateString(date);
 export const createDailyFile = async () => memoryBank.createDailyFile();
 export const getLatestDailyFile = async () => memoryBank.getLatestDailyFile();
 export const shouldStartNewSession = async () => memoryBank.shouldStartNewSession();
@@ -497,4 +2103,4 @@ export const loadContext = async () => memoryBank.loadContext();
 export const trackStatistics = async () => memoryBank.trackStatistics();
 export const updateDailyActiveContext = async (update: any) => memoryBank.updateDailyActiveContext(update);
 export const aggregateDailyFiles = async () => memoryBank.aggregateDailyFiles();
-export const reconstructMemoryBank = async () => memoryBank.reconstructMemoryBank();
\ No newline at end of file
+export const reconstructMemoryBank = async (days?: number) => memoryBank.reconstructMemoryBank(days);
\ No newline at end of file
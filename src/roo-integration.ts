@@ -1,6 +1,10 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { MemoryBank } from './memory-bank';
+import { ContextBudget, PackingReport } from './context-packer';
+import { lazyInstance, loadConfig } from './config-loader';
+import { GeneratedRule, RuleGenerator } from './rule-generator';
+import { RuleExporter, writeRuleDirectory } from './rule-exporters';
 
 /**
  * Configuration options for the Roo-Code integration
@@ -14,6 +18,10 @@ export interface RooIntegrationConfig {
   autoGenerateRules?: boolean;
   /** Workspace root directory */
   workspaceDir?: string;
+  /** Directory with rule templates that override the built-in ones (defaults to <memoryBankDir>/templates/roo-rules) */
+  templatesDir?: string;
+  /** Size budget for all generated rules together; older material is trimmed to fit */
+  contextBudget?: ContextBudget;
 }
 
 /**
@@ -21,28 +29,47 @@ export interface RooIntegrationConfig {
  * 
  * This class provides integration between the Memory Bank system and Roo-Code.
  * It handles the initialization, configuration, and operations needed to make
- * the memory bank work seamlessly with Roo-Code.
+ * the memory bank work seamlessly with Roo-Code. It is also the rule exporter for
+ * Roo, writing one rule file per master file to the rules directory.
  */
-export class RooIntegration {
+export class RooIntegration implements RuleExporter {
+  public readonly name = 'roo';
+  public readonly title = 'Roo';
+  public readonly target = '.roo/rules/';
+
   private memoryBank: MemoryBank;
+  private generator: RuleGenerator;
   private config: Required<RooIntegrationConfig>;
   private initialized: boolean = false;
+  /** Whether initialize() generated the rules, so the first update doesn't generate them again */
+  private generatedOnInitialize: boolean = false;
+  private lastPackingReport: PackingReport | null = null;
 
   /**
    * Create a new Roo-Code integration instance
+   * Options that aren't given are read from the workspace's project configuration.
    * @param config Configuration options
+   * @throws ConfigError if the project configuration is invalid
    */
   constructor(config: RooIntegrationConfig = {}) {
+    const workspaceDir = path.resolve(config.workspaceDir || process.cwd());
+    const projectConfig = loadConfig(workspaceDir).config;
+
     // Set defaults for configuration
     this.config = {
-      memoryBankDir: config.memoryBankDir || path.join(process.cwd(), 'memory-bank'),
-      rooRulesDir: config.rooRulesDir || path.join(process.cwd(), '.roo', 'rules'),
-      autoGenerateRules: config.autoGenerateRules !== undefined ? config.autoGenerateRules : true,
-      workspaceDir: config.workspaceDir || process.cwd()
+      memoryBankDir: config.memoryBankDir || projectConfig.memoryBankDir || path.join(workspaceDir, 'memory-bank'),
+      rooRulesDir: config.rooRulesDir || projectConfig.rooRulesDir || path.join(workspaceDir, '.roo', 'rules'),
+      autoGenerateRules: config.autoGenerateRules !== undefined ? config.autoGenerateRules
+        : projectConfig.autoGenerateRules !== undefined ? projectConfig.autoGenerateRules : true,
+      workspaceDir,
+      templatesDir: '',
+      contextBudget: config.contextBudget || projectConfig.contextBudget || {}
     };
+    this.config.templatesDir = config.templatesDir || projectConfig.templatesDir || path.join(this.config.memoryBankDir, 'templates', 'roo-rules');
 
     // Initialize the memory bank
-    this.memoryBank = new MemoryBank(this.config.memoryBankDir);
+    this.memoryBank = new MemoryBank({ baseDir: this.config.memoryBankDir, projectDir: workspaceDir });
+    this.generator = new RuleGenerator(this.memoryBank, this.config.memoryBankDir, this.config.templatesDir);
   }
 
   /**
@@ -60,7 +87,7 @@ export class RooIntegration {
         
         // Generate rules if auto-generation is enabled
         if (this.config.autoGenerateRules) {
-          await this.generateRooRules();
+          this.generatedOnInitialize = await this.generateRooRules();
         }
         
         this.initialized = true;
@@ -75,42 +102,18 @@ export class RooIntegration {
 
   /**
    * Generate Roo-Code custom instruction files from memory bank content
+   *
+   * Every master file is rendered into its own rule file through a template. Rules
+   * generated by an earlier run whose source no longer exists are removed; rule
+   * files that weren't generated by the memory bank are left alone.
    */
   public async generateRooRules(): Promise<boolean> {
     try {
-      // Generate memory bank reference rule
-      const memoryBankRule = `# Memory Bank Reference
-
-This file provides Roo with context from the memory bank located at:
-\`${this.config.memoryBankDir}\`
-
-## Active Context
-The active context is the current focus of development and recent changes.
-Refer to this when working on the codebase to understand the current state.
-
-## Product Context
-The product context provides an overview of the project, its goals, features,
-and architecture. Use this information to ensure your responses align with
-the project vision.
-
-## System Patterns
-System patterns describe the architectural and design patterns used in the project.
-Follow these patterns when suggesting code changes.
+      const { rules, report } = await this.generator.generate(this.config.contextBudget);
+      this.lastPackingReport = report;
+      this.generator.logPackingReport(report);
 
-## Decision Log
-The decision log contains important decisions and their rationale.
-Respect these decisions when making suggestions.
-`;
-
-      // Write the rule file
-      await fs.writeFile(
-        path.join(this.config.rooRulesDir, '01-memory-bank-reference.md'),
-        memoryBankRule
-      );
-
-      // Generate active context rule from memory bank content
-      await this.generateActiveContextRule();
-      
+      await this.write(rules, this.config.workspaceDir);
       return true;
     } catch (error) {
       console.error('Error generating Roo rules:', error);
@@ -119,52 +122,32 @@ Respect these decisions when making suggestions.
   }
 
   /**
-   * Generate active context rule from memory bank
+   * Get the report of the last rule generation
+   * @returns Size of the generated rules and what was dropped to fit the budget, or null before the first generation
    */
-  private async generateActiveContextRule(): Promise<boolean> {
-    try {
-      // Read the active context file
-      const activeContextPath = path.join(this.config.memoryBankDir, 'activeContext.md');
-      
-      if (await fs.pathExists(activeContextPath)) {
-        const activeContext = await fs.readFile(activeContextPath, 'utf8');
-        
-        // Extract sections
-        const currentFocus = this.extractSection(activeContext, '## Current Focus');
-        const recentChanges = this.extractSection(activeContext, '## Recent Changes');
-        const openQuestions = this.extractSection(activeContext, '## Open Questions/Issues');
-        
-        // Create active context rule
-        const activeContextRule = `# Active Development Context
-
-## Current Focus
-${currentFocus || '- No current focus specified'}
-
-## Recent Changes
-${recentChanges || '- No recent changes recorded'}
-
-## Open Questions/Issues
-${openQuestions || '- No open questions'}
+  public getLastPackingReport(): PackingReport | null {
+    return this.lastPackingReport;
+  }
 
----
-This file is automatically generated from the memory bank. Do not edit directly.
-Last updated: ${new Date().toISOString()}
-`;
+  /**
+   * Check whether a workspace uses Roo-Code
+   * @param workspaceDir Workspace root directory
+   * @returns True if the workspace has a .roo directory or a .roorules file
+   */
+  public async detect(workspaceDir: string): Promise<boolean> {
+    return await fs.pathExists(path.join(workspaceDir, '.roo')) ||
+      await fs.pathExists(path.join(workspaceDir, '.roorules'));
+  }
 
-        // Write the rule file
-        await fs.writeFile(
-          path.join(this.config.rooRulesDir, '02-active-context.md'),
-          activeContextRule
-        );
-        
-        return true;
-      }
-      
-      return false;
-    } catch (error) {
-      console.error('Error generating active context rule:', error);
-      return false;
-    }
+  /**
+   * Write rules to the Roo rules directory, keeping their file names
+   * @param rules Rules in reading order
+   * @param workspaceDir Workspace root directory, for the returned paths
+   * @returns Files written, relative to the workspace
+   */
+  public async write(rules: GeneratedRule[], workspaceDir: string): Promise<string[]> {
+    await writeRuleDirectory(this.config.rooRulesDir, rules);
+    return rules.map(rule => path.relative(workspaceDir, path.join(this.config.rooRulesDir, rule.fileName)));
   }
 
   /**
@@ -172,10 +155,10 @@ Last updated: ${new Date().toISOString()}
    */
   public async updateRooRules(): Promise<boolean> {
     try {
-      if (!this.initialized) {
-        await this.initialize();
+      if (!this.initialized && await this.initialize() && this.generatedOnInitialize) {
+        return true;
       }
-      
+
       return await this.generateRooRules();
     } catch (error) {
       console.error('Error updating Roo rules:', error);
@@ -214,18 +197,9 @@ Last updated: ${new Date().toISOString()}
         return null;
       }
       
-      // Create .roo/rules directory if it doesn't exist
-      const rooRulesDir = path.join(workspacePath, '.roo', 'rules');
-      await fs.ensureDir(rooRulesDir);
-      
-      // Create memory bank directory
-      const memoryBankDir = path.join(workspacePath, 'memory-bank');
-      
-      // Configure the integration
+      // Configure the integration; directories come from the project configuration
       const config: RooIntegrationConfig = {
         workspaceDir: workspacePath,
-        memoryBankDir,
-        rooRulesDir,
         autoGenerateRules: true
       };
       
@@ -240,18 +214,6 @@ Last updated: ${new Date().toISOString()}
     }
   }
 
-  /**
-   * Extract a section from markdown content
-   * @param content Markdown content
-   * @param sectionHeader Section header to extract
-   * @returns Extracted section content
-   */
-  private extractSection(content: string, sectionHeader: string): string {
-    const sectionRegex = new RegExp(`${sectionHeader}\\n([\\s\\S]*?)(?=\\n## |$)`);
-    const match = content.match(sectionRegex);
-    return match ? match[1].trim() : '';
-  }
-
   /**
    * Get the memory bank instance
    * @returns The memory bank instance
@@ -259,7 +221,15 @@ Last updated: ${new Date().toISOString()}
   public getMemoryBank(): MemoryBank {
     return this.memoryBank;
   }
+
+  /**
+   * Get the effective configuration
+   * @returns Configuration with project settings and defaults applied
+   */
+  public getConfig(): Readonly<Required<RooIntegrationConfig>> {
+    return this.config;
+  }
 }
 
-// Export a default instance for easy use
-export const rooIntegration = new RooIntegration();
\ No newline at end of file
+// Export a default instance for easy use, created on first use like the default memory bank
+export const rooIntegration = lazyInstance(RooIntegration.prototype, () => new RooIntegration());
\ No newline at end of file
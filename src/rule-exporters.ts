@@ -0,0 +1,257 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { ContextBudget } from './context-packer';
+import { writeFileAtomic } from './file-lock';
+import { GENERATED_MARKER, GeneratedRule } from './rule-generator';
+
+/**
+ * Writes the rules generated from the memory bank to where an AI assistant reads them
+ */
+export interface RuleExporter {
+  /** Name used in the configuration and on the command line (e.g. "cursor") */
+  readonly name: string;
+  /** Name of the assistant, for messages and the ${ASSISTANT} placeholder of the templates */
+  readonly title: string;
+  /** Where the rules go, relative to the workspace (e.g. ".cursor/rules/") */
+  readonly target: string;
+  /** Size limit of the assistant; the stricter of this and the configured contextBudget applies */
+  readonly budget?: ContextBudget;
+
+  /**
+   * Check whether a workspace uses the assistant
+   * @param workspaceDir Workspace root directory
+   * @returns True if the assistant's files are present
+   */
+  detect(workspaceDir: string): Promise<boolean>;
+
+  /**
+   * Write the rules
+   * @param rules Rules in reading order
+   * @param workspaceDir Workspace root directory
+   * @returns Files written, relative to the workspace
+   */
+  write(rules: GeneratedRule[], workspaceDir: string): Promise<string[]>;
+}
+
+/** Name of the file in a rules directory that lists the generated rules */
+export const MANIFEST_FILE = '.memory-bank-rules.json';
+
+/** Lines around the memory bank part of a file that also holds the project's own instructions */
+const BLOCK_START = '<!-- memory-bank:start -->';
+const BLOCK_END = '<!-- memory-bank:end -->';
+
+/**
+ * Write rules into a directory of their own
+ * Rules from a previous run that weren't written this time are removed, but only if
+ * they are listed in the directory's manifest and still carry the generated marker.
+ * Other files in the directory are left alone.
+ * @param dir Rules directory
+ * @param files File names and contents
+ */
+export async function writeRuleDirectory(dir: string, files: { fileName: string; content: string }[]): Promise<void> {
+  await fs.ensureDir(dir);
+  for (const { fileName, content } of files) {
+    await writeFileAtomic(path.join(dir, fileName), content);
+  }
+
+  const generated = files.map(file => file.fileName);
+  await removeStaleRules(dir, generated);
+  await fs.writeJson(path.join(dir, MANIFEST_FILE), { generated }, { spaces: 2 });
+}
+
+/**
+ * Write content into the memory bank block of a file, keeping everything around it
+ * The block is added at the end of the file if it doesn't have one yet.
+ * @param filePath File to write
+ * @param content Content of the block
+ */
+export async function writeManagedBlock(filePath: string, content: string): Promise<void> {
+  const block = `${BLOCK_START}\n${content.trim()}\n${BLOCK_END}`;
+  const existing = await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf8') : '';
+  const start = existing.indexOf(BLOCK_START);
+  const end = existing.indexOf(BLOCK_END, start);
+
+  let updated: string;
+  if (start >= 0 && end >= 0) {
+    updated = `${existing.slice(0, start)}${block}${existing.slice(end + BLOCK_END.length)}`;
+  } else if (existing.trim()) {
+    updated = `${existing.trimEnd()}\n\n${block}\n`;
+  } else {
+    updated = `${block}\n`;
+  }
+  await writeFileAtomic(filePath, updated);
+}
+
+/**
+ * Combine rules into one markdown section, for assistants that read a single file
+ * Headings are moved two levels down so the rules nest under a "Memory Bank" heading.
+ * @param rules Rules in reading order
+ * @returns Markdown starting with a level-2 heading
+ */
+export function combineRules(rules: GeneratedRule[]): string {
+  const body = rules.map(rule => demoteHeadings(stripGeneratedFooter(rule.content), 2)).join('\n\n');
+  return `## Memory Bank
+
+_Generated from the memory bank on ${new Date().toISOString()}. Do not edit this section; it is replaced on every export._
+
+${body}`;
+}
+
+/**
+ * Get the file name stem of a rule without its number
+ * @param rule Rule
+ * @returns Stem, e.g. "active-context" for 02-active-context.md
+ */
+function ruleStem(rule: GeneratedRule): string {
+  return rule.fileName.replace(/\.md$/, '').replace(/^\d+-/, '').replace(/^memory-bank-/, '');
+}
+
+/**
+ * Remove the generated marker and everything after it from a rule
+ * @param content Rule content
+ * @returns Content without the footer
+ */
+function stripGeneratedFooter(content: string): string {
+  const footer = content.lastIndexOf(`---\n${GENERATED_MARKER}`);
+  return (footer >= 0 ? content.slice(0, footer) : content).trimEnd();
+}
+
+/**
+ * Move markdown headings down, leaving code blocks alone
+ * @param content Markdown content
+ * @param levels Number of levels to add
+ * @returns Content with deeper headings (at most level 6)
+ */
+function demoteHeadings(content: string, levels: number): string {
+  let inCode = false;
+  return content.split('\n').map(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCode = !inCode;
+    }
+    const heading = !inCode && line.match(/^(#{1,6}) /);
+    return heading ? `${'#'.repeat(Math.min(6, heading[1].length + levels))}${line.slice(heading[1].length)}` : line;
+  }).join('\n');
+}
+
+/**
+ * Remove rules from a previous run that weren't generated this time
+ * @param dir Rules directory
+ * @param generated File names generated in this run
+ */
+async function removeStaleRules(dir: string, generated: string[]): Promise<void> {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!await fs.pathExists(manifestPath)) {
+    return;
+  }
+
+  let previous: string[] = [];
+  try {
+    previous = (await fs.readJson(manifestPath)).generated || [];
+  } catch (error) {
+    console.warn(`Ignoring unreadable rules manifest ${manifestPath}:`, error);
+    return;
+  }
+
+  for (const fileName of previous) {
+    if (generated.includes(fileName) || path.basename(fileName) !== fileName) {
+      continue;
+    }
+    const rulePath = path.join(dir, fileName);
+    if (await fs.pathExists(rulePath) && (await fs.readFile(rulePath, 'utf8')).includes(GENERATED_MARKER)) {
+      await fs.remove(rulePath);
+      console.log(`Removed stale rule ${fileName}`);
+    }
+  }
+}
+
+/**
+ * Cursor: one `.mdc` rule per master file in `.cursor/rules/`, always applied
+ */
+export class CursorExporter implements RuleExporter {
+  public readonly name = 'cursor';
+  public readonly title = 'Cursor';
+  public readonly target = '.cursor/rules/';
+
+  public async detect(workspaceDir: string): Promise<boolean> {
+    return await fs.pathExists(path.join(workspaceDir, '.cursor')) || await fs.pathExists(path.join(workspaceDir, '.cursorrules'));
+  }
+
+  public async write(rules: GeneratedRule[], workspaceDir: string): Promise<string[]> {
+    const files = rules.map(rule => {
+      // Cursor reads the front matter as YAML; quote descriptions that YAML would misread
+      const description = `${rule.title} (from the memory bank)`;
+      const frontMatter = `---\ndescription: ${/[:#'"]/.test(description) ? JSON.stringify(description) : description}\nglobs:\nalwaysApply: true\n---\n\n`;
+      return { fileName: `memory-bank-${ruleStem(rule)}.mdc`, content: `${frontMatter}${rule.content}` };
+    });
+    await writeRuleDirectory(path.join(workspaceDir, '.cursor', 'rules'), files);
+    return files.map(file => `.cursor/rules/${file.fileName}`);
+  }
+}
+
+/**
+ * Cline: one rule per master file in the `.clinerules/` directory, or a memory bank
+ * block in `.clinerules` when the project uses the single-file form
+ */
+export class ClineExporter implements RuleExporter {
+  public readonly name = 'cline';
+  public readonly title = 'Cline';
+  public readonly target = '.clinerules';
+
+  public async detect(workspaceDir: string): Promise<boolean> {
+    return fs.pathExists(path.join(workspaceDir, '.clinerules'));
+  }
+
+  public async write(rules: GeneratedRule[], workspaceDir: string): Promise<string[]> {
+    const rulesPath = path.join(workspaceDir, '.clinerules');
+    if (await fs.pathExists(rulesPath) && (await fs.stat(rulesPath)).isFile()) {
+      await writeManagedBlock(rulesPath, combineRules(rules));
+      return ['.clinerules'];
+    }
+
+    const files = rules.map(rule => ({ fileName: `memory-bank-${ruleStem(rule)}.md`, content: rule.content }));
+    await writeRuleDirectory(rulesPath, files);
+    return files.map(file => `.clinerules/${file.fileName}`);
+  }
+}
+
+/**
+ * GitHub Copilot: a memory bank block in `.github/copilot-instructions.md`
+ * Copilot code review only reads the first 4,000 characters of the file, so the rules
+ * are trimmed to fit.
+ */
+export class CopilotExporter implements RuleExporter {
+  public readonly name = 'copilot';
+  public readonly title = 'GitHub Copilot';
+  public readonly target = '.github/copilot-instructions.md';
+  public readonly budget: ContextBudget = { maxCharacters: 4000 };
+
+  public async detect(workspaceDir: string): Promise<boolean> {
+    return await fs.pathExists(path.join(workspaceDir, '.github', 'copilot-instructions.md')) ||
+      await fs.pathExists(path.join(workspaceDir, '.github', 'instructions'));
+  }
+
+  public async write(rules: GeneratedRule[], workspaceDir: string): Promise<string[]> {
+    await writeManagedBlock(path.join(workspaceDir, '.github', 'copilot-instructions.md'), combineRules(rules));
+    return [this.target];
+  }
+}
+
+/**
+ * AGENTS.md: a memory bank block in the `AGENTS.md` at the workspace root, read by Codex
+ * and other agents that follow the convention. Codex reads at most 32 KiB of it.
+ */
+export class AgentsMdExporter implements RuleExporter {
+  public readonly name = 'agents';
+  public readonly title = 'AI coding agents';
+  public readonly target = 'AGENTS.md';
+  public readonly budget: ContextBudget = { maxCharacters: 32768 };
+
+  public async detect(workspaceDir: string): Promise<boolean> {
+    return fs.pathExists(path.join(workspaceDir, 'AGENTS.md'));
+  }
+
+  public async write(rules: GeneratedRule[], workspaceDir: string): Promise<string[]> {
+    await writeManagedBlock(path.join(workspaceDir, 'AGENTS.md'), combineRules(rules));
+    return [this.target];
+  }
+}
@@ -0,0 +1,274 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { MemoryBank } from './memory-bank';
+import { MarkdownDocument } from './markdown-document';
+import { ContextBudget, ContextPacker, PackableRule, PackingReport } from './context-packer';
+import { MasterFileDefinition, titleFromName } from './config-loader';
+
+/**
+ * A rule rendered from the memory bank, before an exporter lays it out for its assistant
+ */
+export interface GeneratedRule {
+  /** File name of the rule and of its template (e.g. 02-active-context.md) */
+  fileName: string;
+  /** Memory bank file the rule was rendered from, or null for rules without a source */
+  source: string | null;
+  /** Title of the rule, from its first heading */
+  title: string;
+  /** Rendered markdown, ending with the generated marker */
+  content: string;
+}
+
+/**
+ * A rule file generated from the memory bank
+ */
+interface RuleDefinition {
+  /** File name of the rule and of its template */
+  fileName: string;
+  /** Memory bank file whose sections fill the template, or null for rules without a source */
+  source: string | null;
+}
+
+/**
+ * Rule files generated from the built-in master files, in the order assistants read them
+ * Project-defined master files get a rule each after these.
+ */
+const RULE_DEFINITIONS: RuleDefinition[] = [
+  { fileName: '01-memory-bank-reference.md', source: null },
+  { fileName: '02-active-context.md', source: 'activeContext.md' },
+  { fileName: '03-product-context.md', source: 'productContext.md' },
+  { fileName: '04-system-patterns.md', source: 'systemPatterns.md' },
+  { fileName: '05-decision-log.md', source: 'decisionLog.md' },
+  { fileName: '06-progress.md', source: 'progress.md' }
+];
+
+/** Line that marks a rule file as generated, so it can be replaced or removed safely */
+export const GENERATED_MARKER = 'This file is automatically generated from the memory bank. Do not edit directly.';
+
+/** Built-in rule templates shipped with the package */
+const BUILT_IN_TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'roo-rules');
+
+/**
+ * Rule Generator
+ *
+ * Renders every master file into a rule through a template and fits the rules into a
+ * context budget. The rules are the same for every assistant; exporters decide where
+ * they go and how they are wrapped.
+ */
+export class RuleGenerator {
+  private memoryBank: MemoryBank;
+  private memoryBankDir: string;
+  private templatesDir: string;
+
+  /**
+   * Create a new rule generator
+   * @param memoryBank Memory bank to render
+   * @param memoryBankDir Memory bank directory, shown in the reference rule
+   * @param templatesDir Directory with rule templates that override the built-in ones
+   */
+  constructor(memoryBank: MemoryBank, memoryBankDir: string, templatesDir: string) {
+    this.memoryBank = memoryBank;
+    this.memoryBankDir = memoryBankDir;
+    this.templatesDir = templatesDir;
+  }
+
+  /**
+   * Render the rules
+   * @param budget Size budget for all rules together
+   * @param values Extra placeholder values, e.g. ASSISTANT for the assistant's name
+   * @returns Rules in reading order, and what was dropped to fit the budget
+   */
+  public async generate(budget: ContextBudget, values: Record<string, string> = {}): Promise<{ rules: GeneratedRule[]; report: PackingReport }> {
+    const prepared: PackableRule[] = [];
+    for (const rule of [...RULE_DEFINITIONS, ...this.getProjectRuleDefinitions()]) {
+      const packable = await this.prepareRule(rule, values);
+      if (packable) {
+        prepared.push(packable);
+      }
+    }
+
+    // Fit the rules into the context budget before rendering them
+    const packer = new ContextPacker(budget, (rule, ruleValues) => this.renderRule(rule, ruleValues));
+    const { contents, report } = packer.pack(prepared);
+
+    const rules = prepared.map(rule => {
+      const content = contents.get(rule.fileName) || '';
+      const heading = content.match(/^# (.+)$/m);
+      return {
+        fileName: rule.fileName,
+        source: rule.source,
+        title: heading ? heading[1].trim() : titleFromName(rule.fileName.replace(/^\d+-|\.md$/g, '')),
+        content
+      };
+    });
+    return { rules, report };
+  }
+
+  /**
+   * Log what was trimmed to fit the context budget
+   * @param report Packing report
+   * @param target What the rules were generated for, e.g. "Cursor rules"
+   */
+  public logPackingReport(report: PackingReport, target: string = 'rules'): void {
+    if (report.budgetCharacters === null) {
+      return;
+    }
+    for (const item of report.dropped) {
+      console.log(`Context budget: dropped ${item.entries} older ${item.entries === 1 ? 'entry' : 'entries'} from ${item.section} in ${item.fileName}`);
+    }
+    if (report.overBudget) {
+      console.warn(`Context budget exceeded: ${target} use ${report.totalCharacters} characters (~${report.estimatedTokens} tokens) of ${report.budgetCharacters}`);
+    }
+  }
+
+  /**
+   * Get the rules for project-defined master files
+   * They are numbered after the built-in rules and rendered with the fallback template
+   * unless the templates directory has one with the same file name.
+   * @returns Rule definitions, e.g. 07-security-notes.md for securityNotes.md
+   */
+  private getProjectRuleDefinitions(): RuleDefinition[] {
+    return this.getProjectMasterFiles().map((masterFile, index) => ({
+      fileName: `${String(RULE_DEFINITIONS.length + index + 1).padStart(2, '0')}-${MarkdownDocument.sectionId(titleFromName(masterFile.name))}.md`,
+      source: `${masterFile.name}.md`
+    }));
+  }
+
+  /**
+   * Get the master files defined by the project, leaving out built-in files it adds sections to
+   * @returns Project-defined master files in configuration order
+   */
+  private getProjectMasterFiles(): MasterFileDefinition[] {
+    const builtInSources = RULE_DEFINITIONS.map(rule => rule.source);
+    return this.memoryBank.getMasterFiles().filter(masterFile => !builtInSources.includes(`${masterFile.name}.md`));
+  }
+
+  /**
+   * Read the template and placeholder values for a rule
+   * @param rule Rule to prepare
+   * @param extraValues Placeholder values shared by all rules
+   * @returns Template and values, or null if the rule's source file doesn't exist
+   */
+  private async prepareRule(rule: RuleDefinition, extraValues: Record<string, string>): Promise<PackableRule | null> {
+    const values: Record<string, string> = {
+      ...extraValues,
+      MEMORY_BANK_DIR: this.memoryBankDir,
+      TIMESTAMP: new Date().toISOString()
+    };
+
+    if (!rule.source) {
+      // Continues the numbered list of built-in master files in the reference rule
+      const builtInCount = RULE_DEFINITIONS.filter(definition => definition.source).length;
+      values.PROJECT_FILES = this.getProjectMasterFiles()
+        .map((masterFile, index) => `\n${builtInCount + index + 1}. **${masterFile.name}.md** - ${masterFile.title || titleFromName(masterFile.name)} (${masterFile.sections.join(', ')})`)
+        .join('');
+    }
+
+    const sections: string[] = [];
+    let document: MarkdownDocument | null = null;
+    if (rule.source) {
+      const sourcePath = path.join(this.memoryBankDir, rule.source);
+      if (!await fs.pathExists(sourcePath)) {
+        return null;
+      }
+
+      // Every section of the source is available as ${SECTION_ID}, e.g. ${CURRENT_FOCUS}.
+      // On a branch with branch-aware memory, the branch's sections are used
+      document = await this.memoryBank.getDocument(rule.source);
+      for (const section of document.getSections()) {
+        const key = this.placeholderName(section.id);
+        if (!(key in values)) {
+          values[key] = section.content;
+          sections.push(key);
+        }
+      }
+    }
+
+    const template = await this.loadTemplate(rule.fileName);
+    return {
+      fileName: rule.fileName,
+      source: rule.source,
+      template: template !== null ? template : this.buildFallbackTemplate(document),
+      values,
+      sections
+    };
+  }
+
+  /**
+   * Render a rule from its template, adding the generated marker if the template lacks it
+   * @param rule Prepared rule
+   * @param values Placeholder values
+   * @returns Rule file content
+   */
+  private renderRule(rule: PackableRule, values: Record<string, string>): string {
+    const content = this.renderTemplate(rule.template, values);
+    if (content.includes(GENERATED_MARKER)) {
+      return content;
+    }
+    return `${content.trimEnd()}\n\n---\n${GENERATED_MARKER}\nLast updated: ${values.TIMESTAMP}\n`;
+  }
+
+  /**
+   * Get the placeholder name for a section ID
+   * @param sectionId Section ID (e.g. "current-focus")
+   * @returns Placeholder name (e.g. "CURRENT_FOCUS")
+   */
+  private placeholderName(sectionId: string): string {
+    return sectionId.toUpperCase().replace(/-/g, '_');
+  }
+
+  /**
+   * Load the template for a rule, preferring a user template over the built-in one
+   * @param fileName Rule file name
+   * @returns Template content, or null if there is no template
+   */
+  private async loadTemplate(fileName: string): Promise<string | null> {
+    for (const dir of [this.templatesDir, BUILT_IN_TEMPLATES_DIR]) {
+      const templatePath = path.join(dir, fileName);
+      if (await fs.pathExists(templatePath)) {
+        return fs.readFile(templatePath, 'utf8');
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fill in a template
+   * Placeholders look like ${NAME} or ${NAME:-default}; the default is used when the
+   * value is missing or only holds an empty placeholder bullet.
+   * @param template Template content
+   * @param values Placeholder values
+   * @returns Rendered content
+   */
+  private renderTemplate(template: string, values: Record<string, string>): string {
+    return template.replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/g, (placeholder, name: string, fallback?: string) => {
+      const value = values[name];
+      const isEmpty = value === undefined || value.replace(/^-\s*$/gm, '').trim() === '';
+      if (!isEmpty) {
+        return value;
+      }
+      return fallback !== undefined ? fallback : '';
+    });
+  }
+
+  /**
+   * Build a template for a rule without one that copies every section of its source
+   * @param document Parsed source file, or null for rules without a source
+   * @returns Template content
+   */
+  private buildFallbackTemplate(document: MarkdownDocument | null): string {
+    const title = document?.title || 'Memory Bank';
+    const sections = (document ? document.getSections() : [])
+      .map(section => `## ${section.heading}\n\${${this.placeholderName(section.id)}:--}`)
+      .join('\n\n');
+
+    return `# ${title}
+
+${sections}
+
+---
+${GENERATED_MARKER}
+Last updated: \${TIMESTAMP}
+`;
+  }
+}
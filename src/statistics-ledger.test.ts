@@ -0,0 +1,110 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { LedgerRecord, StatisticsLedger } from './statistics-ledger';
+
+const RECORDS: LedgerRecord[] = [
+  {
+    type: 'commit',
+    hash: 'a1',
+    date: '2024-05-06T10:00:00Z',
+    author: 'alice',
+    subject: 'Add invoices',
+    files: [
+      { path: 'src/billing/invoices.ts', linesAdded: 30, linesRemoved: 10 },
+      { path: 'README.md', linesAdded: 5, linesRemoved: 5 }
+    ]
+  },
+  {
+    type: 'commit',
+    hash: 'b2',
+    date: '2024-05-08T15:00:00Z',
+    author: 'bob',
+    subject: 'Add the invoices endpoint',
+    files: [{ path: 'src/api/invoices.ts', linesAdded: 40, linesRemoved: 0 }]
+  },
+  { type: 'commit', hash: 'c3', date: '2024-05-13T09:00:00Z', author: 'alice', subject: 'Next week', files: [{ path: 'README.md', linesAdded: 1, linesRemoved: 0 }] },
+  { type: 'activity', start: '2024-05-06T09:00:00Z', end: '2024-05-06T10:00:00Z', minutes: 60, author: 'alice' },
+  { type: 'activity', start: '2024-05-08T14:30:00Z', end: '2024-05-08T15:00:00Z', minutes: 30, author: 'bob' },
+  { type: 'activity', start: '2024-05-13T08:00:00Z', end: '2024-05-13T09:00:00Z', minutes: 60, author: 'alice' }
+];
+
+describe('StatisticsLedger', () => {
+  let baseDir: string;
+  let ledger: StatisticsLedger;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-bank-'));
+    ledger = new StatisticsLedger(baseDir, 60);
+    await ledger.append(RECORDS);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(baseDir);
+  });
+
+  it('records each commit once and skips unreadable lines', async () => {
+    expect(await ledger.append([RECORDS[0], RECORDS[3]])).toBe(1);
+
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    await fs.appendFile(path.join(baseDir, 'statistics.jsonl'), '{"type": "comm');
+    expect(await ledger.read()).toHaveLength(RECORDS.length + 1);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipping unreadable line'));
+  });
+
+  it('totals the week a date falls in', async () => {
+    const report = await ledger.report({ date: '2024-05-08' });
+
+    expect(report).toMatchObject({ period: 'week', from: '2024-05-06', to: '2024-05-12', by: 'total' });
+    expect(report.rows).toHaveLength(1);
+    expect(report.total).toEqual({
+      key: 'Total',
+      minutes: 90,
+      timeSpent: '1h 30m',
+      estimatedCost: 90,
+      linesAdded: 75,
+      linesRemoved: 15,
+      churn: 90,
+      commits: 2
+    });
+  });
+
+  it('groups by day and by author', async () => {
+    const byDay = await ledger.report({ date: '2024-05-08', by: 'day' });
+    expect(byDay.rows.map(row => [row.key, row.minutes, row.churn, row.commits])).toEqual([
+      ['2024-05-06', 60, 50, 1],
+      ['2024-05-08', 30, 40, 1]
+    ]);
+
+    const byAuthor = await ledger.report({ period: 'month', date: '2024-05-20', by: 'author' });
+    expect(byAuthor.rows.map(row => [row.key, row.minutes, row.churn, row.commits])).toEqual([
+      ['alice', 120, 51, 2],
+      ['bob', 30, 40, 1]
+    ]);
+  });
+
+  it('divides time between directories by their share of the churn', async () => {
+    const report = await ledger.report({ date: '2024-05-08', by: 'directory' });
+    expect(report.rows.map(row => [row.key, row.minutes, row.commits])).toEqual([['src', 80, 2], ['.', 10, 1]]);
+
+    const deeper = await ledger.report({ date: '2024-05-08', by: 'directory', depth: 2 });
+    expect(deeper.rows.map(row => [row.key, row.minutes])).toEqual([['src/api', 40], ['src/billing', 40], ['.', 10]]);
+  });
+
+  it('formats reports as CSV and Markdown', async () => {
+    const report = await ledger.report({ date: '2024-05-08', by: 'author' });
+
+    expect(StatisticsLedger.format(report, 'csv')).toBe([
+      'author,minutes,time_spent,estimated_cost,lines_added,lines_removed,churn,commits',
+      'alice,60,1h 0m,60.00,35,15,50,1',
+      'bob,30,0h 30m,30.00,40,0,40,1'
+    ].join('\n'));
+    expect(StatisticsLedger.format(report, 'md').split('\n').slice(-3)).toEqual([
+      '| alice | 1h 0m | $60.00 | 35 | 15 | 50 | 1 |',
+      '| bob | 0h 30m | $30.00 | 40 | 0 | 40 | 1 |',
+      '| **Total** | **1h 30m** | **$90.00** | **75** | **15** | **90** | **2** |'
+    ]);
+    await expect(ledger.report({ date: 'last week' })).rejects.toThrow('Invalid date');
+  });
+});
@@ -0,0 +1,366 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * A commit recorded in the ledger
+ */
+export interface LedgerCommit {
+  type: 'commit';
+  hash: string;
+  /** Commit time (ISO 8601) */
+  date: string;
+  author: string;
+  subject: string;
+  /** Lines changed per file, relative to the repository root */
+  files: { path: string; linesAdded: number; linesRemoved: number }[];
+}
+
+/**
+ * A period of activity recorded in the ledger
+ */
+export interface LedgerActivity {
+  type: 'activity';
+  /** Start of the period (ISO 8601) */
+  start: string;
+  /** End of the period (ISO 8601) */
+  end: string;
+  /** Active minutes within the period */
+  minutes: number;
+  author: string;
+}
+
+export type LedgerRecord = LedgerCommit | LedgerActivity;
+
+export type ReportPeriod = 'day' | 'week' | 'month';
+export type ReportGrouping = 'total' | 'day' | 'author' | 'directory';
+export type ReportFormat = 'json' | 'csv' | 'md';
+
+/**
+ * Options for a statistics report
+ */
+export interface ReportOptions {
+  /** Length of the reported period (defaults to week) */
+  period?: ReportPeriod;
+  /** Any date within the period (YYYY-MM-DD or Date, defaults to today) */
+  date?: string | Date;
+  /** How to group the rows (defaults to total) */
+  by?: ReportGrouping;
+  /** Number of path segments that make up a directory when grouping by directory (defaults to 1) */
+  depth?: number;
+}
+
+/**
+ * One row of a statistics report
+ */
+export interface ReportRow {
+  /** Day, author or directory, or "Total" */
+  key: string;
+  minutes: number;
+  timeSpent: string;
+  estimatedCost: number;
+  linesAdded: number;
+  linesRemoved: number;
+  /** Lines added plus lines removed */
+  churn: number;
+  commits: number;
+}
+
+/**
+ * A statistics report for one period
+ */
+export interface StatisticsReport {
+  period: ReportPeriod;
+  /** First day of the period (YYYY-MM-DD) */
+  from: string;
+  /** Last day of the period (YYYY-MM-DD) */
+  to: string;
+  by: ReportGrouping;
+  hourlyRate: number;
+  rows: ReportRow[];
+  total: ReportRow;
+}
+
+/** Name of the ledger file in the memory bank directory */
+const LEDGER_FILE = 'statistics.jsonl';
+
+/** Column headings per grouping */
+const GROUPING_LABELS: Record<ReportGrouping, string> = {
+  total: 'Period',
+  day: 'Day',
+  author: 'Author',
+  directory: 'Directory'
+};
+
+/**
+ * Statistics Ledger
+ *
+ * Keeps commits and activity periods in `statistics.jsonl` in the memory bank, one JSON
+ * record per line, and aggregates them into effort reports. Commits are recorded once,
+ * by hash; uncommitted work is only recorded after it is committed.
+ */
+export class StatisticsLedger {
+  private ledgerPath: string;
+  private developerHourlyRate: number;
+
+  /**
+   * Create a new statistics ledger
+   * @param baseDir Base directory of the memory bank
+   * @param developerHourlyRate Hourly rate used for cost estimates
+   */
+  constructor(baseDir: string, developerHourlyRate: number = 60) {
+    this.ledgerPath = path.join(baseDir, LEDGER_FILE);
+    this.developerHourlyRate = developerHourlyRate;
+  }
+
+  /**
+   * Read all records
+   * Lines that can't be parsed (e.g. a write cut off by a crash) are skipped.
+   * @returns Records in the order they were written
+   */
+  public async read(): Promise<LedgerRecord[]> {
+    if (!await fs.pathExists(this.ledgerPath)) {
+      return [];
+    }
+
+    const records: LedgerRecord[] = [];
+    for (const line of (await fs.readFile(this.ledgerPath, 'utf8')).split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        console.warn(`Skipping unreadable line in ${this.ledgerPath}`);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Append records to the ledger
+   * Commits that are already in the ledger are skipped. Callers should hold the memory
+   * bank lock, so appends from different processes don't interleave.
+   * @param records Records to append
+   * @returns Number of records appended
+   */
+  public async append(records: LedgerRecord[]): Promise<number> {
+    const knownCommits = new Set(
+      (await this.read()).filter((record): record is LedgerCommit => record.type === 'commit').map(record => record.hash)
+    );
+
+    const newRecords = records.filter(record => {
+      if (record.type !== 'commit') {
+        return true;
+      }
+      if (knownCommits.has(record.hash)) {
+        return false;
+      }
+      knownCommits.add(record.hash);
+      return true;
+    });
+
+    if (newRecords.length > 0) {
+      await fs.ensureDir(path.dirname(this.ledgerPath));
+      await fs.appendFile(this.ledgerPath, newRecords.map(record => `${JSON.stringify(record)}\n`).join(''), 'utf8');
+    }
+    return newRecords.length;
+  }
+
+  /**
+   * Aggregate time spent, estimated cost and line churn for a period
+   * Time is recorded per author, so when grouping by directory it is divided between
+   * directories by their share of the period's churn.
+   * @param options Period and grouping
+   * @returns Report with one row per group and a total
+   */
+  public async report(options: ReportOptions = {}): Promise<StatisticsReport> {
+    const period = options.period || 'week';
+    const by = options.by || 'total';
+    const depth = options.depth && options.depth > 0 ? options.depth : 1;
+    const { from, to } = this.getPeriodRange(period, options.date);
+
+    const inPeriod = (date: string) => {
+      const day = date.substring(0, 10);
+      return day >= from && day <= to;
+    };
+
+    const records = await this.read();
+    const commits = records.filter((record): record is LedgerCommit => record.type === 'commit' && inPeriod(record.date));
+    const activities = records.filter((record): record is LedgerActivity => record.type === 'activity' && inPeriod(record.end));
+
+    const rows = new Map<string, { minutes: number; linesAdded: number; linesRemoved: number; commits: Set<string> }>();
+    const row = (key: string) => {
+      let existing = rows.get(key);
+      if (!existing) {
+        existing = { minutes: 0, linesAdded: 0, linesRemoved: 0, commits: new Set<string>() };
+        rows.set(key, existing);
+      }
+      return existing;
+    };
+    const periodKey = `${from} to ${to}`;
+    if (by === 'total') {
+      // A total report always has its one row, even for a period without activity
+      row(periodKey);
+    }
+
+    for (const commit of commits) {
+      for (const file of commit.files) {
+        const key = by === 'day' ? commit.date.substring(0, 10)
+          : by === 'author' ? commit.author
+          : by === 'directory' ? this.getDirectory(file.path, depth)
+          : periodKey;
+        const target = row(key);
+        target.linesAdded += file.linesAdded;
+        target.linesRemoved += file.linesRemoved;
+        target.commits.add(commit.hash);
+      }
+      if (commit.files.length === 0 && by !== 'directory') {
+        row(by === 'day' ? commit.date.substring(0, 10) : by === 'author' ? commit.author : periodKey).commits.add(commit.hash);
+      }
+    }
+
+    const totalMinutes = activities.reduce((sum, activity) => sum + activity.minutes, 0);
+    if (by === 'directory') {
+      const totalChurn = Array.from(rows.values()).reduce((sum, item) => sum + item.linesAdded + item.linesRemoved, 0);
+      if (totalChurn > 0) {
+        for (const item of rows.values()) {
+          item.minutes = Math.round(totalMinutes * (item.linesAdded + item.linesRemoved) / totalChurn);
+        }
+      } else if (totalMinutes > 0) {
+        row('(no changes)').minutes = totalMinutes;
+      }
+    } else {
+      for (const activity of activities) {
+        const key = by === 'day' ? activity.end.substring(0, 10) : by === 'author' ? activity.author : periodKey;
+        row(key).minutes += activity.minutes;
+      }
+    }
+
+    const reportRows = Array.from(rows.entries())
+      .map(([key, item]) => this.buildRow(key, item.minutes, item.linesAdded, item.linesRemoved, item.commits.size))
+      .sort((a, b) => by === 'day' ? a.key.localeCompare(b.key) : b.minutes - a.minutes || b.churn - a.churn || a.key.localeCompare(b.key));
+
+    const linesAdded = commits.reduce((sum, commit) => sum + commit.files.reduce((lines, file) => lines + file.linesAdded, 0), 0);
+    const linesRemoved = commits.reduce((sum, commit) => sum + commit.files.reduce((lines, file) => lines + file.linesRemoved, 0), 0);
+
+    return {
+      period,
+      from,
+      to,
+      by,
+      hourlyRate: this.developerHourlyRate,
+      rows: reportRows,
+      total: this.buildRow('Total', totalMinutes, linesAdded, linesRemoved, commits.length)
+    };
+  }
+
+  /**
+   * Format a report
+   * @param report Report to format
+   * @param format json, csv (one line per row, without the total) or md (a table with the total)
+   * @returns Formatted report
+   */
+  public static format(report: StatisticsReport, format: ReportFormat): string {
+    if (format === 'json') {
+      return JSON.stringify(report, null, 2);
+    }
+
+    const label = GROUPING_LABELS[report.by];
+
+    if (format === 'csv') {
+      const escape = (value: string | number) => {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      const lines = [
+        [label.toLowerCase(), 'minutes', 'time_spent', 'estimated_cost', 'lines_added', 'lines_removed', 'churn', 'commits'].join(','),
+        ...report.rows.map(row => [row.key, row.minutes, row.timeSpent, row.estimatedCost.toFixed(2), row.linesAdded, row.linesRemoved, row.churn, row.commits]
+          .map(escape)
+          .join(','))
+      ];
+      return lines.join('\n');
+    }
+
+    const cell = (value: string | number) => String(value).replace(/\|/g, '\\|');
+    const tableRow = (row: ReportRow, bold: boolean) => {
+      const values = [row.key, row.timeSpent, `$${row.estimatedCost.toFixed(2)}`, row.linesAdded, row.linesRemoved, row.churn, row.commits].map(cell);
+      return `| ${(bold ? values.map(value => `**${value}**`) : values).join(' | ')} |`;
+    };
+
+    return [
+      `# Effort Report: ${report.from} to ${report.to}`,
+      '',
+      `Hourly rate: $${report.hourlyRate}`,
+      '',
+      `| ${label} | Time Spent | Estimated Cost | Lines Added | Lines Removed | Churn | Commits |`,
+      '|---|---:|---:|---:|---:|---:|---:|',
+      ...report.rows.map(row => tableRow(row, false)),
+      ...(report.by === 'total' ? [] : [tableRow(report.total, true)])
+    ].join('\n');
+  }
+
+  /**
+   * Build a report row
+   * @param key Day, author, directory or "Total"
+   * @param minutes Active minutes
+   * @param linesAdded Lines added
+   * @param linesRemoved Lines removed
+   * @param commits Number of commits
+   * @returns Row with time and cost derived from the minutes
+   */
+  private buildRow(key: string, minutes: number, linesAdded: number, linesRemoved: number, commits: number): ReportRow {
+    return {
+      key,
+      minutes,
+      timeSpent: `${Math.floor(minutes / 60)}h ${minutes % 60}m`,
+      estimatedCost: Math.round((minutes / 60) * this.developerHourlyRate * 100) / 100,
+      linesAdded,
+      linesRemoved,
+      churn: linesAdded + linesRemoved,
+      commits
+    };
+  }
+
+  /**
+   * Get the directory a file is grouped under
+   * @param filePath File path relative to the repository root
+   * @param depth Number of leading path segments to keep
+   * @returns Directory path, or "." for files in the repository root
+   */
+  private getDirectory(filePath: string, depth: number): string {
+    const segments = filePath.split('/').slice(0, -1);
+    return segments.length > 0 ? segments.slice(0, depth).join('/') : '.';
+  }
+
+  /**
+   * Get the first and last day of the period containing a date (UTC)
+   * Weeks run from Monday to Sunday.
+   * @param period Period length
+   * @param date Date within the period
+   * @returns First and last day in YYYY-MM-DD format
+   */
+  private getPeriodRange(period: ReportPeriod, date: string | Date = new Date()): { from: string; to: string } {
+    const day = typeof date === 'string' ? new Date(`${date.substring(0, 10)}T00:00:00Z`) : new Date(date.getTime());
+    if (isNaN(day.getTime())) {
+      throw new Error(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+    }
+    day.setUTCHours(0, 0, 0, 0);
+
+    const toDateString = (value: Date) => value.toISOString().split('T')[0];
+    if (period === 'day') {
+      return { from: toDateString(day), to: toDateString(day) };
+    }
+
+    if (period === 'week') {
+      const start = new Date(day);
+      start.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+      const end = new Date(start);
+      end.setUTCDate(start.getUTCDate() + 6);
+      return { from: toDateString(start), to: toDateString(end) };
+    }
+
+    const start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+    const end = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0));
+    return { from: toDateString(start), to: toDateString(end) };
+  }
+}
@@ -0,0 +1,129 @@
+import { MarkdownDocument } from './markdown-document';
+import { TaskList, formatProgressSummary, parseIssues } from './task-list';
+
+const PROGRESS = [
+  '# Progress',
+  '',
+  '## Current Tasks',
+  '- [T-002] Move invoices to the new queue (milestone M-001; started 2024-05-02)',
+  '- [T-004] Fix the rounding in src/billing.ts (line 40) (from TODO; started 2024-05-03)',
+  '',
+  '## Completed Tasks',
+  '- [T-001] Set up the billing service (milestone M-001; started 2024-05-01) (completed 2024-05-02)',
+  '',
+  '## Upcoming Tasks',
+  '- [T-003] Send invoice reminders (milestone M-002)',
+  '',
+  '## Milestones',
+  '- [M-001] Billing: Invoices go through the new service (target 2024-06-01; 1/2 tasks done, 50%)',
+  '- [M-002] Reminders (target 2024-07-01; 0/1 tasks done, 0%)',
+  ''
+].join('\n');
+
+describe('TaskList', () => {
+  it('writes back what it parsed unchanged', () => {
+    const document = MarkdownDocument.parse(PROGRESS);
+    const list = TaskList.parse(document);
+
+    expect(list.getTask('t-004')).toEqual({
+      id: 'T-004',
+      title: 'Fix the rounding in src/billing.ts (line 40)',
+      state: 'current',
+      started: '2024-05-03',
+      completed: null,
+      milestone: null,
+      source: 'TODO'
+    });
+    expect(list.getMilestone('M-001')).toMatchObject({ title: 'Billing', description: 'Invoices go through the new service', total: 2, done: 1, percent: 50 });
+
+    list.writeTo(document);
+    expect(list.isChanged()).toBe(false);
+    expect(document.toString()).toBe(PROGRESS);
+  });
+
+  it('gives entries written before IDs the next free ones', () => {
+    const document = MarkdownDocument.parse([
+      '# Progress',
+      '',
+      '## Completed Tasks',
+      '- Set up the billing service (completed 2024-05-02)',
+      '',
+      '## Milestones',
+      '- [2024-05-02] Billing live: First invoice sent',
+      ''
+    ].join('\n'));
+    const list = TaskList.parse(document);
+    const other = TaskList.parse(MarkdownDocument.parse(PROGRESS));
+
+    list.assignIds([list, other]);
+    list.writeTo(document);
+
+    expect(list.isChanged()).toBe(true);
+    expect(document.getSection('completed-tasks')).toBe('- [T-005] Set up the billing service (completed 2024-05-02)');
+    expect(document.getSection('milestones')).toBe('- [M-003] Billing live: First invoice sent (reached 2024-05-02)');
+  });
+
+  it('dates state changes and moves the task to its new section', () => {
+    const document = MarkdownDocument.parse(PROGRESS);
+    const list = TaskList.parse(document);
+
+    list.updateTask('T-003', { state: 'current' }, '2024-05-10');
+    expect(list.getTask('T-003')).toMatchObject({ state: 'current', started: '2024-05-10', completed: null });
+
+    list.updateTask('T-002', { state: 'done' }, '2024-05-11');
+    expect(list.getTask('T-002')).toMatchObject({ state: 'done', started: '2024-05-02', completed: '2024-05-11' });
+    expect(list.getMilestone('M-001')).toMatchObject({ done: 2, percent: 100, reached: '2024-05-11' });
+
+    list.updateTask('T-001', { state: 'upcoming' }, '2024-05-12');
+    expect(list.getTask('T-001')).toMatchObject({ state: 'upcoming', started: null, completed: null });
+    expect(list.getMilestone('M-001')).toMatchObject({ done: 1, reached: null });
+
+    list.writeTo(document);
+    expect(list.isChanged()).toBe(true);
+    expect(document.getSection('current-tasks')).toBe([
+      '- [T-004] Fix the rounding in src/billing.ts (line 40) (from TODO; started 2024-05-03)',
+      '- [T-003] Send invoice reminders (milestone M-002; started 2024-05-10)'
+    ].join('\n'));
+    expect(document.getSection('completed-tasks')).toBe('- [T-002] Move invoices to the new queue (milestone M-001; started 2024-05-02) (completed 2024-05-11)');
+    expect(document.getSection('upcoming-tasks')).toBe('- [T-001] Set up the billing service (milestone M-001)');
+    expect(TaskList.parse(document).listTasks()).toEqual(list.listTasks());
+  });
+
+  it('leaves the list unchanged by updates that change nothing', () => {
+    const list = TaskList.parse(MarkdownDocument.parse(PROGRESS));
+
+    expect(list.updateTask('T-002', { state: 'current', title: ' ' }, '2024-05-10')).toMatchObject({ started: '2024-05-02' });
+    expect(list.updateTask('T-009', { state: 'done' }, '2024-05-10')).toBeNull();
+    expect(list.updateMilestone('M-002', { target: '2024-07-01' })).toBe(false);
+    expect(list.isChanged()).toBe(false);
+  });
+
+  it('summarizes the open milestones and flags overdue ones', () => {
+    const list = TaskList.parse(MarkdownDocument.parse(PROGRESS));
+
+    expect(formatProgressSummary(list.listTasks(), list.listMilestones(), '2024-06-15')).toEqual([
+      'Tasks: 2 current, 1 upcoming, 1 done',
+      '  M-001 Billing: 1/2 tasks done (50%), target 2024-06-01 (overdue)',
+      '  M-002 Reminders: 0/1 tasks done (0%), target 2024-07-01'
+    ]);
+  });
+});
+
+describe('parseIssues', () => {
+  it('maps issue states, close dates and milestones', () => {
+    expect(parseIssues({
+      issues: [
+        { number: 12, title: 'Send invoice reminders', state: 'OPEN', milestone: { title: 'Reminders', dueOn: '2024-07-01T00:00:00Z' } },
+        { key: 'BILL-7', title: 'Fix rounding', status: 'In_Progress' },
+        { id: 3, title: 'Set up billing', state: 'closed', closedAt: '2024-05-02T10:00:00Z', milestone: 'Billing' },
+        { number: 4 },
+        'not an issue'
+      ]
+    })).toEqual([
+      { title: 'Send invoice reminders', state: 'upcoming', source: 'issue #12', completed: null, milestone: { title: 'Reminders', target: '2024-07-01' } },
+      { title: 'Fix rounding', state: 'current', source: 'issue #BILL-7', completed: null, milestone: null },
+      { title: 'Set up billing', state: 'done', source: 'issue #3', completed: '2024-05-02', milestone: { title: 'Billing', target: null } }
+    ]);
+    expect(() => parseIssues({ items: [] })).toThrow('Expected a list of issues');
+  });
+});
@@ -0,0 +1,594 @@
+import { MarkdownDocument } from './markdown-document';
+
+/**
+ * State of a task: planned, being worked on, or finished
+ */
+export type TaskState = 'upcoming' | 'current' | 'done';
+
+/** Valid values for a task's state, in the order a task goes through them */
+export const TASK_STATES: TaskState[] = ['upcoming', 'current', 'done'];
+
+/**
+ * A task in the progress file
+ */
+export interface TaskRecord {
+  /** Stable ID (e.g. T-004); empty for entries written before tasks had IDs */
+  id: string;
+  title: string;
+  state: TaskState;
+  /** When the task was started (YYYY-MM-DD), or null if it wasn't */
+  started: string | null;
+  /** When the task was done (YYYY-MM-DD), or null while it isn't */
+  completed: string | null;
+  /** ID of the milestone the task counts towards */
+  milestone: string | null;
+  /** Where the task was imported from ("TODO", "FIXME" or "issue #12"), or null for tasks added by hand */
+  source: string | null;
+}
+
+/**
+ * Changes to a task
+ */
+export interface TaskUpdate {
+  title?: string;
+  state?: TaskState;
+  /** Milestone ID, or null to unlink the task */
+  milestone?: string | null;
+  source?: string | null;
+}
+
+/**
+ * A milestone in the progress file
+ */
+export interface MilestoneRecord {
+  /** Stable ID (e.g. M-002); empty for entries written before milestones had IDs */
+  id: string;
+  title: string;
+  description: string;
+  /** Date the milestone should be reached by (YYYY-MM-DD) */
+  target: string | null;
+  /** Date the milestone was reached (YYYY-MM-DD); for a milestone with tasks, when the last one was done */
+  reached: string | null;
+}
+
+/**
+ * A milestone with the progress of the tasks linked to it
+ */
+export interface MilestoneProgress extends MilestoneRecord {
+  /** Number of tasks linked to the milestone */
+  total: number;
+  /** Number of those tasks that are done */
+  done: number;
+  /** Share of the tasks that are done (0-100), or null without tasks */
+  percent: number | null;
+}
+
+/**
+ * A task read from a TODO or FIXME comment or an issues file
+ */
+export interface ImportedTask {
+  title: string;
+  state: TaskState;
+  /** Where the task comes from, e.g. "TODO" or "issue #12" */
+  source: string;
+  /** When the issue was closed (YYYY-MM-DD) */
+  completed?: string | null;
+  /** Milestone of the issue */
+  milestone?: { title: string; target: string | null } | null;
+}
+
+/** Sections of the progress file, in the order they appear */
+const SECTIONS = {
+  current: { id: 'current-tasks', heading: 'Current Tasks' },
+  done: { id: 'completed-tasks', heading: 'Completed Tasks' },
+  upcoming: { id: 'upcoming-tasks', heading: 'Upcoming Tasks' },
+  milestones: { id: 'milestones', heading: 'Milestones' }
+};
+
+const TASK_ID_REGEX = /^\[(T-\d+)\][ \t]+(.+)$/;
+const MILESTONE_ID_REGEX = /^\[(M-\d+)\][ \t]+(.+)$/;
+const DATED_MILESTONE_REGEX = /^\[(\d{4}-\d{2}-\d{2})\][ \t]+(.+)$/;
+const COMPLETED_REGEX = /\s*\(completed (\d{4}-\d{2}-\d{2})\)$/;
+const DETAILS_REGEX = /\s*\(([^()]*)\)$/;
+const TASK_DETAIL_REGEX = /^(?:milestone (M-\d+)|from (TODO|FIXME|issue #\S+)|started (\d{4}-\d{2}-\d{2}))$/;
+const MILESTONE_DETAIL_REGEX = /^(?:target (\d{4}-\d{2}-\d{2})|reached (\d{4}-\d{2}-\d{2})|\d+\/\d+ tasks done, \d+%)$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Issue states, lowercased with spaces for dashes and underscores, that mean the work was done or started */
+const DONE_ISSUE_STATES = ['closed', 'done', 'resolved', 'completed', 'fixed'];
+const CURRENT_ISSUE_STATES = ['in progress', 'started', 'active', 'doing'];
+
+/**
+ * Task List
+ *
+ * Parses the task and milestone sections of the progress file into records. Each task
+ * is a `- [T-NNN] Title` item in the section of its state, with its milestone, source
+ * and start date in parentheses, and completed tasks keep their `(completed YYYY-MM-DD)`
+ * suffix. Milestones are `- [M-NNN] Title: description` items with their target date
+ * and the share of their tasks that is done.
+ */
+export class TaskList {
+  private tasks: TaskRecord[];
+  private milestones: MilestoneRecord[];
+  private changed = false;
+
+  private constructor(tasks: TaskRecord[], milestones: MilestoneRecord[]) {
+    this.tasks = tasks;
+    this.milestones = milestones;
+  }
+
+  /**
+   * Parse the task and milestone sections of a progress file
+   * @param document Progress file
+   * @returns Parsed task list
+   */
+  public static parse(document: MarkdownDocument): TaskList {
+    const tasks: TaskRecord[] = [];
+    for (const state of ['current', 'done', 'upcoming'] as const) {
+      tasks.push(...parseItems(document.getSection(SECTIONS[state].id)).map(item => parseTask(item, state)));
+    }
+    const milestones = parseItems(document.getSection(SECTIONS.milestones.id)).map(item => parseMilestone(item));
+    return new TaskList(tasks, milestones);
+  }
+
+  /**
+   * Get the ID that follows the highest task ID
+   * @param lists Task lists to consider
+   * @returns Task ID (e.g. T-004)
+   */
+  public static nextTaskId(lists: TaskList[]): string {
+    return nextId('T', lists.flatMap(list => list.tasks.map(task => task.id)));
+  }
+
+  /**
+   * Get the ID that follows the highest milestone ID
+   * @param lists Task lists to consider
+   * @returns Milestone ID (e.g. M-002)
+   */
+  public static nextMilestoneId(lists: TaskList[]): string {
+    return nextId('M', lists.flatMap(list => list.milestones.map(milestone => milestone.id)));
+  }
+
+  /**
+   * Get the tasks, current ones first, then the done and the upcoming ones
+   * @param state Only tasks in this state
+   * @returns Task records
+   */
+  public listTasks(state?: TaskState): TaskRecord[] {
+    return state ? this.tasks.filter(task => task.state === state) : [...this.tasks];
+  }
+
+  /**
+   * Get a task
+   * @param id Task ID (e.g. T-004)
+   * @returns The task, or null if the list doesn't have it
+   */
+  public getTask(id: string): TaskRecord | null {
+    const normalized = id.trim().toUpperCase();
+    return (normalized && this.tasks.find(task => task.id === normalized)) || null;
+  }
+
+  /**
+   * Find a task by its ID or title
+   * @param reference Task ID, or its title ignoring case
+   * @returns The task, or null if the list doesn't have it
+   */
+  public findTask(reference: string): TaskRecord | null {
+    const title = reference.replace(COMPLETED_REGEX, '').trim().toLowerCase();
+    return this.getTask(reference) || this.tasks.find(task => task.title.toLowerCase() === title) || null;
+  }
+
+  /**
+   * Add a task at the end of the section of its state
+   * @param task Task to add; its start and completion dates default to the date of the change
+   * @param date Date of the change (YYYY-MM-DD)
+   * @returns The task
+   */
+  public addTask(task: {
+    id: string;
+    title: string;
+    state: TaskState;
+    milestone?: string | null;
+    source?: string | null;
+    started?: string | null;
+    completed?: string | null;
+  }, date: string): TaskRecord {
+    const record: TaskRecord = {
+      id: task.id,
+      title: task.title.trim(),
+      state: task.state,
+      started: task.state === 'upcoming' ? null : task.started || (task.state === 'current' ? date : null),
+      completed: task.state === 'done' ? task.completed || date : null,
+      milestone: task.milestone || null,
+      source: task.source || null
+    };
+    this.tasks.push(record);
+    this.changed = true;
+    return record;
+  }
+
+  /**
+   * Change a task
+   * A task that is started gets its start date, and one that is done its completion
+   * date; a done task keeps its completion date until it is reopened.
+   * @param id Task ID
+   * @param update Changes to make
+   * @param date Date of the change (YYYY-MM-DD)
+   * @param completed Completion date to use instead of the date of the change, e.g. when an issue was closed
+   * @returns The task, or null if the list doesn't have it
+   */
+  public updateTask(id: string, update: TaskUpdate, date: string, completed?: string | null): TaskRecord | null {
+    const record = this.getTask(id);
+    if (!record) {
+      return null;
+    }
+    const before = formatTask(record);
+
+    if (update.title?.trim()) {
+      record.title = update.title.trim();
+    }
+    if (update.milestone !== undefined) {
+      record.milestone = update.milestone;
+    }
+    if (update.source !== undefined) {
+      record.source = update.source;
+    }
+    if (update.state && update.state !== record.state) {
+      if (update.state === 'upcoming') {
+        record.started = null;
+      } else if (update.state === 'current' && !record.started) {
+        record.started = date;
+      }
+      record.completed = update.state === 'done' ? completed || date : null;
+      // A task that changes state goes to the end of its new section
+      this.tasks = [...this.tasks.filter(task => task !== record), record];
+      record.state = update.state;
+    }
+
+    if (formatTask(record) !== before) {
+      this.changed = true;
+    }
+    return record;
+  }
+
+  /**
+   * Get the milestones with the progress of their tasks
+   * @returns Milestones in the order they were added
+   */
+  public listMilestones(): MilestoneProgress[] {
+    return this.milestones.map(milestone => this.withProgress(milestone));
+  }
+
+  /**
+   * Get a milestone
+   * @param id Milestone ID (e.g. M-002)
+   * @returns The milestone, or null if the list doesn't have it
+   */
+  public getMilestone(id: string): MilestoneProgress | null {
+    const normalized = id.trim().toUpperCase();
+    const milestone = normalized ? this.milestones.find(candidate => candidate.id === normalized) : undefined;
+    return milestone ? this.withProgress(milestone) : null;
+  }
+
+  /**
+   * Find a milestone by its ID or title
+   * @param reference Milestone ID, or its title ignoring case
+   * @returns The milestone, or null if the list doesn't have it
+   */
+  public findMilestone(reference: string): MilestoneProgress | null {
+    const title = reference.trim().toLowerCase();
+    const milestone = this.milestones.find(candidate => candidate.title.toLowerCase() === title);
+    return this.getMilestone(reference) || (milestone ? this.withProgress(milestone) : null);
+  }
+
+  /**
+   * Add a milestone at the end of the list
+   * @param milestone Milestone to add
+   */
+  public addMilestone(milestone: MilestoneRecord): void {
+    this.milestones.push({ ...milestone, title: milestone.title.trim(), description: milestone.description.trim() });
+    this.changed = true;
+  }
+
+  /**
+   * Change the description, target date or reached date of a milestone
+   * @param id Milestone ID
+   * @param update Changes to make
+   * @returns True if the milestone was changed
+   */
+  public updateMilestone(id: string, update: { description?: string; target?: string | null; reached?: string | null }): boolean {
+    const milestone = this.milestones.find(candidate => candidate.id === id.trim().toUpperCase());
+    if (!milestone) {
+      return false;
+    }
+    const before = JSON.stringify(milestone);
+    if (update.description?.trim()) {
+      milestone.description = update.description.trim();
+    }
+    if (update.target !== undefined) {
+      milestone.target = update.target;
+    }
+    if (update.reached !== undefined) {
+      milestone.reached = update.reached;
+    }
+    const changed = JSON.stringify(milestone) !== before;
+    this.changed = this.changed || changed;
+    return changed;
+  }
+
+  /**
+   * Give the tasks and milestones written before they had IDs the next free ones
+   * @param lists Every task list whose IDs are taken, including this one
+   */
+  public assignIds(lists: TaskList[]): void {
+    for (const task of this.tasks.filter(candidate => !candidate.id)) {
+      task.id = TaskList.nextTaskId(lists);
+      this.changed = true;
+    }
+    for (const milestone of this.milestones.filter(candidate => !candidate.id)) {
+      milestone.id = TaskList.nextMilestoneId(lists);
+      this.changed = true;
+    }
+  }
+
+  /**
+   * Check whether the list was changed since it was parsed
+   * @returns True if a task or milestone was added or changed
+   */
+  public isChanged(): boolean {
+    return this.changed;
+  }
+
+  /**
+   * Write the tasks and milestones back to the sections of a progress file
+   * @param document Progress file to update
+   */
+  public writeTo(document: MarkdownDocument): void {
+    for (const state of ['current', 'done', 'upcoming'] as const) {
+      document.setSection(SECTIONS[state].id, formatItems(this.listTasks(state).map(task => formatTask(task))), SECTIONS[state].heading);
+    }
+    document.setSection(SECTIONS.milestones.id, formatItems(this.listMilestones().map(milestone => formatMilestone(milestone))), SECTIONS.milestones.heading);
+  }
+
+  /**
+   * Add the progress of its tasks to a milestone
+   * A milestone with tasks is reached when the last of them is done.
+   * @param milestone Milestone
+   * @returns Milestone with its progress
+   */
+  private withProgress(milestone: MilestoneRecord): MilestoneProgress {
+    const tasks = this.tasks.filter(task => task.milestone === milestone.id);
+    const done = tasks.filter(task => task.state === 'done');
+    let reached = milestone.reached;
+    if (tasks.length > 0) {
+      reached = done.length === tasks.length
+        ? done.map(task => task.completed || '').sort().pop() || milestone.reached
+        : null;
+    }
+    return {
+      ...milestone,
+      reached,
+      total: tasks.length,
+      done: done.length,
+      percent: tasks.length > 0 ? Math.floor(done.length * 100 / tasks.length) : null
+    };
+  }
+}
+
+/**
+ * Read tasks from an issues file
+ * The file holds a list of issues, or an object with an "issues" list, as written by
+ * e.g. `gh issue list --json number,title,state,closedAt,milestone`. Each issue needs a
+ * title and an ID (number, id or key); its state is open, in progress or closed, and its
+ * milestone a title or an object with a title and a due date.
+ * @param content Parsed JSON content of the file
+ * @returns Tasks, one per issue with an ID and a title
+ * @throws Error if the content isn't a list of issues
+ */
+export function parseIssues(content: unknown): ImportedTask[] {
+  const issues = Array.isArray(content) ? content : isObject(content) && Array.isArray(content.issues) ? content.issues : null;
+  if (!issues) {
+    throw new Error('Expected a list of issues, or an object with an "issues" list');
+  }
+
+  const tasks: ImportedTask[] = [];
+  for (const issue of issues) {
+    if (!isObject(issue)) {
+      continue;
+    }
+    const id = [issue.number, issue.id, issue.key].find(value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''));
+    const title = typeof issue.title === 'string' ? issue.title.trim() : '';
+    if (id === undefined || !title) {
+      continue;
+    }
+
+    const state = String(issue.state || issue.status || 'open').toLowerCase().replace(/[-_]/g, ' ').trim();
+    const closedAt = [issue.closedAt, issue.closed_at].find(value => typeof value === 'string' && DATE_REGEX.test(value.substring(0, 10)));
+    const milestone = typeof issue.milestone === 'string' ? { title: issue.milestone } : isObject(issue.milestone) ? issue.milestone : null;
+    const target = milestone ? [milestone.dueOn, milestone.due_on, milestone.target].find(value => typeof value === 'string' && DATE_REGEX.test(value.substring(0, 10))) : undefined;
+
+    tasks.push({
+      title,
+      state: DONE_ISSUE_STATES.includes(state) ? 'done' : CURRENT_ISSUE_STATES.includes(state) ? 'current' : 'upcoming',
+      source: `issue #${String(id).trim().replace(/^#/, '').replace(/\s+/g, '-')}`,
+      completed: closedAt ? (closedAt as string).substring(0, 10) : null,
+      milestone: milestone && typeof milestone.title === 'string' && milestone.title.trim()
+        ? { title: milestone.title.trim(), target: target ? (target as string).substring(0, 10) : null }
+        : null
+    });
+  }
+  return tasks;
+}
+
+/**
+ * Describe the progress of a project in a few lines
+ * @param tasks Tasks of the project
+ * @param milestones Milestones of the project
+ * @param today Today's date (YYYY-MM-DD), to tell milestones that are overdue
+ * @returns Lines of text, e.g. "Tasks: 2 current, 5 upcoming, 14 done" and a line per open milestone
+ */
+export function formatProgressSummary(tasks: TaskRecord[], milestones: MilestoneProgress[], today: string): string[] {
+  const count = (state: TaskState) => tasks.filter(task => task.state === state).length;
+  const lines = [`Tasks: ${count('current')} current, ${count('upcoming')} upcoming, ${count('done')} done`];
+  for (const milestone of milestones.filter(candidate => !candidate.reached)) {
+    const progress = milestone.percent === null ? 'no tasks' : `${milestone.done}/${milestone.total} tasks done (${milestone.percent}%)`;
+    const target = milestone.target ? `, target ${milestone.target}${milestone.target < today ? ' (overdue)' : ''}` : '';
+    lines.push(`  ${milestone.id || '-'} ${milestone.title}: ${progress}${target}`);
+  }
+  return lines;
+}
+
+/**
+ * Check whether a value is a date in YYYY-MM-DD format
+ * @param value Value to check
+ * @returns True for a valid date
+ */
+export function isDateString(value: string): boolean {
+  return DATE_REGEX.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+/**
+ * Parse a task list item
+ * @param item Item without its bullet
+ * @param state State of the section the item is in
+ * @returns Task record
+ */
+function parseTask(item: string, state: TaskState): TaskRecord {
+  const record: TaskRecord = { id: '', title: '', state, started: null, completed: null, milestone: null, source: null };
+  let text = item;
+  const id = text.match(TASK_ID_REGEX);
+  if (id) {
+    record.id = id[1];
+    text = id[2];
+  }
+  const completed = text.match(COMPLETED_REGEX);
+  if (completed) {
+    record.completed = state === 'done' ? completed[1] : null;
+    text = text.slice(0, completed.index);
+  }
+
+  // Only parentheses made of known details are details; others are part of the title,
+  // like the file of a task read from a TODO comment
+  const details = text.match(DETAILS_REGEX);
+  const parts = details ? details[1].split(';').map(part => part.trim()) : [];
+  if (details && parts.every(part => TASK_DETAIL_REGEX.test(part))) {
+    for (const part of parts) {
+      const [, milestone, source, started] = part.match(TASK_DETAIL_REGEX) as RegExpMatchArray;
+      record.milestone = milestone || record.milestone;
+      record.source = source || record.source;
+      record.started = started || record.started;
+    }
+    text = text.slice(0, details.index);
+  }
+  record.title = text.trim();
+  return record;
+}
+
+/**
+ * Format a task as a list item
+ * @param task Task record
+ * @returns Item without its bullet
+ */
+function formatTask(task: TaskRecord): string {
+  const details = [
+    task.milestone ? `milestone ${task.milestone}` : null,
+    task.source ? `from ${task.source}` : null,
+    task.started ? `started ${task.started}` : null
+  ].filter(Boolean);
+  return `${task.id ? `[${task.id}] ` : ''}${task.title}` +
+    `${details.length > 0 ? ` (${details.join('; ')})` : ''}` +
+    `${task.completed ? ` (completed ${task.completed})` : ''}`;
+}
+
+/**
+ * Parse a milestone list item
+ * Milestones written before they had IDs start with the date they were reached.
+ * @param item Item without its bullet
+ * @returns Milestone record
+ */
+function parseMilestone(item: string): MilestoneRecord {
+  const record: MilestoneRecord = { id: '', title: '', description: '', target: null, reached: null };
+  let text = item;
+  const id = text.match(MILESTONE_ID_REGEX);
+  const dated = text.match(DATED_MILESTONE_REGEX);
+  if (id) {
+    record.id = id[1];
+    text = id[2];
+  } else if (dated) {
+    record.reached = dated[1];
+    text = dated[2];
+  }
+
+  const details = text.match(DETAILS_REGEX);
+  const parts = details ? details[1].split(';').map(part => part.trim()) : [];
+  if (details && parts.every(part => MILESTONE_DETAIL_REGEX.test(part))) {
+    for (const part of parts) {
+      const [, target, reached] = part.match(MILESTONE_DETAIL_REGEX) as RegExpMatchArray;
+      record.target = target || record.target;
+      record.reached = reached || record.reached;
+    }
+    text = text.slice(0, details.index);
+  }
+
+  const separator = text.indexOf(': ');
+  record.title = (separator === -1 ? text : text.slice(0, separator)).trim();
+  record.description = separator === -1 ? '' : text.slice(separator + 2).trim();
+  return record;
+}
+
+/**
+ * Format a milestone as a list item
+ * @param milestone Milestone with its progress
+ * @returns Item without its bullet
+ */
+function formatMilestone(milestone: MilestoneProgress): string {
+  const details = [
+    milestone.target ? `target ${milestone.target}` : null,
+    milestone.reached ? `reached ${milestone.reached}` : null,
+    milestone.percent !== null ? `${milestone.done}/${milestone.total} tasks done, ${milestone.percent}%` : null
+  ].filter(Boolean);
+  return `${milestone.id ? `[${milestone.id}] ` : ''}${milestone.title}` +
+    `${milestone.description ? `: ${milestone.description}` : ''}` +
+    `${details.length > 0 ? ` (${details.join('; ')})` : ''}`;
+}
+
+/**
+ * Split a list section into its items, skipping empty placeholder bullets
+ * @param section Section content
+ * @returns Items without their bullet
+ */
+function parseItems(section: string): string[] {
+  return section
+    .split('\n')
+    .map(line => line.replace(/^\s*-\s*/, '').trim())
+    .filter(line => line !== '');
+}
+
+/**
+ * Format items as a list section
+ * @param items Items without their bullet
+ * @returns Bullet list, or an empty placeholder bullet if there are no items
+ */
+function formatItems(items: string[]): string {
+  return items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '- ';
+}
+
+/**
+ * Get the ID that follows the highest of a kind
+ * @param prefix ID prefix, T for tasks or M for milestones
+ * @param ids IDs that are taken
+ * @returns Next ID (e.g. T-004)
+ */
+function nextId(prefix: string, ids: string[]): string {
+  const numbers = ids.map(id => id.match(/^[A-Z]-(\d+)$/)).filter((match): match is RegExpMatchArray => match !== null).map(match => parseInt(match[1], 10));
+  return `${prefix}-${String(Math.max(0, ...numbers) + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param value Value to check
+ * @returns True for an object that isn't an array or null
+ */
+function isObject(value: unknown): value is { [key: string]: any } {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}